@@ -0,0 +1,407 @@
+/**
+ * GCT Website - Static Site Build
+ * Renders src/pages through the shared layout and partials into dist/,
+ * with site data filled in by the render steps below, then writes the
+ * generated pages, feeds, search index and app files next to them.
+ *
+ * Usage: node build/build.js
+ *   OUT_DIR      Output directory (default dist)
+ *   SITE_URL     Public address of the site, for canonical, feed, calendar and sitemap
+ *                links (default https://gctbhakkar.edu.pk/)
+ *   SKIP_IMAGES  Set to 1 to use the original images, as the build does where
+ *                sharp isn't installed
+ *   BUNDLE       Set to 1 to load scripts/bundle.js instead of the ES modules,
+ *                e.g. for a copy opened straight from disk
+ *
+ * Page templates start with a front matter comment:
+ *   <!--
+ *   title: Connect | GCT Bhakkar
+ *   description: Contact GCT Bhakkar - address, phone, email, and inquiry form.
+ *   styles: enrollment.css              extra stylesheets, before the override layer
+ *   overrides: pathways_custom.css      stylesheets loaded after the override layer
+ *   scripts: data/fees.js, fees.js      page scripts: data/ files as plain scripts, the
+ *                                       rest as modules after app.js
+ *   program: computing                  catalog program for division pages
+ *   robots: noindex                     kept out of search results and the sitemap
+ *   -->
+ *
+ * Links inside templates may be written relative to the page, or
+ * root-absolute (/images/...) which is rewritten relative to the page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { PROGRAM_CATALOG } = require('../scripts/data/programs.js');
+const { GALLERY_ALBUMS, GALLERY_PHOTOS } = require('../scripts/data/gallery.js');
+const { FEE_STRUCTURE } = require('../scripts/data/fees.js');
+const { ADMISSION_RULES } = require('../scripts/data/admissions.js');
+const { FACULTY, FACULTY_ROLES } = require('../scripts/data/faculty.js');
+const { escapeHTML } = require('../scripts/html.js');
+const { generateNavigation, generateFooter } = require('./layout.js');
+const { validatePrograms, renderCatalog } = require('./catalog.js');
+const { validateComparison, renderComparisons } = require('./comparison.js');
+const { validateGallery, renderGallery } = require('./gallery.js');
+const { getFacultyPage, validateFaculty, sortFaculty, renderFaculty, renderFacultySource } = require('./faculty.js');
+const { optimizeImages, copyVariants, hasVariants, renderResponsiveImages } = require('./images.js');
+const { THEME_COLOR, getAppIcons, writeAppFiles } = require('./pwa.js');
+const { renderSeo, writeSeoFiles } = require('./seo.js');
+const { buildSearchIndex, renderSearchIndexScript } = require('./search-index.js');
+const { loadNotices, renderNotices, renderNoticeSource, renderRssFeed, renderAtomFeed } = require('./notices.js');
+const { loadSchedule, validateSchedule, getCalendarEvents, resolveTimetable, writeScheduleFiles, renderSchedule } = require('./schedule.js');
+const { LOCALES, DEFAULT_LANGUAGE } = require('../scripts/data/locales.js');
+const { collectMarkupKeys, collectScriptKeys, findMissingKeys, formatMissingReport } = require('./i18n.js');
+const { bundleModules, listModules } = require('./bundle.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SRC_DIR = path.join(ROOT_DIR, 'src');
+const OUT_DIR = path.resolve(ROOT_DIR, process.env.OUT_DIR || 'dist');
+const SITE_URL = (process.env.SITE_URL || 'https://gctbhakkar.edu.pk/').replace(/\/?$/, '/');
+const BUNDLE = process.env.BUNDLE === '1';
+
+// Copied to the output as they are, but for images replaced by their variants
+const ASSET_DIRS = ['images', 'styles', 'scripts'];
+
+// Loaded on every page: plain data scripts, then the entry module, which
+// imports the rest of the site-wide behaviour
+const RUNTIME_SCRIPTS = {
+    data: ['data/locales.js'],
+    modules: ['app.js']
+};
+
+// Every module in one classic script, for browsers without module support
+const BUNDLE_SCRIPT = 'bundle.js';
+
+const LIST_KEYS = ['styles', 'overrides', 'scripts'];
+
+const META_TAGS = [
+    { key: 'keywords', attr: 'name', name: 'keywords' },
+    { key: 'author', attr: 'name', name: 'author' },
+    { key: 'robots', attr: 'name', name: 'robots' }
+];
+
+/**
+ * Split a page template into its front matter and content
+ */
+function parsePage(source) {
+    const match = source.match(/^<!--\n([\s\S]*?)\n-->\n/);
+    const data = {};
+
+    if (match) {
+        match[1].split('\n').forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const key = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+            data[key] = LIST_KEYS.includes(key)
+                ? value.split(',').map(item => item.trim()).filter(Boolean)
+                : value;
+        });
+    }
+
+    return { data, content: match ? source.slice(match[0].length) : source };
+}
+
+/**
+ * Relative path from a page (e.g. divisions/computing.html) back to the site root
+ */
+function getRootPath(pagePath) {
+    const depth = pagePath.split('/').length - 1;
+    return '../'.repeat(depth);
+}
+
+/**
+ * Re-indent a block of markup to sit at the given prefix
+ */
+function indent(value, prefix) {
+    const lines = String(value).split('\n');
+    while (lines.length && !lines[0].trim()) lines.shift();
+    while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+
+    const margin = Math.min(...lines
+        .filter(line => line.trim())
+        .map(line => line.match(/^\s*/)[0].length));
+
+    return lines
+        .map(line => (line.trim() ? prefix + line.slice(margin) : ''))
+        .join('\n');
+}
+
+/**
+ * Fill {{name}} values and {{> partial}} includes
+ * A placeholder alone on its line is indented to match, or removed when empty.
+ */
+function renderTemplate(template, context, partials = {}) {
+    const resolve = (name, isPartial) => {
+        if (isPartial) {
+            if (!(name in partials)) throw new Error(`Unknown partial "${name}"`);
+            return renderTemplate(partials[name], context, partials);
+        }
+        return context[name] ?? '';
+    };
+
+    // One pass, so rendered values are never scanned for placeholders themselves
+    const placeholder = /^([ \t]*)\{\{(>\s*)?([\w-]+)\}\}[ \t]*\n|\{\{(>\s*)?([\w-]+)\}\}/gm;
+
+    return template.replace(placeholder, (match, prefix, linePartial, lineName, partial, name) => {
+        if (lineName) {
+            const value = resolve(lineName, linePartial);
+            return value.trim() ? `${indent(value, prefix)}\n` : '';
+        }
+        return resolve(name, partial);
+    });
+}
+
+/**
+ * Rewrite root-absolute src/href values relative to the page
+ */
+function relativiseUrls(html, rootPath) {
+    return html
+        .replace(/(\s(?:src|href)=")\/(")/g, `$1${rootPath}index.html$2`)
+        .replace(/(\s(?:src|href)=")\/(?!\/)/g, `$1${rootPath}`);
+}
+
+function renderMeta(data) {
+    return META_TAGS
+        .filter(tag => data[tag.key])
+        .map(tag => `<meta ${tag.attr}="${tag.name}" content="${escapeHTML(data[tag.key])}">`)
+        .join('\n');
+}
+
+function renderStyles(styles = [], rootPath) {
+    return styles.map(file => `<link rel="stylesheet" href="${rootPath}styles/${file}">`).join('\n');
+}
+
+/**
+ * Data files and remote scripts load as plain scripts, shared with the
+ * build; the site's own scripts are modules, with the bundle as fallback
+ */
+function renderScripts(scripts = [], rootPath, bundle = false) {
+    const isPlain = src => /^https?:\/\//.test(src) || src.startsWith('data/');
+    const url = src => (/^https?:\/\//.test(src) ? src : `${rootPath}scripts/${src}`);
+    const all = [...RUNTIME_SCRIPTS.data, ...RUNTIME_SCRIPTS.modules, ...scripts];
+
+    const plain = all.filter(isPlain).map(src => `<script src="${url(src)}"></script>`);
+    const modules = bundle
+        ? [`<script src="${url(BUNDLE_SCRIPT)}"></script>`]
+        : [
+            ...all.filter(src => !isPlain(src)).map(src => `<script type="module" src="${url(src)}"></script>`),
+            `<script nomodule src="${url(BUNDLE_SCRIPT)}"></script>`
+        ];
+
+    return [...plain, ...modules].join('\n');
+}
+
+/**
+ * Sections rendered from site data into a page's content, in order; each
+ * step fills its placeholders and returns the markup
+ */
+const RENDER_STEPS = [
+    (html, { data, rootPath, catalog }) => renderCatalog(html, catalog, { program: data.program, rootPath }),
+    (html, { rootPath, catalog, fees, faculty }) => renderComparisons(html, { catalog, fees, faculty: faculty.faculty }, { rootPath }),
+    (html, { data, rootPath, faculty }) => renderFaculty(html, faculty, { program: data.program, rootPath }),
+    (html, { rootPath, gallery }) => renderGallery(html, gallery, { rootPath }),
+    (html, { rootPath, site }) => renderNotices(html, site.notices, { rootPath, now: site.now }),
+    (html, { rootPath, catalog, site }) => renderSchedule(html, site.schedule && { ...site.schedule, catalog }, { rootPath })
+];
+
+/**
+ * Render one page template to a complete HTML document
+ */
+function renderPage(pagePath, source, site) {
+    const { data, content } = parsePage(source);
+    const rootPath = getRootPath(pagePath);
+    const catalog = site.catalog || PROGRAM_CATALOG;
+    const gallery = site.gallery || { albums: GALLERY_ALBUMS, photos: GALLERY_PHOTOS };
+    const faculty = site.faculty || { faculty: sortFaculty(FACULTY, FACULTY_ROLES), roles: FACULTY_ROLES, catalog };
+    const fees = site.fees || FEE_STRUCTURE;
+
+    if (!data.title) throw new Error(`${pagePath}: missing "title" in front matter`);
+
+    const page = { data, rootPath, catalog, gallery, faculty, fees, site };
+    const html = RENDER_STEPS.reduce((markup, step) => step(markup, page), content);
+
+    const context = {
+        root: rootPath,
+        languageDirections: JSON.stringify(Object.fromEntries(
+            Object.entries(LOCALES).map(([language, locale]) => [language, locale.dir])
+        )),
+        themeColor: THEME_COLOR,
+        appIcon: rootPath + getAppIcons(site.images)[0].src,
+        title: escapeHTML(data.title),
+        description: escapeHTML(data.description || ''),
+        meta: renderMeta(data),
+        seo: renderSeo({ pagePath, data, template: content, html, catalog, fees, siteUrl: site.siteUrl || SITE_URL }),
+        styles: renderStyles(data.styles, rootPath),
+        overrides: renderStyles(data.overrides, rootPath),
+        scripts: renderScripts(data.scripts, rootPath, site.bundle),
+        nav: generateNavigation(catalog, rootPath),
+        footer: generateFooter(catalog, rootPath),
+        content: html
+    };
+
+    return renderResponsiveImages(
+        relativiseUrls(renderTemplate(site.layout, context, site.partials), rootPath),
+        site.images
+    );
+}
+
+function readTemplates(dir) {
+    return Object.fromEntries(fs.readdirSync(dir)
+        .filter(file => file.endsWith('.html'))
+        .map(file => [path.basename(file, '.html'), fs.readFileSync(path.join(dir, file), 'utf8')]));
+}
+
+/**
+ * Page templates under src/pages, as forward-slash paths relative to it
+ */
+function listPages(dir, prefix = '') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const relative = prefix + entry.name;
+        if (entry.isDirectory()) return listPages(path.join(dir, entry.name), `${relative}/`);
+        return entry.name.endsWith('.html') ? [relative] : [];
+    });
+}
+
+/**
+ * The output directory is emptied before each build, so it must not be
+ * the checkout or hold the sources
+ */
+function checkOutDir(outDir, srcDir) {
+    const contains = (dir, inside) => {
+        const relative = path.relative(path.resolve(dir), path.resolve(inside));
+        return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+    };
+
+    if (contains(outDir, ROOT_DIR) || contains(outDir, srcDir)) {
+        throw new Error(`Refusing to build into ${outDir}: it contains the site's sources`);
+    }
+}
+
+function build(options = {}) {
+    const srcDir = options.srcDir || SRC_DIR;
+    const outDir = options.outDir || OUT_DIR;
+    const catalog = options.catalog || PROGRAM_CATALOG;
+    const roles = options.facultyRoles || FACULTY_ROLES;
+    const site = {
+        layout: fs.readFileSync(path.join(srcDir, 'layouts', 'default.html'), 'utf8'),
+        partials: readTemplates(path.join(srcDir, 'partials')),
+        catalog: options.catalog,
+        fees: options.fees || FEE_STRUCTURE,
+        gallery: options.gallery || { albums: GALLERY_ALBUMS, photos: GALLERY_PHOTOS },
+        faculty: { faculty: sortFaculty(options.faculty || FACULTY, roles), roles, catalog },
+        notices: loadNotices(path.join(srcDir, 'notices')),
+        images: options.images,
+        now: options.now,
+        bundle: options.bundle ?? BUNDLE,
+        siteUrl: options.siteUrl || SITE_URL
+    };
+    const { siteUrl } = site;
+
+    validatePrograms(catalog, { fees: site.fees, admissions: options.admissions || ADMISSION_RULES });
+    validateGallery(site.gallery.photos, site.gallery.albums);
+    validateFaculty(site.faculty.faculty, roles, catalog);
+    validateComparison(catalog, site.fees);
+
+    const schedule = loadSchedule(path.join(srcDir, 'schedule'));
+    validateSchedule(schedule, catalog, site.faculty.faculty);
+
+    const events = getCalendarEvents(schedule.calendar, site.notices.dates);
+    site.schedule = {
+        events,
+        timetables: schedule.timetables.map(timetable => resolveTimetable(timetable, {
+            catalog, faculty: site.faculty.faculty, calendar: schedule.calendar, events
+        }))
+    };
+    checkOutDir(outDir, srcDir);
+    fs.rmSync(outDir, { recursive: true, force: true });
+
+    const sources = [
+        ...listPages(path.join(srcDir, 'pages')).map(pagePath => ({
+            pagePath,
+            source: fs.readFileSync(path.join(srcDir, 'pages', pagePath), 'utf8')
+        })),
+        ...site.notices.notices.map(notice => ({ pagePath: notice.page, source: renderNoticeSource(notice) })),
+        ...site.faculty.faculty.map(member => ({ pagePath: getFacultyPage(member), source: renderFacultySource(member, site.faculty) }))
+    ];
+
+    const pages = sources.map(({ pagePath, source }) => {
+        const html = renderPage(pagePath, source, site);
+        const target = path.join(outDir, pagePath);
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, html);
+
+        return { pagePath, html };
+    });
+
+    ASSET_DIRS.forEach(dir => {
+        fs.cpSync(path.join(ROOT_DIR, dir), path.join(outDir, dir), {
+            recursive: true,
+            filter: source => dir !== 'images' || !hasVariants(site.images, path.basename(source))
+        });
+    });
+
+    if (site.images) copyVariants(site.images, outDir);
+
+    const scriptsDir = path.join(ROOT_DIR, 'scripts');
+    fs.writeFileSync(path.join(outDir, 'scripts', BUNDLE_SCRIPT), bundleModules(scriptsDir, listModules(scriptsDir)));
+
+    fs.writeFileSync(
+        path.join(outDir, 'scripts', 'data', 'search-index.js'),
+        renderSearchIndexScript(buildSearchIndex(pages))
+    );
+
+    fs.mkdirSync(path.join(outDir, 'notices'), { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'notices', 'feed.xml'), renderRssFeed(site.notices.notices, siteUrl));
+    fs.writeFileSync(path.join(outDir, 'notices', 'atom.xml'), renderAtomFeed(site.notices.notices, siteUrl));
+
+    writeScheduleFiles(outDir, site.schedule, { siteUrl, now: site.now });
+    writeSeoFiles(outDir, pages, siteUrl);
+
+    // Last, so the worker's precache list sees every other file. The
+    // nomodule fallback is left to the runtime cache unless pages load it
+    writeAppFiles(srcDir, outDir, site.images, {
+        exclude: site.bundle ? [] : [`scripts/${BUNDLE_SCRIPT}`]
+    });
+
+    return { pages: pages.map(page => page.pagePath), missing: findMissingTranslations(pages) };
+}
+
+/**
+ * Message keys used by the pages or the runtime scripts but absent from a catalog
+ */
+function findMissingTranslations(pages) {
+    const keys = new Set();
+
+    pages.forEach(({ html }) => collectMarkupKeys(html).forEach(key => keys.add(key)));
+    fs.readdirSync(path.join(ROOT_DIR, 'scripts'))
+        .filter(file => file.endsWith('.js'))
+        .forEach(file => {
+            const source = fs.readFileSync(path.join(ROOT_DIR, 'scripts', file), 'utf8');
+            collectScriptKeys(source).forEach(key => keys.add(key));
+        });
+
+    return findMissingKeys(keys, LOCALES, DEFAULT_LANGUAGE);
+}
+
+if (require.main === module) {
+    const images = process.env.SKIP_IMAGES === '1' ? Promise.resolve(undefined) : optimizeImages();
+
+    images
+        .then(manifest => {
+            const { pages, missing } = build({ images: manifest });
+            console.log(`Built ${pages.length} pages into ${path.relative(process.cwd(), OUT_DIR) || '.'}`);
+
+            if (Object.keys(missing).length > 0) {
+                console.warn(formatMissingReport(missing));
+            }
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { build, checkOutDir, renderPage, renderTemplate, parsePage, getRootPath, relativiseUrls, RUNTIME_SCRIPTS };
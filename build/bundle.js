@@ -0,0 +1,149 @@
+/**
+ * GCT Website - Script Bundle
+ * Joins the ES modules in scripts/ into one classic script, for browsers
+ * without module support and for pages opened straight from disk, where
+ * module scripts are blocked. Only the module syntax the site uses is
+ * understood:
+ *
+ *   import { a, b as c } from './x.js';
+ *   import './x.js';
+ *   export { a, b };                    once, at the end of the file
+ *
+ * Anything else, or an import cycle, fails the build naming the file.
+ * Exports are read once the module has run, so they must not be
+ * reassigned afterwards.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IMPORT_STATEMENT = /^import\s+(?:\{([^}]*)\}\s+from\s+)?'([^']+)';?[ \t]*$/gm;
+const EXPORT_STATEMENT = /^export\s*\{([^}]*)\};?\s*$/m;
+const MODULE_SYNTAX = /^[ \t]*(import|export)\b(?!\s*\()/m;
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function lineOf(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Names in an import or export list: "a, b as c" -> [{ name: 'a', alias: 'a' }, ...]
+ */
+function parseNames(list, file) {
+    return list.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const [name, alias = name, ...rest] = part.split(/\s+as\s+/);
+        if (rest.length > 0 || !IDENTIFIER.test(name) || !IDENTIFIER.test(alias)) {
+            throw new Error(`${file}: unsupported name "${part}"`);
+        }
+        return { name, alias };
+    });
+}
+
+/**
+ * Split a module into its imports, exports and remaining code
+ */
+function parseModule(source, file) {
+    const imports = [];
+
+    let body = source.replace(IMPORT_STATEMENT, (statement, names, specifier) => {
+        if (!/^\.\/[\w\-/]+\.js$/.test(specifier)) {
+            throw new Error(`${file}: unsupported import "${specifier}", use a relative path like './x.js'`);
+        }
+        imports.push({ specifier, names: names === undefined ? [] : parseNames(names, file) });
+        return '';
+    });
+
+    let exports = [];
+    const exportMatch = body.match(EXPORT_STATEMENT);
+    if (exportMatch) {
+        if (body.slice(exportMatch.index + exportMatch[0].length).trim()) {
+            throw new Error(`${file}:${lineOf(body, exportMatch.index)}: export { ... } must be the last statement`);
+        }
+        exports = parseNames(exportMatch[1], file);
+        body = body.slice(0, exportMatch.index);
+    }
+
+    const unsupported = body.match(MODULE_SYNTAX);
+    if (unsupported) {
+        throw new Error(`${file}:${lineOf(body, unsupported.index)}: unsupported ${unsupported[1]} statement`);
+    }
+
+    return { file, imports, exports, body: body.trim() };
+}
+
+/**
+ * Read the entries and everything they import, dependencies first
+ */
+function loadModules(dir, entries) {
+    const modules = new Map();
+    const loading = [];
+
+    const visit = (file) => {
+        if (modules.has(file)) return;
+        if (loading.includes(file)) {
+            throw new Error(`Import cycle: ${[...loading.slice(loading.indexOf(file)), file].join(' -> ')}`);
+        }
+
+        loading.push(file);
+        const module = parseModule(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+        module.imports.forEach(({ specifier }) => {
+            visit(path.posix.join(path.posix.dirname(file), specifier));
+        });
+        loading.pop();
+
+        modules.set(file, module);
+    };
+
+    entries.forEach(visit);
+    return Array.from(modules.values());
+}
+
+function renderModule(module) {
+    const imports = module.imports
+        .filter(({ names }) => names.length > 0)
+        .map(({ specifier, names }) => {
+            const bindings = names.map(({ name, alias }) => (name === alias ? name : `${name}: ${alias}`));
+            const from = path.posix.join(path.posix.dirname(module.file), specifier);
+            return `const { ${bindings.join(', ')} } = modules['${from}'];`;
+        });
+    const exports = module.exports.map(({ name, alias }) => (name === alias ? name : `${alias}: ${name}`));
+
+    return [
+        `// ${module.file}`,
+        `modules['${module.file}'] = (function () {`,
+        ...imports,
+        module.body,
+        `return { ${exports.join(', ')} };`,
+        '})();'
+    ].join('\n');
+}
+
+/**
+ * One classic script running the entry modules and their imports in order
+ *   options.globalName  also expose the modules' exports as self[globalName], e.g. for tests
+ */
+function bundleModules(dir, entries, options = {}) {
+    const modules = loadModules(dir, entries);
+    const expose = options.globalName ? [`self.${options.globalName} = modules;`] : [];
+
+    return [
+        '(function () {',
+        "'use strict';",
+        'const modules = {};',
+        ...modules.map(renderModule),
+        ...expose,
+        '})();',
+        ''
+    ].join('\n\n');
+}
+
+/**
+ * Every module directly inside dir, so one bundle serves every page
+ */
+function listModules(dir) {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .sort();
+}
+
+module.exports = { bundleModules, listModules, parseModule };
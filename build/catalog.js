@@ -0,0 +1,162 @@
+/**
+ * GCT Website - Program Catalog Renderer
+ * Fills page placeholders from PROGRAM_CATALOG (scripts/data/programs.js)
+ * at build time
+ *
+ * Placeholders:
+ *   program: computing (page front matter)      selects the division page's program
+ *   [data-catalog="curriculum|careers"]         division page sections
+ *   [data-catalog="pathways"]                   pathways.html program sections
+ *   [data-catalog="count"]                      number of programs
+ *   select[data-program-options]                program <option>s
+ */
+
+const { escapeHTML } = require('../scripts/html.js');
+
+// Anchor ids for deep links, e.g. "CIT-114" -> "cit-114"
+function slugify(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function getProgram(id, catalog) {
+    return catalog.find(program => program.id === id);
+}
+
+/**
+ * Throw unless every catalog program has fees and admission rules, and
+ * both name only catalog programs: the enrollment page lists programs
+ * from the catalog and looks up each one's entries by id
+ */
+function validatePrograms(catalog, { fees, admissions }) {
+    const ids = catalog.map(program => program.id);
+    const sources = [['FEE_STRUCTURE', fees.programs], ['ADMISSION_RULES', admissions.programs]];
+
+    sources.forEach(([source, entries]) => {
+        ids.forEach(id => {
+            if (!entries[id]) throw new Error(`Program ${id}: no entry in ${source}.programs`);
+        });
+        Object.keys(entries).forEach(id => {
+            if (!ids.includes(id)) throw new Error(`${source}.programs: "${id}" is not a program in PROGRAM_CATALOG`);
+        });
+    });
+}
+
+// Stagger reveal delays the way the hand-written cards did
+function revealAttrs(index, variant = 'fade-up') {
+    return `data-reveal="${variant}"${index > 0 ? ` data-delay="${index * 100}"` : ''}`;
+}
+
+function renderCurriculum(program) {
+    return program.years.map((year, i) => `
+        <div class="year-card" ${revealAttrs(i)}>
+            <h3>${escapeHTML(year.title)}</h3>
+            <span class="year-subtitle">${escapeHTML(year.subtitle)}</span>
+            <ul class="course-list">
+                ${year.courses.map(course => `
+                    <li class="course-item" id="course-${slugify(course.code)}" data-search="course"
+                        data-search-title="${escapeHTML(`${course.code} ${course.title}`)}">
+                        <span class="course-code">${escapeHTML(course.code)}</span>
+                        <span>${escapeHTML(course.title)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `).join('');
+}
+
+function renderCareers(program) {
+    return program.careers.map((career, i) => `
+        <div class="career-card" ${revealAttrs(i)}>
+            <h4>${escapeHTML(career.title)}</h4>
+            <p>${escapeHTML(career.description)}</p>
+        </div>
+    `).join('');
+}
+
+/**
+ * Full-width program sections on pathways.html, alternating sides
+ */
+function renderPathways(catalog, rootPath = '') {
+    return catalog.map((program, i) => {
+        const { pathway } = program;
+        const reverse = i % 2 === 1;
+
+        return `
+            <section class="section pathway-section--with-bg${reverse ? ' pathway-section--reverse' : ''}" id="${program.anchor}"
+                data-search="program" data-search-url="${program.page}">
+                <img src="${rootPath}${pathway.image}" alt="${escapeHTML(pathway.imageAlt)}" class="pathway-bg-image">
+                <div class="pathway-overlay"></div>
+                <div class="container">
+                    <div class="flex${reverse ? ' justify-end' : ''}">
+                        <div class="pathway-content--glass" data-reveal="fade-up">
+                            <span class="badge badge--${pathway.badge}" data-i18n="division.eyebrow.program">DAE Program</span>
+                            <h2 data-i18n="program.${program.id}.title">${escapeHTML(pathway.heading)}</h2>
+                            <div class="divider"></div>
+                            <p>${escapeHTML(pathway.summary)}</p>
+
+                            <div class="core-learning-grid">
+                                ${pathway.components.map(component => `
+                                    <div class="core-component-card">
+                                        <h5>${escapeHTML(component.title)}</h5>
+                                        <p>${escapeHTML(component.text)}</p>
+                                    </div>
+                                `).join('')}
+                            </div>
+
+                            <a href="${rootPath}${program.page}" class="btn btn--copper mt-xl">
+                                ${escapeHTML(pathway.cta)}
+                            </a>
+                        </div>
+                    </div>
+                </div>
+            </section>
+        `;
+    }).join('');
+}
+
+const CATALOG_RENDERERS = {
+    curriculum: renderCurriculum,
+    careers: renderCareers
+};
+
+// Placeholders are empty leaf elements, so a non-greedy match to the closing tag is enough
+const CATALOG_PLACEHOLDER = /<(\w+)([^>]*?)\sdata-catalog="([\w-]+)"([^>]*)>[\s\S]*?<\/\1>/g;
+const PROGRAM_OPTIONS_PLACEHOLDER = /(<select\b[^>]*\sdata-program-options[^>]*>)([\s\S]*?)(<\/select>)/g;
+
+/**
+ * Fill every catalog placeholder in a page's HTML
+ * options: { program: programId, rootPath }
+ */
+function renderCatalog(html, catalog, options = {}) {
+    const program = getProgram(options.program, catalog);
+
+    return html
+        .replace(CATALOG_PLACEHOLDER, (match, tag, before, type, after) => {
+            if (type === 'pathways') {
+                return renderPathways(catalog, options.rootPath);
+            }
+            if (type === 'count') {
+                return `<${tag}${before}${after}>${catalog.length}</${tag}>`;
+            }
+            if (CATALOG_RENDERERS[type] && program) {
+                return `<${tag}${before}${after}>${CATALOG_RENDERERS[type](program)}</${tag}>`;
+            }
+            return match;
+        })
+        .replace(PROGRAM_OPTIONS_PLACEHOLDER, (match, open, existing, close) => {
+            const programOptions = catalog.map(item =>
+                `<option value="${escapeHTML(item.name)}">${escapeHTML(item.name)}</option>`
+            ).join('');
+            return `${open}${existing}${programOptions}${close}`;
+        });
+}
+
+module.exports = {
+    slugify,
+    getProgram,
+    validatePrograms,
+    renderCurriculum,
+    renderCareers,
+    renderPathways,
+    renderCatalog
+};
@@ -0,0 +1,163 @@
+/**
+ * GCT Website - Program Comparison Renderer
+ * Fills the program comparison on pathways.html from PROGRAM_CATALOG,
+ * FEE_STRUCTURE and FACULTY at build time: one column per program, so
+ * without scripts every program is shown side by side
+ *
+ * Placeholders:
+ *   [data-comparison="programs"]  program picker and comparison table
+ */
+
+const { escapeHTML } = require('../scripts/html.js');
+const { slugify } = require('./catalog.js');
+
+const COMPARISON_PLACEHOLDER = /<(\w+)([^>]*?)\sdata-comparison="([\w-]+)"([^>]*)>[\s\S]*?<\/\1>/g;
+
+// Picker slots, in column order; only the last can be left empty
+const COMPARISON_SLOTS = [
+    ['first', 'comparison.first', 'First program'],
+    ['second', 'comparison.second', 'Second program'],
+    ['third', 'comparison.third', 'Third program (optional)']
+];
+
+const YEAR_NAMES = ['first', 'second', 'third', 'fourth'];
+
+/**
+ * Throw on programs the comparison can't show, naming the program
+ */
+function validateComparison(catalog, fees) {
+    catalog.forEach(program => {
+        const yearly = fees.programs[program.id];
+
+        if (!yearly || yearly.length !== program.duration) {
+            throw new Error(`Program ${program.id}: needs ${program.duration} yearly fees in FEE_STRUCTURE, one per year`);
+        }
+        (program.labs || []).forEach(lab => {
+            if (!lab.title || !/^facility-[a-z0-9-]+$/.test(lab.anchor || '')) {
+                throw new Error(`Program ${program.id}: labs need a "title" and a facility card "anchor"`);
+            }
+        });
+    });
+}
+
+function formatAmount(amount, currency) {
+    const params = { currency, amount: amount.toLocaleString('en-US') };
+    return `<span data-i18n="fees.amount" data-i18n-params='${JSON.stringify(params)}'>${currency} ${params.amount}</span>`;
+}
+
+function renderList(items) {
+    if (items.length === 0) return '<span class="comparison-table__none">&mdash;</span>';
+    return `<ul class="comparison-table__list">${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+}
+
+/**
+ * One table row: a heading, then a cell per program from render(program)
+ */
+function renderRow(name, key, label, programs, render) {
+    return `
+        <tr data-comparison-row="${name}">
+            <th scope="row" data-i18n="${key}">${label}</th>
+            ${programs.map(program => `<td data-program="${program.anchor}">${render(program)}</td>`).join('')}
+        </tr>
+    `;
+}
+
+function renderComparisonTable(site, rootPath) {
+    const { catalog, fees, faculty } = site;
+    const years = Math.max(...catalog.map(program => program.duration));
+    const feesFor = program => fees.programs[program.id];
+    const missing = '<span class="comparison-table__none">&mdash;</span>';
+
+    const yearRows = (prefix, label, render) => Array.from({ length: years }, (_, i) => renderRow(
+        `${prefix}-${i + 1}`, `comparison.${prefix}.${i + 1}`, label(YEAR_NAMES[i]), catalog,
+        program => (i < program.duration ? render(program, i) : missing)
+    )).join('');
+
+    return `
+        <table class="comparison-table">
+            <caption class="visually-hidden" data-i18n="comparison.caption">DAE programs side by side</caption>
+            <thead>
+                <tr>
+                    <td></td>
+                    ${catalog.map(program => `
+                        <th scope="col" data-program="${program.anchor}">
+                            <a href="${rootPath}${program.page}" data-i18n="program.${program.id}.title">${escapeHTML(program.title)}</a>
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${renderRow('duration', 'comparison.duration', 'Duration', catalog, program =>
+                    `<span data-i18n="comparison.years" data-i18n-params='{"count": ${program.duration}}'>${program.duration} years</span>`)}
+                ${yearRows('fee', year => `Fee, ${year} year`, (program, i) => formatAmount(feesFor(program)[i], fees.currency))}
+                ${renderRow('fee-total', 'comparison.fee.total', 'Total fees', catalog, program =>
+                    `<strong>${formatAmount(feesFor(program).reduce((sum, fee) => sum + fee, 0), fees.currency)}</strong>`)}
+                ${yearRows('courses', year => `Courses, ${year} year`, (program, i) => renderList(program.years[i].courses.map(course => `
+                    <a href="${rootPath}${program.page}#course-${slugify(course.code)}">
+                        <span class="course-code">${escapeHTML(course.code)}</span> ${escapeHTML(course.title)}
+                    </a>
+                `)))}
+                ${renderRow('labs', 'comparison.labs', 'Labs used', catalog, program => renderList((program.labs || []).map(lab =>
+                    `<a href="${rootPath}facilities.html#${lab.anchor}">${escapeHTML(lab.title)}</a>`)))}
+                ${renderRow('careers', 'comparison.careers', 'Career paths', catalog, program => renderList(program.careers.map(career => `
+                    <span class="comparison-table__career">${escapeHTML(career.title)}</span>
+                    <span class="comparison-table__detail">${escapeHTML(career.description)}</span>
+                `)))}
+                ${renderRow('faculty', 'comparison.faculty', 'Faculty', catalog, program => {
+                    const count = faculty.filter(member => member.department === program.id).length;
+                    return count > 0
+                        ? `<a href="${rootPath}faculty.html?department=${program.id}" data-i18n="comparison.facultyCount" data-i18n-params='{"count": ${count}}'>${count} ${count === 1 ? 'member' : 'members'} of staff</a>`
+                        : '<span class="comparison-table__none" data-i18n="comparison.facultyNone">Profiles being added</span>';
+                })}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderComparison(site, rootPath) {
+    const { catalog } = site;
+
+    if (catalog.length < 2) return '';
+
+    return `
+        <div class="program-comparison" data-component="program-comparison">
+            <form class="program-comparison__picker" data-comparison-picker hidden>
+                ${COMPARISON_SLOTS.map(([name, key, label], i) => `
+                    <div class="form-group">
+                        <label class="form-label" for="comparison-${name}" data-i18n="${key}">${label}</label>
+                        <select id="comparison-${name}" name="${name}" class="form-select">
+                            ${i === COMPARISON_SLOTS.length - 1 ? '<option value="" data-i18n="comparison.none">None</option>' : ''}
+                            ${catalog.map(program =>
+                                `<option value="${program.anchor}" data-i18n="program.${program.id}.title">${escapeHTML(program.title)}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </form>
+            <p class="visually-hidden" role="status" aria-live="polite" data-comparison-status></p>
+            <div class="program-comparison__table" data-comparison-table>
+                ${renderComparisonTable(site, rootPath)}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Fill every comparison placeholder in a page's HTML
+ * site: { catalog, fees, faculty }
+ */
+function renderComparisons(html, site, options = {}) {
+    return html.replace(COMPARISON_PLACEHOLDER, (match, tag, before, type, after) => {
+        if (type === 'programs') {
+            return `<${tag}${before}${after}>${renderComparison(site, options.rootPath || '')}</${tag}>`;
+        }
+        return match;
+    });
+}
+
+module.exports = {
+    COMPARISON_SLOTS,
+    validateComparison,
+    renderComparison,
+    renderComparisons
+};
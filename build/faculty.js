@@ -0,0 +1,350 @@
+/**
+ * GCT Website - Faculty Renderer
+ * Fills the faculty directory and the division pages' faculty sections
+ * from FACULTY (scripts/data/faculty.js) at build time, and writes a
+ * profile page per member
+ *
+ * Placeholders:
+ *   [data-faculty="directory"]  filters, search and every member's card (faculty.html)
+ *   [data-faculty="division"]   the page's program's staff (division pages)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { escapeHTML } = require('../scripts/html.js');
+const { slugify, getProgram } = require('./catalog.js');
+
+const IMAGES_DIR = path.resolve(__dirname, '..', 'images');
+const FACULTY_PLACEHOLDER = /<(\w+)([^>]*?)\sdata-faculty="([\w-]+)"([^>]*)>[\s\S]*?<\/\1>/g;
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DAY_LABELS = {
+    monday: 'Monday',
+    tuesday: 'Tuesday',
+    wednesday: 'Wednesday',
+    thursday: 'Thursday',
+    friday: 'Friday',
+    saturday: 'Saturday'
+};
+
+// The first matches the order the cards are rendered in
+const SORT_OPTIONS = [
+    ['role', 'Seniority'],
+    ['name', 'Name'],
+    ['department', 'Department']
+];
+
+function getFacultyPage(member) {
+    return `faculty/${member.id}.html`;
+}
+
+/**
+ * The catalog course for a code, from the member's own program first, as
+ * { program, course }
+ */
+function findCourse(code, catalog, department) {
+    const programs = [
+        getProgram(department, catalog),
+        ...catalog.filter(program => program.id !== department)
+    ].filter(Boolean);
+
+    for (const program of programs) {
+        for (const year of program.years) {
+            const course = year.courses.find(item => item.code === code);
+            if (course) return { program, course };
+        }
+    }
+    return null;
+}
+
+/**
+ * Throw on entries the directory can't show, naming the entry
+ */
+function validateFaculty(faculty, roles, catalog, imagesDir = IMAGES_DIR) {
+    const roleIds = roles.map(role => role.id);
+    const programIds = catalog.map(program => program.id);
+    const seen = new Set();
+
+    faculty.forEach((member, i) => {
+        const name = member.id || `entry ${i + 1}`;
+
+        if (!member.id || !member.name) {
+            throw new Error(`Faculty ${name}: "id" and "name" are required`);
+        }
+        if (!ID_PATTERN.test(member.id)) {
+            throw new Error(`Faculty ${name}: "id" must be lowercase words and dashes`);
+        }
+        if (seen.has(member.id)) {
+            throw new Error(`Faculty ${name}: id is used twice`);
+        }
+        seen.add(member.id);
+
+        if (!programIds.includes(member.department)) {
+            throw new Error(`Faculty ${name}: unknown department "${member.department}" (expected one of ${programIds.join(', ')})`);
+        }
+        if (!roleIds.includes(member.role)) {
+            throw new Error(`Faculty ${name}: unknown role "${member.role}" (expected one of ${roleIds.join(', ')})`);
+        }
+        (member.subjects || []).forEach(code => {
+            if (!findCourse(code, catalog, member.department)) {
+                throw new Error(`Faculty ${name}: no course "${code}" in the program catalog`);
+            }
+        });
+        (member.officeHours || []).forEach(slot => {
+            if (!DAY_LABELS[slot.day]) {
+                throw new Error(`Faculty ${name}: unknown day "${slot.day}" (expected one of ${Object.keys(DAY_LABELS).join(', ')})`);
+            }
+            if (!TIME_PATTERN.test(slot.from) || !TIME_PATTERN.test(slot.to) || slot.from >= slot.to) {
+                throw new Error(`Faculty ${name}: office hours on ${slot.day} must run from an earlier to a later HH:MM time`);
+            }
+        });
+        if (member.photo && !fs.existsSync(path.join(imagesDir, member.photo))) {
+            throw new Error(`Faculty ${name}: no such photo "${member.photo}" in images/`);
+        }
+    });
+}
+
+/**
+ * Senior staff first, then by name
+ */
+function sortFaculty(faculty, roles) {
+    const rank = member => roles.findIndex(role => role.id === member.role);
+    return [...faculty].sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+}
+
+function renderRole(member, roles) {
+    if (member.title) return `<span class="faculty-role">${escapeHTML(member.title)}</span>`;
+
+    const role = roles.find(item => item.id === member.role);
+    return `<span class="faculty-role" data-i18n="faculty.role.${role.id}">${escapeHTML(role.label)}</span>`;
+}
+
+function renderDepartment(program, rootPath) {
+    return `<a href="${rootPath}${program.page}" data-i18n="program.${program.id}.title">${escapeHTML(program.title)}</a>`;
+}
+
+function renderAvatar(member, rootPath) {
+    const src = member.photo ? `${rootPath}images/${encodeURI(member.photo)}` : '';
+
+    return `
+        <div class="faculty-avatar image-placeholder image-placeholder--circle">
+            <img src="${src}" alt="${escapeHTML(member.name)}"${src ? ' loading="lazy" decoding="async"' : ''}>
+        </div>
+    `;
+}
+
+/**
+ * Text the directory search matches: name, role, qualifications and
+ * subjects by code and title
+ */
+function getKeywords(member, roles, catalog) {
+    const role = roles.find(item => item.id === member.role);
+    const program = getProgram(member.department, catalog);
+    const subjects = (member.subjects || []).map(code => `${code} ${findCourse(code, catalog, member.department).course.title}`);
+
+    return [member.name, member.title || role.label, program.title, ...(member.qualifications || []), ...subjects].join(' ');
+}
+
+function renderCard(member, index, site, rootPath, directory) {
+    const { roles, catalog } = site;
+    const program = getProgram(member.department, catalog);
+    const delay = Math.min(index, 3) * 100;
+    const filterAttrs = directory
+        ? ` data-department="${member.department}" data-role="${member.role}" data-rank="${roles.findIndex(role => role.id === member.role)}"`
+            + ` data-name="${escapeHTML(member.name)}" data-keywords="${escapeHTML(getKeywords(member, roles, catalog))}"`
+        : '';
+
+    return `
+        <article class="faculty-card" id="faculty-${member.id}"${filterAttrs} data-reveal="fade-up"${delay ? ` data-delay="${delay}"` : ''}>
+            ${renderAvatar(member, rootPath).trim()}
+            <h3 class="faculty-card__name"><a href="${rootPath}${getFacultyPage(member)}">${escapeHTML(member.name)}</a></h3>
+            ${renderRole(member, roles)}
+            <span class="faculty-qual">${escapeHTML((member.qualifications || []).join(', '))}</span>
+            ${directory ? `<span class="faculty-card__department">${renderDepartment(program, rootPath)}</span>` : ''}
+            ${directory && member.subjects && member.subjects.length > 0 ? `
+                <ul class="faculty-card__subjects">
+                    ${member.subjects.map(code => `<li>${escapeHTML(code)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        </article>
+    `;
+}
+
+function renderSelect(id, name, labelKey, label, options) {
+    return `
+        <div class="form-group">
+            <label class="form-label" for="${id}" data-i18n="${labelKey}">${label}</label>
+            <select id="${id}" name="${name}" class="form-select">
+                ${options.map(([value, text, key]) =>
+                    `<option value="${value}"${key ? ` data-i18n="${key}"` : ''}>${escapeHTML(text)}</option>`
+                ).join('')}
+            </select>
+        </div>
+    `;
+}
+
+function renderDirectory(site, rootPath) {
+    const { faculty, roles, catalog } = site;
+    const departments = catalog.filter(program => faculty.some(member => member.department === program.id));
+    const shownRoles = roles.filter(role => faculty.some(member => member.role === role.id));
+
+    // Shown once the script can act on them; without it every card is listed
+    return `
+        <div class="faculty-directory" data-component="faculty-directory">
+            <form class="faculty-directory__controls" role="search" aria-label="Find faculty" data-i18n-attr="aria-label:faculty.controlsLabel" data-faculty-controls hidden>
+                <div class="form-group faculty-directory__search">
+                    <label class="form-label" for="faculty-search" data-i18n="faculty.search">Search</label>
+                    <input type="search" id="faculty-search" name="q" class="form-input" autocomplete="off"
+                        placeholder="Name, subject or course code" data-i18n-attr="placeholder:faculty.searchPlaceholder">
+                </div>
+                ${renderSelect('faculty-department', 'department', 'faculty.department', 'Department', [
+                    ['all', 'All departments', 'faculty.allDepartments'],
+                    ...departments.map(program => [program.id, program.title, `program.${program.id}.title`])
+                ])}
+                ${renderSelect('faculty-role', 'role', 'faculty.roleLabel', 'Role', [
+                    ['all', 'All roles', 'faculty.allRoles'],
+                    ...shownRoles.map(role => [role.id, role.label, `faculty.role.${role.id}`])
+                ])}
+                ${renderSelect('faculty-sort', 'sort', 'faculty.sortLabel', 'Sort by', SORT_OPTIONS.map(([value, text]) =>
+                    [value, text, `faculty.sort.${value}`]
+                ))}
+            </form>
+            <p class="visually-hidden" role="status" aria-live="polite" data-faculty-status></p>
+            <div class="grid grid--4 faculty-directory__list" data-faculty-list>
+                ${faculty.map((member, i) => renderCard(member, i, site, rootPath, true)).join('')}
+            </div>
+            <p class="faculty-directory__empty" data-faculty-empty hidden data-i18n="faculty.empty">No staff match your search. Try another name, subject or department.</p>
+        </div>
+    `;
+}
+
+function renderDivision(site, program, rootPath) {
+    const staff = site.faculty.filter(member => member.department === program.id);
+    const directoryLink = `${rootPath}faculty.html?department=${program.id}`;
+
+    if (staff.length === 0) {
+        return `
+            <p class="faculty-section__empty">
+                <span data-i18n="faculty.divisionEmpty">Staff profiles for this division are being added.</span>
+                <a href="${rootPath}faculty.html" data-i18n="faculty.browse">Browse the faculty directory</a>
+            </p>
+        `;
+    }
+
+    return `
+        <div class="grid grid--4">
+            ${staff.map((member, i) => renderCard(member, i, site, rootPath, false)).join('')}
+        </div>
+        <p class="faculty-section__more">
+            <a href="${directoryLink}" class="btn btn--ghost" data-i18n="faculty.viewDivision">View in the faculty directory</a>
+        </p>
+    `;
+}
+
+/**
+ * Fill every faculty placeholder in a page's HTML
+ * site: { faculty, roles, catalog }, faculty in display order
+ * options: { program: programId, rootPath }
+ */
+function renderFaculty(html, site, options = {}) {
+    const rootPath = options.rootPath || '';
+
+    return html.replace(FACULTY_PLACEHOLDER, (match, tag, before, type, after) => {
+        if (type === 'directory') {
+            return `<${tag}${before}${after}>${renderDirectory(site, rootPath)}</${tag}>`;
+        }
+        const program = getProgram(options.program, site.catalog);
+        if (type === 'division' && program) {
+            return `<${tag}${before}${after}>${renderDivision(site, program, rootPath)}</${tag}>`;
+        }
+        return match;
+    });
+}
+
+/**
+ * Page template for one member's profile, rendered through the site layout
+ */
+function renderFacultySource(member, site) {
+    const { roles, catalog } = site;
+    const program = getProgram(member.department, catalog);
+    const role = roles.find(item => item.id === member.role);
+    const subjects = (member.subjects || []).map(code => findCourse(code, catalog, member.department));
+    const hours = member.officeHours || [];
+
+    const qualificationsHTML = (member.qualifications || []).length > 0 ? `
+            <section class="faculty-profile__section">
+                <h2 data-i18n="faculty.qualifications">Qualifications</h2>
+                <ul class="faculty-profile__list">
+                    ${member.qualifications.map(item => `<li>${escapeHTML(item)}</li>`).join('')}
+                </ul>
+            </section>` : '';
+
+    const subjectsHTML = subjects.length > 0 ? `
+            <section class="faculty-profile__section">
+                <h2 data-i18n="faculty.subjects">Subjects taught</h2>
+                <ul class="faculty-subjects">
+                    ${subjects.map(({ program: courseProgram, course }) => `
+                        <li>
+                            <a href="/${courseProgram.page}#course-${slugify(course.code)}" class="faculty-subjects__link">
+                                <span class="faculty-subjects__code">${escapeHTML(course.code)}</span>
+                                <span>${escapeHTML(course.title)}</span>
+                            </a>
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>` : '';
+
+    const hoursHTML = hours.length > 0 || member.office ? `
+            <section class="faculty-profile__section">
+                <h2 data-i18n="faculty.officeHours">Office hours</h2>
+                ${hours.length > 0 ? `
+                <table class="faculty-hours">
+                    <tbody>
+                        ${hours.map(slot => `
+                            <tr>
+                                <th scope="row" data-i18n="day.${slot.day}">${DAY_LABELS[slot.day]}</th>
+                                <td><time>${slot.from}</time>–<time>${slot.to}</time></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>` : ''}
+                ${member.office ? `<p class="faculty-profile__office"><span data-i18n="faculty.office">Office</span>: ${escapeHTML(member.office)}</p>` : ''}
+            </section>` : '';
+
+    return `<!--
+title: ${member.name} | GCT Bhakkar Faculty
+description: ${member.title || role.label}, ${program.title} at GCT Bhakkar: qualifications, subjects taught and office hours.
+ogType: profile
+styles: faculty.css
+-->
+
+<section class="section faculty-profile">
+    <div class="container container--narrow">
+        <a href="/faculty.html" class="faculty-profile__back" data-i18n="faculty.back">All faculty</a>
+        <article class="faculty-profile__card" id="profile" data-search="faculty" data-search-title="${escapeHTML(member.name)}">
+            <header class="faculty-profile__header">
+                ${renderAvatar(member, '/').trim()}
+                <div>
+                    <h1 class="faculty-profile__name">${escapeHTML(member.name)}</h1>
+                    ${renderRole(member, roles)}
+                    <p class="faculty-profile__department">${renderDepartment(program, '/')}</p>
+                </div>
+            </header>${qualificationsHTML}${subjectsHTML}${hoursHTML}
+        </article>
+    </div>
+</section>
+`;
+}
+
+module.exports = {
+    DAY_LABELS,
+    TIME_PATTERN,
+    getFacultyPage,
+    findCourse,
+    validateFaculty,
+    sortFaculty,
+    renderFaculty,
+    renderFacultySource
+};
@@ -0,0 +1,123 @@
+/**
+ * GCT Website - Gallery Renderer
+ * Fills the campus gallery from GALLERY_PHOTOS (scripts/data/gallery.js)
+ * at build time, after checking each photo exists in images/
+ *
+ * Placeholders:
+ *   [data-gallery]  album filters, photo grid and lightbox (chronicle.html)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { escapeHTML } = require('../scripts/html.js');
+
+const IMAGES_DIR = path.resolve(__dirname, '..', 'images');
+const GALLERY_SIZES = ['large', 'wide', 'tall', 'small'];
+
+// Rendered width of each tile shape, for the responsive image variants
+const TILE_WIDTHS = {
+    large: '(max-width: 768px) 100vw, 50vw',
+    wide: '(max-width: 768px) 100vw, 50vw',
+    tall: '(max-width: 768px) 50vw, 25vw',
+    small: '(max-width: 768px) 50vw, 25vw'
+};
+
+const GALLERY_PLACEHOLDER = /<(\w+)([^>]*?)\sdata-gallery(?:="")?(?=[\s>])([^>]*)>[\s\S]*?<\/\1>/g;
+
+/**
+ * Throw on entries the gallery can't show, naming the entry
+ */
+function validateGallery(photos, albums, imagesDir = IMAGES_DIR) {
+    const albumIds = albums.map(album => album.id);
+
+    photos.forEach((photo, i) => {
+        const name = photo.file || `entry ${i + 1}`;
+
+        if (!photo.file || !photo.alt) {
+            throw new Error(`Gallery ${name}: "file" and "alt" are required`);
+        }
+        if (!albumIds.includes(photo.album)) {
+            throw new Error(`Gallery ${name}: unknown album "${photo.album}" (expected one of ${albumIds.join(', ')})`);
+        }
+        if (photo.size && !GALLERY_SIZES.includes(photo.size)) {
+            throw new Error(`Gallery ${name}: unknown size "${photo.size}" (expected one of ${GALLERY_SIZES.join(', ')})`);
+        }
+        if (!fs.existsSync(path.join(imagesDir, photo.file))) {
+            throw new Error(`Gallery ${name}: no such file in images/`);
+        }
+    });
+}
+
+function renderPhoto(photo, index, rootPath) {
+    const src = `${rootPath}images/${encodeURI(photo.file)}`;
+    const size = photo.size || 'small';
+    const delay = Math.min(index, 5) * 100;
+
+    return `
+        <figure class="gallery-item gallery-item--${size}" data-album="${photo.album}" data-reveal="fade-up"${delay ? ` data-delay="${delay}"` : ''}>
+            <a href="${src}" class="gallery-item__link" data-gallery-open>
+                <img src="${src}" sizes="${TILE_WIDTHS[size]}" alt="${escapeHTML(photo.alt)}" loading="lazy" decoding="async">
+            </a>
+            <figcaption class="gallery-item__caption">${escapeHTML(photo.alt)}</figcaption>
+        </figure>
+    `;
+}
+
+function renderLightbox() {
+    return `
+        <div class="lightbox" role="dialog" aria-modal="true" aria-label="Photo viewer" data-i18n-attr="aria-label:gallery.viewer" data-lightbox hidden>
+            <div class="lightbox__backdrop" data-lightbox-close></div>
+            <figure class="lightbox__figure">
+                <img class="lightbox__image" src="" alt="" data-lightbox-image>
+                <figcaption class="lightbox__caption">
+                    <span data-lightbox-caption></span>
+                    <span class="lightbox__counter" data-lightbox-counter></span>
+                </figcaption>
+            </figure>
+            <button type="button" class="lightbox__btn lightbox__btn--close" aria-label="Close photo viewer" data-i18n-attr="aria-label:gallery.close" data-lightbox-close>&times;</button>
+            <button type="button" class="lightbox__btn lightbox__btn--prev" aria-label="Previous photo" data-i18n-attr="aria-label:gallery.previous" data-lightbox-prev>&lsaquo;</button>
+            <button type="button" class="lightbox__btn lightbox__btn--next" aria-label="Next photo" data-i18n-attr="aria-label:gallery.next" data-lightbox-next>&rsaquo;</button>
+            <p class="visually-hidden" role="status" aria-live="polite" data-lightbox-status></p>
+        </div>
+    `;
+}
+
+function renderGalleryMarkup(photos, albums, rootPath) {
+    const shown = albums.filter(album => photos.some(photo => photo.album === album.id));
+
+    const filters = [
+        '<button type="button" class="gallery-filter" data-gallery-filter="all" aria-pressed="true" data-i18n="gallery.all">All</button>',
+        ...shown.map(album =>
+            `<button type="button" class="gallery-filter" data-gallery-filter="${album.id}" aria-pressed="false" data-i18n="gallery.album.${album.id}">${escapeHTML(album.label)}</button>`
+        )
+    ].join('');
+
+    return `
+        <div class="gallery-filters" role="group" aria-label="Filter photos" data-i18n-attr="aria-label:gallery.filterLabel">
+            ${filters}
+        </div>
+        <p class="visually-hidden" role="status" aria-live="polite" data-gallery-status></p>
+        <div class="campus-gallery-grid">
+            ${photos.map((photo, i) => renderPhoto(photo, i, rootPath)).join('')}
+        </div>
+        ${renderLightbox()}
+    `;
+}
+
+/**
+ * Fill the gallery placeholder in a page's HTML
+ * gallery: { albums, photos }
+ * options: { rootPath }
+ */
+function renderGallery(html, gallery, options = {}) {
+    return html.replace(GALLERY_PLACEHOLDER, (match, tag, before, after) =>
+        `<${tag}${before} data-gallery${after}>${renderGalleryMarkup(gallery.photos, gallery.albums, options.rootPath || '')}</${tag}>`
+    );
+}
+
+module.exports = {
+    GALLERY_SIZES,
+    validateGallery,
+    renderGallery
+};
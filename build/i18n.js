@@ -0,0 +1,57 @@
+/**
+ * GCT Website - Translation Report
+ * Finds message keys used by the rendered pages and the runtime scripts
+ * that a language catalog in scripts/data/locales.js does not define.
+ *
+ * Keys are collected from data-i18n, data-i18n-html and data-i18n-attr
+ * markup, and from literal i18n.t('key') calls. Keys built at runtime
+ * (e.g. `program.${id}.name`) are reported by scripts/i18n.js instead.
+ */
+
+const MARKUP_KEY = /\sdata-i18n(?:-html)?="([^"]+)"/g;
+const ATTRIBUTE_KEYS = /\sdata-i18n-attr="([^"]+)"/g;
+const SCRIPT_KEY = /\bi18n\.t\(\s*'([^']+)'/g;
+
+function collectMarkupKeys(html) {
+    const keys = new Set();
+
+    for (const [, key] of html.matchAll(MARKUP_KEY)) keys.add(key);
+    for (const [, pairs] of html.matchAll(ATTRIBUTE_KEYS)) {
+        pairs.split(';').forEach(pair => {
+            const key = pair.split(':')[1];
+            if (key && key.trim()) keys.add(key.trim());
+        });
+    }
+
+    return keys;
+}
+
+function collectScriptKeys(source) {
+    return new Set(Array.from(source.matchAll(SCRIPT_KEY), match => match[1]));
+}
+
+/**
+ * Missing keys per language, skipping the default (markup) language:
+ *   { ur: ['search.title', ...] }
+ */
+function findMissingKeys(keys, locales, defaultLanguage) {
+    const missing = {};
+
+    Object.entries(locales).forEach(([language, locale]) => {
+        if (language === defaultLanguage) return;
+
+        const absent = Array.from(keys).filter(key => !(key in locale.messages)).sort();
+        if (absent.length > 0) missing[language] = absent;
+    });
+
+    return missing;
+}
+
+function formatMissingReport(missing) {
+    return Object.entries(missing).map(([language, keys]) =>
+        `i18n: "${language}" is missing ${keys.length} message${keys.length === 1 ? '' : 's'}:\n` +
+        keys.map(key => `  - ${key}`).join('\n')
+    ).join('\n');
+}
+
+module.exports = { collectMarkupKeys, collectScriptKeys, findMissingKeys, formatMissingReport };
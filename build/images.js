@@ -0,0 +1,296 @@
+/**
+ * GCT Website - Image Optimization
+ * Resizes everything in images/ into AVIF, WebP and JPEG (or PNG, for
+ * images with transparency) variants, makes a tiny blurred placeholder of
+ * each, and rewrites page <img> tags into <picture> elements with
+ * srcset/sizes so phones download a photo sized for their screen.
+ *
+ * The logo also gets the square app icons for the web app manifest.
+ *
+ * Variants are cached in .cache/images and only rebuilt when the source
+ * changes. Needs sharp, an optional dependency; without it, or with
+ * SKIP_IMAGES=1, the site is built with the original images instead.
+ *
+ * Originals with variants stay out of the built site: any other link to
+ * one, such as a lightbox link or a social card, points at its largest
+ * variant instead, so the size budget covers every image a visitor gets.
+ *
+ * Markup:
+ *   <img src="/images/x.jpeg" sizes="(max-width: 768px) 100vw, 50vw">
+ *     sizes is kept as written and defaults to the full viewport width
+ *   <div class="image-placeholder"><img ...></div>
+ *     also gets the blurred placeholder as its background while loading
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const IMAGES_DIR = path.join(ROOT_DIR, 'images');
+const CACHE_DIR = path.join(ROOT_DIR, '.cache', 'images');
+
+const IMAGE_WIDTHS = [320, 640, 960, 1280, 1920];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const PLACEHOLDER_WIDTH = 16;
+const DEFAULT_SIZES = '100vw';
+
+// Installed app icons (build/pwa.js)
+const APP_ICON = 'GCT-Logo.png';
+const APP_ICON_SIZES = [192, 512];
+
+// Largest file any variant may be; the build fails above it
+const IMAGE_BUDGET_BYTES = (parseInt(process.env.IMAGE_BUDGET_KB, 10) || 250) * 1024;
+
+// Best first: browsers take the first <source> they support
+const MODERN_FORMATS = ['avif', 'webp'];
+
+const ENCODERS = {
+    avif: image => image.avif({ quality: 50 }),
+    webp: image => image.webp({ quality: 75 }),
+    jpeg: image => image.jpeg({ quality: 78, mozjpeg: true }),
+    png: image => image.png({ palette: true, compressionLevel: 9 })
+};
+
+const MIME_TYPES = {
+    avif: 'image/avif',
+    webp: 'image/webp'
+};
+
+// null where sharp isn't installed, or has no build for this platform
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        return null;
+    }
+}
+
+function readCache(cacheDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(cacheDir, 'manifest.json'), 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Widths to generate: the standard steps below the source width, or the
+ * source width itself for images smaller than every step
+ */
+function getVariantWidths(sourceWidth) {
+    const widths = IMAGE_WIDTHS.filter(width => width <= sourceWidth);
+    return widths.length > 0 ? widths : [sourceWidth];
+}
+
+async function optimizeImage(sharp, file, options) {
+    const source = path.join(options.imagesDir, file);
+    const name = path.basename(file, path.extname(file));
+    const metadata = await sharp(source).metadata();
+    const fallback = metadata.hasAlpha ? 'png' : 'jpeg';
+    const variants = {};
+
+    for (const format of [...MODERN_FORMATS, fallback]) {
+        variants[format] = [];
+
+        for (const width of getVariantWidths(metadata.width)) {
+            const variantFile = `${name}-${width}.${format === 'jpeg' ? 'jpg' : format}`;
+            const info = await ENCODERS[format](sharp(source).resize({ width })).toFile(path.join(options.cacheDir, variantFile));
+            variants[format].push({ width, file: variantFile, bytes: info.size });
+        }
+    }
+
+    const placeholder = await sharp(source)
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    const icons = [];
+    if (file === APP_ICON) {
+        for (const size of APP_ICON_SIZES) {
+            const iconFile = `${name}-icon-${size}.png`;
+            await sharp(source)
+                .resize({ width: size, height: size, fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+                .png()
+                .toFile(path.join(options.cacheDir, iconFile));
+            icons.push({ size, file: iconFile });
+        }
+    }
+
+    return {
+        width: metadata.width,
+        height: metadata.height,
+        fallback,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+        variants,
+        icons
+    };
+}
+
+/**
+ * Variants over the size budget, as "file (n KB)" lines
+ */
+function findOverBudget(manifest, budget = IMAGE_BUDGET_BYTES) {
+    return Object.values(manifest).flatMap(image =>
+        Object.values(image.variants).flat()
+            .filter(variant => variant.bytes > budget)
+            .map(variant => `${variant.file} (${Math.round(variant.bytes / 1024)} KB)`)
+    );
+}
+
+/**
+ * Build or reuse the variants of every image
+ * Returns { [file]: { width, height, fallback, placeholder, variants: { [format]: [{ width, file, bytes }] }, icons } },
+ * or undefined, after a notice, where sharp can't be loaded
+ */
+async function optimizeImages(options = {}) {
+    const imagesDir = options.imagesDir || IMAGES_DIR;
+    const cacheDir = options.cacheDir || CACHE_DIR;
+    const budget = options.budget || IMAGE_BUDGET_BYTES;
+    const sharp = loadSharp();
+
+    if (!sharp) {
+        console.warn('Skipping image optimization: sharp is not installed. Run "npm install" to build responsive images.');
+        return undefined;
+    }
+
+    const cache = readCache(cacheDir);
+    const manifest = {};
+
+    fs.mkdirSync(cacheDir, { recursive: true });
+
+    const files = fs.readdirSync(imagesDir)
+        .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+    for (const file of files) {
+        const stat = fs.statSync(path.join(imagesDir, file));
+        const cached = cache[file];
+
+        if (cached && cached.sourceBytes === stat.size && cached.sourceModified === stat.mtimeMs) {
+            manifest[file] = cached;
+        } else {
+            manifest[file] = {
+                sourceBytes: stat.size,
+                sourceModified: stat.mtimeMs,
+                ...await optimizeImage(sharp, file, { imagesDir, cacheDir })
+            };
+        }
+    }
+
+    fs.writeFileSync(path.join(cacheDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    const overBudget = findOverBudget(manifest, budget);
+    if (overBudget.length > 0) {
+        throw new Error(`Images over the ${Math.round(budget / 1024)} KB budget:\n  ${overBudget.join('\n  ')}`);
+    }
+
+    return manifest;
+}
+
+/**
+ * Copy the variants a manifest refers to into the built site
+ */
+function copyVariants(manifest, outDir, cacheDir = CACHE_DIR) {
+    const target = path.join(outDir, 'images', 'variants');
+    fs.mkdirSync(target, { recursive: true });
+
+    Object.values(manifest).forEach(image => {
+        [...Object.values(image.variants).flat(), ...(image.icons || [])].forEach(variant => {
+            fs.copyFileSync(path.join(cacheDir, variant.file), path.join(target, variant.file));
+        });
+    });
+}
+
+function getAttr(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+function renderSrcset(variants, prefix) {
+    return variants.map(variant => `${prefix}images/variants/${variant.file} ${variant.width}w`).join(', ');
+}
+
+/**
+ * The largest variant in the image's fallback format, e.g. for links to the full image
+ */
+function getLargestVariant(image) {
+    const fallback = image.variants[image.fallback];
+    return fallback[fallback.length - 1];
+}
+
+// An <img> that opens right after an image-placeholder element
+const PLACEHOLDER_PARENT = /<\w+\b[^>]*\sclass="[^"]*\bimage-placeholder\b[^"]*"[^>]*>\s*$/;
+const IMAGE_TAG = /<img\b[^>]*>/g;
+// Any other relative or absolute link to a file in images/
+const IMAGE_LINK = /\bimages\/([^/"'\s)]+)/g;
+
+/**
+ * Turn <img> tags pointing into images/ into responsive <picture> elements,
+ * and point other links to an original at its largest variant
+ * Runs on finished pages, after URLs are made relative
+ */
+function renderResponsiveImages(html, manifest) {
+    if (!manifest) return html;
+
+    return html.replace(IMAGE_TAG, (tag, offset) => {
+        const src = getAttr(tag, 'src');
+        const match = src && src.match(/^((?:\.\.\/)*)images\/([^/]+)$/);
+        const image = match && manifest[decodeURI(match[2])];
+        if (!image) return tag;
+
+        const prefix = match[1];
+        const sizes = getAttr(tag, 'sizes') || DEFAULT_SIZES;
+        const fallback = image.variants[image.fallback];
+        const largest = getLargestVariant(image);
+
+        let img = tag
+            .replace(/\ssizes="[^"]*"/, '')
+            .replace(/\ssrc="[^"]*"/, ` src="${prefix}images/variants/${largest.file}" srcset="${renderSrcset(fallback, prefix)}" sizes="${sizes}"`);
+
+        if (PLACEHOLDER_PARENT.test(html.slice(Math.max(0, offset - 500), offset)) && !getAttr(tag, 'style')) {
+            img = img.replace(/^<img/, `<img style="background-image: url(${image.placeholder}); background-size: cover;"`);
+        }
+
+        const sources = MODERN_FORMATS.map(format =>
+            `<source type="${MIME_TYPES[format]}" srcset="${renderSrcset(image.variants[format], prefix)}" sizes="${sizes}">`
+        ).join('');
+
+        return `<picture>${sources}${img}</picture>`;
+    }).replace(IMAGE_LINK, (link, file) => {
+        const image = manifest[decodeURI(file)];
+        return image ? `images/variants/${getLargestVariant(image).file}` : link;
+    });
+}
+
+/**
+ * Whether a file in images/ is left out of the built site for its variants
+ */
+function hasVariants(manifest, file) {
+    return Boolean(manifest && manifest[file]);
+}
+
+if (require.main === module) {
+    optimizeImages()
+        .then(manifest => {
+            // Without sharp, optimizeImages() has already said why it skipped
+            if (manifest) {
+                console.log(`Optimized ${Object.keys(manifest).length} images into ${path.relative(process.cwd(), CACHE_DIR)}`);
+            }
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    APP_ICON,
+    IMAGE_WIDTHS,
+    IMAGE_BUDGET_BYTES,
+    getVariantWidths,
+    findOverBudget,
+    optimizeImages,
+    copyVariants,
+    hasVariants,
+    renderResponsiveImages
+};
@@ -0,0 +1,269 @@
+/**
+ * GCT Website - Layout Partials
+ * Navigation and footer markup rendered into every page at build time.
+ * rootPath is the relative path from the page back to the site root,
+ * e.g. '' for index.html and '../' for divisions/computing.html.
+ *
+ * Text comes from the English catalog in scripts/data/locales.js and is
+ * marked with data-i18n keys for scripts/i18n.js to translate.
+ */
+
+const { LOCALES, DEFAULT_LANGUAGE } = require('../scripts/data/locales.js');
+
+const NAV_ICONS = {
+    home: `<svg viewBox="0 0 24 24"><path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/></svg>`,
+    info: `<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>`,
+    book: `<svg viewBox="0 0 24 24"><path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"/><path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"/></svg>`,
+    'user-plus': `<svg viewBox="0 0 24 24"><path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="8.5" cy="7" r="4"/><line x1="20" y1="8" x2="20" y2="14"/><line x1="23" y1="11" x2="17" y2="11"/></svg>`,
+    camera: `<svg viewBox="0 0 24 24"><path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"/><circle cx="12" cy="13" r="4"/></svg>`,
+    mail: `<svg viewBox="0 0 24 24"><path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/><polyline points="22,6 12,13 2,6"/></svg>`,
+    search: `<svg viewBox="0 0 24 24"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/></svg>`,
+    accessibility: `<svg viewBox="0 0 24 24"><circle cx="12" cy="4.5" r="2"/><path d="M4 8.5l8 1.5 8-1.5"/><path d="M12 10v5l-3 6.5"/><path d="M12 15l3 6.5"/></svg>`,
+    sun: `<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="4"/><path d="M12 2v2M12 20v2M4.93 4.93l1.41 1.41M17.66 17.66l1.41 1.41M2 12h2M20 12h2M4.93 19.07l1.41-1.41M17.66 6.34l1.41-1.41"/></svg>`,
+    moon: `<svg viewBox="0 0 24 24"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>`,
+    monitor: `<svg viewBox="0 0 24 24"><rect x="2" y="3" width="20" height="14" rx="2"/><line x1="8" y1="21" x2="16" y2="21"/><line x1="12" y1="17" x2="12" y2="21"/></svg>`,
+    globe: `<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"/><line x1="2" y1="12" x2="22" y2="12"/><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/></svg>`,
+    chevron: `<svg viewBox="0 0 24 24" width="16" height="16"><polyline points="6 9 12 15 18 9"/></svg>`
+};
+
+/**
+ * English message for a layout key; every key used here must exist
+ */
+function t(key, params = {}) {
+    const message = LOCALES[DEFAULT_LANGUAGE].messages[key];
+    if (message === undefined) throw new Error(`Missing ${DEFAULT_LANGUAGE} message "${key}"`);
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Main navigation items, with the program dropdown built from the catalog
+ */
+function getNavItems(catalog, rootPath = '') {
+    return [
+        { href: rootPath + 'index.html', icon: 'home', key: 'nav.foundation' },
+        { href: rootPath + 'legacy.html', icon: 'info', key: 'nav.legacy' },
+        {
+            href: rootPath + 'pathways.html',
+            icon: 'book',
+            key: 'nav.pathways',
+            dropdown: catalog.map(program => ({
+                href: rootPath + program.page,
+                anchor: program.anchor,
+                key: `program.${program.id}.title`,
+                label: program.title
+            }))
+        },
+        { href: rootPath + 'enrollment.html', icon: 'user-plus', key: 'nav.enrollment' },
+        { href: rootPath + 'chronicle.html', icon: 'camera', key: 'nav.campusLife' },
+        { href: rootPath + 'connect.html', icon: 'mail', key: 'nav.connect' }
+    ].map(item => ({ label: t(item.key), ...item }));
+}
+
+/**
+ * Language switcher, labelled in the language it switches to
+ */
+function renderLanguageToggle(block) {
+    const languages = Object.keys(LOCALES);
+    const next = languages[(languages.indexOf(DEFAULT_LANGUAGE) + 1) % languages.length];
+
+    return `
+        <button type="button" class="${block}__link ${block}__link--button" data-language-toggle aria-label="${t('language.switchLabel')}" data-i18n-attr="aria-label:language.switchLabel">
+            <span class="${block}__icon">${NAV_ICONS.globe}</span>
+            <span class="${block}__label" lang="${next}" data-i18n="language.switch">${t('language.switch')}</span>
+        </button>
+    `;
+}
+
+/**
+ * Colour theme toggle (scripts/theme.js); shows the icon of the chosen
+ * theme and cycles light, dark, system
+ */
+function renderThemeToggle(block) {
+    const icons = [['light', 'sun'], ['dark', 'moon'], ['system', 'monitor']]
+        .map(([theme, icon]) => `<span class="theme-toggle__icon theme-toggle__icon--${theme}">${NAV_ICONS[icon]}</span>`)
+        .join('');
+
+    return `
+        <button type="button" class="${block}__link ${block}__link--button theme-toggle" data-theme-toggle aria-label="${t('theme.switchLabel', { current: t('theme.system'), next: t('theme.light') })}">
+            <span class="${block}__icon">${icons}</span>
+            <span class="${block}__label" data-theme-label>${t('theme.system')}</span>
+        </button>
+    `;
+}
+
+/**
+ * Opens the accessibility settings panel (scripts/preferences.js)
+ */
+function renderPreferencesButton(block) {
+    return `
+        <button type="button" class="${block}__link ${block}__link--button" data-preferences-open aria-haspopup="dialog" aria-controls="site-preferences">
+            <span class="${block}__icon">${NAV_ICONS.accessibility}</span>
+            <span class="${block}__label" data-i18n="nav.preferences">${t('nav.preferences')}</span>
+        </button>
+    `;
+}
+
+/**
+ * Generate Navigation HTML
+ */
+function generateNavigation(catalog, rootPath = '') {
+    const navItems = getNavItems(catalog, rootPath);
+
+    // Sub-links also light up for their section of the parent page, e.g. pathways.html#computing
+    const renderDropdownLinks = (item, className) => item.dropdown.map(dropItem =>
+        `<a href="${dropItem.href}" class="${className}" data-nav-anchor="${dropItem.anchor}" data-i18n="${dropItem.key}">${dropItem.label}</a>`
+    ).join('');
+
+    // Disclosure buttons open the sub-links (scripts/navigation.js)
+    const toggleAttrs = (panelId) => `data-nav-dropdown-toggle aria-expanded="false" aria-controls="${panelId}"`;
+
+    const linksHTML = navItems.map(item => {
+        if (item.dropdown) {
+            return `
+                <div class="side-nav__item side-nav__item--has-dropdown" data-nav-dropdown>
+                    <a href="${item.href}" class="side-nav__link">
+                        <span class="side-nav__icon">${NAV_ICONS[item.icon]}</span>
+                        <span class="side-nav__label" data-i18n="${item.key}">${item.label}</span>
+                    </a>
+                    <button type="button" class="side-nav__dropdown-toggle" ${toggleAttrs('side-nav-programs')} aria-label="${t('nav.programsTitle')}" data-i18n-attr="aria-label:nav.programsTitle">
+                        ${NAV_ICONS.chevron}
+                    </button>
+                    <div class="side-nav__dropdown-panel" id="side-nav-programs" data-nav-dropdown-panel>
+                        <div class="side-nav__dropdown-title" data-i18n="nav.programsTitle">${t('nav.programsTitle')}</div>
+                        ${renderDropdownLinks(item, 'side-nav__dropdown-link')}
+                    </div>
+                </div>
+            `;
+        }
+        return `
+            <a href="${item.href}" class="side-nav__link">
+                <span class="side-nav__icon">${NAV_ICONS[item.icon]}</span>
+                <span class="side-nav__label" data-i18n="${item.key}">${item.label}</span>
+            </a>
+        `;
+    }).join('');
+
+    // Generate bottom nav links for mobile; the program links open in a sheet above the bar
+    const bottomNavHTML = navItems.map(item => {
+        if (item.dropdown) {
+            return `
+                <div class="bottom-nav__item" data-nav-dropdown>
+                    <button type="button" class="bottom-nav__link bottom-nav__link--button" ${toggleAttrs('bottom-nav-programs')}>
+                        <span class="bottom-nav__icon">${NAV_ICONS[item.icon]}</span>
+                        <span class="bottom-nav__label" data-i18n="${item.key}">${item.label}</span>
+                    </button>
+                    <div class="bottom-nav__sheet" id="bottom-nav-programs" data-nav-dropdown-panel>
+                        <div class="bottom-nav__sheet-title" data-i18n="nav.programsTitle">${t('nav.programsTitle')}</div>
+                        <a href="${item.href}" class="bottom-nav__sheet-link" data-i18n="nav.allPrograms">${t('nav.allPrograms')}</a>
+                        ${renderDropdownLinks(item, 'bottom-nav__sheet-link')}
+                    </div>
+                </div>
+            `;
+        }
+        return `
+            <a href="${item.href}" class="bottom-nav__link">
+                <span class="bottom-nav__icon">${NAV_ICONS[item.icon]}</span>
+                <span class="bottom-nav__label" data-i18n="${item.key}">${item.label}</span>
+            </a>
+        `;
+    }).join('');
+
+    // Opens the site search overlay (scripts/search.js)
+    const searchAttrs = 'data-search-open aria-haspopup="dialog" aria-controls="site-search" aria-keyshortcuts="/ Control+K"';
+
+    return `
+        <!-- Mobile Bottom Navigation -->
+        <nav class="bottom-nav" data-component="navigation" aria-label="${t('nav.mobileLabel')}" data-i18n-attr="aria-label:nav.mobileLabel" data-nav-menu="horizontal">
+            ${bottomNavHTML}
+            <button type="button" class="bottom-nav__link bottom-nav__link--button" ${searchAttrs}>
+                <span class="bottom-nav__icon">${NAV_ICONS.search}</span>
+                <span class="bottom-nav__label" data-i18n="nav.search">${t('nav.search')}</span>
+            </button>
+            ${renderPreferencesButton('bottom-nav')}
+            ${renderLanguageToggle('bottom-nav')}
+        </nav>
+
+        <!-- Desktop Side Navigation -->
+        <nav class="side-nav" data-component="navigation" aria-label="${t('nav.mainLabel')}" data-i18n-attr="aria-label:nav.mainLabel">
+            <div class="side-nav__logo">
+                <img src="${rootPath}images/GCT-Logo.png" sizes="120px" alt="${t('nav.logoAlt')}" class="side-nav__logo-img" data-i18n-attr="alt:nav.logoAlt">
+            </div>
+            <div class="side-nav__menu" data-nav-menu="vertical">
+                ${linksHTML}
+                <button type="button" class="side-nav__link side-nav__link--button" ${searchAttrs}>
+                    <span class="side-nav__icon">${NAV_ICONS.search}</span>
+                    <span class="side-nav__label" data-i18n="nav.search">${t('nav.search')}</span>
+                </button>
+                ${renderThemeToggle('side-nav')}
+                ${renderPreferencesButton('side-nav')}
+                ${renderLanguageToggle('side-nav')}
+            </div>
+        </nav>
+    `;
+}
+
+/**
+ * Footer Generation
+ */
+function generateFooter(catalog, rootPath = '', year = new Date().getFullYear()) {
+    const divisionLinks = catalog.map(program =>
+        `<li><a href="${rootPath}${program.page}" data-i18n="program.${program.id}.shortName">${program.shortName}</a></li>`
+    ).join('');
+
+    const quickLinks = [
+        ['index.html', 'footer.home'],
+        ['legacy.html', 'footer.legacy'],
+        ['pathways.html', 'footer.programs'],
+        ['enrollment.html', 'footer.admissions'],
+        ['chronicle.html', 'footer.campusLife'],
+        ['faculty.html', 'footer.faculty'],
+        ['timetable.html', 'footer.timetable'],
+        ['calendar.html', 'footer.calendar'],
+        ['notices.html', 'footer.notices'],
+        ['connect.html', 'footer.contactUs']
+    ].map(([page, key]) => `<li><a href="${rootPath}${page}" data-i18n="${key}">${t(key)}</a></li>`).join('');
+
+    return `
+        <footer class="footer">
+            <div class="container">
+                <div class="footer__grid">
+                    <!-- About Section -->
+                    <div class="footer__column">
+                        <h4 data-i18n="footer.aboutTitle">${t('footer.aboutTitle')}</h4>
+                        <p class="footer__text" data-i18n="footer.about">${t('footer.about')}</p>
+                    </div>
+
+                    <!-- Quick Links -->
+                    <div class="footer__column">
+                        <h4 data-i18n="footer.quickLinks">${t('footer.quickLinks')}</h4>
+                        <ul class="footer__links">
+                            ${quickLinks}
+                        </ul>
+                    </div>
+
+                    <!-- Academic Divisions -->
+                    <div class="footer__column">
+                        <h4 data-i18n="footer.divisions">${t('footer.divisions')}</h4>
+                        <ul class="footer__links">
+                            ${divisionLinks}
+                        </ul>
+                    </div>
+
+                    <!-- Contact Info -->
+                    <div class="footer__column">
+                        <h4 data-i18n="footer.contact">${t('footer.contact')}</h4>
+                        <p class="footer__text" data-i18n-html="footer.contactDetails">${t('footer.contactDetails')}</p>
+                    </div>
+                </div>
+
+                <!-- Bottom Bar -->
+                <div class="footer__bottom">
+                    <p class="footer__copyright" data-i18n="footer.copyright" data-i18n-params='{"year": ${year}}'>${t('footer.copyright', { year })}</p>
+                    <p class="footer__credits" data-i18n-html="footer.credits">${t('footer.credits')}</p>
+                </div>
+            </div>
+        </footer>
+    `;
+}
+
+module.exports = { NAV_ICONS, getNavItems, generateNavigation, generateFooter, renderLanguageToggle };
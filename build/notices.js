@@ -0,0 +1,441 @@
+/**
+ * GCT Website - Notices
+ * Reads the Markdown notices and admission dates in src/notices and renders
+ * the notice board, homepage ticker, per-notice pages, feeds and countdowns
+ * at build time. See src/notices/README.md for the notice format.
+ *
+ * Placeholders:
+ *   [data-notices="board"]      notice cards with category filters (notices.html)
+ *   [data-notices="ticker"]     latest current notices (index.html)
+ *   [data-notices="dates"]      admission schedule from dates.json
+ *   [data-notices="countdown"]  countdown to the next admission deadline
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { escapeHTML } = require('../scripts/html.js');
+
+const NOTICE_CATEGORIES = {
+    admissions: 'Admissions',
+    'merit-list': 'Merit List',
+    closure: 'Closure',
+    examinations: 'Examinations',
+    general: 'General'
+};
+
+// Dates in notices are Pakistan Standard Time
+const TIME_ZONE = 'Asia/Karachi';
+const UTC_OFFSET = '+05:00';
+
+const TICKER_LIMIT = 5;
+const FEED_LIMIT = 20;
+const FEED_TITLE = 'GCT Bhakkar Notices';
+
+const NOTICES_PLACEHOLDER = /<(\w+)([^>]*?)\sdata-notices="([\w-]+)"([^>]*)>[\s\S]*?<\/\1>/g;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Start and end of a YYYY-MM-DD day in college time, as ISO timestamps
+ */
+function startOfDay(date) {
+    return `${date}T00:00:00${UTC_OFFSET}`;
+}
+
+function endOfDay(date) {
+    return `${date}T23:59:59${UTC_OFFSET}`;
+}
+
+function formatDate(date) {
+    return new Intl.DateTimeFormat('en-PK', { dateStyle: 'long', timeZone: TIME_ZONE })
+        .format(new Date(startOfDay(date)));
+}
+
+function renderTime(date) {
+    return `<time datetime="${date}" data-format-date data-component="local-date">${formatDate(date)}</time>`;
+}
+
+/* ==========================================
+   MARKDOWN
+   ========================================== */
+
+function renderInline(text) {
+    return escapeHTML(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>');
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+}
+
+function renderTable(lines) {
+    const [head, , ...rows] = lines.map(splitTableRow);
+
+    return `<div class="notice-table-wrapper"><table class="notice-table">
+<thead><tr>${head.map(cell => `<th>${renderInline(cell)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table></div>`;
+}
+
+/**
+ * The Markdown subset notices use: paragraphs, ## headings, lists and tables
+ * Headings start at h2, under the notice title's h1.
+ */
+function renderMarkdown(source) {
+    return source.trim().split(/\n\s*\n/).map(block => {
+        const lines = block.split('\n');
+        const heading = block.match(/^(#{1,4})\s+(.+)$/);
+
+        if (heading && lines.length === 1) {
+            const level = Math.max(heading[1].length, 2);
+            return `<h${level}>${renderInline(heading[2])}</h${level}>`;
+        }
+        if (lines.length > 1 && lines.every(line => line.trim().startsWith('|')) && /^[\s|:-]+$/.test(lines[1])) {
+            return renderTable(lines);
+        }
+
+        const list = block.match(/^\s*(?:([-*])|\d+\.)\s/);
+        if (list) {
+            const tag = list[1] ? 'ul' : 'ol';
+            const items = block.split(/\n(?=\s*(?:[-*]|\d+\.)\s)/)
+                .map(item => item.replace(/^\s*(?:[-*]|\d+\.)\s+/, '').replace(/\s*\n\s*/g, ' '));
+            return `<${tag}>${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`;
+        }
+
+        return `<p>${renderInline(block.replace(/\s*\n\s*/g, ' '))}</p>`;
+    }).join('\n');
+}
+
+/* ==========================================
+   LOADING
+   ========================================== */
+
+/**
+ * Parse one notice file; file is its name, e.g. 2026-09-07-first-merit-list.md
+ */
+function parseNotice(source, file) {
+    const match = source.match(/^---\n([\s\S]*?)\n---\n/);
+    if (!match) throw new Error(`${file}: missing front matter between --- lines`);
+
+    const data = {};
+    match[1].split('\n').forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        data[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    });
+
+    if (!data.title) throw new Error(`${file}: missing "title"`);
+    if (!NOTICE_CATEGORIES[data.category]) {
+        throw new Error(`${file}: "category" must be one of ${Object.keys(NOTICE_CATEGORIES).join(', ')}`);
+    }
+    ['date', 'expires', 'deadline'].forEach(key => {
+        if ((key === 'date' || data[key]) && !DATE_PATTERN.test(data[key] || '')) {
+            throw new Error(`${file}: "${key}" must be a date written as YYYY-MM-DD`);
+        }
+    });
+
+    const body = source.slice(match[0].length);
+    const firstParagraph = body.trim().split(/\n\s*\n/).find(block => !/^\s*[#|\-*\d]/.test(block)) || '';
+    const slug = path.basename(file, '.md');
+
+    return {
+        slug,
+        page: `notices/${slug}.html`,
+        title: data.title,
+        date: data.date,
+        category: data.category,
+        summary: data.summary || firstParagraph.replace(/\s*\n\s*/g, ' ').replace(/[*`]/g, ''),
+        expires: data.expires || null,
+        deadline: data.deadline || null,
+        pinned: data.pinned === 'true',
+        html: renderMarkdown(body)
+    };
+}
+
+/**
+ * Notices (newest first) and admission dates from a notices folder
+ */
+function loadNotices(dir) {
+    if (!fs.existsSync(dir)) return { notices: [], dates: [] };
+
+    const notices = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.md') && file !== 'README.md')
+        .map(file => parseNotice(fs.readFileSync(path.join(dir, file), 'utf8'), file))
+        .sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+
+    const datesFile = path.join(dir, 'dates.json');
+    const dates = fs.existsSync(datesFile) ? JSON.parse(fs.readFileSync(datesFile, 'utf8')).dates : [];
+
+    return { notices, dates };
+}
+
+function isExpired(notice, now) {
+    return Boolean(notice.expires) && new Date(endOfDay(notice.expires)) < now;
+}
+
+/**
+ * Deadlines for the countdowns: admission dates marked "deadline"
+ */
+function getDeadlines(dates) {
+    return dates
+        .filter(item => item.deadline)
+        .map(item => ({ key: `notices.date.${item.id}`, label: item.label, date: item.date || item.end }));
+}
+
+/* ==========================================
+   RENDERING
+   ========================================== */
+
+function renderCategoryBadge(category) {
+    return `<span class="notice-badge notice-badge--${category}" data-i18n="notices.category.${category}">${NOTICE_CATEGORIES[category]}</span>`;
+}
+
+function renderNoticeMeta(notice) {
+    return `
+        <div class="notice-meta">
+            ${renderCategoryBadge(notice.category)}
+            ${renderTime(notice.date)}
+            ${notice.pinned ? '<span class="notice-meta__pinned" data-i18n="notices.pinned">Pinned</span>' : ''}
+        </div>
+    `;
+}
+
+function renderNoticeCard(notice, rootPath, now) {
+    const classes = ['notice-card'];
+    if (notice.pinned) classes.push('notice-card--pinned');
+    if (isExpired(notice, now)) classes.push('notice-card--expired');
+
+    return `
+        <article class="${classes.join(' ')}" data-category="${notice.category}"${notice.expires ? ` data-expires="${endOfDay(notice.expires)}"` : ''}>
+            ${renderNoticeMeta(notice)}
+            <h3 class="notice-card__title"><a href="${rootPath}${notice.page}">${escapeHTML(notice.title)}</a></h3>
+            <p class="notice-card__summary">${escapeHTML(notice.summary)}</p>
+        </article>
+    `;
+}
+
+function renderBoard(notices, rootPath, now) {
+    const sorted = [...notices].sort((a, b) => Number(b.pinned) - Number(a.pinned));
+    const categories = Object.keys(NOTICE_CATEGORIES)
+        .filter(category => notices.some(notice => notice.category === category));
+
+    const filters = [
+        '<button type="button" class="notice-filter" data-notice-filter="all" aria-pressed="true" data-i18n="notices.all">All</button>',
+        ...categories.map(category =>
+            `<button type="button" class="notice-filter" data-notice-filter="${category}" aria-pressed="false" data-i18n="notices.category.${category}">${NOTICE_CATEGORIES[category]}</button>`
+        )
+    ].join('');
+
+    return `
+        <div class="notice-board" data-notice-board data-component="notice-board">
+            <div class="notice-board__toolbar">
+                <div class="notice-board__filters" role="group" aria-label="Filter notices" data-i18n-attr="aria-label:notices.filterLabel">
+                    ${filters}
+                </div>
+                <a href="${rootPath}notices/feed.xml" class="notice-board__feed" data-i18n="notices.subscribe">RSS feed</a>
+            </div>
+            <p class="visually-hidden" role="status" aria-live="polite" data-notice-status></p>
+            <div class="notice-board__list">
+                ${sorted.map(notice => renderNoticeCard(notice, rootPath, now)).join('')}
+            </div>
+        </div>
+    `;
+}
+
+function renderTicker(notices, rootPath, now) {
+    const current = notices.filter(notice => !isExpired(notice, now)).slice(0, TICKER_LIMIT);
+    if (current.length === 0) return '';
+
+    return `
+        <aside class="notice-ticker" aria-label="Latest notices" data-i18n-attr="aria-label:notices.latest" data-notice-ticker data-component="notice-ticker">
+            <div class="container notice-ticker__inner">
+                <span class="notice-ticker__heading" data-i18n="notices.latest">Latest notices</span>
+                <ul class="notice-ticker__list">
+                    ${current.map(notice => `
+                        <li class="notice-ticker__item"${notice.expires ? ` data-expires="${endOfDay(notice.expires)}"` : ''}>
+                            <a href="${rootPath}${notice.page}">${renderTime(notice.date)} ${escapeHTML(notice.title)}</a>
+                        </li>
+                    `).join('')}
+                </ul>
+                <button type="button" class="notice-ticker__toggle" data-ticker-toggle aria-pressed="false" hidden>Pause</button>
+                <a href="${rootPath}notices.html" class="notice-ticker__all" data-i18n="notices.viewAll">All notices</a>
+            </div>
+        </aside>
+    `;
+}
+
+function renderDates(dates) {
+    return dates.map(item => `
+        <div class="date-item" id="date-${item.id}">
+            <span class="date-label" data-i18n="notices.date.${item.id}">${escapeHTML(item.label)}</span>
+            <span class="date-value">${item.start ? `${renderTime(item.start)} – ${renderTime(item.end)}` : renderTime(item.date)}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Countdown to the next of several deadlines; scripts/notices.js picks the
+ * next one at runtime, so the widget stays right between builds
+ */
+function renderCountdown(deadlines, now) {
+    if (deadlines.length === 0) return '';
+
+    const next = deadlines.find(item => new Date(endOfDay(item.date)) > now) || deadlines[deadlines.length - 1];
+    const data = deadlines.map(item => ({ ...item, date: endOfDay(item.date) }));
+    const units = [['days', 'Days'], ['hours', 'Hours'], ['minutes', 'Minutes'], ['seconds', 'Seconds']];
+
+    return `
+        <div class="countdown" data-component="countdown" data-countdown="${escapeHTML(JSON.stringify(data))}">
+            <p class="countdown__title">
+                <span data-countdown-label data-i18n="${next.key}">${escapeHTML(next.label)}</span>:
+                <span data-countdown-date>${renderTime(next.date)}</span>
+            </p>
+            <div class="countdown__units" role="timer" aria-live="off" hidden>
+                ${units.map(([unit, label]) => `
+                    <span class="countdown__unit">
+                        <span class="countdown__value" data-unit="${unit}">0</span>
+                        <span class="countdown__name" data-i18n="countdown.${unit}">${label}</span>
+                    </span>
+                `).join('')}
+            </div>
+            <p class="countdown__closed" data-countdown-closed hidden data-i18n="countdown.closed">No upcoming deadlines. Check the notice board for the next session.</p>
+        </div>
+    `;
+}
+
+/**
+ * Fill every notices placeholder in a page's HTML
+ * options: { rootPath, now }
+ */
+function renderNotices(html, site, options = {}) {
+    const rootPath = options.rootPath || '';
+    const now = options.now || new Date();
+    const { notices = [], dates = [] } = site || {};
+
+    return html.replace(NOTICES_PLACEHOLDER, (match, tag, before, type, after) => {
+        if (type === 'board') return renderBoard(notices, rootPath, now);
+        if (type === 'ticker') return renderTicker(notices, rootPath, now);
+        if (type === 'countdown') return renderCountdown(getDeadlines(dates), now);
+        if (type === 'dates') return `<${tag}${before}${after}>${renderDates(dates)}</${tag}>`;
+        return match;
+    });
+}
+
+/**
+ * Page template for one notice, rendered through the site layout
+ */
+function renderNoticeSource(notice) {
+    const countdown = notice.deadline
+        ? renderCountdown([{ key: 'notices.deadline', label: 'Deadline', date: notice.deadline }], new Date(0))
+        : '';
+
+    return `<!--
+title: ${notice.title} | GCT Bhakkar Notices
+description: ${notice.summary}
+ogType: article
+styles: notices.css
+scripts: notices.js
+-->
+
+<section class="section notice-page">
+    <div class="container container--narrow">
+        <a href="/notices.html" class="notice-page__back" data-i18n="notices.back">All notices</a>
+        <article class="notice-article">
+            <header class="notice-article__header">
+                ${renderNoticeMeta(notice).trim()}
+                <h1 class="notice-article__title">${escapeHTML(notice.title)}</h1>
+            </header>
+            ${countdown.trim()}
+            <div class="notice-article__body" id="notice" data-search="notice" data-search-title="${escapeHTML(notice.title)}">
+                ${notice.html}
+            </div>
+        </article>
+    </div>
+</section>
+`;
+}
+
+/* ==========================================
+   FEEDS
+   ========================================== */
+
+function escapeXML(value) {
+    return escapeHTML(value).replace(/'/g, '&apos;');
+}
+
+// Root-absolute links in notice bodies point at the live site in feed readers
+function absoluteUrls(html, siteUrl) {
+    return html.replace(/(\s(?:src|href)=")\/(?!\/)/g, `$1${siteUrl}`);
+}
+
+function renderRssFeed(notices, siteUrl) {
+    const items = notices.slice(0, FEED_LIMIT).map(notice => `
+    <item>
+      <title>${escapeXML(notice.title)}</title>
+      <link>${siteUrl}${notice.page}</link>
+      <guid isPermaLink="true">${siteUrl}${notice.page}</guid>
+      <pubDate>${new Date(startOfDay(notice.date)).toUTCString()}</pubDate>
+      <category>${NOTICE_CATEGORIES[notice.category]}</category>
+      <description>${escapeXML(notice.summary)}</description>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${FEED_TITLE}</title>
+    <link>${siteUrl}notices.html</link>
+    <atom:link href="${siteUrl}notices/feed.xml" rel="self" type="application/rss+xml"/>
+    <description>Admissions, merit lists, examinations and closures at Government College of Technology, Bhakkar</description>
+    <language>en-pk</language>${notices.length ? `
+    <lastBuildDate>${new Date(startOfDay(notices[0].date)).toUTCString()}</lastBuildDate>` : ''}${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtomFeed(notices, siteUrl) {
+    const entries = notices.slice(0, FEED_LIMIT).map(notice => `
+  <entry>
+    <title>${escapeXML(notice.title)}</title>
+    <link href="${siteUrl}${notice.page}"/>
+    <id>${siteUrl}${notice.page}</id>
+    <published>${startOfDay(notice.date)}</published>
+    <updated>${startOfDay(notice.date)}</updated>
+    <category term="${notice.category}" label="${NOTICE_CATEGORIES[notice.category]}"/>
+    <summary>${escapeXML(notice.summary)}</summary>
+    <content type="html">${escapeXML(absoluteUrls(notice.html, siteUrl))}</content>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <title>${FEED_TITLE}</title>
+  <link href="${siteUrl}notices.html"/>
+  <link href="${siteUrl}notices/atom.xml" rel="self"/>
+  <id>${siteUrl}notices.html</id>
+  <updated>${notices.length ? startOfDay(notices[0].date) : new Date(0).toISOString()}</updated>
+  <author><name>Government College of Technology, Bhakkar</name></author>${entries}
+</feed>
+`;
+}
+
+module.exports = {
+    NOTICE_CATEGORIES,
+    TIME_ZONE,
+    UTC_OFFSET,
+    DATE_PATTERN,
+    startOfDay,
+    endOfDay,
+    renderTime,
+    renderMarkdown,
+    parseNotice,
+    loadNotices,
+    renderNotices,
+    renderNoticeSource,
+    renderRssFeed,
+    renderAtomFeed
+};
@@ -0,0 +1,106 @@
+/**
+ * GCT Website - Installable App
+ * Writes the web app manifest and the service worker (src/sw.js) into the
+ * built site. The worker's precache list is every page, script, style and
+ * timetable in the output, less any the build leaves to the runtime cache,
+ * and its cache version changes whenever any of them do.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { APP_ICON } = require('./images.js');
+
+const APP_NAME = 'Government College of Technology, Bhakkar';
+const APP_SHORT_NAME = 'GCT Bhakkar';
+const APP_DESCRIPTION = 'Programs, admissions, fees and notices of GCT Bhakkar, also available offline.';
+const THEME_COLOR = '#722F37';
+const BACKGROUND_COLOR = '#FEFCF6';
+
+const PRECACHE_EXTENSIONS = ['.html', '.css', '.js', '.json', '.webmanifest'];
+const SERVICE_WORKER = 'sw.js';
+
+/**
+ * Icons for the manifest, from the optimized images when there are any
+ */
+function getAppIcons(images) {
+    const image = images && images[APP_ICON];
+
+    if (image && image.icons && image.icons.length > 0) {
+        return image.icons.map(icon => ({
+            src: `images/variants/${icon.file}`,
+            sizes: `${icon.size}x${icon.size}`,
+            type: 'image/png',
+            purpose: 'any'
+        }));
+    }
+
+    // Unoptimized builds (SKIP_IMAGES=1) fall back to the logo itself
+    return [{ src: `images/${APP_ICON}`, sizes: 'any', type: 'image/png' }];
+}
+
+function renderWebManifest(images) {
+    return JSON.stringify({
+        name: APP_NAME,
+        short_name: APP_SHORT_NAME,
+        description: APP_DESCRIPTION,
+        lang: 'en',
+        start_url: './',
+        scope: './',
+        display: 'standalone',
+        theme_color: THEME_COLOR,
+        background_color: BACKGROUND_COLOR,
+        icons: getAppIcons(images)
+    }, null, 2);
+}
+
+/**
+ * Files under a directory, as forward-slash paths relative to it
+ */
+function listFiles(dir, prefix = '') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const relative = prefix + entry.name;
+        return entry.isDirectory() ? listFiles(path.join(dir, entry.name), `${relative}/`) : [relative];
+    });
+}
+
+/**
+ * Pages, scripts, styles and timetables to cache on install; images are cached as they are viewed
+ * exclude lists files only fetched by some browsers, cached when they are
+ */
+function listPrecacheFiles(outDir, exclude = []) {
+    return listFiles(outDir)
+        .filter(file => PRECACHE_EXTENSIONS.includes(path.extname(file)) && file !== SERVICE_WORKER && !exclude.includes(file))
+        .sort();
+}
+
+function renderServiceWorker(source, outDir, exclude = []) {
+    const files = listPrecacheFiles(outDir, exclude);
+    const hash = crypto.createHash('sha256');
+    files.forEach(file => hash.update(file).update(fs.readFileSync(path.join(outDir, file))));
+
+    return source
+        .replace('{{version}}', hash.digest('hex').slice(0, 12))
+        .replace('{{precache}}', JSON.stringify(['./', ...files], null, 4));
+}
+
+/**
+ * Write manifest.webmanifest and sw.js into the built site
+ * options.exclude: files to leave out of the precache
+ */
+function writeAppFiles(srcDir, outDir, images, options = {}) {
+    fs.writeFileSync(path.join(outDir, 'manifest.webmanifest'), renderWebManifest(images));
+
+    const source = fs.readFileSync(path.join(srcDir, SERVICE_WORKER), 'utf8');
+    fs.writeFileSync(path.join(outDir, SERVICE_WORKER), renderServiceWorker(source, outDir, options.exclude));
+}
+
+module.exports = {
+    THEME_COLOR,
+    getAppIcons,
+    renderWebManifest,
+    listPrecacheFiles,
+    renderServiceWorker,
+    writeAppFiles
+};
@@ -0,0 +1,628 @@
+/**
+ * GCT Website - Timetables and Academic Calendar
+ * Reads the class timetables and the academic calendar in src/schedule,
+ * checks them against the program catalog and the faculty list, and renders
+ * the timetable picker and the calendar at build time. Each timetable is
+ * written to schedule/<id>.json for scripts/schedule.js to load, and with
+ * the calendar as iCalendar (.ics) files. See src/schedule/README.md.
+ *
+ * Placeholders:
+ *   [data-schedule="timetable"]  program, year and section picker and the weekly timetable
+ *   [data-schedule="calendar"]   terms, holidays, examinations and admission dates by month
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { escapeHTML } = require('../scripts/html.js');
+const { getProgram } = require('./catalog.js');
+const { DAY_LABELS, TIME_PATTERN, getFacultyPage } = require('./faculty.js');
+const { TIME_ZONE, DATE_PATTERN, startOfDay, endOfDay, renderTime } = require('./notices.js');
+
+const SCHEDULE_PLACEHOLDER = /<(\w+)([^>]*?)\sdata-schedule="([\w-]+)"([^>]*)>[\s\S]*?<\/\1>/g;
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SECTION_PATTERN = /^[A-Z]$/;
+
+// Calendar entries by kind; terms come from "terms" and admissions from
+// the notices' dates.json, the rest from "events"
+const EVENT_TYPES = {
+    term: 'Term',
+    holiday: 'Holiday',
+    exam: 'Examinations',
+    admission: 'Admissions'
+};
+const CALENDAR_EVENT_TYPES = ['holiday', 'exam'];
+
+// No classes are held on these, in timetables and their .ics files
+const CLOSED_TYPES = ['holiday', 'exam'];
+
+const PRODUCT_ID = '-//Government College of Technology Bhakkar//Schedule//EN';
+
+/* ==========================================
+   LOADING
+   ========================================== */
+
+function getTimetableId(timetable) {
+    return `${timetable.program}-${timetable.year}-${String(timetable.section).toLowerCase()}`;
+}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${path.basename(file)}: ${error.message}`);
+    }
+}
+
+/**
+ * The calendar and timetables (by id) from a schedule folder
+ */
+function loadSchedule(dir) {
+    const calendarFile = path.join(dir, 'calendar.json');
+    const timetablesDir = path.join(dir, 'timetables');
+
+    const calendar = fs.existsSync(calendarFile) ? readJSON(calendarFile) : {};
+    const timetables = fs.existsSync(timetablesDir)
+        ? fs.readdirSync(timetablesDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => ({ file, ...readJSON(path.join(timetablesDir, file)) }))
+        : [];
+
+    return {
+        calendar: { session: calendar.session || '', terms: calendar.terms || [], events: calendar.events || [] },
+        timetables: timetables.sort((a, b) => getTimetableId(a).localeCompare(getTimetableId(b)))
+    };
+}
+
+/* ==========================================
+   VALIDATION
+   ========================================== */
+
+function validateDates(item, name) {
+    const dates = item.date ? [item.date] : [item.start, item.end];
+
+    if (!dates.every(date => DATE_PATTERN.test(date || ''))) {
+        throw new Error(`${name}: give a "date", or a "start" and "end", written as YYYY-MM-DD`);
+    }
+    if (!item.date && item.start > item.end) {
+        throw new Error(`${name}: "end" is before "start"`);
+    }
+}
+
+function validateCalendar(calendar) {
+    const seen = new Set();
+    const check = (item, i, kind) => {
+        const name = `Calendar ${item.id || `${kind} ${i + 1}`}`;
+
+        if (!item.id || !item.label) throw new Error(`${name}: "id" and "label" are required`);
+        if (!ID_PATTERN.test(item.id)) throw new Error(`${name}: "id" must be lowercase words and dashes`);
+        if (seen.has(item.id)) throw new Error(`${name}: id is used twice`);
+        seen.add(item.id);
+
+        validateDates(item, name);
+        return name;
+    };
+
+    calendar.terms.forEach((term, i) => {
+        const name = check(term, i, 'term');
+        if (term.date) throw new Error(`${name}: a term needs a "start" and "end"`);
+    });
+    calendar.events.forEach((event, i) => {
+        const name = check(event, i, 'event');
+        if (!CALENDAR_EVENT_TYPES.includes(event.type)) {
+            throw new Error(`${name}: "type" must be one of ${CALENDAR_EVENT_TYPES.join(', ')}`);
+        }
+    });
+}
+
+function validateTimetable(timetable, calendar, catalog, faculty) {
+    const name = `Timetable ${timetable.file}`;
+    const program = getProgram(timetable.program, catalog);
+
+    if (!program) {
+        throw new Error(`${name}: unknown program "${timetable.program}" (expected one of ${catalog.map(item => item.id).join(', ')})`);
+    }
+    if (!Number.isInteger(timetable.year) || timetable.year < 1 || timetable.year > program.years.length) {
+        throw new Error(`${name}: "year" must be a number from 1 to ${program.years.length}`);
+    }
+    if (!SECTION_PATTERN.test(timetable.section || '')) {
+        throw new Error(`${name}: "section" must be a capital letter, e.g. "A"`);
+    }
+    if (!calendar.terms.some(term => term.id === timetable.term)) {
+        throw new Error(`${name}: unknown term "${timetable.term}" (expected one of ${calendar.terms.map(term => term.id).join(', ')})`);
+    }
+
+    const periods = timetable.periods || [];
+    if (periods.length === 0) throw new Error(`${name}: no "periods"`);
+    periods.forEach((period, i) => {
+        if (!TIME_PATTERN.test(period.from) || !TIME_PATTERN.test(period.to) || period.from >= period.to) {
+            throw new Error(`${name}: period ${i + 1} must run from an earlier to a later HH:MM time`);
+        }
+        if (i > 0 && period.from < periods[i - 1].to) {
+            throw new Error(`${name}: period ${i + 1} starts before period ${i} ends`);
+        }
+    });
+
+    const courses = program.years[timetable.year - 1].courses.map(course => course.code);
+    const teachers = faculty.map(member => member.id);
+    const taken = new Set();
+
+    (timetable.classes || []).forEach(item => {
+        const length = item.length || 1;
+        const where = `${item.day} period ${item.period}`;
+
+        if (!DAY_LABELS[item.day]) {
+            throw new Error(`${name}: unknown day "${item.day}" (expected one of ${Object.keys(DAY_LABELS).join(', ')})`);
+        }
+        if (!Number.isInteger(item.period) || !Number.isInteger(length) || item.period < 1 || length < 1
+            || item.period + length - 1 > periods.length) {
+            throw new Error(`${name}: ${where} is outside periods 1 to ${periods.length}`);
+        }
+        if (!courses.includes(item.course)) {
+            throw new Error(`${name}: ${where} has "${item.course}", which is not a ${program.years[timetable.year - 1].title.toLowerCase()} course`);
+        }
+        if (item.teacher && !teachers.includes(item.teacher)) {
+            throw new Error(`${name}: ${where} has unknown teacher "${item.teacher}"`);
+        }
+
+        for (let period = item.period; period < item.period + length; period++) {
+            const slot = `${item.day} ${period}`;
+            if (taken.has(slot)) throw new Error(`${name}: two classes on ${item.day} in period ${period}`);
+            taken.add(slot);
+        }
+    });
+}
+
+/**
+ * Every class as { timetable, day, from, to, teacher, room }, for clash checks
+ */
+function listSessions(timetable) {
+    return (timetable.classes || []).map(item => ({
+        timetable,
+        day: item.day,
+        from: timetable.periods[item.period - 1].from,
+        to: timetable.periods[item.period + (item.length || 1) - 2].to,
+        teacher: item.teacher,
+        room: item.room
+    }));
+}
+
+/**
+ * A teacher or room booked by two timetables of the same term at once
+ */
+function findClash(timetables) {
+    const sessions = timetables.flatMap(listSessions);
+
+    for (let i = 0; i < sessions.length; i++) {
+        for (let j = i + 1; j < sessions.length; j++) {
+            const a = sessions[i];
+            const b = sessions[j];
+            if (a.timetable === b.timetable || a.timetable.term !== b.timetable.term) continue;
+            if (a.day !== b.day || a.from >= b.to || b.from >= a.to) continue;
+
+            const shared = (a.teacher && a.teacher === b.teacher && `teacher "${a.teacher}"`)
+                || (a.room && a.room === b.room && `room "${a.room}"`);
+            if (shared) {
+                return `${shared} is in ${getTimetableId(a.timetable)} and ${getTimetableId(b.timetable)} on ${a.day} at ${b.from}`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Throw on a calendar or timetable the site can't show, naming the entry
+ */
+function validateSchedule(schedule, catalog, faculty) {
+    validateCalendar(schedule.calendar);
+
+    const seen = new Map();
+    schedule.timetables.forEach(timetable => {
+        validateTimetable(timetable, schedule.calendar, catalog, faculty);
+
+        const id = getTimetableId(timetable);
+        if (seen.has(id)) {
+            throw new Error(`Timetable ${timetable.file}: same program, year and section as ${seen.get(id)}`);
+        }
+        seen.set(id, timetable.file);
+    });
+
+    const clash = findClash(schedule.timetables);
+    if (clash) throw new Error(`Timetables: ${clash}`);
+}
+
+/* ==========================================
+   CALENDAR
+   ========================================== */
+
+function addDays(date, days) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+}
+
+function getWeekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Terms, holidays, examinations and admission dates as one list, by date:
+ * [{ id, type, key, label, start, end, deadline }]
+ */
+function getCalendarEvents(calendar, admissionDates = []) {
+    const span = item => ({ start: item.start || item.date, end: item.end || item.date });
+
+    return [
+        ...calendar.terms.map(term => ({ id: term.id, type: 'term', key: `schedule.term.${term.id}`, label: term.label, ...span(term) })),
+        ...calendar.events.map(event => ({ id: event.id, type: event.type, key: `schedule.event.${event.id}`, label: event.label, ...span(event) })),
+        ...admissionDates.map(item => ({
+            id: `admission-${item.id}`,
+            type: 'admission',
+            key: `notices.date.${item.id}`,
+            label: item.label,
+            deadline: Boolean(item.deadline),
+            ...span(item)
+        }))
+    ].sort((a, b) => a.start.localeCompare(b.start) || b.end.localeCompare(a.end));
+}
+
+/**
+ * Days within a term with no classes, from the holidays and examinations
+ */
+function getClosedDates(term, events) {
+    const dates = new Set();
+
+    events
+        .filter(event => CLOSED_TYPES.includes(event.type))
+        .forEach(event => {
+            for (let date = event.start; date <= event.end; date = addDays(date, 1)) {
+                if (date >= term.start && date <= term.end) dates.add(date);
+            }
+        });
+
+    return Array.from(dates).sort();
+}
+
+/* ==========================================
+   TIMETABLES
+   ========================================== */
+
+/**
+ * A timetable with its course titles, times, teachers and closed days
+ * filled in, as written to schedule/<id>.json
+ */
+function resolveTimetable(timetable, site) {
+    const { catalog, faculty, calendar, events } = site;
+    const program = getProgram(timetable.program, catalog);
+    const year = program.years[timetable.year - 1];
+    const term = calendar.terms.find(item => item.id === timetable.term);
+
+    const classes = timetable.classes.map(item => {
+        const length = item.length || 1;
+        const course = year.courses.find(entry => entry.code === item.course);
+        const teacher = item.teacher && faculty.find(member => member.id === item.teacher);
+
+        return {
+            day: item.day,
+            period: item.period,
+            length,
+            from: timetable.periods[item.period - 1].from,
+            to: timetable.periods[item.period + length - 2].to,
+            code: course.code,
+            title: course.title,
+            room: item.room || '',
+            teacher: teacher ? { name: teacher.name, page: getFacultyPage(teacher) } : null
+        };
+    });
+
+    return {
+        id: getTimetableId(timetable),
+        program: program.id,
+        programTitle: program.title,
+        year: timetable.year,
+        yearTitle: year.title,
+        section: timetable.section,
+        term: { id: term.id, label: term.label, start: term.start, end: term.end },
+        closed: getClosedDates(term, events),
+        periods: timetable.periods.map(period => ({ from: period.from, to: period.to })),
+        classes: classes.sort((a, b) =>
+            Object.keys(DAY_LABELS).indexOf(a.day) - Object.keys(DAY_LABELS).indexOf(b.day) || a.period - b.period)
+    };
+}
+
+function getTimetableName(timetable) {
+    return `${timetable.programTitle}, ${timetable.yearTitle}, Section ${timetable.section}`;
+}
+
+/* ==========================================
+   ICALENDAR
+   ========================================== */
+
+function escapeICalText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, continuing with a space (RFC 5545)
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function formatICalDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function formatICalLocalTime(date, time) {
+    return `${formatICalDate(date)}T${time.replace(':', '')}00`;
+}
+
+function formatICalTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * A VCALENDAR document from [[name, value], ...] event properties
+ */
+function renderICalendar(name, events, withTimeZone) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICalText(name)}`,
+        `X-WR-TIMEZONE:${TIME_ZONE}`
+    ];
+
+    // Pakistan keeps UTC+5 all year
+    if (withTimeZone) {
+        lines.push(
+            'BEGIN:VTIMEZONE',
+            `TZID:${TIME_ZONE}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0500',
+            'TZOFFSETTO:+0500',
+            'TZNAME:PKT',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        );
+    }
+
+    events.forEach(properties => {
+        lines.push('BEGIN:VEVENT', ...properties.map(([key, value]) => `${key}:${value}`), 'END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * A timetable as weekly repeating events for its term, skipping closed days
+ * options: { siteUrl, now }
+ */
+function renderTimetableICalendar(timetable, options = {}) {
+    const host = new URL(options.siteUrl).hostname;
+    const stamp = formatICalTimestamp(options.now || new Date());
+    const { term } = timetable;
+    const until = formatICalTimestamp(new Date(endOfDay(term.end)));
+    const dayNumbers = Object.keys(DAY_LABELS).map((day, i) => [day, i + 1]);
+
+    const events = timetable.classes.map(item => {
+        const weekday = dayNumbers.find(([day]) => day === item.day)[1];
+        let first = term.start;
+        while (getWeekday(first) !== weekday) first = addDays(first, 1);
+
+        const skipped = timetable.closed.filter(date => date >= first && getWeekday(date) === weekday);
+        const tz = `;TZID=${TIME_ZONE}`;
+
+        return [
+            ['UID', `${timetable.id}-${item.day}-${item.period}@${host}`],
+            ['DTSTAMP', stamp],
+            [`DTSTART${tz}`, formatICalLocalTime(first, item.from)],
+            [`DTEND${tz}`, formatICalLocalTime(first, item.to)],
+            ['RRULE', `FREQ=WEEKLY;UNTIL=${until}`],
+            ...(skipped.length ? [[`EXDATE${tz}`, skipped.map(date => formatICalLocalTime(date, item.from)).join(',')]] : []),
+            ['SUMMARY', escapeICalText(`${item.code} ${item.title}`)],
+            ...(item.room ? [['LOCATION', escapeICalText(item.room)]] : []),
+            ...(item.teacher ? [['DESCRIPTION', escapeICalText(item.teacher.name)]] : [])
+        ];
+    });
+
+    return renderICalendar(`GCT Bhakkar: ${getTimetableName(timetable)}`, events, true);
+}
+
+/**
+ * The academic calendar as all-day events
+ * options: { siteUrl, now }
+ */
+function renderCalendarICalendar(events, options = {}) {
+    const host = new URL(options.siteUrl).hostname;
+    const stamp = formatICalTimestamp(options.now || new Date());
+
+    return renderICalendar('GCT Bhakkar Academic Calendar', events.map(event => [
+        ['UID', `${event.id}@${host}`],
+        ['DTSTAMP', stamp],
+        ['DTSTART;VALUE=DATE', formatICalDate(event.start)],
+        ['DTEND;VALUE=DATE', formatICalDate(addDays(event.end, 1))],
+        ['SUMMARY', escapeICalText(event.label)],
+        ['CATEGORIES', escapeICalText(EVENT_TYPES[event.type])],
+        ['TRANSP', 'TRANSPARENT']
+    ]), false);
+}
+
+/**
+ * Write each timetable's JSON and .ics, and the calendar's .ics, under
+ * outDir/schedule
+ */
+function writeScheduleFiles(outDir, schedule, options = {}) {
+    const dir = path.join(outDir, 'schedule');
+    fs.mkdirSync(dir, { recursive: true });
+
+    schedule.timetables.forEach(timetable => {
+        fs.writeFileSync(path.join(dir, `${timetable.id}.json`), JSON.stringify(timetable));
+        fs.writeFileSync(path.join(dir, `${timetable.id}.ics`), renderTimetableICalendar(timetable, options));
+    });
+    fs.writeFileSync(path.join(dir, 'calendar.ics'), renderCalendarICalendar(schedule.events, options));
+}
+
+/* ==========================================
+   RENDERING
+   ========================================== */
+
+function renderSelect(id, name, labelKey, label, options) {
+    return `
+        <div class="form-group">
+            <label class="form-label" for="${id}" data-i18n="${labelKey}">${label}</label>
+            <select id="${id}" name="${name}" class="form-select">
+                ${options.map(([value, text, key]) =>
+                    `<option value="${value}"${key ? ` data-i18n="${key}"` : ''}>${escapeHTML(text)}</option>`
+                ).join('')}
+            </select>
+        </div>
+    `;
+}
+
+/**
+ * The picker offers only the years and sections of the chosen program;
+ * scripts/schedule.js narrows them from data-timetables
+ */
+function renderTimetablePicker(timetables, catalog, rootPath) {
+    if (timetables.length === 0) {
+        return '<p class="timetable__empty" data-i18n="schedule.noTimetables">Timetables for this session will be published here soon.</p>';
+    }
+
+    const index = timetables.map(({ id, program, year, yearTitle, section }) => ({ id, program, year, yearTitle, section }));
+    const programs = catalog.filter(program => timetables.some(timetable => timetable.program === program.id));
+    const first = timetables[0];
+
+    // Shown once the script can load timetables; without it the .ics links remain
+    return `
+        <div class="timetable" data-component="timetable" data-timetables="${escapeHTML(JSON.stringify(index))}" data-timetable-root="${rootPath}">
+            <form class="timetable__picker" aria-label="Choose a timetable" data-i18n-attr="aria-label:schedule.pickerLabel" data-timetable-picker hidden>
+                ${renderSelect('timetable-program', 'program', 'schedule.program', 'Program', programs.map(program =>
+                    [program.id, program.title, `program.${program.id}.title`]
+                ))}
+                ${renderSelect('timetable-year', 'year', 'schedule.yearLabel', 'Year', [[first.year, first.yearTitle, `schedule.year.${first.year}`]])}
+                ${renderSelect('timetable-section', 'section', 'schedule.section', 'Section', [[first.section, first.section]])}
+            </form>
+            <div class="timetable__header" data-timetable-header hidden>
+                <h2 class="timetable__title" aria-live="polite" data-timetable-title></h2>
+                <a href="" class="btn btn--ghost timetable__export" download data-timetable-export data-i18n="schedule.export">Add to my calendar (.ics)</a>
+            </div>
+            <p class="timetable__error" role="alert" data-timetable-error hidden data-i18n="schedule.loadError">This timetable could not be loaded. Check your connection and try again.</p>
+            <div class="timetable__view" data-timetable-view></div>
+            <div class="timetable__downloads" data-timetable-downloads>
+                <p data-i18n="schedule.downloads">Download a timetable for your calendar app:</p>
+                <ul>
+                    ${timetables.map(timetable => `
+                        <li><a href="${rootPath}schedule/${timetable.id}.ics" download>${escapeHTML(getTimetableName(timetable))}</a></li>
+                    `).join('')}
+                </ul>
+            </div>
+        </div>
+    `;
+}
+
+function formatMonth(month) {
+    return new Intl.DateTimeFormat('en-PK', { month: 'long', year: 'numeric', timeZone: TIME_ZONE })
+        .format(new Date(startOfDay(`${month}-01`)));
+}
+
+function renderEvent(event) {
+    const dates = event.start === event.end
+        ? renderTime(event.start)
+        : `${renderTime(event.start)} – ${renderTime(event.end)}`;
+
+    return `
+        <li class="calendar-event calendar-event--${event.type}" id="calendar-${event.id}" data-type="${event.type}" data-end="${endOfDay(event.end)}">
+            <span class="calendar-event__date">${dates}</span>
+            <span class="calendar-event__label" data-i18n="${event.key}">${escapeHTML(event.label)}</span>
+            <span class="calendar-event__type" data-i18n="schedule.type.${event.type}">${EVENT_TYPES[event.type]}</span>
+        </li>
+    `;
+}
+
+function renderCalendar(events, rootPath) {
+    const months = [];
+    events.forEach(event => {
+        const month = event.start.slice(0, 7);
+        if (months.length === 0 || months[months.length - 1].month !== month) months.push({ month, events: [] });
+        months[months.length - 1].events.push(event);
+    });
+
+    const types = Object.keys(EVENT_TYPES).filter(type => events.some(event => event.type === type));
+    const filters = [
+        '<button type="button" class="academic-calendar__filter" data-calendar-filter="all" aria-pressed="true" data-i18n="schedule.all">All</button>',
+        ...types.map(type =>
+            `<button type="button" class="academic-calendar__filter" data-calendar-filter="${type}" aria-pressed="false" data-i18n="schedule.type.${type}">${EVENT_TYPES[type]}</button>`
+        )
+    ].join('');
+
+    return `
+        <div class="academic-calendar" data-component="academic-calendar">
+            <div class="academic-calendar__toolbar">
+                <div class="academic-calendar__filters" role="group" aria-label="Filter dates" data-i18n-attr="aria-label:schedule.filterLabel">
+                    ${filters}
+                </div>
+                <a href="${rootPath}schedule/calendar.ics" class="btn btn--ghost academic-calendar__export" download data-i18n="schedule.export">Add to my calendar (.ics)</a>
+            </div>
+            <p class="visually-hidden" role="status" aria-live="polite" data-calendar-status></p>
+            ${months.map(({ month, events: monthEvents }) => `
+                <section class="academic-calendar__month" data-calendar-month>
+                    <h3 class="academic-calendar__month-title"><time datetime="${month}">${formatMonth(month)}</time></h3>
+                    <ol class="academic-calendar__list">
+                        ${monthEvents.map(renderEvent).join('')}
+                    </ol>
+                </section>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Fill every schedule placeholder in a page's HTML
+ * site: { timetables, events, catalog }, timetables resolved
+ * options: { rootPath }
+ */
+function renderSchedule(html, site, options = {}) {
+    const rootPath = options.rootPath || '';
+    const { timetables = [], events = [], catalog = [] } = site || {};
+
+    return html.replace(SCHEDULE_PLACEHOLDER, (match, tag, before, type, after) => {
+        if (type === 'timetable') return `<${tag}${before}${after}>${renderTimetablePicker(timetables, catalog, rootPath)}</${tag}>`;
+        if (type === 'calendar') return `<${tag}${before}${after}>${renderCalendar(events, rootPath)}</${tag}>`;
+        return match;
+    });
+}
+
+module.exports = {
+    EVENT_TYPES,
+    getTimetableId,
+    loadSchedule,
+    validateSchedule,
+    getCalendarEvents,
+    resolveTimetable,
+    renderTimetableICalendar,
+    renderCalendarICalendar,
+    writeScheduleFiles,
+    renderSchedule
+};
@@ -0,0 +1,123 @@
+/**
+ * GCT Website - Search Index
+ * Collects searchable entries from the rendered pages for scripts/search.js
+ *
+ * Any element can be indexed by marking it in a template:
+ *   <div class="faq-item" id="faq-scholarships" data-search="faq">
+ *
+ *   data-search         entry type (course, faculty, program, faq, facility, notice)
+ *   id                  section anchor the result links to
+ *   data-search-title   title, when it is not the element's first heading
+ *   data-search-url     link target, when it is not the element's own anchor
+ */
+
+const SEARCH_MARKER = /<(\w+)\b([^>]*\sdata-search="([\w-]+)"[^>]*)>/g;
+const HEADING = /<(h[1-6]|button)\b[^>]*>([\s\S]*?)<\/\1>/;
+const SNIPPET_LENGTH = 180;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+function getAttribute(attrs, name) {
+    const match = attrs.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? decodeEntities(match[1]) : null;
+}
+
+function decodeEntities(value) {
+    return value.replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity]);
+}
+
+function htmlToText(html) {
+    return decodeEntities(html
+        .replace(/<svg\b[\s\S]*?<\/svg>/g, '')
+        .replace(/<(\w+)\b[^>]*\saria-hidden="true"[^>]*>[\s\S]*?<\/\1>/g, '')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Inner HTML of the element whose opening tag ends at `start`
+ */
+function getElementContent(html, tag, start) {
+    const tags = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'g');
+    tags.lastIndex = start;
+    let depth = 1;
+    let match;
+
+    while ((match = tags.exec(html))) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) return html.slice(start, match.index);
+    }
+
+    return html.slice(start);
+}
+
+function truncate(text, length) {
+    if (text.length <= length) return text;
+
+    // At the last space, or mid-word when the text has none (a long URL or code)
+    const space = text.lastIndexOf(' ', length);
+    return `${text.slice(0, space === -1 ? length : space)}…`;
+}
+
+/**
+ * Entries marked with data-search in one rendered page
+ */
+function extractSearchEntries(html, pagePath) {
+    const pageTitle = htmlToText((html.match(/<title>([\s\S]*?)<\/title>/) || [])[1] || pagePath);
+    const page = pageTitle.split(' | ')[0];
+    const entries = [];
+    let match;
+
+    SEARCH_MARKER.lastIndex = 0;
+    while ((match = SEARCH_MARKER.exec(html))) {
+        const [openTag, tag, attrs, type] = match;
+        const content = getElementContent(html, tag, match.index + openTag.length);
+        const heading = content.match(HEADING);
+        const id = getAttribute(attrs, 'id');
+
+        const title = getAttribute(attrs, 'data-search-title') || (heading ? htmlToText(heading[2]) : page);
+        const text = htmlToText(heading && !getAttribute(attrs, 'data-search-title')
+            ? content.replace(heading[0], ' ')
+            : content);
+
+        entries.push({
+            type,
+            title,
+            text: truncate(text === title ? '' : text, SNIPPET_LENGTH),
+            page,
+            url: getAttribute(attrs, 'data-search-url') || `${pagePath}${id ? `#${id}` : ''}`
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Index for every rendered page: [{ pagePath, html }]
+ */
+function buildSearchIndex(pages) {
+    return pages.flatMap(({ pagePath, html }) => extractSearchEntries(html, pagePath));
+}
+
+/**
+ * The index as a script, so it loads offline and from file:// without fetch()
+ */
+function renderSearchIndexScript(entries) {
+    return `/**
+ * GCT Website - Search Index
+ * Generated by build/build.js from the page templates. Do not edit.
+ */
+
+const SEARCH_INDEX = [
+${entries.map(entry => `    ${JSON.stringify(entry)}`).join(',\n')}
+];
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SEARCH_INDEX };
+}
+`;
+}
+
+module.exports = { extractSearchEntries, buildSearchIndex, renderSearchIndexScript, htmlToText };
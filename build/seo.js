@@ -0,0 +1,243 @@
+/**
+ * GCT Website - Search Engine Metadata
+ * Adds a canonical link, Open Graph and Twitter card tags and JSON-LD
+ * structured data to each page's <head>, and writes sitemap.xml and
+ * robots.txt into the built site
+ *
+ * A page's card image is its hero image (img.hero-bg-image), else its
+ * program's pathway image, else the front of the college.
+ *
+ * Structured data:
+ *   index.html                    CollegeOrUniversity
+ *   program: <id> (front matter)  EducationalOccupationalProgram for the program
+ *   [data-catalog="pathways"]     one for every program
+ *   .faq-item                     FAQPage from the questions and answers
+ *
+ * Pages with `robots: noindex` in their front matter stay out of the sitemap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { escapeHTML } = require('../scripts/html.js');
+const { getProgram } = require('./catalog.js');
+const { htmlToText } = require('./search-index.js');
+
+const COLLEGE = {
+    name: 'Government College of Technology, Bhakkar',
+    alternateName: 'GCT Bhakkar',
+    logo: 'images/GCT-Logo.png',
+    image: 'images/GCT-Front-View.jpeg',
+    telephone: '+92-453-220141',
+    email: 'gct786bhakkar@gmail.com',
+    address: {
+        streetAddress: 'GCT Campus, Main Road',
+        addressLocality: 'Bhakkar',
+        addressRegion: 'Punjab',
+        addressCountry: 'PK'
+    },
+    sameAs: ['https://facebook.com/gctbhakkar']
+};
+
+const CREDENTIAL = 'Diploma of Associate Engineer (DAE)';
+
+// FEE_STRUCTURE shows amounts as "Rs."; structured data wants the ISO code
+const CURRENCY = 'PKR';
+
+const HOME_PAGE = 'index.html';
+const HERO_IMAGE = /<img\b[^>]*\sclass="hero-bg-image"[^>]*>/;
+const FAQ_ITEM = /<button class="faq-question"[^>]*>([\s\S]*?)<\/button>[\s\S]*?<div class="faq-answer-content"[^>]*>([\s\S]*?)<\/div>/g;
+const NOINDEX = /<meta name="robots" content="[^"]*\bnoindex\b/;
+
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : '';
+}
+
+/**
+ * Public address of a page; the home page is the site root
+ */
+function getPageUrl(pagePath, siteUrl) {
+    return pagePath === HOME_PAGE ? siteUrl : `${siteUrl}${encodeURI(pagePath)}`;
+}
+
+function getAbsoluteUrl(src, siteUrl) {
+    return `${siteUrl}${encodeURI(src.replace(/^(\.\.\/)*\/?/, ''))}`;
+}
+
+/**
+ * The image for a page's card, as { src, alt } relative to the site root
+ */
+function getPageImage(html, program) {
+    const hero = html.match(HERO_IMAGE);
+    const src = hero ? getAttribute(hero[0], 'src') : '';
+
+    if (src) return { src, alt: getAttribute(hero[0], 'alt') };
+    if (program) return { src: program.pathway.image, alt: program.pathway.imageAlt };
+    return { src: COLLEGE.image, alt: COLLEGE.name };
+}
+
+function renderSocialMeta(page) {
+    const { pagePath, data, html, program, siteUrl } = page;
+    const image = getPageImage(html, program);
+    const title = data.ogTitle || data.title.split(' | ')[0];
+    const description = data.ogDescription || data.description || '';
+    const tags = [
+        ['property', 'og:site_name', COLLEGE.alternateName],
+        ['property', 'og:type', data.ogType || 'website'],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', getPageUrl(pagePath, siteUrl)],
+        ['property', 'og:image', getAbsoluteUrl(image.src, siteUrl)],
+        ['property', 'og:image:alt', image.alt],
+        ['name', 'twitter:card', 'summary_large_image'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', getAbsoluteUrl(image.src, siteUrl)],
+        ['name', 'twitter:image:alt', image.alt]
+    ];
+
+    return [
+        `<link rel="canonical" href="${escapeHTML(getPageUrl(pagePath, siteUrl))}">`,
+        ...tags.filter(([, , content]) => content)
+            .map(([attr, name, content]) => `<meta ${attr}="${name}" content="${escapeHTML(content)}">`)
+    ].join('\n');
+}
+
+function getCollegeReference(siteUrl) {
+    return { '@type': 'CollegeOrUniversity', '@id': `${siteUrl}#college`, name: COLLEGE.name, url: siteUrl };
+}
+
+function getCollegeData(siteUrl) {
+    return {
+        ...getCollegeReference(siteUrl),
+        alternateName: COLLEGE.alternateName,
+        logo: getAbsoluteUrl(COLLEGE.logo, siteUrl),
+        image: getAbsoluteUrl(COLLEGE.image, siteUrl),
+        telephone: COLLEGE.telephone,
+        email: COLLEGE.email,
+        address: { '@type': 'PostalAddress', ...COLLEGE.address },
+        sameAs: COLLEGE.sameAs
+    };
+}
+
+function getProgramData(program, fees, siteUrl) {
+    const yearly = fees && fees.programs[program.id];
+
+    return {
+        '@type': 'EducationalOccupationalProgram',
+        name: program.name,
+        description: program.pathway.summary,
+        url: getPageUrl(program.page, siteUrl),
+        image: getAbsoluteUrl(program.pathway.image, siteUrl),
+        provider: getCollegeReference(siteUrl),
+        educationalCredentialAwarded: CREDENTIAL,
+        educationalProgramMode: 'in-person',
+        timeToComplete: `P${program.duration}Y`,
+        ...(yearly && {
+            offers: {
+                '@type': 'Offer',
+                category: 'Tuition',
+                price: yearly.reduce((sum, fee) => sum + fee, 0),
+                priceCurrency: CURRENCY
+            }
+        }),
+        hasCourse: program.years.flatMap(year => year.courses).map(course => ({
+            '@type': 'Course',
+            courseCode: course.code,
+            name: course.title,
+            provider: getCollegeReference(siteUrl)
+        }))
+    };
+}
+
+function getFaqData(html) {
+    const questions = [];
+    let match;
+
+    FAQ_ITEM.lastIndex = 0;
+    while ((match = FAQ_ITEM.exec(html))) {
+        questions.push({
+            '@type': 'Question',
+            name: htmlToText(match[1]),
+            acceptedAnswer: { '@type': 'Answer', text: htmlToText(match[2]) }
+        });
+    }
+
+    return questions.length > 0 ? { '@type': 'FAQPage', mainEntity: questions } : null;
+}
+
+/**
+ * Structured data for a page: page { pagePath, template, html, program, catalog, fees, siteUrl }
+ */
+function getStructuredData(page) {
+    const { pagePath, template, html, program, catalog, fees, siteUrl } = page;
+    const programs = /\sdata-catalog="pathways"/.test(template) ? catalog : [program].filter(Boolean);
+
+    return [
+        pagePath === HOME_PAGE ? getCollegeData(siteUrl) : null,
+        ...programs.map(item => getProgramData(item, fees, siteUrl)),
+        getFaqData(html)
+    ].filter(Boolean);
+}
+
+// "<" is escaped so answer text can never close the script element
+function renderStructuredData(items) {
+    return items.map(item => `<script type="application/ld+json">${
+        JSON.stringify({ '@context': 'https://schema.org', ...item }).replace(/</g, '\\u003c')
+    }</script>`).join('\n');
+}
+
+/**
+ * Head markup for one page
+ * page: { pagePath, data, template, html, catalog, fees, siteUrl }, where
+ * template is the page's own markup and html the rendered content
+ */
+function renderSeo(page) {
+    const program = getProgram(page.data.program, page.catalog);
+    const full = { ...page, program };
+
+    return [renderSocialMeta(full), renderStructuredData(getStructuredData(full))].filter(Boolean).join('\n');
+}
+
+function isIndexable(html) {
+    return !NOINDEX.test(html);
+}
+
+function renderSitemap(pagePaths, siteUrl) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pagePaths.map(pagePath => `    <url><loc>${escapeHTML(getPageUrl(pagePath, siteUrl))}</loc></url>`).join('\n')}
+</urlset>
+`;
+}
+
+function renderRobots(siteUrl) {
+    return `User-agent: *
+Allow: /
+
+Sitemap: ${siteUrl}sitemap.xml
+`;
+}
+
+/**
+ * Write sitemap.xml, listing the indexable pages: [{ pagePath, html }], and robots.txt
+ */
+function writeSeoFiles(outDir, pages, siteUrl) {
+    const indexable = pages.filter(page => isIndexable(page.html)).map(page => page.pagePath).sort();
+
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), renderSitemap(indexable, siteUrl));
+    fs.writeFileSync(path.join(outDir, 'robots.txt'), renderRobots(siteUrl));
+}
+
+module.exports = {
+    COLLEGE,
+    getPageUrl,
+    getPageImage,
+    getStructuredData,
+    renderSeo,
+    isIndexable,
+    renderSitemap,
+    renderRobots,
+    writeSeoFiles
+};
@@ -0,0 +1,272 @@
+/**
+ * GCT Website - Analytics
+ * Counts page views, outbound links, opened FAQ questions, carousel moves
+ * and how far visitors get through forms, for the collector in
+ * server/analytics.js. Nothing is counted until the visitor agrees, in the
+ * banner from src/partials/consent.html or the preferences panel, and
+ * nothing at all while the browser sends Do Not Track or Global Privacy
+ * Control.
+ *
+ * Events carry the page's path and names taken from the markup: never
+ * anything typed into a form, and no cookies or visitor ids. They are
+ * queued and sent in batches with navigator.sendBeacon, or a keepalive
+ * fetch where there is none, at the latest when the page is hidden.
+ *
+ * Markup:
+ *   data-analytics-area="social"      names the area of the outbound links inside
+ *   data-analytics-form="contact"     counts the form's funnel: start, wizard
+ *                                     steps, submitted, then how sending went
+ */
+
+import { registerComponent } from './components.js';
+
+const ANALYTICS_STORAGE_KEY = 'gct-analytics';
+const CONSENT_CHOICES = ['granted', 'denied'];
+const BATCH_SIZE = 10;
+
+/**
+ * Whether the browser asks sites not to track it
+ */
+function isTrackingBlocked() {
+    const doNotTrack = navigator.doNotTrack || window.doNotTrack;
+    return doNotTrack === '1' || doNotTrack === 'yes' || navigator.globalPrivacyControl === true;
+}
+
+/**
+ * The visitor's choice, 'granted' or 'denied', or null before they make one
+ */
+function loadConsent() {
+    try {
+        const saved = localStorage.getItem(ANALYTICS_STORAGE_KEY);
+        return CONSENT_CHOICES.includes(saved) ? saved : null;
+    } catch (e) {
+        // Storage blocked: ask again on every page, counting nothing meanwhile
+        return null;
+    }
+}
+
+function saveConsent(consent) {
+    try {
+        localStorage.setItem(ANALYTICS_STORAGE_KEY, consent);
+    } catch (e) {
+        // Storage blocked: the choice holds for this page
+    }
+}
+
+/**
+ * The page's path from the site root, e.g. divisions/computing.html
+ */
+function getPagePath() {
+    const root = new URL(document.documentElement.dataset.root || './', window.location.href);
+    const pathname = decodeURI(window.location.pathname);
+    const page = pathname.startsWith(root.pathname)
+        ? pathname.slice(root.pathname.length)
+        : pathname.replace(/^\//, '');
+
+    return !page || page.endsWith('/') ? `${page}index.html` : page;
+}
+
+/**
+ * What an outbound link leads to: 'tel', 'mailto' or another site's host
+ */
+function getOutboundTarget(link) {
+    const url = new URL(link.href, window.location.href);
+
+    if (url.protocol === 'tel:' || url.protocol === 'mailto:') return url.protocol.slice(0, -1);
+    if (/^https?:$/.test(url.protocol) && url.origin !== window.location.origin) {
+        return url.hostname.replace(/^www\./, '');
+    }
+    return null;
+}
+
+/**
+ * Analytics
+ * One per page, started by the consent component once it knows where to
+ * send events and the visitor has agreed.
+ */
+class Analytics {
+    constructor() {
+        this.endpoint = null;
+        this.queue = [];
+        this.started = false;
+        this.startedForms = new Set();
+
+        this.listeners = [
+            [document, 'click', (e) => this.handleClick(e)],
+            [document, 'input', (e) => this.handleInput(e), true],
+            [document, 'carousel:change', (e) => this.handleCarousel(e), true],
+            [document, 'wizard:step', (e) => this.handleWizardStep(e), true],
+            [document, 'form:valid', (e) => this.recordForm(e.target, 'submitted'), true],
+            [document, 'form:state', (e) => this.handleFormState(e), true],
+            [document, 'visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            }],
+            [window, 'pagehide', () => this.flush()]
+        ];
+    }
+
+    // Only called once the visitor has agreed
+    start(endpoint) {
+        if (endpoint) this.endpoint = endpoint;
+        if (this.started || !this.endpoint || isTrackingBlocked()) return;
+
+        this.started = true;
+        this.listeners.forEach(([target, type, handler, capture]) => target.addEventListener(type, handler, capture));
+        this.record('pageview');
+    }
+
+    // Anything not yet sent is dropped
+    stop() {
+        if (!this.started) return;
+
+        this.started = false;
+        this.queue = [];
+        this.listeners.forEach(([target, type, handler, capture]) => target.removeEventListener(type, handler, capture));
+    }
+
+    record(type, details = {}) {
+        if (!this.started) return;
+
+        this.queue.push({ type, page: getPagePath(), ...details });
+        if (this.queue.length >= BATCH_SIZE) this.flush();
+    }
+
+    flush() {
+        if (this.queue.length === 0) return;
+
+        // Sent as text/plain, which a beacon can post without a preflight
+        const body = JSON.stringify({ events: this.queue.splice(0) });
+
+        if (navigator.sendBeacon) {
+            navigator.sendBeacon(this.endpoint, body);
+        } else {
+            fetch(this.endpoint, {
+                method: 'POST',
+                body,
+                keepalive: true,
+                headers: { 'Content-Type': 'text/plain;charset=UTF-8' }
+            }).catch(() => {});
+        }
+    }
+
+    handleClick(e) {
+        const link = e.target.closest('a[href]');
+        const target = link && getOutboundTarget(link);
+
+        if (target) {
+            const area = link.closest('[data-analytics-area]');
+            this.record('outbound', { target, area: area ? area.dataset.analyticsArea : 'page' });
+        }
+
+        // The accordion has already toggled the item; only opening counts
+        const question = e.target.closest('.faq-question');
+        const item = question && question.closest('.faq-item');
+        if (item && item.id && item.classList.contains('open')) {
+            this.record('faq', { item: item.id });
+        }
+    }
+
+    // Slides that move by themselves are not interactions
+    handleCarousel(e) {
+        if (e.detail.user && e.target.id) {
+            this.record('carousel', { carousel: e.target.id });
+        }
+    }
+
+    // A form counts as started once, at its first edit
+    handleInput(e) {
+        const form = e.target.closest('form[data-analytics-form]');
+        if (!form || this.startedForms.has(form)) return;
+
+        this.startedForms.add(form);
+        this.recordForm(form, 'start');
+    }
+
+    handleWizardStep(e) {
+        if (e.detail.index > e.detail.previous) {
+            this.recordForm(e.target, `step-${e.detail.index + 1}`);
+        }
+    }
+
+    handleFormState(e) {
+        this.recordForm(e.target, e.detail.state === 'pending' ? 'submitted' : e.detail.state);
+    }
+
+    recordForm(form, step) {
+        if (form.dataset && form.dataset.analyticsForm) {
+            this.record('form', { form: form.dataset.analyticsForm, step });
+        }
+    }
+}
+
+const analytics = new Analytics();
+
+/**
+ * Consent banner, [data-analytics-endpoint] naming the collector
+ * The preferences panel's [data-analytics-option] checkbox changes the
+ * same choice later.
+ */
+class AnalyticsConsent {
+    constructor(banner) {
+        this.banner = banner;
+        this.endpoint = banner.dataset.analyticsEndpoint;
+        this.options = Array.from(document.querySelectorAll('[data-analytics-option]'));
+
+        this.init();
+    }
+
+    init() {
+        this.banner.querySelectorAll('[data-analytics-choice]').forEach(button => {
+            button.addEventListener('click', () => this.choose(button.dataset.analyticsChoice));
+        });
+
+        this.options.forEach(option => {
+            option.addEventListener('change', () => this.choose(option.checked ? 'granted' : 'denied'));
+        });
+
+        // Chosen in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === ANALYTICS_STORAGE_KEY) this.apply();
+        });
+
+        this.apply();
+    }
+
+    choose(consent) {
+        saveConsent(consent);
+        this.apply(consent);
+    }
+
+    apply(consent = loadConsent()) {
+        const blocked = isTrackingBlocked();
+
+        this.banner.hidden = blocked || consent !== null;
+        this.options.forEach(option => {
+            option.checked = !blocked && consent === 'granted';
+            option.disabled = blocked;
+        });
+        document.querySelectorAll('[data-analytics-blocked]').forEach(note => {
+            note.hidden = !blocked;
+        });
+
+        if (consent === 'granted') {
+            analytics.start(this.endpoint);
+        } else {
+            analytics.stop();
+        }
+    }
+}
+
+registerComponent('analytics-consent', banner => new AnalyticsConsent(banner));
+
+export {
+    Analytics,
+    AnalyticsConsent,
+    analytics,
+    isTrackingBlocked,
+    loadConsent,
+    saveConsent,
+    getPagePath,
+    getOutboundTarget,
+    ANALYTICS_STORAGE_KEY
+};
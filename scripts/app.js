@@ -1,8 +1,26 @@
 /**
  * GCT Website - Main Application
- * Core initialization and utilities
+ * Entry module for every page: loads the site-wide modules, starts the
+ * language, theme and offline services, then every [data-component] on the
+ * page (scripts/components.js). Page scripts named in a page's front matter
+ * load as modules of their own and register their components the same way.
+ *
+ * Components here: page-loader, counter, smooth-scroll, form, faq
  */
 
+import { registerComponent, initComponents } from './components.js';
+import { i18n } from './i18n.js';
+import { motion } from './motion.js';
+import { themeManager } from './theme.js';
+import { OfflineSupport } from './offline.js';
+import { FormValidator } from './validation.js';
+import { InquiryClient } from './inquiries.js';
+import './preferences.js';
+import './navigation.js';
+import './reveals.js';
+import './search.js';
+import './analytics.js';
+
 // DOM Ready helper
 function ready(fn) {
     if (document.readyState !== 'loading') {
@@ -16,12 +34,9 @@ function ready(fn) {
  * Page Loader
  */
 class PageLoader {
-    constructor() {
-        this.loader = document.querySelector('.page-loader');
-
-        if (this.loader) {
-            this.init();
-        }
+    constructor(loader) {
+        this.loader = loader;
+        this.init();
     }
 
     init() {
@@ -63,25 +78,44 @@ class CounterAnimation {
         this.target = parseInt(element.dataset.target) || 0;
         this.duration = options.duration || 2000;
         this.started = false;
+        this.finished = false;
+        this.onLanguageChange = () => {
+            if (this.finished) this.render(this.target, true);
+        };
 
         this.createObserver();
+
+        // Re-format the final value in the new language's digits
+        document.addEventListener('i18n:change', this.onLanguageChange);
     }
 
     createObserver() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting && !this.started) {
-                    this.started = true;
-                    this.animate();
-                    observer.unobserve(entry.target);
-                }
-            });
+        this.stopObserving = motion.observe(this.element, (entry) => {
+            if (entry.isIntersecting && !this.started) {
+                this.started = true;
+                this.stopObserving();
+                this.animate();
+            }
         }, { threshold: 0.5 });
+    }
+
+    destroy() {
+        this.stopObserving();
+        document.removeEventListener('i18n:change', this.onLanguageChange);
+    }
 
-        observer.observe(this.element);
+    render(value, withSuffix = false) {
+        const suffix = withSuffix ? this.element.dataset.suffix || '' : '';
+        this.element.textContent = i18n.formatNumber(value) + suffix;
     }
 
     animate() {
+        if (motion.reduced) {
+            this.finished = true;
+            this.render(this.target, true);
+            return;
+        }
+
         const start = 0;
         const end = this.target;
         const startTime = performance.now();
@@ -94,18 +128,15 @@ class CounterAnimation {
             const easeOut = 1 - Math.pow(1 - progress, 3);
             const current = Math.floor(start + (end - start) * easeOut);
 
-            this.element.textContent = current.toLocaleString();
+            this.render(current);
 
             if (progress < 1) {
                 requestAnimationFrame(update);
             } else {
-                this.element.textContent = end.toLocaleString();
+                this.finished = true;
 
                 // Add suffix if exists
-                const suffix = this.element.dataset.suffix || '';
-                if (suffix) {
-                    this.element.textContent += suffix;
-                }
+                this.render(end, true);
             }
         };
 
@@ -116,8 +147,8 @@ class CounterAnimation {
 /**
  * Smooth scroll for anchor links
  */
-function initSmoothScroll() {
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+function initSmoothScroll(root = document) {
+    root.querySelectorAll('a[href^="#"]').forEach(anchor => {
         anchor.addEventListener('click', function (e) {
             e.preventDefault();
 
@@ -127,7 +158,7 @@ function initSmoothScroll() {
             const target = document.querySelector(targetId);
             if (target) {
                 target.scrollIntoView({
-                    behavior: 'smooth',
+                    behavior: motion.reduced ? 'auto' : 'smooth',
                     block: 'start'
                 });
             }
@@ -136,79 +167,90 @@ function initSmoothScroll() {
 }
 
 /**
- * Form validation and submission
+ * Form validation and submission, for form[data-validate]
  */
-function initForms() {
-    const forms = document.querySelectorAll('form[data-validate]');
+function initForm(form) {
+    const validator = FormValidator.for(form);
+    const endpoint = form.getAttribute('action');
+    const client = endpoint ? new InquiryClient({ endpoint }) : null;
 
-    forms.forEach(form => {
-        form.addEventListener('submit', function (e) {
-            e.preventDefault();
+    // Send anything queued while offline on a previous visit
+    if (client) client.flush();
 
-            // Basic validation
-            const inputs = this.querySelectorAll('[required]');
-            let isValid = true;
-
-            inputs.forEach(input => {
-                if (!input.value.trim()) {
-                    isValid = false;
-                    input.classList.add('error');
-                } else {
-                    input.classList.remove('error');
-                }
-            });
+    form.addEventListener('submit', function (e) {
+        e.preventDefault();
 
-            if (isValid) {
-                // Handle form submission
-                const formData = new FormData(this);
-                console.log('Form submitted:', Object.fromEntries(formData));
+        const invalid = validator.validate();
 
-                // Show success message
-                const successMsg = this.querySelector('.form-success');
-                if (successMsg) {
-                    successMsg.style.display = 'block';
-                }
+        if (invalid.length > 0) {
+            this.dispatchEvent(new CustomEvent('form:invalid', { detail: { fields: invalid } }));
+            return;
+        }
 
-                // Reset form
-                this.reset();
-            }
-        });
+        if (client) {
+            submitInquiry(this, client, validator);
+        } else {
+            // Forms without an endpoint are handled by their own component
+            this.dispatchEvent(new CustomEvent('form:valid', { detail: { data: new FormData(this) } }));
+        }
     });
 }
 
+// Status text for each submission state, in the current language
+const FORM_MESSAGES = {
+    pending: () => i18n.t('form.status.pending'),
+    sent: () => i18n.t('form.status.sent'),
+    queued: () => i18n.t('form.status.queued'),
+    rejected: () => i18n.t('form.status.rejected'),
+    error: () => i18n.t('form.status.error')
+};
 /**
- * Initialize all page functionality
+ * Submit a validated form through the inquiry client
  */
-ready(() => {
-    // Page loader
-    new PageLoader();
-
-    // Initialize counters
-    document.querySelectorAll('[data-counter]').forEach(el => {
-        new CounterAnimation(el);
-    });
-
-    // Smooth scroll
-    initSmoothScroll();
-
-    // Forms
-    initForms();
-
-    // FAQ Accordion
-    initFAQ();
+async function submitInquiry(form, client, validator) {
+    const submitBtn = form.querySelector('[type="submit"]');
+    const data = Object.fromEntries(new FormData(form));
+
+    setFormState(form, 'pending');
+    if (submitBtn) submitBtn.disabled = true;
+
+    try {
+        const result = await client.submit(data);
+        setFormState(form, result.status);
+        form.reset();
+    } catch (err) {
+        Object.entries(err.fields || {}).forEach(([name, message]) => {
+            const input = form.elements[name];
+            if (input) validator.showError(input, message);
+        });
+        setFormState(form, err.rejected ? 'rejected' : 'error');
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
 
-    // Testimonials Carousel
-    initTestimonialCarousel();
+/**
+ * Reflect submission state on the form and its status region, and announce
+ * it as "form:state"
+ */
+function setFormState(form, state) {
+    form.dataset.state = state;
+    form.setAttribute('aria-busy', state === 'pending' ? 'true' : 'false');
+
+    const status = form.querySelector('.form-status');
+    if (status) {
+        status.className = `form-status form-status--${state}`;
+        status.textContent = FORM_MESSAGES[state] ? FORM_MESSAGES[state]() : '';
+    }
 
-    // Log initialization
-    console.log('GCT Website initialized successfully');
-});
+    form.dispatchEvent(new CustomEvent('form:state', { detail: { state } }));
+}
 
 /**
  * FAQ Accordion
  */
-function initFAQ() {
-    const faqItems = document.querySelectorAll('.faq-item');
+function initFAQ(root = document) {
+    const faqItems = root.querySelectorAll('.faq-item');
 
     faqItems.forEach(item => {
         const question = item.querySelector('.faq-question');
@@ -225,48 +267,42 @@ function initFAQ() {
             });
         }
     });
-}
 
-/**
- * Testimonials Carousel
- */
-function initTestimonialCarousel() {
-    const track = document.getElementById('testimonialTrack');
-    const dotsContainer = document.getElementById('testimonialDots');
-
-    if (!track || !dotsContainer) return;
+    // Open the question a link points to, e.g. a site search result
+    const openFromHash = () => {
+        const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+        const item = target && target.closest('.faq-item');
+        if (item) item.classList.add('open');
+    };
 
-    const slides = track.querySelectorAll('.testimonial-slide');
-    let currentSlide = 0;
+    openFromHash();
+    window.addEventListener('hashchange', openFromHash);
 
-    // Create dots
-    slides.forEach((_, index) => {
-        const dot = document.createElement('button');
-        dot.className = 'testimonial-dot' + (index === 0 ? ' active' : '');
-        dot.addEventListener('click', () => goToSlide(index));
-        dotsContainer.appendChild(dot);
-    });
+    return {
+        destroy() {
+            window.removeEventListener('hashchange', openFromHash);
+        }
+    };
+}
 
-    const dots = dotsContainer.querySelectorAll('.testimonial-dot');
+registerComponent('page-loader', loader => new PageLoader(loader));
+registerComponent('counter', el => new CounterAnimation(el));
+registerComponent('smooth-scroll', root => initSmoothScroll(root));
+registerComponent('form', initForm);
+registerComponent('faq', initFAQ);
 
-    function goToSlide(index) {
-        currentSlide = index;
-        track.style.transform = `translateX(-${index * 100}%)`;
-        dots.forEach((dot, i) => {
-            dot.classList.toggle('active', i === index);
-        });
-    }
+/**
+ * Initialize all page functionality
+ */
+ready(() => {
+    i18n.init();
+    themeManager.init();
+    new OfflineSupport();
 
-    // Auto-rotate every 5 seconds
-    setInterval(() => {
-        currentSlide = (currentSlide + 1) % slides.length;
-        goToSlide(currentSlide);
-    }, 5000);
-}
+    initComponents();
 
-// Footer managed by navigation.js
+    // Log initialization
+    console.log('GCT Website initialized successfully');
+});
 
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PageLoader, CounterAnimation, generateFooter };
-}
+export { PageLoader, CounterAnimation, initSmoothScroll, initForm, initFAQ, setFormState };
@@ -0,0 +1,249 @@
+/**
+ * GCT Website - Online Application Wizard
+ * Multi-step admission form with save-and-resume and a printable summary
+ * A "wizard:step" event fires on the form each time a step is shown.
+ */
+
+import { registerComponent } from './components.js';
+import { i18n } from './i18n.js';
+import { validateFields } from './validation.js';
+
+class ApplicationWizard {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.steps = Array.from(form.querySelectorAll('.wizard-step'));
+        this.progressItems = form.querySelectorAll('.wizard-progress__item');
+        this.summary = form.querySelector('.application-summary');
+        this.draftStatus = form.querySelector('.wizard-draft-status');
+        this.storageKey = options.storageKey || 'gct-application-draft';
+        this.current = 0;
+
+        this.init();
+    }
+
+    init() {
+        this.restore();
+
+        this.form.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-wizard-action]');
+            if (!button) return;
+
+            switch (button.dataset.wizardAction) {
+                case 'next':
+                    this.next();
+                    break;
+                case 'prev':
+                    this.goTo(this.current - 1);
+                    break;
+                case 'print':
+                    window.print();
+                    break;
+                case 'clear':
+                    this.clear();
+                    break;
+            }
+        });
+
+        const onEdit = () => {
+            this.save();
+            this.setDraftStatus(i18n.t('application.draftSaved'));
+        };
+        this.form.addEventListener('input', onEdit);
+        this.form.addEventListener('change', onEdit);
+
+        // Final submit is validated by initForms() in app.js
+        this.form.addEventListener('form:valid', () => {
+            this.renderSummary();
+            this.goTo(this.steps.length - 1);
+        });
+
+        this.form.addEventListener('form:invalid', (e) => {
+            const field = e.detail.fields[0];
+            const step = this.steps.findIndex(s => s.contains(field));
+            if (step !== -1) this.goTo(step, false);
+            field.focus();
+        });
+
+        this.goTo(this.current, false);
+    }
+
+    next() {
+        const invalid = validateFields(this.steps[this.current]);
+        if (invalid.length > 0) return;
+
+        this.goTo(this.current + 1);
+    }
+
+    goTo(index, moveFocus = true) {
+        // The summary is only reachable through a validated submit
+        if (index === this.steps.length - 1 && !this.summary.hasChildNodes()) {
+            index = this.steps.length - 2;
+        }
+
+        const previous = this.current;
+        this.current = Math.max(0, Math.min(index, this.steps.length - 1));
+
+        this.steps.forEach((step, i) => {
+            step.hidden = i !== this.current;
+        });
+
+        this.progressItems.forEach((item, i) => {
+            item.classList.toggle('wizard-progress__item--active', i === this.current);
+            item.classList.toggle('wizard-progress__item--done', i < this.current);
+            if (i === this.current) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        if (moveFocus) {
+            this.steps[this.current].querySelector('.wizard-step__title').focus();
+        }
+
+        this.save();
+
+        this.form.dispatchEvent(new CustomEvent('wizard:step', {
+            detail: { index: this.current, previous, count: this.steps.length }
+        }));
+    }
+
+    /**
+     * Collect form values, grouping repeated names (checkbox lists) into arrays
+     */
+    getValues() {
+        const values = {};
+
+        for (const [key, value] of new FormData(this.form)) {
+            if (key in values) {
+                values[key] = [].concat(values[key], value);
+            } else {
+                values[key] = value;
+            }
+        }
+
+        return values;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                step: this.current,
+                values: this.getValues(),
+                savedAt: new Date().toISOString()
+            }));
+        } catch (err) {
+            this.setDraftStatus(i18n.t('application.draftBlocked'));
+        }
+    }
+
+    restore() {
+        let draft = null;
+
+        try {
+            draft = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (err) {
+            draft = null;
+        }
+
+        if (!draft || !draft.values) return;
+
+        Array.from(this.form.elements).forEach(el => {
+            if (!el.name) return;
+
+            const saved = [].concat(draft.values[el.name] ?? []);
+
+            if (el.type === 'checkbox' || el.type === 'radio') {
+                el.checked = saved.includes(el.value);
+            } else if (saved.length > 0) {
+                el.value = saved[0];
+            }
+        });
+
+        this.current = draft.step || 0;
+        if (this.current === this.steps.length - 1) {
+            this.renderSummary();
+        }
+
+        const savedAt = new Date(draft.savedAt);
+        this.setDraftStatus(i18n.t('application.draftRestored', { date: i18n.formatDate(savedAt, { dateStyle: 'medium' }) }));
+    }
+
+    clear() {
+        if (!window.confirm(i18n.t('application.confirmClear'))) return;
+
+        this.form.reset();
+        this.summary.innerHTML = '';
+        this.goTo(0);
+        localStorage.removeItem(this.storageKey);
+        this.setDraftStatus(i18n.t('application.draftCleared'));
+    }
+
+    setDraftStatus(message) {
+        if (this.draftStatus) {
+            this.draftStatus.textContent = message;
+        }
+    }
+
+    /**
+     * Build the printable summary from each step's labels and values
+     */
+    renderSummary() {
+        const values = this.getValues();
+        this.summary.innerHTML = '';
+
+        const heading = document.createElement('p');
+        heading.className = 'application-summary__meta';
+        heading.textContent = i18n.t('application.summaryHeading', { date: i18n.formatDate(new Date(), { dateStyle: 'medium' }) });
+        this.summary.appendChild(heading);
+
+        this.steps.slice(0, -1).forEach(step => {
+            const section = document.createElement('section');
+            section.className = 'application-summary__section';
+
+            const title = document.createElement('h4');
+            title.textContent = step.querySelector('.wizard-step__title').textContent;
+            section.appendChild(title);
+
+            const list = document.createElement('dl');
+            const seen = new Set();
+
+            step.querySelectorAll('[name]').forEach(el => {
+                if (seen.has(el.name)) return;
+                seen.add(el.name);
+
+                if (el.name === 'declaration') return;
+
+                const label = el.type === 'checkbox'
+                    ? title.textContent
+                    : step.querySelector(`label[for="${el.id}"]`)?.textContent;
+                const value = [].concat(values[el.name] ?? []).join(', ');
+
+                const term = document.createElement('dt');
+                term.textContent = label || el.name;
+                const detail = document.createElement('dd');
+                detail.textContent = value || '—';
+                list.append(term, detail);
+
+                if (el.name === 'marksTotal' && values.marksObtained) {
+                    const pctTerm = document.createElement('dt');
+                    pctTerm.textContent = i18n.t('application.percentage');
+                    const pct = document.createElement('dd');
+                    pct.textContent = i18n.formatNumber(values.marksObtained / values.marksTotal, {
+                        style: 'percent',
+                        minimumFractionDigits: 2,
+                        maximumFractionDigits: 2
+                    });
+                    list.append(pctTerm, pct);
+                }
+            });
+
+            section.appendChild(list);
+            this.summary.appendChild(section);
+        });
+    }
+}
+
+registerComponent('application-wizard', form => new ApplicationWizard(form));
+
+export { ApplicationWizard };
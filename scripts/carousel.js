@@ -0,0 +1,413 @@
+/**
+ * GCT Website - Carousel
+ * Accessible, touch-enabled carousel for any [data-carousel] element
+ *
+ * Markup:
+ *   <div data-carousel="slide|fade" data-carousel-interval="5000" aria-label="...">
+ *     <div data-carousel-track>
+ *       <div data-carousel-slide>...</div>
+ *     </div>
+ *     <button data-carousel-prev>, <button data-carousel-next>,
+ *     <button data-carousel-toggle>, <div data-carousel-dots>
+ *   </div>
+ *
+ * Controls may also sit outside the carousel with data-carousel-for="<id>".
+ * "slide" moves the track and loops through cloned edge slides; "fade"
+ * toggles the active class on stacked slides. Autoplay pauses on hover,
+ * focus, hidden tabs and the toggle button, and is off for reduced motion.
+ *
+ * Instance API: Carousel.getInstance(element), next(), prev(), goTo(index),
+ * play(), pause(), destroy(); a "carousel:change" event fires on each move.
+ */
+
+import { registerComponent } from './components.js';
+import { i18n } from './i18n.js';
+import { motion } from './motion.js';
+
+const CAROUSEL_SWIPE_THRESHOLD = 40;
+const carouselInstances = new WeakMap();
+
+class Carousel {
+    constructor(root, options = {}) {
+        this.root = root;
+        this.mode = options.mode || root.dataset.carousel || 'slide';
+        this.interval = options.interval ?? parseInt(root.dataset.carouselInterval || '5000', 10);
+        this.activeClass = options.activeClass || 'active';
+        this.track = root.querySelector('[data-carousel-track]') || root;
+        this.slides = Array.from(root.querySelectorAll('[data-carousel-slide]'));
+        this.index = Math.max(0, this.slides.findIndex(slide => slide.classList.contains(this.activeClass)));
+
+        // Reasons autoplay is held back: hover, focus, hidden, user
+        this.holds = new Set();
+        this.timer = null;
+        this.listeners = [];
+
+        if (this.slides.length > 0) {
+            this.init();
+            carouselInstances.set(root, this);
+        }
+    }
+
+    static getInstance(root) {
+        return carouselInstances.get(root) || null;
+    }
+
+    get count() {
+        return this.slides.length;
+    }
+
+    get isRTL() {
+        return getComputedStyle(this.root).direction === 'rtl';
+    }
+
+    get reducedMotion() {
+        return motion.reduced;
+    }
+
+    /**
+     * Controls inside the carousel, or pointing at it from outside
+     */
+    getControls(name) {
+        const inside = Array.from(this.root.querySelectorAll(`[data-carousel-${name}]`));
+        const outside = this.root.id
+            ? Array.from(document.querySelectorAll(`[data-carousel-${name}][data-carousel-for="${this.root.id}"]`))
+            : [];
+        return [...inside, ...outside];
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    init() {
+        this.root.setAttribute('role', 'region');
+        this.root.setAttribute('aria-roledescription', 'carousel');
+
+        this.slides.forEach(slide => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+        });
+
+        this.status = this.root.querySelector('[data-carousel-status]');
+        if (!this.status) {
+            this.status = document.createElement('p');
+            this.status.className = 'visually-hidden';
+            this.status.setAttribute('aria-live', 'polite');
+            this.status.dataset.carouselStatus = '';
+            this.root.appendChild(this.status);
+        }
+
+        if (this.mode === 'slide' && this.count > 1) this.addClones();
+        this.renderDots();
+        this.bindControls();
+        this.bindGestures();
+        this.bindPauseTriggers();
+
+        this.listen(document, 'i18n:change', () => {
+            this.updateLabels();
+            this.position(false);
+        });
+
+        // Autoplay stops when reduced motion is turned on; play resumes it by hand
+        this.listen(document, 'motion:change', () => {
+            if (this.reducedMotion) this.pause();
+        });
+
+        this.update(false);
+
+        // Started in a background tab: wait until the tab is shown
+        if (document.hidden) this.holds.add('hidden');
+
+        if (this.interval > 0 && this.count > 1 && !this.reducedMotion) {
+            this.play();
+        } else {
+            this.holds.add('user');
+            this.updateToggle();
+        }
+    }
+
+    /**
+     * Copies of the last and first slides at either end, so "next" from the
+     * last slide keeps moving forward before jumping back
+     */
+    addClones() {
+        const makeClone = slide => {
+            const clone = slide.cloneNode(true);
+            clone.removeAttribute('data-carousel-slide');
+            clone.removeAttribute('id');
+            clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+            clone.setAttribute('aria-hidden', 'true');
+            clone.inert = true;
+            clone.dataset.carouselClone = '';
+            return clone;
+        };
+
+        this.track.prepend(makeClone(this.slides[this.count - 1]));
+        this.track.append(makeClone(this.slides[0]));
+        this.offset = this.index + 1;
+
+        this.listen(this.track, 'transitionend', (e) => {
+            if (e.target === this.track) this.settle();
+        });
+    }
+
+    renderDots() {
+        this.dots = [];
+        this.getControls('dots').forEach(container => {
+            container.innerHTML = '';
+            this.slides.forEach((_, i) => {
+                const dot = document.createElement('button');
+                dot.type = 'button';
+                dot.className = container.dataset.carouselDots || 'carousel-dot';
+                this.listen(dot, 'click', () => this.goTo(i, { announce: true }));
+                container.appendChild(dot);
+                this.dots.push(dot);
+            });
+        });
+    }
+
+    bindControls() {
+        this.getControls('prev').forEach(button => {
+            this.listen(button, 'click', () => this.prev({ announce: true }));
+        });
+        this.getControls('next').forEach(button => {
+            this.listen(button, 'click', () => this.next({ announce: true }));
+        });
+        this.toggles = this.getControls('toggle');
+        this.toggles.forEach(button => {
+            this.listen(button, 'click', () => {
+                if (this.holds.has('user')) {
+                    this.play();
+                } else {
+                    this.pause();
+                }
+            });
+        });
+
+        this.listen(this.root, 'keydown', (e) => {
+            const forward = this.isRTL ? 'ArrowLeft' : 'ArrowRight';
+            const back = this.isRTL ? 'ArrowRight' : 'ArrowLeft';
+            const moves = {
+                [forward]: () => this.next({ announce: true }),
+                [back]: () => this.prev({ announce: true }),
+                Home: () => this.goTo(0, { announce: true }),
+                End: () => this.goTo(this.count - 1, { announce: true })
+            };
+
+            if (moves[e.key] && !e.target.closest('input, textarea, select')) {
+                e.preventDefault();
+                moves[e.key]();
+            }
+        });
+    }
+
+    /**
+     * Horizontal swipes; vertical movement still scrolls the page
+     */
+    bindGestures() {
+        let start = null;
+
+        this.listen(this.track, 'pointerdown', (e) => {
+            if (e.pointerType === 'mouse') return;
+            start = { x: e.clientX, y: e.clientY };
+        });
+
+        this.listen(this.track, 'pointerup', (e) => {
+            if (!start) return;
+            const dx = e.clientX - start.x;
+            const dy = e.clientY - start.y;
+            start = null;
+
+            if (Math.abs(dx) < CAROUSEL_SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+
+            // Swiping towards the start of the reading direction shows the next slide
+            const towardsStart = this.isRTL ? dx > 0 : dx < 0;
+            if (towardsStart) {
+                this.next({ announce: true });
+            } else {
+                this.prev({ announce: true });
+            }
+        });
+
+        this.listen(this.track, 'pointercancel', () => { start = null; });
+    }
+
+    bindPauseTriggers() {
+        const hold = (reason, isHeld) => {
+            if (isHeld) {
+                this.holds.add(reason);
+            } else {
+                this.holds.delete(reason);
+            }
+            this.schedule();
+        };
+
+        this.listen(this.root, 'mouseenter', () => hold('hover', true));
+        this.listen(this.root, 'mouseleave', () => hold('hover', false));
+        this.listen(this.root, 'focusin', () => hold('focus', true));
+        this.listen(this.root, 'focusout', (e) => {
+            if (!this.root.contains(e.relatedTarget)) hold('focus', false);
+        });
+        this.listen(document, 'visibilitychange', () => hold('hidden', document.hidden));
+    }
+
+    /**
+     * Restart the autoplay timer if nothing is holding it back
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.holds.size === 0 && this.interval > 0 && this.count > 1) {
+            this.timer = setTimeout(() => this.next(), this.interval);
+        }
+    }
+
+    play() {
+        this.holds.delete('user');
+        this.updateToggle();
+        this.schedule();
+    }
+
+    pause() {
+        this.holds.add('user');
+        this.updateToggle();
+        this.schedule();
+    }
+
+    next(options) {
+        this.goTo(this.index + 1, options);
+    }
+
+    prev(options) {
+        this.goTo(this.index - 1, options);
+    }
+
+    /**
+     * Show a slide; indexes past either end loop around
+     * options: { announce } to read the new position to screen readers
+     */
+    goTo(index, options = {}) {
+        if (this.count < 2) return;
+
+        // Finish any jump off a clone before moving again
+        this.settle();
+
+        const previous = this.index;
+        this.index = ((index % this.count) + this.count) % this.count;
+
+        // Single steps past either end move onto a clone; any other jump
+        // goes straight to the real slide
+        if (this.mode === 'slide') {
+            const step = index - previous;
+            this.offset = (Math.abs(step) === 1 ? previous + step : this.index) + 1;
+        }
+
+        this.update(!this.reducedMotion);
+        if (this.reducedMotion) this.settle();
+
+        if (options.announce) {
+            this.status.textContent = i18n.t('carousel.status', {
+                index: i18n.formatNumber(this.index + 1),
+                count: i18n.formatNumber(this.count)
+            });
+        }
+
+        // Only moves the visitor made are announced
+        this.root.dispatchEvent(new CustomEvent('carousel:change', {
+            detail: { index: this.index, previous, user: Boolean(options.announce), carousel: this }
+        }));
+
+        this.schedule();
+    }
+
+    /**
+     * After moving onto a clone, jump to the real slide it copies
+     */
+    settle() {
+        if (this.mode !== 'slide' || this.offset === this.index + 1) return;
+        this.offset = this.index + 1;
+        this.position(false);
+    }
+
+    position(animate) {
+        if (this.mode !== 'slide') return;
+
+        // Slides run right to left in RTL, so the track moves the other way
+        const direction = this.isRTL ? 1 : -1;
+        this.track.style.transition = animate ? '' : 'none';
+        this.track.style.transform = `translateX(${direction * (this.offset ?? this.index) * 100}%)`;
+
+        if (!animate) {
+            // Apply the jump before transitions come back
+            void this.track.offsetWidth;
+            this.track.style.transition = '';
+        }
+    }
+
+    update(animate) {
+        this.position(animate);
+
+        this.slides.forEach((slide, i) => {
+            const isActive = i === this.index;
+            slide.classList.toggle(this.activeClass, isActive);
+            slide.setAttribute('aria-hidden', isActive ? 'false' : 'true');
+            slide.inert = !isActive;
+        });
+
+        this.dots.forEach((dot, i) => {
+            const isActive = i % this.count === this.index;
+            dot.classList.toggle('active', isActive);
+            if (isActive) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+
+        this.updateLabels();
+    }
+
+    updateLabels() {
+        const count = i18n.formatNumber(this.count);
+
+        this.slides.forEach((slide, i) => {
+            slide.setAttribute('aria-label', i18n.t('carousel.slideLabel', { index: i18n.formatNumber(i + 1), count }));
+        });
+        this.dots.forEach((dot, i) => {
+            dot.setAttribute('aria-label', i18n.t('carousel.goTo', { index: i18n.formatNumber((i % this.count) + 1), count }));
+        });
+        this.getControls('prev').forEach(button => button.setAttribute('aria-label', i18n.t('carousel.previous')));
+        this.getControls('next').forEach(button => button.setAttribute('aria-label', i18n.t('carousel.next')));
+        this.updateToggle();
+    }
+
+    updateToggle() {
+        const paused = this.holds.has('user');
+
+        (this.toggles || []).forEach(button => {
+            button.setAttribute('aria-label', i18n.t(paused ? 'carousel.play' : 'carousel.pause'));
+            button.querySelectorAll('[data-carousel-icon]').forEach(icon => {
+                icon.hidden = icon.dataset.carouselIcon !== (paused ? 'play' : 'pause');
+            });
+        });
+    }
+
+    destroy() {
+        clearTimeout(this.timer);
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.track.querySelectorAll('[data-carousel-clone]').forEach(clone => clone.remove());
+        this.track.style.transform = '';
+        this.slides.forEach(slide => {
+            slide.inert = false;
+            slide.removeAttribute('aria-hidden');
+        });
+        carouselInstances.delete(this.root);
+    }
+}
+
+registerComponent('carousel', root => new Carousel(root));
+
+export { Carousel };
@@ -0,0 +1,115 @@
+/**
+ * GCT Website - Program Comparison
+ * Shows two or three programs of the comparison table rendered by
+ * build/comparison.js, in the order they were picked. The choice is kept
+ * in the address, so a comparison can be shared or linked to, e.g.
+ * pathways.html?compare=electrical,electronics#compare. Without this
+ * script every program is shown.
+ */
+
+import { registerComponent } from './components.js';
+import { i18n } from './i18n.js';
+
+const COMPARE_PARAM = 'compare';
+const MIN_PROGRAMS = 2;
+
+/**
+ * The known programs in a comma-separated ?compare= value, in order and
+ * without repeats, at most max of them
+ */
+function parseComparison(value, programs, max) {
+    const chosen = (value || '').split(',').map(id => id.trim()).filter(id => programs.includes(id));
+    return [...new Set(chosen)].slice(0, max);
+}
+
+/**
+ * Program Comparison
+ */
+class ProgramComparison {
+    constructor(root) {
+        this.root = root;
+        this.form = root.querySelector('[data-comparison-picker]');
+        this.table = root.querySelector('[data-comparison-table]');
+        this.status = root.querySelector('[data-comparison-status]');
+        this.selects = Array.from(this.form.querySelectorAll('select'));
+        this.programs = Array.from(this.selects[0].options, option => option.value);
+
+        this.init();
+    }
+
+    init() {
+        this.readAddress();
+        this.form.hidden = false;
+
+        this.form.addEventListener('change', () => this.update());
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+
+        this.update({ record: false, announce: false });
+    }
+
+    // Too few known programs, e.g. from an old link, are made up from the first ones
+    readAddress() {
+        const params = new URLSearchParams(window.location.search);
+        const chosen = parseComparison(params.get(COMPARE_PARAM), this.programs, this.selects.length);
+        const values = chosen.length >= MIN_PROGRAMS
+            ? chosen
+            : [...chosen, ...this.programs.filter(id => !chosen.includes(id))].slice(0, MIN_PROGRAMS);
+
+        this.selects.forEach((select, i) => {
+            select.value = values[i] || '';
+        });
+    }
+
+    getSelection() {
+        return [...new Set(this.selects.map(select => select.value).filter(Boolean))];
+    }
+
+    update({ record = true, announce = true } = {}) {
+        const selection = this.getSelection();
+
+        // A program can only fill one column
+        this.selects.forEach(select => {
+            Array.from(select.options).forEach(option => {
+                option.disabled = option.value !== '' && option.value !== select.value && selection.includes(option.value);
+            });
+        });
+
+        this.showColumns(selection);
+        this.root.dataset.columns = selection.length;
+        if (announce) {
+            this.status.textContent = i18n.t('comparison.status', { programs: this.formatNames(selection) });
+        }
+        if (record) this.writeAddress(selection);
+    }
+
+    // Chosen cells move to the front of each row, in the order picked
+    showColumns(selection) {
+        this.table.querySelectorAll('tr').forEach(row => {
+            const cells = Array.from(row.querySelectorAll('[data-program]'));
+            const chosen = selection.map(id => cells.find(cell => cell.dataset.program === id));
+
+            [...chosen, ...cells.filter(cell => !chosen.includes(cell))].forEach(cell => {
+                cell.hidden = !chosen.includes(cell);
+                row.appendChild(cell);
+            });
+        });
+    }
+
+    formatNames(selection) {
+        const names = selection.map(id => this.table.querySelector(`thead [data-program="${id}"]`).textContent.trim());
+        return new Intl.ListFormat(i18n.language, { type: 'conjunction' }).format(names);
+    }
+
+    // Shared links open at the comparison
+    writeAddress(selection) {
+        const section = this.root.closest('[id]');
+        const { pathname, hash } = window.location;
+        const query = `?${COMPARE_PARAM}=${selection.join(',')}`;
+
+        history.replaceState(history.state, '', `${pathname}${query}${section ? `#${section.id}` : hash}`);
+    }
+}
+
+registerComponent('program-comparison', root => new ProgramComparison(root));
+
+export { ProgramComparison, parseComparison };
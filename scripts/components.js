@@ -0,0 +1,100 @@
+/**
+ * GCT Website - Components
+ * Registry for the widgets on a page. Markup opts in with a
+ * data-component attribute naming one or more registered components:
+ *
+ *   <div data-component="carousel" data-carousel="fade">...</div>
+ *   <form data-component="form application-wizard" data-validate data-wizard>
+ *
+ * Each module registers its components when it loads:
+ *
+ *   registerComponent('carousel', element => new Carousel(element));
+ *
+ * The init function gets the element and returns the instance, if any.
+ * destroyComponents() calls the instance's destroy() where it has one;
+ * components that only listen to their own element can leave it out.
+ * Components registered after the page has started (a page script loaded
+ * late) are set up straight away.
+ */
+
+const COMPONENT_ATTRIBUTE = 'data-component';
+
+const componentTypes = new Map();
+const mountedComponents = new WeakMap();
+let componentsStarted = false;
+
+function getComponentNames(element) {
+    return (element.getAttribute(COMPONENT_ATTRIBUTE) || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * [data-component] elements inside root, and root itself
+ */
+function findComponentElements(root) {
+    const elements = Array.from(root.querySelectorAll(`[${COMPONENT_ATTRIBUTE}]`));
+    if (root.nodeType === Node.ELEMENT_NODE && root.hasAttribute(COMPONENT_ATTRIBUTE)) elements.unshift(root);
+    return elements;
+}
+
+function mountComponent(element, name) {
+    const mounted = mountedComponents.get(element) || new Map();
+    if (mounted.has(name)) return;
+
+    try {
+        mounted.set(name, componentTypes.get(name)(element) || null);
+        mountedComponents.set(element, mounted);
+    } catch (err) {
+        // One broken widget shouldn't stop the rest of the page
+        console.error(`Component "${name}" failed to start:`, err);
+    }
+}
+
+function registerComponent(name, init) {
+    if (componentTypes.has(name)) throw new Error(`Component "${name}" is already registered`);
+    componentTypes.set(name, init);
+
+    if (componentsStarted) {
+        findComponentElements(document)
+            .filter(element => getComponentNames(element).includes(name))
+            .forEach(element => mountComponent(element, name));
+    }
+}
+
+/**
+ * Start the components in root, e.g. after adding markup to the page;
+ * ones already running are left alone
+ */
+function initComponents(root = document) {
+    componentsStarted = true;
+
+    findComponentElements(root).forEach(element => {
+        getComponentNames(element)
+            .filter(name => componentTypes.has(name))
+            .forEach(name => mountComponent(element, name));
+    });
+}
+
+/**
+ * Stop the components in root, e.g. before removing its markup
+ */
+function destroyComponents(root = document) {
+    findComponentElements(root).forEach(element => {
+        const mounted = mountedComponents.get(element);
+        if (!mounted) return;
+
+        mounted.forEach(instance => {
+            if (instance && typeof instance.destroy === 'function') instance.destroy();
+        });
+        mountedComponents.delete(element);
+    });
+}
+
+/**
+ * The running instance of a component on an element, or null
+ */
+function getComponent(element, name) {
+    const mounted = mountedComponents.get(element);
+    return (mounted && mounted.get(name)) || null;
+}
+
+export { registerComponent, initComponents, destroyComponents, getComponent, COMPONENT_ATTRIBUTE };
@@ -0,0 +1,48 @@
+/**
+ * GCT Website - Admission Rules
+ * Single source for the DAE eligibility criteria shown on enrollment.html
+ */
+
+const ADMISSION_RULES = {
+    // Minimum matriculation marks, as a percentage of total marks
+    minPercentage: 50,
+
+    // Matric groups accepted for DAE programs
+    groups: ['Science', 'Technical'],
+
+    age: {
+        min: 15,
+        max: 25,
+        // Age is counted on the submission deadline (late August)
+        referenceMonth: 8,
+        referenceDay: 31
+    },
+
+    // Districts served by the local quota; everyone else competes on open merit
+    localDistricts: ['Bhakkar'],
+
+    districts: [
+        'Bhakkar',
+        'Layyah',
+        'Mianwali',
+        'Jhang',
+        'Khushab',
+        'Other Punjab',
+        'Other Province'
+    ],
+
+    // Programs open for admission, by PROGRAM_CATALOG id (scripts/data/programs.js),
+    // with any per-program overrides of minPercentage / groups
+    programs: {
+        computing: {},
+        electrical: {},
+        machinery: {},
+        construction: {},
+        circuits: {}
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ADMISSION_RULES };
+}
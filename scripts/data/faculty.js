@@ -0,0 +1,92 @@
+/**
+ * GCT Website - Faculty
+ * Single source for the staff listing: the faculty directory, each
+ * member's profile page and the division pages' faculty sections are all
+ * rendered from this list.
+ *
+ * To add a member, add an entry below:
+ *   id              profile address, faculty/<id>.html; lowercase words and dashes
+ *   name            full name as it should be shown
+ *   department      the id of a program in PROGRAM_CATALOG (scripts/data/programs.js)
+ *   role            one of the FACULTY_ROLES ids
+ *   title           shown instead of the role's label, e.g. 'Electrical Engineer'
+ *   qualifications  highest first
+ *   subjects        course codes from the program catalog
+ *   officeHours     { day: 'monday', from: '10:00', to: '11:30' }, Monday to Saturday,
+ *                   24-hour times
+ *   office          where to find them during office hours
+ *   photo           file in images/ (default a placeholder)
+ *
+ * The build checks every department, role, course code and photo is known.
+ */
+
+// Also the order for sorting by seniority
+const FACULTY_ROLES = [
+    { id: 'principal', label: 'Principal' },
+    { id: 'head', label: 'Head of Department' },
+    { id: 'lecturer', label: 'Lecturer' },
+    { id: 'instructor', label: 'Instructor' },
+    { id: 'junior-instructor', label: 'Junior Instructor' },
+    { id: 'engineer', label: 'Engineer' },
+    { id: 'lab-staff', label: 'Lab Staff' }
+];
+
+const FACULTY = [
+    {
+        id: 'rao-muhammad-haziq',
+        name: 'Rao Muhammad Haziq',
+        department: 'computing',
+        role: 'head',
+        qualifications: ['MS Computer Science'],
+        subjects: ['CIT-283', 'CIT-381', 'CIT-392'],
+        officeHours: [
+            { day: 'monday', from: '11:00', to: '12:30' },
+            { day: 'wednesday', from: '11:00', to: '12:30' }
+        ],
+        office: 'Computing Block, Head of Department office'
+    },
+    {
+        id: 'm-ismail',
+        name: 'M Ismail',
+        department: 'computing',
+        role: 'lecturer',
+        qualifications: ['M.Phil Computer Science'],
+        subjects: ['CIT-103', 'CIT-203', 'CIT-222'],
+        officeHours: [
+            { day: 'monday', from: '09:30', to: '10:30' },
+            { day: 'thursday', from: '09:30', to: '10:30' }
+        ],
+        office: 'Computing Block, Staff Room'
+    },
+    {
+        id: 'ijaz-ahmad',
+        name: 'Ijaz Ahmad',
+        department: 'computing',
+        role: 'junior-instructor',
+        qualifications: ['MS Computer Science'],
+        subjects: ['CIT-114', 'CIT-204', 'CIT-314'],
+        officeHours: [
+            { day: 'tuesday', from: '10:00', to: '11:00' },
+            { day: 'thursday', from: '10:00', to: '11:00' }
+        ],
+        office: 'Computing Block, Staff Room'
+    },
+    {
+        id: 'mirza-muhammad-ubaid',
+        name: 'Mirza Muhammad Ubaid',
+        department: 'computing',
+        role: 'engineer',
+        title: 'Electrical Engineer',
+        qualifications: ['Computer Science'],
+        subjects: ['CIT-124', 'CIT-273', 'CIT-312'],
+        officeHours: [
+            { day: 'wednesday', from: '12:00', to: '13:00' }
+        ],
+        office: 'Computing Block, Hardware Lab'
+    }
+];
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FACULTY, FACULTY_ROLES };
+}
@@ -0,0 +1,40 @@
+/**
+ * GCT Website - Fee Structure
+ * Single source for the fee table, scholarship badges and fee estimator
+ * on enrollment.html. Amounts are in Pakistani Rupees per academic year.
+ */
+
+const FEE_STRUCTURE = {
+    currency: 'Rs.',
+
+    // Yearly fees by PROGRAM_CATALOG id (scripts/data/programs.js);
+    // the table and estimator list programs in catalog order
+    programs: {
+        computing: [31000, 29000, 27000],
+        electrical: [22000, 20000, 18000],
+        machinery: [22000, 20000, 18000],
+        construction: [22000, 20000, 18000],
+        circuits: [22000, 20000, 18000]
+    },
+
+    // appliesTo: 'all' years, or 'first' year only
+    discounts: [
+        { id: 'merit', label: 'Merit Scholarship', percent: 25, appliesTo: 'all' },
+        { id: 'early', label: 'Early Admission', percent: 10, appliesTo: 'first' },
+        { id: 'sibling', label: 'Sibling Discount', percent: 10, appliesTo: 'all' }
+    ],
+
+    // Discounts add up, but never beyond this share of a year's fee
+    maxCombinedPercent: 35,
+
+    installmentPlans: [
+        { id: 'annual', label: 'Full year', parts: 1 },
+        { id: 'semester', label: 'Per semester', parts: 2 },
+        { id: 'quarterly', label: 'Quarterly', parts: 4 }
+    ]
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FEE_STRUCTURE };
+}
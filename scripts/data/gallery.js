@@ -0,0 +1,77 @@
+/**
+ * GCT Website - Campus Gallery
+ * Photos for the Campus Glimpses gallery on chronicle.html
+ *
+ * To add a photo, drop the file into images/ and add an entry below:
+ *   file   name of the file in images/
+ *   alt    description, also shown as the caption in the lightbox
+ *   album  one of the GALLERY_ALBUMS ids
+ *   size   tile shape in the grid: large, wide, tall or small (default)
+ *
+ * The build checks every file exists and every album is known. Albums
+ * without photos are left out of the filters until photos are added.
+ */
+
+const GALLERY_ALBUMS = [
+    { id: 'campus', label: 'Campus' },
+    { id: 'labs', label: 'Labs & Workshops' },
+    { id: 'sports', label: 'Sports' },
+    { id: 'events', label: 'Events' }
+];
+
+const GALLERY_PHOTOS = [
+    {
+        file: 'GCT-Front-View.jpeg',
+        alt: 'GCT Bhakkar main building from the front lawn',
+        album: 'campus',
+        size: 'large'
+    },
+    {
+        file: 'electronic.jpeg',
+        alt: 'Students testing circuits in the electronics laboratory',
+        album: 'labs'
+    },
+    {
+        file: 'electrical.jpeg',
+        alt: 'Wiring practice in the electrical workshop',
+        album: 'labs'
+    },
+    {
+        file: 'mechanical.jpeg',
+        alt: 'Machining practical in the mechanical workshop',
+        album: 'labs',
+        size: 'tall'
+    },
+    {
+        file: 'GCT-wide-angle-view.jpeg',
+        alt: 'Wide view of the GCT Bhakkar campus',
+        album: 'campus',
+        size: 'wide'
+    },
+    {
+        file: 'student-Community.jpeg',
+        alt: 'Students gathered for a college community event',
+        album: 'events'
+    },
+    {
+        file: 'college-collage.jpeg',
+        alt: 'Highlights from college functions and ceremonies',
+        album: 'events'
+    },
+    {
+        file: 'mechanical2.jpeg',
+        alt: 'Lathe training in the mechanical workshop',
+        album: 'labs'
+    },
+    {
+        file: 'busses.jpg',
+        alt: 'College buses that carry students from across the district',
+        album: 'campus',
+        size: 'wide'
+    }
+];
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GALLERY_ALBUMS, GALLERY_PHOTOS };
+}
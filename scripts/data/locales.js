@@ -0,0 +1,763 @@
+/**
+ * GCT Website - Translation Catalogs
+ * Flat message keys per language, used by scripts/i18n.js and by the build
+ * for the navigation and footer.
+ *
+ * Page markup stays in English and opts in with data-i18n="key"; its
+ * translations only need to exist in the non-English catalogs. Messages may
+ * use {placeholders}. A message can be an object of plural forms
+ * ({ one, other }), picked with the { count } parameter.
+ */
+
+const LOCALES = {
+    en: {
+        name: 'English',
+        dir: 'ltr',
+        numberLocale: 'en-PK',
+        messages: {
+            'common.skipLink': 'Skip to main content',
+            'common.backToTop': 'Back to top',
+
+            'language.switch': 'اردو',
+            'language.switchLabel': 'Switch to Urdu',
+
+            'nav.mobileLabel': 'Mobile Navigation',
+            'nav.mainLabel': 'Main Navigation',
+            'nav.logoAlt': 'GCT Logo',
+            'nav.foundation': 'Foundation',
+            'nav.legacy': 'Legacy',
+            'nav.pathways': 'Pathways',
+            'nav.enrollment': 'Enrollment',
+            'nav.campusLife': 'Campus Life',
+            'nav.connect': 'Connect',
+            'nav.search': 'Search',
+            'nav.preferences': 'Accessibility',
+            'theme.light': 'Light theme',
+            'theme.dark': 'Dark theme',
+            'theme.system': 'Device theme',
+            'theme.switchLabel': '{current}. Switch to {next}',
+            'nav.programsTitle': 'Academic Programs',
+            'nav.allPrograms': 'All programs',
+
+            'footer.aboutTitle': 'About GCT',
+            'footer.about': 'Government College of Technology, Bhakkar provides quality technical education through PBTE-approved diploma programs.',
+            'footer.quickLinks': 'Quick Links',
+            'footer.home': 'Home',
+            'footer.legacy': 'Legacy',
+            'footer.programs': 'Programs',
+            'footer.admissions': 'Admissions',
+            'footer.campusLife': 'Campus Life',
+            'footer.contactUs': 'Contact Us',
+            'footer.notices': 'Notices',
+            'footer.faculty': 'Faculty',
+            'footer.timetable': 'Timetables',
+            'footer.calendar': 'Academic Calendar',
+            'footer.divisions': 'Divisions',
+            'footer.contact': 'Contact',
+            'footer.contactDetails': 'Main Road, Bhakkar<br>Punjab, Pakistan<br><br>Phone: +92 (453) 123456<br>Email: info@gctbhakkar.edu.pk',
+            'footer.copyright': '© {year} Government College of Technology, Bhakkar. All rights reserved.',
+            'footer.credits': 'Affiliated with <strong>Punjab Board of Technical Education (PBTE)</strong>',
+
+            'search.noResults': 'No results for “{query}”.',
+            'search.resultCount': {
+                one: '1 result. Use the arrow keys to choose it.',
+                other: '{count} results. Use the arrow keys to choose one.'
+            },
+            'search.unavailable': 'Search is unavailable right now. Please try again.',
+
+            'notices.count': {
+                one: '1 notice shown.',
+                other: '{count} notices shown.'
+            },
+            'notices.pause': 'Pause',
+            'notices.play': 'Play',
+
+            'faculty.count': {
+                one: '1 staff member shown.',
+                other: '{count} staff members shown.'
+            },
+
+            'schedule.count': {
+                one: '1 date shown.',
+                other: '{count} dates shown.'
+            },
+
+            'comparison.status': 'Comparing {programs}.',
+
+            'carousel.previous': 'Previous slide',
+            'carousel.next': 'Next slide',
+            'carousel.pause': 'Pause slideshow',
+            'carousel.play': 'Play slideshow',
+            'carousel.goTo': 'Go to slide {index} of {count}',
+            'carousel.slideLabel': '{index} of {count}',
+            'carousel.status': 'Slide {index} of {count}',
+
+            'gallery.count': {
+                one: '1 photo shown.',
+                other: '{count} photos shown.'
+            },
+            'gallery.counter': '{index} of {count}',
+
+            'offline.banner': "You're offline. Saved pages, including fees and admission details, are still available.",
+            'offline.sent': {
+                one: 'Back online: your saved submission has been sent.',
+                other: 'Back online: your {count} saved submissions have been sent.'
+            },
+
+            'fees.amount': '{currency} {amount}',
+            'fees.year': 'Year {year}',
+            'fees.yearColumn': 'Year',
+            'fees.fee': 'Fee',
+            'fees.discount': 'Discount',
+            'fees.payable': 'Payable',
+            'fees.total': 'Total',
+            'fees.capped': ', capped',
+            'fees.firstYearOnly': ', first year only',
+            'fees.installments': '{plan} installments',
+            'fees.caption': 'Estimated fees for {program}',
+            'fees.note': 'Combined discounts are capped at {percent}% of a year\'s fee. Final fees are confirmed by the administration office.',
+
+            'form.status.pending': 'Sending your inquiry...',
+            'form.status.sent': 'Thank you! Your inquiry has reached our admissions team. We will get back to you soon.',
+            'form.status.queued': 'You appear to be offline. Your inquiry has been saved and will be sent automatically once you reconnect.',
+            'form.status.rejected': 'Please check the highlighted fields and try again.',
+            'form.status.error': 'Something went wrong while sending your inquiry. Please try again or call 0453-220141.',
+
+            'validation.required': 'This field is required.',
+            'validation.checked': 'Please tick this box to continue.',
+            'validation.email': 'Please enter a valid email address, e.g. name@example.com.',
+            'validation.cnic': 'Please enter a 13-digit CNIC / B-Form number as #####-#######-#.',
+            'validation.mobile': 'Please enter a mobile number such as 0300-1234567.',
+            'validation.pattern': 'Please match the requested format.',
+            'validation.min': 'Please enter a value of at least {min}.',
+            'validation.max': 'Please enter a value no greater than {max}.',
+            'validation.minlength': 'Please enter at least {minlength} characters.',
+            'validation.maxlength': 'Please enter no more than {maxlength} characters.',
+            'validation.percent': 'A minimum of {percent}% marks is required.',
+
+            'eligibility.marksError': 'Marks obtained must be between 0 and the total marks ({total}).',
+            'eligibility.check.marks': '{score}% marks (minimum {min}%)',
+            'eligibility.check.group': '{group} group (accepted: {groups})',
+            'eligibility.check.age': '{age} years on {date} (allowed {min}–{max})',
+            'eligibility.reason.marks': 'needs {percent}% marks',
+            'eligibility.reason.group': 'needs {groups} group',
+            'eligibility.reason.age': 'age outside the allowed range',
+            'eligibility.quota.local': 'Local district quota — Bhakkar residents are given priority.',
+            'eligibility.quota.open': 'Open merit — you will compete for open merit seats. Candidates from other provinces may need a migration certificate.',
+            'eligibility.met': 'Met:',
+            'eligibility.notMet': 'Not met:',
+            'eligibility.preferred': 'Preferred',
+            'eligibility.qualifies': 'You qualify',
+            'eligibility.notEligible': 'Not eligible: {reasons}',
+            'eligibility.ageNote': 'Age relaxation is available for reserved categories. Please contact the admission office.',
+            'eligibility.eligible': 'You are eligible to apply',
+            'eligibility.ineligible': 'You do not currently meet all criteria',
+            'eligibility.score': 'Provisional merit score',
+            'eligibility.programs': 'Programs',
+            'eligibility.estimate': 'This is an estimate. Final merit is decided on the official merit list.',
+
+            'application.draftSaved': 'Draft saved on this device.',
+            'application.draftBlocked': 'Your browser is not allowing drafts to be saved.',
+            'application.draftRestored': 'Welcome back! Your draft from {date} has been restored.',
+            'application.confirmClear': 'Clear your saved application and start again?',
+            'application.draftCleared': 'Saved draft cleared.',
+            'application.summaryHeading': 'Government College of Technology, Bhakkar — DAE Admission Application ({date})',
+            'application.percentage': 'Percentage'
+        }
+    },
+
+    ur: {
+        name: 'اردو',
+        dir: 'rtl',
+        numberLocale: 'ur-PK',
+        messages: {
+            'common.skipLink': 'مرکزی مواد پر جائیں',
+            'common.backToTop': 'اوپر جائیں',
+            'common.applyNow': 'ابھی درخواست دیں',
+            'common.allPrograms': 'تمام پروگرام دیکھیں',
+
+            'language.switch': 'English',
+            'language.switchLabel': 'انگریزی میں دیکھیں',
+
+            'nav.mobileLabel': 'موبائل نیویگیشن',
+            'nav.mainLabel': 'مرکزی نیویگیشن',
+            'nav.logoAlt': 'جی سی ٹی لوگو',
+            'nav.foundation': 'سرورق',
+            'nav.legacy': 'ہماری تاریخ',
+            'nav.pathways': 'پروگرامز',
+            'nav.enrollment': 'داخلہ',
+            'nav.campusLife': 'کیمپس لائف',
+            'nav.connect': 'رابطہ',
+            'nav.search': 'تلاش',
+            'nav.preferences': 'رسائی',
+            'theme.light': 'روشن تھیم',
+            'theme.dark': 'تاریک تھیم',
+            'theme.system': 'ڈیوائس کی تھیم',
+            'theme.switchLabel': '{current}۔ {next} پر جائیں',
+            'nav.programsTitle': 'تعلیمی پروگرام',
+            'nav.allPrograms': 'تمام پروگرام',
+
+            'program.computing.name': 'ڈی اے ای کمپیوٹر انفارمیشن ٹیکنالوجی',
+            'program.computing.title': 'کمپیوٹر انفارمیشن ٹیکنالوجی',
+            'program.computing.shortName': 'کمپیوٹر آئی ٹی',
+            'program.electrical.name': 'ڈی اے ای الیکٹریکل ٹیکنالوجی',
+            'program.electrical.title': 'الیکٹریکل ٹیکنالوجی',
+            'program.electrical.shortName': 'الیکٹریکل',
+            'program.machinery.name': 'ڈی اے ای مکینیکل ٹیکنالوجی',
+            'program.machinery.title': 'مکینیکل ٹیکنالوجی',
+            'program.machinery.shortName': 'مکینیکل',
+            'program.construction.name': 'ڈی اے ای سول ٹیکنالوجی',
+            'program.construction.title': 'سول ٹیکنالوجی',
+            'program.construction.shortName': 'سول',
+            'program.circuits.name': 'ڈی اے ای الیکٹرانکس ٹیکنالوجی',
+            'program.circuits.title': 'الیکٹرانکس ٹیکنالوجی',
+            'program.circuits.shortName': 'الیکٹرانکس',
+
+            'footer.aboutTitle': 'جی سی ٹی کا تعارف',
+            'footer.about': 'گورنمنٹ کالج آف ٹیکنالوجی بھکر پی بی ٹی ای سے منظور شدہ ڈپلومہ پروگراموں کے ذریعے معیاری فنی تعلیم فراہم کرتا ہے۔',
+            'footer.quickLinks': 'اہم روابط',
+            'footer.home': 'سرورق',
+            'footer.legacy': 'ہماری تاریخ',
+            'footer.programs': 'پروگرامز',
+            'footer.admissions': 'داخلے',
+            'footer.campusLife': 'کیمپس لائف',
+            'footer.contactUs': 'ہم سے رابطہ کریں',
+            'footer.notices': 'اعلانات',
+            'footer.faculty': 'اساتذہ',
+            'footer.timetable': 'ٹائم ٹیبل',
+            'footer.calendar': 'تعلیمی کیلنڈر',
+            'footer.divisions': 'شعبہ جات',
+            'footer.contact': 'رابطہ',
+            'footer.contactDetails': 'مین روڈ، بھکر<br>پنجاب، پاکستان<br><br>فون: <span dir="ltr">+92 (453) 123456</span><br>ای میل: <span dir="ltr">info@gctbhakkar.edu.pk</span>',
+            'footer.copyright': '© {year} گورنمنٹ کالج آف ٹیکنالوجی، بھکر۔ جملہ حقوق محفوظ ہیں۔',
+            'footer.credits': '<strong>پنجاب بورڈ آف ٹیکنیکل ایجوکیشن (پی بی ٹی ای)</strong> سے الحاق شدہ',
+
+            'search.title': 'ویب سائٹ میں تلاش کریں',
+            'search.label': 'پروگرام، کورسز، اساتذہ، سوالات اور سہولیات تلاش کریں',
+            'search.placeholder': 'کورسز، اساتذہ، سوالات تلاش کریں…',
+            'search.close': 'تلاش بند کریں',
+            'search.results': 'تلاش کے نتائج',
+            'search.hint': 'کسی بھی صفحے سے تلاش کے لیے <kbd>/</kbd> یا <kbd>Ctrl</kbd> + <kbd>K</kbd> دبائیں',
+            'search.noResults': '“{query}” کے لیے کوئی نتیجہ نہیں ملا۔',
+            'search.resultCount': {
+                one: 'ایک نتیجہ۔ منتخب کرنے کے لیے تیر والے بٹن استعمال کریں۔',
+                other: '{count} نتائج۔ منتخب کرنے کے لیے تیر والے بٹن استعمال کریں۔'
+            },
+            'search.unavailable': 'تلاش فی الحال دستیاب نہیں۔ براہ کرم دوبارہ کوشش کریں۔',
+            'search.type.program': 'پروگرام',
+            'search.type.course': 'کورس',
+            'search.type.faculty': 'استاد',
+            'search.type.faq': 'سوال',
+            'search.type.facility': 'سہولت',
+            'search.type.notice': 'اعلان',
+            'preferences.title': 'رسائی کی ترتیبات',
+            'preferences.close': 'رسائی کی ترتیبات بند کریں',
+            'preferences.intro': 'تبدیلیاں فوراً لاگو ہوتی ہیں اور اس ڈیوائس پر محفوظ رہتی ہیں۔',
+            'preferences.textSize': 'متن کا سائز',
+            'preferences.textSize.default': 'معمول کا',
+            'preferences.textSize.large': 'بڑا',
+            'preferences.textSize.larger': 'زیادہ بڑا',
+            'preferences.textSize.largest': 'سب سے بڑا',
+            'preferences.contrast': 'زیادہ کنٹراسٹ',
+            'preferences.contrastHint': 'سادہ پس منظر پر گہرا متن اور نمایاں رنگ',
+            'preferences.dyslexia': 'ڈسلیکسیا کے لیے موزوں فونٹ',
+            'preferences.dyslexiaHint': 'سادہ فونٹ، حروف، الفاظ اور سطروں میں زیادہ فاصلہ',
+            'preferences.reduceMotion': 'حرکت کم کریں',
+            'preferences.reduceMotionHint': 'اینیمیشن، پیرالیکس اور خود چلنے والی سلائیڈز بند کر دیتا ہے',
+            'preferences.underlineLinks': 'لنکس کو نمایاں کریں',
+            'preferences.underlineLinksHint': 'ہر لنک کے نیچے لکیر تاکہ وہ باقی متن سے الگ نظر آئے',
+            'preferences.reset': 'پہلے جیسی ترتیبات بحال کریں',
+            'preferences.theme': 'رنگوں کی تھیم',
+            'preferences.theme.light': 'روشن',
+            'preferences.theme.dark': 'تاریک',
+            'preferences.theme.system': 'ڈیوائس کے مطابق',
+            'preferences.analytics': 'گمنام استعمال کے اعداد و شمار شیئر کریں',
+            'preferences.analyticsHint': 'دیکھے گئے صفحات اور کھولے گئے لنکس کی گنتی، کوکیز یا ذاتی معلومات کے بغیر',
+            'preferences.analyticsBlocked': 'بند ہے کیونکہ آپ کا براؤزر ویب سائٹس سے ٹریک نہ کرنے کی درخواست کرتا ہے',
+            'consent.title': 'اس ویب سائٹ کو بہتر بنانے میں ہماری مدد کریں',
+            'consent.text': 'کیا ہم گن سکتے ہیں کہ آپ کون سے صفحات دیکھتے ہیں اور کون سے لنکس اور سوالات کھولتے ہیں؟ ہم صرف مجموعی تعداد رکھتے ہیں: نہ کوکیز، نہ ذاتی معلومات اور نہ ہی فارم میں لکھی گئی کوئی بات۔',
+            'consent.allow': 'اجازت دیں',
+            'consent.decline': 'نہیں، شکریہ',
+
+            'notices.eyebrow': 'اعلانات',
+            'notices.title': 'نوٹس بورڈ',
+            'notices.subtitle': 'داخلہ شیڈول، میرٹ لسٹیں، امتحانات اور تعطیلات کے اعلانات، شائع ہوتے ہی۔',
+            'notices.latest': 'تازہ ترین اعلانات',
+            'notices.viewAll': 'تمام اعلانات',
+            'notices.all': 'تمام',
+            'notices.filterLabel': 'اعلانات کی درجہ بندی',
+            'notices.subscribe': 'آر ایس ایس فیڈ',
+            'notices.pinned': 'نمایاں',
+            'notices.back': 'تمام اعلانات',
+            'notices.deadline': 'آخری تاریخ',
+            'notices.count': {
+                one: 'ایک اعلان دکھایا گیا ہے۔',
+                other: '{count} اعلانات دکھائے گئے ہیں۔'
+            },
+            'notices.pause': 'روکیں',
+            'notices.play': 'چلائیں',
+            'notices.category.admissions': 'داخلے',
+            'notices.category.merit-list': 'میرٹ لسٹ',
+            'notices.category.closure': 'تعطیل',
+            'notices.category.examinations': 'امتحانات',
+            'notices.category.general': 'عمومی',
+            'notices.date.forms': 'فارم کی دستیابی',
+            'notices.date.deadline': 'جمع کرانے کی آخری تاریخ',
+            'notices.date.merit-list': 'میرٹ لسٹ',
+            'notices.date.classes': 'کلاسوں کا آغاز',
+            'countdown.days': 'دن',
+            'countdown.hours': 'گھنٹے',
+            'countdown.minutes': 'منٹ',
+            'countdown.seconds': 'سیکنڈ',
+            'countdown.closed': 'فی الحال کوئی آخری تاریخ باقی نہیں۔ اگلے سیشن کے لیے نوٹس بورڈ دیکھیں۔',
+            'carousel.previous': 'پچھلی سلائیڈ',
+            'carousel.next': 'اگلی سلائیڈ',
+            'carousel.pause': 'سلائیڈ شو روکیں',
+            'carousel.play': 'سلائیڈ شو چلائیں',
+            'carousel.goTo': 'سلائیڈ {index} از {count} پر جائیں',
+            'carousel.slideLabel': '{index} از {count}',
+            'carousel.status': 'سلائیڈ {index} از {count}',
+            'gallery.all': 'تمام',
+            'gallery.filterLabel': 'تصاویر کی درجہ بندی',
+            'gallery.album.campus': 'کیمپس',
+            'gallery.album.labs': 'لیبز اور ورکشاپس',
+            'gallery.album.sports': 'کھیل',
+            'gallery.album.events': 'تقریبات',
+            'gallery.viewer': 'تصویر دیکھیں',
+            'gallery.close': 'تصویر بند کریں',
+            'gallery.previous': 'پچھلی تصویر',
+            'gallery.next': 'اگلی تصویر',
+            'gallery.count': {
+                one: 'ایک تصویر دکھائی گئی ہے۔',
+                other: '{count} تصاویر دکھائی گئی ہیں۔'
+            },
+            'gallery.counter': '{index} از {count}',
+            'faculty.eyebrow': 'ہماری ٹیم',
+            'faculty.title': 'اساتذہ کی ڈائریکٹری',
+            'faculty.subtitle': 'کسی مضمون کے استاد، ان کی تعلیمی قابلیت اور دفتری اوقات میں ان سے ملنے کا وقت معلوم کریں۔',
+            'faculty.controlsLabel': 'اساتذہ تلاش کریں',
+            'faculty.search': 'تلاش',
+            'faculty.searchPlaceholder': 'نام، مضمون یا کورس کوڈ',
+            'faculty.department': 'شعبہ',
+            'faculty.allDepartments': 'تمام شعبے',
+            'faculty.roleLabel': 'عہدہ',
+            'faculty.allRoles': 'تمام عہدے',
+            'faculty.sortLabel': 'ترتیب',
+            'faculty.sort.name': 'نام',
+            'faculty.sort.role': 'سینیارٹی',
+            'faculty.sort.department': 'شعبہ',
+            'faculty.empty': 'آپ کی تلاش سے کوئی استاد نہیں ملا۔ کوئی اور نام، مضمون یا شعبہ آزمائیں۔',
+            'faculty.count': {
+                one: 'ایک استاد دکھایا گیا ہے۔',
+                other: '{count} اساتذہ دکھائے گئے ہیں۔'
+            },
+            'faculty.role.principal': 'پرنسپل',
+            'faculty.role.head': 'صدر شعبہ',
+            'faculty.role.lecturer': 'لیکچرر',
+            'faculty.role.instructor': 'انسٹرکٹر',
+            'faculty.role.junior-instructor': 'جونیئر انسٹرکٹر',
+            'faculty.role.engineer': 'انجینئر',
+            'faculty.role.lab-staff': 'لیب اسٹاف',
+            'faculty.divisionEmpty': 'اس شعبے کے اساتذہ کی تفصیلات شامل کی جا رہی ہیں۔',
+            'faculty.browse': 'اساتذہ کی ڈائریکٹری دیکھیں',
+            'faculty.viewDivision': 'اساتذہ کی ڈائریکٹری میں دیکھیں',
+            'faculty.back': 'تمام اساتذہ',
+            'faculty.qualifications': 'تعلیمی قابلیت',
+            'faculty.subjects': 'پڑھائے جانے والے مضامین',
+            'faculty.officeHours': 'دفتری اوقات',
+            'faculty.office': 'دفتر',
+            'day.monday': 'پیر',
+            'day.tuesday': 'منگل',
+            'day.wednesday': 'بدھ',
+            'day.thursday': 'جمعرات',
+            'day.friday': 'جمعہ',
+            'day.saturday': 'ہفتہ',
+            'schedule.timetable.eyebrow': 'کلاسوں کا شیڈول',
+            'schedule.timetable.title': 'ٹائم ٹیبل',
+            'schedule.timetable.subtitle': 'اس ہفتے کی کلاسیں، کمرے اور اساتذہ دیکھنے کے لیے اپنا پروگرام، سال اور سیکشن منتخب کریں، اور انہیں اپنے فون کے کیلنڈر میں شامل کریں۔',
+            'schedule.calendarLink': 'تعطیلات اور امتحانات کی تاریخیں تعلیمی کیلنڈر میں دیکھیں',
+            'schedule.pickerLabel': 'ٹائم ٹیبل منتخب کریں',
+            'schedule.program': 'پروگرام',
+            'schedule.yearLabel': 'سال',
+            'schedule.section': 'سیکشن',
+            'schedule.sectionName': 'سیکشن {section}',
+            'schedule.year.1': 'پہلا سال',
+            'schedule.year.2': 'دوسرا سال',
+            'schedule.year.3': 'تیسرا سال',
+            'schedule.time': 'وقت',
+            'schedule.dayLabel': 'دن',
+            'schedule.export': 'میرے کیلنڈر میں شامل کریں (.ics)',
+            'schedule.loadError': 'یہ ٹائم ٹیبل لوڈ نہیں ہو سکا۔ اپنا کنکشن چیک کر کے دوبارہ کوشش کریں۔',
+            'schedule.downloads': 'اپنی کیلنڈر ایپ کے لیے ٹائم ٹیبل ڈاؤن لوڈ کریں:',
+            'schedule.noTimetables': 'اس سیشن کے ٹائم ٹیبل جلد یہاں شائع کیے جائیں گے۔',
+            'schedule.calendar.eyebrow': 'سیشن کی تاریخیں',
+            'schedule.calendar.title': 'تعلیمی کیلنڈر',
+            'schedule.calendar.subtitle': 'ٹرم، تعطیلات، امتحانات اور داخلے کی تاریخیں ایک جگہ۔ انہیں اپنے کیلنڈر میں شامل کریں تاکہ کوئی تاریخ نہ چھوٹے۔',
+            'schedule.all': 'تمام',
+            'schedule.filterLabel': 'تاریخوں کی درجہ بندی',
+            'schedule.count': {
+                one: 'ایک تاریخ دکھائی گئی ہے۔',
+                other: '{count} تاریخیں دکھائی گئی ہیں۔'
+            },
+            'schedule.type.term': 'ٹرم',
+            'schedule.type.holiday': 'تعطیل',
+            'schedule.type.exam': 'امتحانات',
+            'schedule.type.admission': 'داخلے',
+            'schedule.term.first-term': 'پہلی ٹرم',
+            'schedule.term.second-term': 'دوسری ٹرم',
+            'schedule.term.third-term': 'تیسری ٹرم',
+            'schedule.event.independence-day': 'یوم آزادی',
+            'schedule.event.first-term-exams': 'پہلی ٹرم کے امتحانات',
+            'schedule.event.winter-break': 'موسم سرما کی تعطیلات',
+            'schedule.event.kashmir-day': 'یوم یکجہتی کشمیر',
+            'schedule.event.eid-ul-fitr': 'عید الفطر',
+            'schedule.event.second-term-exams': 'دوسری ٹرم کے امتحانات',
+            'schedule.event.pakistan-day': 'یوم پاکستان',
+            'schedule.event.labour-day': 'یوم مزدور',
+            'schedule.event.eid-ul-adha': 'عید الاضحیٰ',
+            'schedule.event.annual-exams': 'پی بی ٹی ای سالانہ امتحانات',
+            'comparison.eyebrow': 'آمنے سامنے',
+            'comparison.title': 'پروگراموں کا موازنہ',
+            'comparison.subtitle': 'دو یا تین پروگرام منتخب کریں اور ان کی فیس، کورسز، لیبز، کیریئر اور اساتذہ ایک ساتھ دیکھیں۔ صفحے کا پتہ آپ کا انتخاب محفوظ رکھتا ہے، اس لیے آپ یہ موازنہ دوسروں کو بھیج سکتے ہیں۔',
+            'comparison.first': 'پہلا پروگرام',
+            'comparison.second': 'دوسرا پروگرام',
+            'comparison.third': 'تیسرا پروگرام (اختیاری)',
+            'comparison.none': 'کوئی نہیں',
+            'comparison.status': '{programs} کا موازنہ۔',
+            'comparison.caption': 'ڈی اے ای پروگرام آمنے سامنے',
+            'comparison.duration': 'دورانیہ',
+            'comparison.years': {
+                one: 'ایک سال',
+                other: '{count} سال'
+            },
+            'comparison.fee.1': 'فیس، پہلا سال',
+            'comparison.fee.2': 'فیس، دوسرا سال',
+            'comparison.fee.3': 'فیس، تیسرا سال',
+            'comparison.fee.total': 'کل فیس',
+            'comparison.courses.1': 'کورسز، پہلا سال',
+            'comparison.courses.2': 'کورسز، دوسرا سال',
+            'comparison.courses.3': 'کورسز، تیسرا سال',
+            'comparison.labs': 'زیر استعمال لیبز',
+            'comparison.careers': 'کیریئر کے مواقع',
+            'comparison.faculty': 'اساتذہ',
+            'comparison.facultyCount': {
+                one: 'عملے کا ایک رکن',
+                other: 'عملے کے {count} ارکان'
+            },
+            'comparison.facultyNone': 'پروفائلز شامل کیے جا رہے ہیں',
+            'offline.banner': 'آپ آف لائن ہیں۔ محفوظ صفحات، بشمول فیس اور داخلے کی تفصیلات، اب بھی دستیاب ہیں۔',
+            'offline.sent': {
+                one: 'کنکشن بحال: آپ کی محفوظ درخواست بھیج دی گئی ہے۔',
+                other: 'کنکشن بحال: آپ کی {count} محفوظ درخواستیں بھیج دی گئی ہیں۔'
+            },
+            'offline.eyebrow': 'کنکشن دستیاب نہیں',
+            'offline.title': 'آپ آف لائن ہیں',
+            'offline.subtitle': 'یہ صفحہ ابھی آپ کے آلے پر محفوظ نہیں ہوا۔ داخلے کی معلومات، فیس، اعلانات اور پروگراموں کی تفصیلات جو آپ اب بھی پڑھ سکتے ہیں، نیچے دی گئی ہیں۔',
+            'offline.retry': 'دوبارہ کوشش کریں',
+            'offline.links.fees': 'فیس اسٹرکچر',
+            'offline.links.procedure': 'داخلے کا طریقہ کار اور مطلوبہ دستاویزات',
+            'offline.links.notices': 'نوٹس بورڈ اور داخلے کی تاریخیں',
+            'offline.links.programs': 'پروگرام',
+            'offline.links.contact': 'رابطے کی تفصیلات',
+            'offline.links.home': 'ہوم',
+
+            'home.hero.eyebrow': 'بہترین فنی تعلیم',
+            'home.hero.title': 'اپنا<br><span class="text-gradient">فنی</span><br>مستقبل سنواریں',
+            'home.hero.description': 'جہاں علم عمل سے ملتا ہے۔ گورنمنٹ کالج آف ٹیکنالوجی بھکر کمپیوٹنگ، الیکٹریکل، مکینیکل، سول اور الیکٹرانکس ٹیکنالوجی میں پی بی ٹی ای سے منظور شدہ ڈپلومہ پروگراموں کے ذریعے طلبہ کو صنعت کی ضرورت کے مطابق مہارتیں فراہم کرتا ہے۔',
+            'home.hero.explore': 'پروگرام دیکھیں',
+            'home.hero.apply': 'اپنا سفر شروع کریں',
+            'home.hero.carousel': 'کالج کی تصاویر',
+            'home.testimonials.carousel': 'طلبہ کے تاثرات',
+            'home.stats.students': 'زیر تعلیم طلبہ',
+            'home.stats.positions': 'پی بی ٹی ای پوزیشنز 2024',
+            'home.stats.programs': 'فنی پروگرام',
+            'home.stats.best': 'بہترین',
+            'home.stats.practical': 'عملی تربیت',
+            'home.heritage.eyebrow': 'ہماری روایت',
+            'home.heritage.title': 'فنی مہارت کے ذریعے معیار کی تعمیر',
+            'home.principal.eyebrow': 'قیادت',
+            'home.principal.title': 'پرنسپل کا پیغام',
+            'home.campus.eyebrow': 'تجربہ',
+            'home.campus.title': 'جی سی ٹی میں کیمپس لائف',
+            'home.pathways.eyebrow': 'تعلیمی راستے',
+            'home.pathways.title': 'اپنا فنی مستقبل خود بنائیں',
+            'home.why.eyebrow': 'جی سی ٹی ہی کیوں',
+            'home.why.title': 'کیریئر بدل دینے والی تعلیم',
+            'home.cta.eyebrow': 'اپنا سفر شروع کریں',
+            'home.cta.title': 'اپنا مستقبل سنوارنے کے لیے تیار ہیں؟',
+            'home.faq.eyebrow': 'سوالات',
+            'home.testimonials.eyebrow': 'کامیابی کی کہانیاں',
+            'home.testimonials.title': 'ہمارے طلبہ کیا کہتے ہیں',
+
+            'enrollment.eyebrow': 'ہمارا حصہ بنیں',
+            'enrollment.title': 'داخلے کا دروازہ',
+            'enrollment.eligibility.eyebrow': 'بنیادی شرائط',
+            'enrollment.eligibility.title': 'اہلیت کا معیار',
+            'enrollment.procedure.eyebrow': 'مرحلہ وار',
+            'enrollment.procedure.title': 'داخلے کا طریقہ کار',
+            'enrollment.apply.eyebrow': 'آن لائن درخواست',
+            'enrollment.apply.title': 'اپنی درخواست شروع کریں',
+            'enrollment.documents.eyebrow': 'فہرست',
+            'enrollment.documents.title': 'مطلوبہ دستاویزات',
+            'enrollment.help.eyebrow': 'مدد چاہیے؟',
+            'enrollment.help.title': 'داخلے کے بارے میں سوالات؟',
+            'enrollment.faq.eyebrow': 'عام سوالات',
+            'enrollment.fees.eyebrow': 'اخراجات کی تفصیل',
+            'enrollment.fees.title': 'فیس اسٹرکچر',
+            'enrollment.fees.subtitle': 'شفاف فیس پالیسی کے ساتھ کم خرچ معیاری تعلیم۔',
+            'enrollment.fees.notes': '<strong>نوٹ:</strong> فیس میں ردوبدل ہو سکتا ہے۔ مستحق طلبہ کے لیے مالی معاونت دستیاب ہے۔ اقساط کے لیے انتظامیہ کے دفتر سے رابطہ کریں۔',
+            'enrollment.scholarships.eyebrow': 'مالی معاونت',
+            'enrollment.scholarships.title': 'اسکالرشپس اور رعایتیں',
+            'enrollment.scholarships.merit': 'بورڈ امتحانات میں نمایاں کارکردگی دکھانے والے طلبہ کے لیے ٹیوشن فیس میں رعایت',
+            'enrollment.scholarships.early': 'آخری تاریخ سے پہلے جمع کرائی گئی درخواستوں پر رعایت',
+            'enrollment.scholarships.sibling': 'کالج میں ایک ساتھ زیر تعلیم بہن بھائیوں کے لیے',
+            'enrollment.dates.title': 'اہم تاریخیں',
+            'enrollment.dates.calendar': 'مکمل تعلیمی کیلنڈر',
+            'enrollment.estimator.title': 'اپنی فیس کا اندازہ لگائیں',
+            'enrollment.estimator.intro': 'سال بہ سال تفصیل اور اقساط دیکھنے کے لیے پروگرام اور متوقع رعایتیں منتخب کریں۔',
+            'enrollment.calculator.title': 'اپنی اہلیت جانچیں',
+            'enrollment.calculator.intro': 'اپنا عارضی میرٹ اسکور اور وہ پروگرام دیکھنے کے لیے جن میں آپ درخواست دے سکتے ہیں، میٹرک کا نتیجہ درج کریں۔',
+            'enrollment.calculator.obtained': 'میٹرک کے حاصل کردہ نمبر',
+            'enrollment.calculator.total': 'کل نمبر',
+            'enrollment.calculator.group': 'میٹرک گروپ',
+            'enrollment.calculator.groupPrompt': 'گروپ منتخب کریں',
+            'enrollment.calculator.dob': 'تاریخ پیدائش',
+            'enrollment.calculator.domicile': 'ڈومیسائل ضلع',
+            'enrollment.calculator.domicilePrompt': 'ضلع منتخب کریں',
+            'enrollment.calculator.preferred': 'پسندیدہ پروگرام (اختیاری)',
+            'enrollment.calculator.submit': 'اہلیت جانچیں',
+            'enrollment.apply.percentError': 'داخلے کے لیے میٹرک میں کم از کم 50% نمبر ضروری ہیں۔',
+            'eligibility.group.science': 'سائنس',
+            'eligibility.group.arts': 'آرٹس',
+            'eligibility.group.technical': 'ٹیکنیکل',
+            'eligibility.marksError': 'حاصل کردہ نمبر 0 اور کل نمبروں ({total}) کے درمیان ہونے چاہییں۔',
+            'eligibility.check.marks': '{score}% نمبر (کم از کم {min}%)',
+            'eligibility.check.group': '{group} گروپ (قابل قبول: {groups})',
+            'eligibility.check.age': '{date} کو عمر {age} سال (اجازت {min}–{max})',
+            'eligibility.reason.marks': '{percent}% نمبر درکار ہیں',
+            'eligibility.reason.group': '{groups} گروپ درکار ہے',
+            'eligibility.reason.age': 'عمر مقررہ حد سے باہر ہے',
+            'eligibility.quota.local': 'مقامی ضلعی کوٹہ — بھکر کے رہائشیوں کو ترجیح دی جاتی ہے۔',
+            'eligibility.quota.open': 'اوپن میرٹ — آپ اوپن میرٹ کی نشستوں پر مقابلہ کریں گے۔ دوسرے صوبوں کے امیدواروں کو مائیگریشن سرٹیفکیٹ درکار ہو سکتا ہے۔',
+            'eligibility.met': 'پوری:',
+            'eligibility.notMet': 'پوری نہیں:',
+            'eligibility.preferred': 'پسندیدہ',
+            'eligibility.qualifies': 'آپ اہل ہیں',
+            'eligibility.notEligible': 'اہل نہیں: {reasons}',
+            'eligibility.ageNote': 'مخصوص زمروں کے لیے عمر میں رعایت دستیاب ہے۔ براہ کرم داخلہ دفتر سے رابطہ کریں۔',
+            'eligibility.eligible': 'آپ درخواست دینے کے اہل ہیں',
+            'eligibility.ineligible': 'آپ فی الحال تمام شرائط پوری نہیں کرتے',
+            'eligibility.score': 'عارضی میرٹ اسکور',
+            'eligibility.programs': 'پروگرام',
+            'eligibility.estimate': 'یہ ایک اندازہ ہے۔ حتمی میرٹ کا فیصلہ سرکاری میرٹ لسٹ پر ہوتا ہے۔',
+            'application.draftSaved': 'مسودہ اس ڈیوائس پر محفوظ ہو گیا۔',
+            'application.draftBlocked': 'آپ کا براؤزر مسودہ محفوظ کرنے کی اجازت نہیں دے رہا۔',
+            'application.draftRestored': 'خوش آمدید! {date} کا آپ کا مسودہ بحال کر دیا گیا ہے۔',
+            'application.confirmClear': 'محفوظ درخواست مٹا کر دوبارہ شروع کریں؟',
+            'application.draftCleared': 'محفوظ مسودہ مٹا دیا گیا۔',
+            'application.summaryHeading': 'گورنمنٹ کالج آف ٹیکنالوجی، بھکر — ڈی اے ای داخلہ درخواست ({date})',
+            'application.percentage': 'فیصد',
+
+            'faq.title': 'اکثر پوچھے جانے والے سوالات',
+            'pathways.eyebrow': 'فنی تعلیم',
+            'pathways.title': 'تعلیمی پروگرام',
+            'pathways.short.eyebrow': 'مہارت سازی',
+            'pathways.short.title': 'مختصر کورسز',
+            'pathways.cta.eyebrow': 'اگلا قدم اٹھائیں',
+            'pathways.cta.title': 'آغاز کے لیے تیار ہیں؟',
+
+            'division.eyebrow.program': 'ڈی اے ای پروگرام',
+            'division.eyebrow.division': 'فنی شعبہ',
+            'division.overview.eyebrow': 'پروگرام کا تعارف',
+            'division.overview.title': 'پروگرام کا جائزہ',
+            'division.highlights': 'پروگرام کی نمایاں خصوصیات',
+            'division.skills.learn': 'آپ کیا سیکھیں گے',
+            'division.skills.core': 'بنیادی مہارتیں',
+            'division.projects.innovation': 'جدت',
+            'division.projects.studentInnovation': 'طلبہ کی تخلیقات',
+            'division.projects.student': 'طلبہ کے پراجیکٹس',
+            'division.projects.notable': 'نمایاں پراجیکٹس',
+            'division.curriculum.standards': 'پی بی ٹی ای معیار',
+            'division.curriculum.complete': 'مکمل نصاب',
+            'division.curriculum.structure': 'پی بی ٹی ای نصاب کا ڈھانچہ',
+            'division.curriculum.pbte': 'پی بی ٹی ای نصاب',
+            'division.curriculum.courses': 'کورسز کا ڈھانچہ',
+            'division.faculty.eyebrow': 'ہماری ٹیم',
+            'division.faculty.title': 'ہمارے اساتذہ سے ملیں',
+            'division.careers.afterGraduation': 'ڈپلومہ کے بعد',
+            'division.careers.opportunities': 'کیریئر کے مواقع',
+            'division.careers.paths': 'کیریئر کے راستے',
+            'division.careers.partners': 'صنعتی شراکت دار اور آجر',
+            'division.careers.electrical': 'الیکٹریکل انجینئرز کو ملازمت دینے والی صنعتیں',
+            'division.cta.begin': 'آغاز کے لیے تیار ہیں؟',
+            'division.cta.techCareer': 'اپنے فنی کیریئر کو آگے بڑھائیں',
+            'division.cta.infrastructure': 'آنے والے کل کا انفراسٹرکچر تعمیر کریں',
+            'division.cta.future': 'اپنے مستقبل کو روشن کریں',
+            'division.cta.engineering': 'اپنا انجینئرنگ کیریئر بنائیں',
+
+            'connect.eyebrow': 'رابطہ کریں',
+            'connect.title': 'ہم سے رابطہ کریں',
+            'connect.subtitle': 'ہمارے پروگراموں، داخلوں یا کیمپس کی سہولیات کے بارے میں سوالات ہیں؟ ہماری ٹیم آپ کے فنی تعلیم کے سفر میں رہنمائی کے لیے حاضر ہے۔',
+            'connect.info.title': 'رابطے کی معلومات',
+            'connect.info.location': 'کیمپس کا پتہ',
+            'connect.info.directions': 'راستہ دیکھیں ←',
+            'connect.info.admissions': 'داخلے',
+            'connect.info.call': 'ابھی کال کریں ←',
+            'connect.info.email': 'ای میل ایڈریس',
+            'connect.info.sendEmail': 'ای میل بھیجیں ←',
+            'connect.info.hours': 'دفتری اوقات',
+            'connect.social': 'سوشل میڈیا پر ہم سے جڑیں',
+            'connect.form.title': 'ہمیں پیغام بھیجیں',
+            'connect.form.subtitle': 'کوئی سوال ہے؟ ہمیں آپ کی بات سن کر خوشی ہوگی!',
+            'connect.form.name': 'پورا نام',
+            'connect.form.email': 'ای میل',
+            'connect.form.subject': 'موضوع',
+            'connect.form.subjectPrompt': 'موضوع منتخب کریں',
+            'connect.form.subject.admissions': 'داخلے سے متعلق سوال',
+            'connect.form.subject.programs': 'پروگرام کی معلومات',
+            'connect.form.subject.fees': 'فیس اسٹرکچر',
+            'connect.form.subject.general': 'عمومی',
+            'connect.form.message': 'پیغام',
+            'connect.form.submit': 'سوال بھیجیں',
+            'connect.departments.eyebrow': 'فوری رابطہ',
+            'connect.departments.title': 'شعبہ جاتی رابطے',
+            'connect.departments.admissions': 'داخلہ دفتر',
+            'connect.departments.call': 'ابھی کال کریں',
+            'connect.departments.support': 'طلبہ کی معاونت',
+            'connect.departments.email': 'ہمیں ای میل کریں',
+            'connect.departments.principal': 'پرنسپل آفس',
+            'connect.departments.emailPrincipal': 'پرنسپل کو ای میل کریں',
+            'connect.map.eyebrow': 'ہمارا پتہ',
+            'connect.map.title': 'کیمپس کا محل وقوع',
+            'connect.map.address': '📍 پتہ',
+            'connect.map.phone': '📞 فون',
+            'connect.map.email': '✉️ ای میل',
+            'validation.required': 'یہ خانہ پُر کرنا ضروری ہے۔',
+            'validation.checked': 'آگے بڑھنے کے لیے براہ کرم اس خانے پر نشان لگائیں۔',
+            'validation.email': 'براہ کرم درست ای میل ایڈریس درج کریں، مثلاً name@example.com',
+            'validation.cnic': 'براہ کرم 13 ہندسوں کا شناختی کارڈ / ب فارم نمبر #####-#######-# کی صورت میں درج کریں۔',
+            'validation.mobile': 'براہ کرم موبائل نمبر درج کریں، مثلاً 0300-1234567',
+            'validation.pattern': 'براہ کرم مطلوبہ طرز کے مطابق درج کریں۔',
+            'validation.min': 'براہ کرم کم از کم {min} درج کریں۔',
+            'validation.max': 'براہ کرم {max} سے زیادہ درج نہ کریں۔',
+            'validation.minlength': 'براہ کرم کم از کم {minlength} حروف درج کریں۔',
+            'validation.maxlength': 'براہ کرم {maxlength} سے زیادہ حروف درج نہ کریں۔',
+            'validation.percent': 'کم از کم {percent}% نمبر ضروری ہیں۔',
+            'form.status.pending': 'آپ کا سوال بھیجا جا رہا ہے...',
+            'form.status.sent': 'شکریہ! آپ کا سوال ہماری داخلہ ٹیم تک پہنچ گیا ہے۔ ہم جلد آپ سے رابطہ کریں گے۔',
+            'form.status.queued': 'لگتا ہے آپ آف لائن ہیں۔ آپ کا سوال محفوظ کر لیا گیا ہے اور انٹرنیٹ بحال ہوتے ہی خود بخود بھیج دیا جائے گا۔',
+            'form.status.rejected': 'براہ کرم نشان زدہ خانے دیکھ کر دوبارہ کوشش کریں۔',
+            'form.status.error': 'آپ کا سوال بھیجتے ہوئے کوئی خرابی پیش آ گئی۔ براہ کرم دوبارہ کوشش کریں یا 0453-220141 پر کال کریں۔',
+
+            'chronicle.eyebrow': 'جی سی ٹی کی زندگی',
+            'chronicle.title': 'کیمپس لائف',
+            'chronicle.facilities.eyebrow': 'انفراسٹرکچر',
+            'chronicle.facilities.title': 'کیمپس کی سہولیات',
+            'chronicle.facilities.library': 'لائبریری',
+            'chronicle.facilities.labs': 'کمپیوٹر لیبز',
+            'chronicle.facilities.workshops': 'فنی ورکشاپس',
+            'chronicle.facilities.sports': 'اسپورٹس کمپلیکس',
+            'chronicle.facilities.commons': 'مشترکہ جگہیں',
+            'chronicle.facilities.counseling': 'رہنمائی مرکز',
+            'chronicle.activities.eyebrow': 'سرگرمیاں',
+            'chronicle.activities.title': 'طلبہ کی سرگرمیاں',
+            'chronicle.activities.exhibitions': 'فنی نمائشیں',
+            'chronicle.activities.tournaments': 'کھیلوں کے مقابلے',
+            'chronicle.activities.cultural': 'ثقافتی تقریبات',
+            'chronicle.activities.visits': 'صنعتی دورے',
+            'chronicle.environment.eyebrow': 'ہمارا ماحول',
+            'chronicle.environment.title': 'آگے بڑھنے کی جگہ',
+            'chronicle.environment.community': 'مددگار ماحول',
+            'chronicle.environment.practical': 'عملی تربیت پر زور',
+            'chronicle.gallery.eyebrow': 'تصویری دورہ',
+            'chronicle.gallery.title': 'کیمپس کی جھلکیاں',
+
+            'legacy.eyebrow': 'ہماری میراث',
+            'legacy.title': 'ادارے کی تاریخ',
+            'legacy.mission.eyebrow': 'ہمارا مقصد',
+            'legacy.mission.title': 'ادارے کا مشن',
+            'legacy.vision.eyebrow': 'ہماری امنگ',
+            'legacy.vision.title': 'مستقبل کا وژن',
+            'legacy.values.eyebrow': 'رہنما اصول',
+            'legacy.values.title': 'ادارے کی بنیادی اقدار',
+            'legacy.values.excellence': 'معیار',
+            'legacy.values.integrity': 'دیانت داری',
+            'legacy.values.innovation': 'جدت',
+            'legacy.values.community': 'برادری',
+            'legacy.milestones.eyebrow': 'ہمارا سفر',
+            'legacy.milestones.title': 'ادارے کے سنگ میل',
+            'legacy.milestones.established': 'ادارے کا قیام',
+            'legacy.milestones.programs': 'پروگراموں میں توسیع',
+            'legacy.milestones.infrastructure': 'انفراسٹرکچر کی بہتری',
+            'legacy.milestones.excellence': 'معیار کا تسلسل',
+            'legacy.leadership.eyebrow': 'ادارے کی قیادت',
+            'legacy.leadership.title': 'ہمارے مشن کے رہنما',
+            'legacy.leadership.vicePrincipal': 'وائس پرنسپل',
+
+            'facilities.eyebrow': 'کیمپس کے وسائل',
+            'facilities.title': 'ہماری سہولیات',
+            'facilities.labs.eyebrow': 'فنی تربیت',
+            'facilities.labs.title': 'جدید لیبارٹریاں',
+            'facilities.labs.computer': 'کمپیوٹر لیبز',
+            'facilities.labs.electrical': 'الیکٹریکل لیبز',
+            'facilities.labs.mechanical': 'مکینیکل ورکشاپس',
+            'facilities.labs.electronics': 'الیکٹرانکس لیبز',
+            'facilities.labs.civil': 'سول سروے لیب',
+            'facilities.labs.science': 'فزکس اور کیمسٹری',
+            'facilities.library.eyebrow': 'علم کا مرکز',
+            'facilities.library.title': 'مرکزی لائبریری',
+            'facilities.sports.eyebrow': 'جسمانی صحت',
+            'facilities.sports.title': 'کھیل اور تفریح',
+            'facilities.sports.cricket': 'کرکٹ گراؤنڈ',
+            'facilities.sports.volleyball': 'والی بال کورٹ',
+            'facilities.sports.badminton': 'بیڈمنٹن',
+            'facilities.sports.indoor': 'ان ڈور کھیل',
+            'facilities.amenities.eyebrow': 'کیمپس کی سہولتیں',
+            'facilities.amenities.title': 'دیگر سہولیات',
+            'facilities.amenities.masjid': '🕌 مسجد',
+            'facilities.amenities.canteen': '🍴 کینٹین',
+            'facilities.amenities.water': '🚰 صاف پانی',
+            'facilities.amenities.firstAid': '🏥 ابتدائی طبی امداد',
+            'facilities.amenities.parking': '🅿️ پارکنگ',
+            'facilities.amenities.green': '🌳 سرسبز کیمپس',
+            'facilities.cta.title': 'ہمارا کیمپس دیکھیں',
+
+            'fees.table.program': 'پروگرام',
+            'fees.table.year1': 'پہلا سال',
+            'fees.table.year2': 'دوسرا سال',
+            'fees.table.year3': 'تیسرا سال',
+            'fees.form.program': 'پروگرام',
+            'fees.form.years': 'دورانیہ',
+            'fees.form.yearsOne': 'صرف پہلا سال',
+            'fees.form.yearsTwo': 'پہلے دو سال',
+            'fees.form.yearsAll': 'مکمل پروگرام (3 سال)',
+            'fees.form.discounts': 'رعایتیں',
+            'fees.form.plan': 'ادائیگی کا طریقہ',
+            'fees.plan.annual': 'پورا سال',
+            'fees.plan.semester': 'فی سمسٹر',
+            'fees.plan.quarterly': 'سہ ماہی',
+            'fees.discountName.merit': 'میرٹ اسکالرشپ',
+            'fees.discountName.early': 'جلد داخلہ',
+            'fees.discountName.sibling': 'بہن بھائی رعایت',
+            'fees.amount': '{amount} روپے',
+            'fees.year': 'سال {year}',
+            'fees.yearColumn': 'سال',
+            'fees.fee': 'فیس',
+            'fees.discount': 'رعایت',
+            'fees.payable': 'قابل ادائیگی',
+            'fees.total': 'کل',
+            'fees.capped': '، حد مقرر',
+            'fees.firstYearOnly': '، صرف پہلا سال',
+            'fees.installments': '{plan} اقساط',
+            'fees.caption': '{program} کی متوقع فیس',
+            'fees.note': 'مجموعی رعایت ایک سال کی فیس کے {percent}% تک محدود ہے۔ حتمی فیس کی تصدیق انتظامیہ کا دفتر کرے گا۔'
+        }
+    }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOCALES, DEFAULT_LANGUAGE };
+}
@@ -0,0 +1,374 @@
+/**
+ * GCT Website - Program Catalog
+ * Single source for the DAE programs: navigation, footer, pathways.html
+ * and its program comparison, and the division pages are all rendered
+ * from this list, as are the program lists on enrollment.html. Fees
+ * (scripts/data/fees.js) and admission rules (scripts/data/admissions.js)
+ * are keyed by program id; the build fails when a program lacks either.
+ *
+ * Paths are relative to the site root; lab anchors are the ids of the
+ * facility cards on facilities.html.
+ */
+
+const PROGRAM_CATALOG = [
+    {
+        id: 'computing',
+        page: 'divisions/computing.html',
+        anchor: 'computing',
+        name: 'DAE Computer Information Technology',
+        title: 'Computer Information Technology',
+        shortName: 'Computer IT',
+        duration: 3,
+        pathway: {
+            heading: 'Computing Information Technology',
+            summary: 'Master cutting-edge software development and network management. Build innovative digital solutions for the modern IT industry.',
+            image: 'images/student-Community.jpeg',
+            imageAlt: 'Computing Labs',
+            badge: 'primary',
+            cta: 'Explore Computing Division',
+            components: [
+                { title: 'Software', text: 'Web & App Development' },
+                { title: 'Data', text: 'Database & Cloud Systems' },
+                { title: 'Network', text: 'Security & Administration' },
+                { title: 'Hardware', text: 'Systems & Troubleshooting' }
+            ]
+        },
+        labs: [
+            { title: 'Computer Labs', anchor: 'facility-computer-labs' },
+            { title: 'Electronics Labs', anchor: 'facility-electronics-labs' },
+            { title: 'Physics & Chemistry', anchor: 'facility-physics-chemistry' }
+        ],
+        years: [
+            {
+                title: 'First Year',
+                subtitle: 'Foundation Studies',
+                courses: [
+                    { code: 'GEN-111', title: 'Islamiat & Pak Studies' },
+                    { code: 'Eng-112', title: 'English' },
+                    { code: 'Math-123', title: 'Applied Mathematics-I' },
+                    { code: 'CIT-103', title: 'Introduction to Computing' },
+                    { code: 'CIT-114', title: 'Introduction to Programming' },
+                    { code: 'CIT-124', title: 'Basic Electronics' }
+                ]
+            },
+            {
+                title: 'Second Year',
+                subtitle: 'Core Development Skills',
+                courses: [
+                    { code: 'Math-233', title: 'Applied Mathematics-II' },
+                    { code: 'CIT-203', title: 'Data Communication & Networks' },
+                    { code: 'CIT-222', title: 'Operating System' },
+                    { code: 'CIT-283', title: 'Database Management System' },
+                    { code: 'CIT-204', title: 'Web Development' },
+                    { code: 'CIT-273', title: 'Digital Logic Design' }
+                ]
+            },
+            {
+                title: 'Third Year',
+                subtitle: 'Specialization & Industry',
+                courses: [
+                    { code: 'CIT-312', title: 'Internet of Things' },
+                    { code: 'CIT-314', title: 'Mobile App Development' },
+                    { code: 'CIT-372', title: 'UI/UX Design' },
+                    { code: 'CIT-381', title: 'Software Quality Assurance' },
+                    { code: 'CIT-322', title: 'Entrepreneurship & Freelancing' },
+                    { code: 'CIT-392', title: 'Final Year Project' }
+                ]
+            }
+        ],
+        careers: [
+            { title: 'Software Developer', description: 'Build applications and software solutions' },
+            { title: 'Network Administrator', description: 'Manage and maintain computer networks' },
+            { title: 'Database Manager', description: 'Design and manage database systems' },
+            { title: 'Web Developer', description: 'Create websites and web applications' }
+        ]
+    },
+    {
+        id: 'electrical',
+        page: 'divisions/electrical.html',
+        anchor: 'electrical',
+        name: 'DAE Electrical Technology',
+        title: 'Electrical Technology',
+        shortName: 'Electrical',
+        duration: 3,
+        pathway: {
+            heading: 'Electrical Technology',
+            summary: 'Learn power generation, distribution, and renewable energy. Design safe, efficient electrical networks for modern infrastructure.',
+            image: 'images/electrical.jpeg',
+            imageAlt: 'Electrical Power Systems',
+            badge: 'copper',
+            cta: 'Explore Electrical Division',
+            components: [
+                { title: 'Power', text: 'Generation & Distribution' },
+                { title: 'Design', text: 'Circuit Analysis & Wiring' },
+                { title: 'Machines', text: 'Motors & Transformers' },
+                { title: 'Safety', text: 'Standards & Industrial Laws' }
+            ]
+        },
+        labs: [
+            { title: 'Electrical Labs', anchor: 'facility-electrical-labs' },
+            { title: 'Physics & Chemistry', anchor: 'facility-physics-chemistry' }
+        ],
+        years: [
+            {
+                title: 'First Year',
+                subtitle: 'Foundation',
+                courses: [
+                    { code: 'ET-111', title: 'Electrical Fundamentals' },
+                    { code: 'ET-112', title: 'Circuit Analysis' },
+                    { code: 'ET-113', title: 'Electrical Drawing' },
+                    { code: 'ET-114', title: 'Workshop Practice' },
+                    { code: 'Math-123', title: 'Applied Mathematics' }
+                ]
+            },
+            {
+                title: 'Second Year',
+                subtitle: 'Core Studies',
+                courses: [
+                    { code: 'ET-221', title: 'Electrical Machines' },
+                    { code: 'ET-222', title: 'Power Systems' },
+                    { code: 'ET-223', title: 'Industrial Wiring' },
+                    { code: 'ET-224', title: 'Control Systems' }
+                ]
+            },
+            {
+                title: 'Third Year',
+                subtitle: 'Specialization',
+                courses: [
+                    { code: 'ET-331', title: 'Power Distribution' },
+                    { code: 'ET-332', title: 'Protective Devices' },
+                    { code: 'ET-333', title: 'PLC Programming' },
+                    { code: 'ET-34', title: 'Renewable Energy' },
+                    { code: 'ET-392', title: 'Final Year Project' }
+                ]
+            }
+        ],
+        careers: [
+            { title: 'Electrical Supervisor', description: 'Run generation, transmission and distribution work' },
+            { title: 'Maintenance Technician', description: 'Keep motors, transformers and plant running' },
+            { title: 'Wiring Contractor', description: 'Design and install building and industrial wiring' },
+            { title: 'Solar Technician', description: 'Install and service renewable energy systems' }
+        ]
+    },
+    {
+        id: 'machinery',
+        page: 'divisions/machinery.html',
+        anchor: 'mechanical',
+        name: 'DAE Mechanical Technology',
+        title: 'Mechanical Technology',
+        shortName: 'Mechanical',
+        duration: 3,
+        pathway: {
+            heading: 'Mechanical Technology',
+            summary: 'Comprehensive training in CAD/CAM, CNC programming, and precision engineering. Innovate the machines that drive modern manufacturing.',
+            image: 'images/mechanical.jpeg',
+            imageAlt: 'Mechanical Engineering',
+            badge: 'secondary',
+            cta: 'Explore Mechanical Division',
+            components: [
+                { title: 'Precision', text: 'Machining & Workshop' },
+                { title: 'Design', text: 'CAD/CAM & Engineering' },
+                { title: 'Physics', text: 'Thermodynamics & Fluids' },
+                { title: 'Industry', text: 'Maintenance & Repair' }
+            ]
+        },
+        labs: [
+            { title: 'Mechanical Workshops', anchor: 'facility-mechanical-workshops' },
+            { title: 'Physics & Chemistry', anchor: 'facility-physics-chemistry' }
+        ],
+        years: [
+            {
+                title: 'First Year',
+                subtitle: 'Foundation Studies',
+                courses: [
+                    { code: 'MT-111', title: 'Engineering Drawing' },
+                    { code: 'MT-112', title: 'Workshop Practice' },
+                    { code: 'MT-113', title: 'Applied Mechanics' },
+                    { code: 'MT-114', title: 'Applied Mathematics' },
+                    { code: 'MT-115', title: 'Materials Technology' },
+                    { code: 'Gen-111', title: 'English' },
+                    { code: 'Gen-112', title: 'Pakistan Studies' }
+                ]
+            },
+            {
+                title: 'Second Year',
+                subtitle: 'Core Studies',
+                courses: [
+                    { code: 'MT-211', title: 'Machine Drawing' },
+                    { code: 'MT-212', title: 'Thermodynamics' },
+                    { code: 'MT-213', title: 'Fluid Mechanics' },
+                    { code: 'MT-214', title: 'CAD/CAM' },
+                    { code: 'MT-215', title: 'Manufacturing Processes' },
+                    { code: 'MT-216', title: 'Strength of Materials' }
+                ]
+            },
+            {
+                title: 'Third Year',
+                subtitle: 'Specialization',
+                courses: [
+                    { code: 'MT-311', title: 'Machine Design' },
+                    { code: 'MT-312', title: 'Industrial Management' },
+                    { code: 'MT-313', title: 'Hydraulics & Pneumatics' },
+                    { code: 'MT-314', title: 'CNC Technology' },
+                    { code: 'MT-315', title: 'Maintenance Engineering' },
+                    { code: 'MT-316', title: 'Final Year Project' }
+                ]
+            }
+        ],
+        careers: [
+            { title: 'Production Supervisor', description: 'Oversee machining and manufacturing lines' },
+            { title: 'CNC Operator', description: 'Program and run CNC machines' },
+            { title: 'CAD Draftsman', description: 'Prepare machine drawings and 3D models' },
+            { title: 'Maintenance Technician', description: 'Service plant machinery and power station equipment' }
+        ]
+    },
+    {
+        id: 'construction',
+        page: 'divisions/construction.html',
+        anchor: 'civil',
+        name: 'DAE Civil Technology',
+        title: 'Civil Technology',
+        shortName: 'Civil',
+        duration: 3,
+        pathway: {
+            heading: 'Civil Technology',
+            summary: 'Prepare for roles in construction and infrastructure. Master structural design and sustainable building practices.',
+            image: 'images/college-front.jpeg',
+            imageAlt: 'Construction and Infrastructure',
+            badge: 'primary',
+            cta: 'Explore Construction Division',
+            components: [
+                { title: 'Survey', text: 'Leveling & Techniques' },
+                { title: 'Structure', text: 'Analysis & Design' },
+                { title: 'Building', text: 'Materials & Methods' },
+                { title: 'Project', text: 'Estimation & Costs' }
+            ]
+        },
+        labs: [
+            { title: 'Civil Survey Lab', anchor: 'facility-civil-survey-lab' },
+            { title: 'Physics & Chemistry', anchor: 'facility-physics-chemistry' }
+        ],
+        years: [
+            {
+                title: 'First Year',
+                subtitle: 'Foundation Studies',
+                courses: [
+                    { code: 'CT-111', title: 'Engineering Drawing' },
+                    { code: 'CT-112', title: 'Plane Surveying' },
+                    { code: 'CT-113', title: 'Building Materials' },
+                    { code: 'CT-114', title: 'Applied Mathematics' },
+                    { code: 'CT-115', title: 'Building Construction' },
+                    { code: 'Gen-111', title: 'English' },
+                    { code: 'Gen-112', title: 'Pakistan Studies' }
+                ]
+            },
+            {
+                title: 'Second Year',
+                subtitle: 'Core Studies',
+                courses: [
+                    { code: 'CT-211', title: 'Advanced Surveying' },
+                    { code: 'CT-212', title: 'Structural Mechanics' },
+                    { code: 'CT-213', title: 'Concrete Technology' },
+                    { code: 'CT-214', title: 'CAD Applications' },
+                    { code: 'CT-215', title: 'Soil Mechanics' },
+                    { code: 'CT-216', title: 'Hydraulics' }
+                ]
+            },
+            {
+                title: 'Third Year',
+                subtitle: 'Specialization',
+                courses: [
+                    { code: 'CT-311', title: 'RCC Design' },
+                    { code: 'CT-312', title: 'Estimation & Costing' },
+                    { code: 'CT-313', title: 'Quantity Surveying' },
+                    { code: 'CT-314', title: 'Construction Management' },
+                    { code: 'CT-315', title: 'Transportation Engg' },
+                    { code: 'CT-316', title: 'Final Year Project' }
+                ]
+            }
+        ],
+        careers: [
+            { title: 'Site Supervisor', description: 'Manage construction work on site' },
+            { title: 'Surveyor', description: 'Survey and level land for roads and buildings' },
+            { title: 'Quantity Surveyor', description: 'Estimate materials and construction costs' },
+            { title: 'CAD Draftsman', description: 'Prepare building and structural drawings' }
+        ]
+    },
+    {
+        id: 'circuits',
+        page: 'divisions/circuits.html',
+        anchor: 'electronics',
+        name: 'DAE Electronics Technology',
+        title: 'Electronics Technology',
+        shortName: 'Electronics',
+        duration: 3,
+        pathway: {
+            heading: 'Electronics Technology',
+            summary: 'Advanced electronic systems, embedded systems, and IoT. Design microcontrollers and communication systems for the connected world.',
+            image: 'images/electronic.jpeg',
+            imageAlt: 'Electronics and IoT',
+            badge: 'copper',
+            cta: 'Explore Electronics Division',
+            components: [
+                { title: 'Circuits', text: 'Components & Design' },
+                { title: 'Digital', text: 'Logic & Processing' },
+                { title: 'IoT', text: 'Embedded Systems' },
+                { title: 'Control', text: 'Instrumentation Systems' }
+            ]
+        },
+        labs: [
+            { title: 'Electronics Labs', anchor: 'facility-electronics-labs' },
+            { title: 'Physics & Chemistry', anchor: 'facility-physics-chemistry' }
+        ],
+        years: [
+            {
+                title: 'First Year',
+                subtitle: 'Foundation Studies',
+                courses: [
+                    { code: 'ET-111', title: 'Electronic Components' },
+                    { code: 'ET-112', title: 'Circuit Theory' },
+                    { code: 'ET-113', title: 'Digital Electronics' },
+                    { code: 'ET-114', title: 'Applied Mathematics' },
+                    { code: 'ET-115', title: 'Workshop Practice' },
+                    { code: 'Gen-111', title: 'English' },
+                    { code: 'Gen-112', title: 'Pakistan Studies' }
+                ]
+            },
+            {
+                title: 'Second Year',
+                subtitle: 'Core Studies',
+                courses: [
+                    { code: 'ET-211', title: 'Analog Electronics' },
+                    { code: 'ET-212', title: 'Microprocessors' },
+                    { code: 'ET-213', title: 'Communication Systems' },
+                    { code: 'ET-214', title: 'Instrumentation' },
+                    { code: 'ET-215', title: 'PCB Design' },
+                    { code: 'ET-216', title: 'Power Electronics' }
+                ]
+            },
+            {
+                title: 'Third Year',
+                subtitle: 'Specialization',
+                courses: [
+                    { code: 'ET-311', title: 'Microcontrollers' },
+                    { code: 'ET-312', title: 'Industrial Electronics' },
+                    { code: 'ET-313', title: 'Control Systems' },
+                    { code: 'ET-314', title: 'Fiber Optics' },
+                    { code: 'ET-315', title: 'Mobile Communication' },
+                    { code: 'ET-316', title: 'Final Year Project' }
+                ]
+            }
+        ],
+        careers: [
+            { title: 'Electronics Technician', description: 'Test, repair and service electronic equipment' },
+            { title: 'Embedded Systems Developer', description: 'Program microcontrollers and IoT devices' },
+            { title: 'Telecom Technician', description: 'Maintain communication and broadcast systems' },
+            { title: 'Biomedical Technician', description: 'Service hospital and medical equipment' }
+        ]
+    }
+];
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROGRAM_CATALOG };
+}
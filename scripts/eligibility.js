@@ -0,0 +1,261 @@
+/**
+ * GCT Website - Eligibility & Merit Calculator
+ * Checks an applicant against ADMISSION_RULES (scripts/data/admissions.js),
+ * for the programs of PROGRAM_CATALOG (scripts/data/programs.js)
+ */
+
+import { registerComponent } from './components.js';
+import { i18n } from './i18n.js';
+
+/**
+ * Translated names, falling back to the English ones in the data
+ */
+function getProgramName(program) {
+    return i18n.t(`program.${program.id}.name`, {}, program.name);
+}
+
+function getGroupName(group) {
+    return i18n.t(`eligibility.group.${String(group).toLowerCase()}`, {}, group);
+}
+
+/**
+ * Age in full years on the next admission reference date
+ * dateOfBirth is a date input's YYYY-MM-DD value. Only calendar dates are
+ * compared: new Date() would read it as midnight UTC, the day before in
+ * timezones west of Greenwich.
+ */
+function getAdmissionAge(dateOfBirth, rules, today = new Date()) {
+    const { referenceMonth, referenceDay } = rules.age;
+    const [birthYear, birthMonth, birthDay] = String(dateOfBirth).split('-').map(Number);
+
+    // The reference date counts until the day is over
+    const todayMonth = today.getMonth() + 1;
+    const passed = todayMonth > referenceMonth ||
+        (todayMonth === referenceMonth && today.getDate() > referenceDay);
+    const referenceYear = today.getFullYear() + (passed ? 1 : 0);
+
+    let age = referenceYear - birthYear;
+    const hadBirthday = referenceMonth > birthMonth ||
+        (referenceMonth === birthMonth && referenceDay >= birthDay);
+
+    if (!hadBirthday) age--;
+
+    return { age, reference: new Date(referenceYear, referenceMonth - 1, referenceDay) };
+}
+
+/**
+ * Programs open for admission, in catalog order, with their rule overrides
+ */
+function getAdmissionPrograms(rules, catalog = PROGRAM_CATALOG) {
+    return catalog
+        .filter(program => rules.programs[program.id])
+        .map(program => ({ ...rules.programs[program.id], id: program.id, name: program.name }));
+}
+
+/**
+ * Evaluate an applicant
+ * applicant: { marksObtained, marksTotal, group, dateOfBirth, domicile, preferred: [programId] }
+ * Marks above the total, or no total, give { eligible: false, error, message }.
+ */
+function checkEligibility(applicant, rules = ADMISSION_RULES, today = new Date(), catalog = PROGRAM_CATALOG) {
+    const marksObtained = Number(applicant.marksObtained);
+    const marksTotal = Number(applicant.marksTotal);
+
+    // Nothing to score: the result carries the error alone
+    if (!(marksTotal > 0) || !(marksObtained >= 0) || marksObtained > marksTotal) {
+        return {
+            eligible: false,
+            error: 'marks',
+            message: i18n.t('eligibility.marksError', { total: applicant.marksTotal })
+        };
+    }
+
+    const percentage = (marksObtained / marksTotal) * 100;
+    const meritScore = Math.round(percentage * 100) / 100;
+    const { age, reference } = getAdmissionAge(applicant.dateOfBirth, rules, today);
+    const isLocal = rules.localDistricts.includes(applicant.domicile);
+    const preferred = applicant.preferred || [];
+
+    const ageOk = age >= rules.age.min && age <= rules.age.max;
+
+    const checks = [
+        {
+            id: 'marks',
+            passed: percentage >= rules.minPercentage,
+            message: i18n.t('eligibility.check.marks', { score: meritScore, min: rules.minPercentage })
+        },
+        {
+            id: 'group',
+            passed: rules.groups.includes(applicant.group),
+            message: i18n.t('eligibility.check.group', {
+                group: getGroupName(applicant.group),
+                groups: i18n.formatList(rules.groups.map(getGroupName))
+            })
+        },
+        {
+            id: 'age',
+            passed: ageOk,
+            message: i18n.t('eligibility.check.age', {
+                age,
+                date: i18n.formatDate(reference, { dateStyle: 'medium' }),
+                min: rules.age.min,
+                max: rules.age.max
+            })
+        }
+    ];
+
+    const programs = getAdmissionPrograms(rules, catalog).map(program => {
+        const minPercentage = program.minPercentage ?? rules.minPercentage;
+        const groups = program.groups || rules.groups;
+        const reasons = [];
+
+        if (percentage < minPercentage) {
+            reasons.push(i18n.t('eligibility.reason.marks', { percent: minPercentage }));
+        }
+        if (!groups.includes(applicant.group)) {
+            reasons.push(i18n.t('eligibility.reason.group', { groups: i18n.formatList(groups.map(getGroupName), 'disjunction') }));
+        }
+        if (!ageOk) reasons.push(i18n.t('eligibility.reason.age'));
+
+        return {
+            id: program.id,
+            name: getProgramName(program),
+            preferred: preferred.includes(program.id),
+            qualifies: reasons.length === 0,
+            reasons
+        };
+    });
+
+    return {
+        eligible: checks.every(check => check.passed),
+        percentage,
+        meritScore,
+        age,
+        quota: isLocal ? 'local' : 'open',
+        checks,
+        programs
+    };
+}
+
+/**
+ * Calculator UI
+ * Submission is validated by initForms(), which fires form:valid
+ */
+class EligibilityCalculator {
+    constructor(form, rules = ADMISSION_RULES, catalog = PROGRAM_CATALOG) {
+        this.form = form;
+        this.rules = rules;
+        this.catalog = catalog;
+        this.result = document.querySelector(form.dataset.result || '.eligibility-result');
+        // The last applicant checked, re-checked when the language changes
+        this.applicant = null;
+
+        this.init();
+    }
+
+    init() {
+        const districtSelect = this.form.querySelector('[name="domicile"]');
+        if (districtSelect) {
+            this.rules.districts.forEach(district => {
+                districtSelect.add(new Option(district, district));
+            });
+        }
+
+        this.renderPrograms();
+
+        this.form.addEventListener('form:valid', (e) => {
+            const data = e.detail.data;
+            this.applicant = {
+                marksObtained: data.get('marksObtained'),
+                marksTotal: data.get('marksTotal'),
+                group: data.get('group'),
+                dateOfBirth: data.get('dateOfBirth'),
+                domicile: data.get('domicile'),
+                preferred: data.getAll('preferred')
+            };
+            this.update();
+        });
+
+        document.addEventListener('i18n:change', () => {
+            this.renderPrograms();
+            if (this.applicant) this.update();
+        });
+    }
+
+    update() {
+        this.render(checkEligibility(this.applicant, this.rules, new Date(), this.catalog));
+    }
+
+    /**
+     * Fill the preferred program choices, keeping any ticked ones
+     */
+    renderPrograms() {
+        const programList = this.form.querySelector('.eligibility-programs');
+        if (!programList) return;
+
+        const checked = new FormData(this.form).getAll('preferred');
+        programList.innerHTML = getAdmissionPrograms(this.rules, this.catalog).map(program => `
+            <label class="checklist__item">
+                <input type="checkbox" name="preferred" value="${program.id}"${checked.includes(program.id) ? ' checked' : ''}> ${getProgramName(program)}
+            </label>
+        `).join('');
+    }
+
+    render(result) {
+        if (!this.result) return;
+
+        if (result.error) {
+            this.result.innerHTML = `<p class="form-error">${result.message}</p>`;
+            this.result.hidden = false;
+            return;
+        }
+
+        const quotaText = result.quota === 'local'
+            ? i18n.t('eligibility.quota.local')
+            : i18n.t('eligibility.quota.open');
+
+        const checksHTML = result.checks.map(check => `
+            <li class="eligibility-check eligibility-check--${check.passed ? 'pass' : 'fail'}">
+                <span class="eligibility-check__mark" aria-hidden="true">${check.passed ? '✓' : '✕'}</span>
+                <span class="visually-hidden">${check.passed ? i18n.t('eligibility.met') : i18n.t('eligibility.notMet')}</span>
+                ${check.message}
+            </li>
+        `).join('');
+
+        // Preferred programs first
+        const programs = [...result.programs].sort((a, b) => b.preferred - a.preferred);
+        const programsHTML = programs.map(program => `
+            <li class="eligibility-program${program.qualifies ? ' eligibility-program--qualifies' : ''}">
+                <strong>${program.name}</strong>${program.preferred ? ` <span class="badge badge--secondary">${i18n.t('eligibility.preferred')}</span>` : ''}
+                <span>${program.qualifies
+                    ? i18n.t('eligibility.qualifies')
+                    : i18n.t('eligibility.notEligible', { reasons: i18n.formatList(program.reasons, 'unit') })}</span>
+            </li>
+        `).join('');
+
+        const ageNote = result.checks.find(check => check.id === 'age').passed
+            ? ''
+            : `<p class="eligibility-note">${i18n.t('eligibility.ageNote')}</p>`;
+
+        this.result.innerHTML = `
+            <h3 class="eligibility-result__title">
+                ${result.eligible ? i18n.t('eligibility.eligible') : i18n.t('eligibility.ineligible')}
+            </h3>
+            <div class="eligibility-score">
+                <span class="eligibility-score__value">${i18n.formatNumber(result.meritScore, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span>
+                <span class="eligibility-score__label">${i18n.t('eligibility.score')}</span>
+            </div>
+            <ul class="eligibility-checks">${checksHTML}</ul>
+            <p class="eligibility-quota">${quotaText}</p>
+            ${ageNote}
+            <h4>${i18n.t('eligibility.programs')}</h4>
+            <ul class="eligibility-programs-result">${programsHTML}</ul>
+            <p class="eligibility-note">${i18n.t('eligibility.estimate')}</p>
+        `;
+        this.result.hidden = false;
+    }
+}
+
+registerComponent('eligibility', form => new EligibilityCalculator(form));
+
+export { checkEligibility, getAdmissionAge, getAdmissionPrograms, EligibilityCalculator };
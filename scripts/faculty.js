@@ -0,0 +1,117 @@
+/**
+ * GCT Website - Faculty Directory
+ * Search, department and role filters and sorting for the directory
+ * rendered by build/faculty.js. The choices are kept in the address, so a
+ * filtered list can be shared or linked to, e.g.
+ * faculty.html?department=computing. Without this script every member is
+ * listed.
+ */
+
+import { registerComponent } from './components.js';
+import { i18n } from './i18n.js';
+import { normaliseSearchText } from './search.js';
+
+// Each control's value when untouched; defaults are left out of the address
+const FACULTY_DEFAULTS = { q: '', department: 'all', role: 'all', sort: 'role' };
+
+/**
+ * Whether every word of the query is in a card's keywords, also ignoring
+ * spaces, so "cit103" finds "CIT-103"
+ */
+function matchesFacultyQuery(keywords, query) {
+    const text = normaliseSearchText(keywords);
+    const compact = text.replace(/ /g, '');
+
+    return normaliseSearchText(query).split(' ').filter(Boolean)
+        .every(word => text.includes(word) || compact.includes(word));
+}
+
+/**
+ * Faculty Directory
+ */
+class FacultyDirectory {
+    constructor(root) {
+        this.root = root;
+        this.form = root.querySelector('[data-faculty-controls]');
+        this.list = root.querySelector('[data-faculty-list]');
+        this.cards = Array.from(this.list.querySelectorAll('.faculty-card'));
+        this.status = root.querySelector('[data-faculty-status]');
+        this.empty = root.querySelector('[data-faculty-empty]');
+
+        this.init();
+    }
+
+    init() {
+        this.readAddress();
+        this.form.hidden = false;
+
+        this.form.addEventListener('input', () => this.update());
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+
+        this.update({ record: false, announce: false });
+    }
+
+    // Unknown values, e.g. from an old link, fall back to the default
+    readAddress() {
+        const params = new URLSearchParams(window.location.search);
+
+        Object.entries(FACULTY_DEFAULTS).forEach(([name, fallback]) => {
+            const field = this.form.elements[name];
+            const value = params.get(name);
+            const known = value !== null
+                && (field.tagName !== 'SELECT' || Array.from(field.options).some(option => option.value === value));
+
+            field.value = known ? value : fallback;
+        });
+    }
+
+    getState() {
+        return Object.fromEntries(Object.keys(FACULTY_DEFAULTS).map(name => [name, this.form.elements[name].value]));
+    }
+
+    update({ record = true, announce = true } = {}) {
+        const state = this.getState();
+
+        let shown = 0;
+        this.cards.forEach(card => {
+            card.hidden = !(
+                (state.department === 'all' || card.dataset.department === state.department)
+                && (state.role === 'all' || card.dataset.role === state.role)
+                && matchesFacultyQuery(card.dataset.keywords, state.q)
+            );
+            if (!card.hidden) shown++;
+        });
+
+        this.sort(state.sort);
+        this.empty.hidden = shown > 0;
+        if (announce) this.status.textContent = i18n.t('faculty.count', { count: shown });
+        if (record) this.writeAddress(state);
+    }
+
+    sort(by) {
+        const byName = (a, b) => a.dataset.name.localeCompare(b.dataset.name);
+        const department = card => card.querySelector('.faculty-card__department').textContent.trim();
+        const compare = {
+            name: byName,
+            role: (a, b) => Number(a.dataset.rank) - Number(b.dataset.rank) || byName(a, b),
+            department: (a, b) => department(a).localeCompare(department(b)) || byName(a, b)
+        }[by] || byName;
+
+        [...this.cards].sort(compare).forEach(card => this.list.appendChild(card));
+    }
+
+    writeAddress(state) {
+        const params = new URLSearchParams();
+        Object.entries(FACULTY_DEFAULTS).forEach(([name, fallback]) => {
+            if (state[name] !== fallback) params.set(name, state[name]);
+        });
+
+        const query = params.toString();
+        const { pathname, hash } = window.location;
+        history.replaceState(history.state, '', `${pathname}${query ? `?${query}` : ''}${hash}`);
+    }
+}
+
+registerComponent('faculty-directory', root => new FacultyDirectory(root));
+
+export { FacultyDirectory, matchesFacultyQuery, FACULTY_DEFAULTS };
@@ -0,0 +1,244 @@
+/**
+ * GCT Website - Fee Table & Estimator
+ * Renders fee information from FEE_STRUCTURE (scripts/data/fees.js)
+ * in the current language, re-rendering when it changes. Program names
+ * and order come from PROGRAM_CATALOG (scripts/data/programs.js).
+ */
+
+import { registerComponent } from './components.js';
+import { i18n } from './i18n.js';
+
+function formatCurrency(amount, structure = FEE_STRUCTURE) {
+    return i18n.t('fees.amount', {
+        currency: structure.currency,
+        amount: i18n.formatNumber(Math.round(amount))
+    });
+}
+
+/**
+ * Translated labels, falling back to the English names in the data
+ */
+function getProgramName(program) {
+    return i18n.t(`program.${program.id}.name`, {}, program.name);
+}
+
+function getPlanLabel(plan) {
+    return i18n.t(`fees.plan.${plan.id}`, {}, plan.label);
+}
+
+function getDiscountLabel(discount) {
+    return i18n.t(`fees.discountName.${discount.id}`, {}, discount.label);
+}
+
+/**
+ * Programs with published fees, in catalog order: { id, name, fees }
+ */
+function getFeePrograms(structure = FEE_STRUCTURE, catalog = PROGRAM_CATALOG) {
+    return catalog
+        .filter(program => structure.programs[program.id])
+        .map(program => ({ id: program.id, name: program.name, fees: structure.programs[program.id] }));
+}
+
+/**
+ * Split an amount into equal installments, the last one absorbing rounding
+ */
+function splitInstallments(amount, parts) {
+    const base = Math.floor(amount / parts);
+    return Array.from({ length: parts }, (_, i) =>
+        i === parts - 1 ? amount - base * (parts - 1) : base
+    );
+}
+
+/**
+ * Year-by-year cost breakdown
+ * options: { programId, years, discounts: [discountId], plan: planId }
+ */
+function calculateFees(options, structure = FEE_STRUCTURE, catalog = PROGRAM_CATALOG) {
+    const program = getFeePrograms(structure, catalog).find(p => p.id === options.programId);
+    if (!program) return null;
+
+    const years = Math.min(options.years || program.fees.length, program.fees.length);
+    const selected = structure.discounts.filter(d => (options.discounts || []).includes(d.id));
+    const plan = structure.installmentPlans.find(p => p.id === options.plan) || structure.installmentPlans[0];
+
+    const breakdown = program.fees.slice(0, years).map((fee, index) => {
+        const applicable = selected.filter(d => d.appliesTo === 'all' || index === 0);
+        const rawPercent = applicable.reduce((sum, d) => sum + d.percent, 0);
+        const percent = Math.min(rawPercent, structure.maxCombinedPercent);
+        const discount = Math.round(fee * percent / 100);
+        const payable = fee - discount;
+
+        return {
+            year: index + 1,
+            fee,
+            percent,
+            capped: rawPercent > percent,
+            discount,
+            payable,
+            installments: splitInstallments(payable, plan.parts)
+        };
+    });
+
+    return {
+        program,
+        plan,
+        breakdown,
+        totalFee: breakdown.reduce((sum, y) => sum + y.fee, 0),
+        totalDiscount: breakdown.reduce((sum, y) => sum + y.discount, 0),
+        totalPayable: breakdown.reduce((sum, y) => sum + y.payable, 0)
+    };
+}
+
+/**
+ * Fill the fee table body from the data source
+ */
+function renderFeeTable(table, structure = FEE_STRUCTURE, catalog = PROGRAM_CATALOG) {
+    const tbody = table.querySelector('tbody');
+
+    tbody.innerHTML = getFeePrograms(structure, catalog).map(program => `
+        <tr>
+            <td>${getProgramName(program)}</td>
+            ${program.fees.map(fee => `<td>${formatCurrency(fee, structure)}</td>`).join('')}
+        </tr>
+    `).join('');
+}
+
+/**
+ * Fee Estimator
+ */
+class FeeEstimator {
+    constructor(form, structure = FEE_STRUCTURE, catalog = PROGRAM_CATALOG) {
+        this.form = form;
+        this.structure = structure;
+        this.catalog = catalog;
+        this.output = document.querySelector(form.dataset.output || '.fee-estimate');
+
+        this.init();
+    }
+
+    init() {
+        this.renderOptions();
+
+        this.form.addEventListener('change', () => this.update());
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+
+        document.addEventListener('i18n:change', () => {
+            this.renderOptions();
+            this.update();
+        });
+
+        this.update();
+    }
+
+    /**
+     * Fill the program, plan and discount choices, keeping any current selection
+     */
+    renderOptions() {
+        const data = new FormData(this.form);
+        const checked = data.getAll('discounts');
+
+        const programSelect = this.form.querySelector('[name="program"]');
+        programSelect.length = 0;
+        getFeePrograms(this.structure, this.catalog).forEach(program => {
+            programSelect.add(new Option(getProgramName(program), program.id));
+        });
+        if (data.get('program')) programSelect.value = data.get('program');
+
+        const planSelect = this.form.querySelector('[name="plan"]');
+        planSelect.length = 0;
+        this.structure.installmentPlans.forEach(plan => {
+            planSelect.add(new Option(getPlanLabel(plan), plan.id));
+        });
+        if (data.get('plan')) planSelect.value = data.get('plan');
+
+        this.form.querySelector('.fee-discounts').innerHTML = this.structure.discounts.map(discount => `
+            <label class="checklist__item">
+                <input type="checkbox" name="discounts" value="${discount.id}"${checked.includes(discount.id) ? ' checked' : ''}>
+                ${getDiscountLabel(discount)} (${discount.percent}%${discount.appliesTo === 'first' ? i18n.t('fees.firstYearOnly') : ''})
+            </label>
+        `).join('');
+    }
+
+    update() {
+        const data = new FormData(this.form);
+        const estimate = calculateFees({
+            programId: data.get('program'),
+            years: parseInt(data.get('years'), 10),
+            discounts: data.getAll('discounts'),
+            plan: data.get('plan')
+        }, this.structure, this.catalog);
+
+        if (estimate) this.render(estimate);
+    }
+
+    render(estimate) {
+        const money = (amount) => formatCurrency(amount, this.structure);
+        const { plan } = estimate;
+
+        const rowsHTML = estimate.breakdown.map(year => `
+            <tr>
+                <td>${i18n.t('fees.year', { year: year.year })}</td>
+                <td>${money(year.fee)}</td>
+                <td>${year.percent ? `− ${money(year.discount)} (${year.percent}%${year.capped ? i18n.t('fees.capped') : ''})` : '—'}</td>
+                <td><strong>${money(year.payable)}</strong></td>
+            </tr>
+        `).join('');
+
+        const installmentsHTML = plan.parts > 1
+            ? estimate.breakdown.map(year => `
+                <li>${i18n.t('fees.year', { year: year.year })}: ${year.installments.map(money).join(' + ')}</li>
+            `).join('')
+            : '';
+
+        this.output.innerHTML = `
+            <table class="fee-table fee-table--estimate">
+                <caption class="visually-hidden">${i18n.t('fees.caption', { program: getProgramName(estimate.program) })}</caption>
+                <thead>
+                    <tr>
+                        <th>${i18n.t('fees.yearColumn')}</th>
+                        <th>${i18n.t('fees.fee')}</th>
+                        <th>${i18n.t('fees.discount')}</th>
+                        <th>${i18n.t('fees.payable')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHTML}</tbody>
+                <tfoot>
+                    <tr>
+                        <th>${i18n.t('fees.total')}</th>
+                        <td>${money(estimate.totalFee)}</td>
+                        <td>${estimate.totalDiscount ? `− ${money(estimate.totalDiscount)}` : '—'}</td>
+                        <td><strong>${money(estimate.totalPayable)}</strong></td>
+                    </tr>
+                </tfoot>
+            </table>
+            ${installmentsHTML ? `
+                <div class="fee-installments">
+                    <h4>${i18n.t('fees.installments', { plan: getPlanLabel(plan) })}</h4>
+                    <ul>${installmentsHTML}</ul>
+                </div>
+            ` : ''}
+            <p class="fee-estimate__note">${i18n.t('fees.note', { percent: this.structure.maxCombinedPercent })}</p>
+        `;
+    }
+}
+
+registerComponent('fee-table', table => {
+    const render = () => renderFeeTable(table);
+    render();
+    document.addEventListener('i18n:change', render);
+
+    return {
+        destroy() {
+            document.removeEventListener('i18n:change', render);
+        }
+    };
+});
+
+registerComponent('discount-badge', badge => {
+    const discount = FEE_STRUCTURE.discounts.find(d => d.id === badge.dataset.discountBadge);
+    if (discount) badge.textContent = `${discount.percent}%`;
+});
+
+registerComponent('fee-estimator', form => new FeeEstimator(form));
+
+export { formatCurrency, getFeePrograms, splitInstallments, calculateFees, renderFeeTable, FeeEstimator };
@@ -0,0 +1,226 @@
+/**
+ * GCT Website - Gallery
+ * Album filters, lazy photo loading and the lightbox for the campus
+ * gallery rendered by build/gallery.js. Without this script the tiles
+ * still show every photo and link to the full-size file.
+ */
+
+import { registerComponent } from './components.js';
+import { i18n } from './i18n.js';
+
+const LIGHTBOX_SWIPE_THRESHOLD = 40;
+
+/**
+ * Gallery
+ */
+class Gallery {
+    constructor(root) {
+        this.root = root;
+        this.items = Array.from(root.querySelectorAll('.gallery-item'));
+        this.filters = root.querySelectorAll('[data-gallery-filter]');
+        this.status = root.querySelector('[data-gallery-status]');
+        this.lightbox = new Lightbox(root.querySelector('[data-lightbox]'));
+
+        this.init();
+    }
+
+    init() {
+        this.watchLoading();
+
+        this.filters.forEach(button => {
+            button.addEventListener('click', () => this.filter(button.dataset.galleryFilter));
+        });
+
+        this.items.forEach(item => {
+            item.querySelector('[data-gallery-open]').addEventListener('click', (e) => {
+                // Let modified clicks open the photo in a new tab
+                if (e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+                e.preventDefault();
+
+                const visible = this.getVisibleItems();
+                this.lightbox.open(visible.map(getPhoto), visible.indexOf(item));
+            });
+        });
+    }
+
+    /**
+     * Fade each photo in once the browser's lazy loading delivers it
+     */
+    watchLoading() {
+        this.root.classList.add('gallery--loading');
+
+        this.items.forEach(item => {
+            const img = item.querySelector('img');
+            const loaded = () => img.classList.add('is-loaded');
+
+            if (img.complete && img.naturalWidth > 0) {
+                loaded();
+            } else {
+                img.addEventListener('load', loaded, { once: true });
+                img.addEventListener('error', loaded, { once: true });
+            }
+        });
+    }
+
+    getVisibleItems() {
+        return this.items.filter(item => !item.hidden);
+    }
+
+    filter(album) {
+        this.filters.forEach(button => {
+            button.setAttribute('aria-pressed', button.dataset.galleryFilter === album ? 'true' : 'false');
+        });
+
+        this.items.forEach(item => {
+            item.hidden = album !== 'all' && item.dataset.album !== album;
+        });
+
+        this.status.textContent = i18n.t('gallery.count', { count: this.getVisibleItems().length });
+    }
+}
+
+function getPhoto(item) {
+    const img = item.querySelector('img');
+    return { src: item.querySelector('[data-gallery-open]').href, alt: img.alt };
+}
+
+/**
+ * Lightbox
+ * Full-size photo viewer with arrow keys, swipes and looping
+ */
+class Lightbox {
+    constructor(element) {
+        this.element = element;
+        this.image = element.querySelector('[data-lightbox-image]');
+        this.caption = element.querySelector('[data-lightbox-caption]');
+        this.counter = element.querySelector('[data-lightbox-counter]');
+        this.status = element.querySelector('[data-lightbox-status]');
+        this.photos = [];
+        this.index = 0;
+        this.returnFocus = null;
+
+        this.init();
+    }
+
+    init() {
+        this.element.querySelectorAll('[data-lightbox-close]').forEach(el => {
+            el.addEventListener('click', () => this.close());
+        });
+        this.element.querySelector('[data-lightbox-prev]').addEventListener('click', () => this.show(this.index - 1));
+        this.element.querySelector('[data-lightbox-next]').addEventListener('click', () => this.show(this.index + 1));
+        this.element.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        let start = null;
+        this.image.addEventListener('pointerdown', (e) => {
+            start = { x: e.clientX, y: e.clientY };
+        });
+        this.image.addEventListener('pointerup', (e) => {
+            if (!start) return;
+            const dx = e.clientX - start.x;
+            const dy = e.clientY - start.y;
+            start = null;
+
+            if (Math.abs(dx) < LIGHTBOX_SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+
+            // Swiping towards the start of the reading direction shows the next photo
+            const towardsStart = isRTL() ? dx > 0 : dx < 0;
+            this.show(this.index + (towardsStart ? 1 : -1));
+        });
+        this.image.addEventListener('pointercancel', () => { start = null; });
+
+        document.addEventListener('i18n:change', () => {
+            if (!this.element.hidden) this.show(this.index);
+        });
+    }
+
+    open(photos, index) {
+        this.photos = photos;
+        this.returnFocus = document.activeElement;
+        this.element.classList.toggle('lightbox--single', photos.length < 2);
+        this.element.hidden = false;
+        document.body.classList.add('lightbox-open');
+
+        this.show(index);
+        this.element.querySelector('[data-lightbox-close].lightbox__btn').focus();
+    }
+
+    close() {
+        this.element.hidden = true;
+        document.body.classList.remove('lightbox-open');
+        this.image.removeAttribute('src');
+
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+    }
+
+    show(index) {
+        const count = this.photos.length;
+        this.index = (index + count) % count;
+
+        const photo = this.photos[this.index];
+        this.image.src = photo.src;
+        this.image.alt = photo.alt;
+        this.caption.textContent = photo.alt;
+        this.counter.textContent = i18n.t('gallery.counter', {
+            index: i18n.formatNumber(this.index + 1),
+            count: i18n.formatNumber(count)
+        });
+        this.status.textContent = `${photo.alt} ${this.counter.textContent}`;
+
+        // Fetch the neighbours so the next swipe is instant
+        [this.index - 1, this.index + 1].forEach(i => {
+            new Image().src = this.photos[(i + count) % count].src;
+        });
+    }
+
+    handleKeydown(e) {
+        const forward = isRTL() ? 'ArrowLeft' : 'ArrowRight';
+        const back = isRTL() ? 'ArrowRight' : 'ArrowLeft';
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === forward) {
+            e.preventDefault();
+            this.show(this.index + 1);
+        } else if (e.key === back) {
+            e.preventDefault();
+            this.show(this.index - 1);
+        } else if (e.key === 'Home') {
+            e.preventDefault();
+            this.show(0);
+        } else if (e.key === 'End') {
+            e.preventDefault();
+            this.show(this.photos.length - 1);
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e);
+        }
+    }
+
+    /**
+     * Keep keyboard focus inside the dialog
+     */
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll('button'))
+            .filter(button => button.offsetParent !== null);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+function isRTL() {
+    return document.documentElement.dir === 'rtl';
+}
+
+registerComponent('gallery', root => new Gallery(root));
+
+export { Gallery, Lightbox };
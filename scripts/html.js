@@ -0,0 +1,15 @@
+/**
+ * GCT Website - HTML Escaping
+ * The one escapeHTML for text and attribute values written into markup,
+ * imported by the page scripts and required by build/ and server/.
+ */
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+export { escapeHTML };
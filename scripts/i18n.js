@@ -0,0 +1,210 @@
+/**
+ * GCT Website - Internationalization
+ * Language switching over the catalogs in scripts/data/locales.js, which
+ * loads as a plain script before the modules (it is shared with build/)
+ *
+ * Markup opts in with:
+ *   data-i18n="key"                      text content
+ *   data-i18n-html="key"                 inner HTML (trusted catalog markup)
+ *   data-i18n-attr="aria-label:key; placeholder:key"
+ *   data-i18n-params='{"year": 2025}'    values for {placeholders}
+ *
+ * Switching back to English restores the original markup. Scripts that
+ * render text themselves listen for the "i18n:change" event on document.
+ */
+
+const I18N_STORAGE_KEY = 'gct-language';
+
+function isI18nDebug() {
+    if (typeof window === 'undefined') return false;
+    const { protocol, hostname, search } = window.location;
+    return protocol === 'file:' ||
+        hostname === 'localhost' ||
+        hostname === '127.0.0.1' ||
+        new URLSearchParams(search).has('i18n-debug');
+}
+
+function formatMessage(message, params = {}) {
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * I18n Class
+ */
+class I18n {
+    constructor(locales = LOCALES, defaultLanguage = DEFAULT_LANGUAGE) {
+        this.locales = locales;
+        this.defaultLanguage = defaultLanguage;
+        this.language = this.getSavedLanguage() || defaultLanguage;
+        this.originals = new WeakMap();
+        this.missing = {};
+    }
+
+    get locale() {
+        return this.locales[this.language];
+    }
+
+    getSavedLanguage() {
+        try {
+            const saved = localStorage.getItem(I18N_STORAGE_KEY);
+            return saved in this.locales ? saved : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Message lookup: the current language, then English, then the fallback
+     */
+    t(key, params = {}, fallback = key) {
+        const message = this.lookup(key, params);
+        return message === null ? formatMessage(fallback, params) : message;
+    }
+
+    lookup(key, params = {}) {
+        const own = this.locale.messages[key];
+        if (own === undefined) this.reportMissing(key);
+
+        const message = own !== undefined ? own : this.locales[this.defaultLanguage].messages[key];
+        if (message === undefined) return null;
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(this.locale.numberLocale).select(params.count);
+            return formatMessage(message[form] || message.other, {
+                ...params,
+                count: this.formatNumber(params.count)
+            });
+        }
+
+        return formatMessage(message, params);
+    }
+
+    reportMissing(key) {
+        if (this.language === this.defaultLanguage) return;
+
+        const missing = this.missing[this.language] || (this.missing[this.language] = new Set());
+        if (missing.has(key)) return;
+
+        missing.add(key);
+        if (isI18nDebug()) {
+            console.warn(`[i18n] Missing "${this.language}" translation for "${key}"`);
+        }
+    }
+
+    getMissingKeys(language = this.language) {
+        return Array.from(this.missing[language] || []);
+    }
+
+    formatNumber(value, options) {
+        return new Intl.NumberFormat(this.locale.numberLocale, options).format(value);
+    }
+
+    formatDate(date, options) {
+        return new Intl.DateTimeFormat(this.locale.numberLocale, options).format(date);
+    }
+
+    /**
+     * "a, b and c", or "a, b or c" with type 'disjunction'
+     */
+    formatList(items, type = 'conjunction') {
+        return new Intl.ListFormat(this.locale.numberLocale, { type }).format(items);
+    }
+
+    /**
+     * Translate every marked element under root
+     */
+    translate(root = document) {
+        root.querySelectorAll('[data-i18n], [data-i18n-html], [data-i18n-attr]').forEach(el => {
+            const original = this.getOriginal(el);
+            const params = el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {};
+            const translated = key => (this.language === this.defaultLanguage && !(key in this.locale.messages)
+                ? null
+                : this.lookup(key, params));
+
+            if (el.dataset.i18n) {
+                const text = translated(el.dataset.i18n);
+                el.textContent = text === null ? original.text : text;
+            }
+
+            if (el.dataset.i18nHtml) {
+                const html = translated(el.dataset.i18nHtml);
+                el.innerHTML = html === null ? original.html : html;
+            }
+
+            Object.entries(original.attrs).forEach(([attr, { key, value }]) => {
+                const text = translated(key);
+                el.setAttribute(attr, text === null ? value : text);
+            });
+        });
+    }
+
+    /**
+     * The element's markup before its first translation
+     */
+    getOriginal(el) {
+        if (!this.originals.has(el)) {
+            const attrs = {};
+            (el.dataset.i18nAttr || '').split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                if (attr && key) attrs[attr] = { key, value: el.getAttribute(attr) || '' };
+            });
+
+            this.originals.set(el, { text: el.textContent, html: el.innerHTML, attrs });
+        }
+
+        return this.originals.get(el);
+    }
+
+    /**
+     * The language the switcher offers next
+     */
+    getNextLanguage() {
+        const languages = Object.keys(this.locales);
+        return languages[(languages.indexOf(this.language) + 1) % languages.length];
+    }
+
+    setLanguage(language) {
+        if (!(language in this.locales)) return;
+
+        this.language = language;
+        try {
+            localStorage.setItem(I18N_STORAGE_KEY, language);
+        } catch (e) {
+            // Storage unavailable; the choice lasts for this page only
+        }
+
+        this.apply();
+    }
+
+    apply() {
+        const html = document.documentElement;
+        html.lang = this.language;
+        html.dir = this.locale.dir;
+
+        this.translate();
+
+        // The switcher label is written in the language it switches to
+        document.querySelectorAll('[data-language-toggle] [data-i18n="language.switch"]').forEach(label => {
+            label.lang = this.getNextLanguage();
+        });
+
+        document.dispatchEvent(new CustomEvent('i18n:change', {
+            detail: { language: this.language, dir: this.locale.dir }
+        }));
+    }
+
+    init() {
+        document.querySelectorAll('[data-language-toggle]').forEach(toggle => {
+            toggle.addEventListener('click', () => this.setLanguage(this.getNextLanguage()));
+        });
+
+        if (this.language !== this.defaultLanguage) {
+            this.apply();
+        }
+    }
+}
+
+// Started by scripts/app.js, before any component renders text
+const i18n = new I18n();
+
+export { I18n, i18n, formatMessage, I18N_STORAGE_KEY };
@@ -0,0 +1,137 @@
+/**
+ * GCT Website - Inquiry Client
+ * Posts contact form inquiries to the inquiry service, retrying failed
+ * requests and queueing submissions made while offline
+ */
+
+class InquiryClient {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/inquiries';
+        this.storageKey = options.storageKey || 'gct-inquiry-queue';
+        this.retries = options.retries ?? 2;
+        this.retryDelay = options.retryDelay || 1000;
+        this.flushing = false;
+
+        window.addEventListener('online', () => this.flush());
+    }
+
+    /**
+     * Submit an inquiry
+     * Resolves to { status: 'sent' } or { status: 'queued' }, rejects when the
+     * server refuses the inquiry (the error carries the field errors)
+     */
+    async submit(data) {
+        const payload = { ...data, id: data.id || this.createId() };
+
+        // Without a service worker to hold it, keep the inquiry here until reconnecting
+        if (!navigator.onLine && !this.hasServiceWorker()) {
+            this.enqueue(payload);
+            return { status: 'queued' };
+        }
+
+        try {
+            const result = await this.send(payload);
+
+            // The service worker (src/sw.js) answers for the server while offline
+            return { status: result && result.status === 'queued' ? 'queued' : 'sent' };
+        } catch (err) {
+            if (err.rejected) throw err;
+
+            this.enqueue(payload);
+            return { status: 'queued' };
+        }
+    }
+
+    async send(payload) {
+        let attempt = 0;
+
+        while (true) {
+            try {
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                });
+
+                if (response.ok) {
+                    return response.json();
+                }
+
+                // 4xx means the inquiry itself is invalid; retrying won't help
+                if (response.status >= 400 && response.status < 500) {
+                    const body = await response.json().catch(() => ({}));
+                    const error = new Error(body.error || 'Inquiry was rejected');
+                    error.rejected = true;
+                    error.fields = body.errors || {};
+                    throw error;
+                }
+
+                throw new Error(`Inquiry service responded with ${response.status}`);
+            } catch (err) {
+                if (err.rejected || attempt >= this.retries) throw err;
+
+                attempt++;
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * attempt));
+            }
+        }
+    }
+
+    /**
+     * Send queued inquiries, keeping any that still fail
+     */
+    async flush() {
+        if (this.flushing || !navigator.onLine) return;
+        this.flushing = true;
+
+        const remaining = [];
+        for (const payload of this.getQueue()) {
+            try {
+                await this.send(payload);
+            } catch (err) {
+                if (!err.rejected) remaining.push(payload);
+            }
+        }
+
+        this.saveQueue(remaining);
+        this.flushing = false;
+    }
+
+    enqueue(payload) {
+        const queue = this.getQueue().filter(item => item.id !== payload.id);
+        queue.push(payload);
+        this.saveQueue(queue);
+    }
+
+    getQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    saveQueue(queue) {
+        try {
+            if (queue.length > 0) {
+                localStorage.setItem(this.storageKey, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (err) {
+            // Storage unavailable (private mode); queued inquiries are lost on reload
+        }
+    }
+
+    hasServiceWorker() {
+        return 'serviceWorker' in navigator && Boolean(navigator.serviceWorker.controller);
+    }
+
+    createId() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `inq-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+export { InquiryClient };
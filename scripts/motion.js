@@ -0,0 +1,146 @@
+/**
+ * GCT Website - Motion Scheduler
+ * Shared timing for everything that moves with the page: scroll and resize
+ * work runs once per animation frame, elements share IntersectionObservers,
+ * and the reduced-motion preference is tracked while the page is open.
+ *
+ *   motion.onScroll(state => ...)          every frame the page scrolled or resized;
+ *                                          state is { scrollY, viewportHeight, scrollHeight }
+ *   motion.observe(el, entry => ..., opts) shared observer per set of options
+ *   motion.reduced                         true when motion should be kept to a minimum
+ *
+ * Both register functions return a function that undoes them. Scripts that
+ * animate listen for the "motion:change" event on document.
+ */
+
+const MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+class MotionScheduler {
+    constructor() {
+        this.scrollCallbacks = new Set();
+        this.observers = new Map();
+        this.frame = null;
+        this.preference = null;
+
+        this.media = window.matchMedia(MOTION_QUERY);
+        this.systemReduced = this.media.matches;
+
+        this.schedule = this.schedule.bind(this);
+        this.flush = this.flush.bind(this);
+
+        this.init();
+    }
+
+    get reduced() {
+        return this.preference === null ? this.systemReduced : this.preference;
+    }
+
+    init() {
+        window.addEventListener('scroll', this.schedule, { passive: true });
+        window.addEventListener('resize', this.schedule, { passive: true });
+
+        const onSystemChange = (e) => {
+            const wasReduced = this.reduced;
+            this.systemReduced = e.matches;
+            if (this.reduced !== wasReduced) this.apply();
+        };
+
+        // Older Safari only has addListener
+        if (this.media.addEventListener) {
+            this.media.addEventListener('change', onSystemChange);
+        } else {
+            this.media.addListener(onSystemChange);
+        }
+    }
+
+    /**
+     * Override the system setting; null follows the system again.
+     * Also sets the reduced-motion class on <html> that styles/foundation.css
+     * uses, which src/partials/head.html adds early for a saved override
+     */
+    setReducedMotion(value) {
+        const wasReduced = this.reduced;
+        this.preference = value === null ? null : Boolean(value);
+        if (this.reduced !== wasReduced) this.apply();
+    }
+
+    apply() {
+        document.documentElement.classList.toggle('reduced-motion', this.reduced);
+
+        document.dispatchEvent(new CustomEvent('motion:change', {
+            detail: { reduced: this.reduced }
+        }));
+    }
+
+    onScroll(callback) {
+        this.scrollCallbacks.add(callback);
+        this.schedule();
+
+        return () => this.scrollCallbacks.delete(callback);
+    }
+
+    schedule() {
+        if (this.frame === null && this.scrollCallbacks.size > 0) {
+            this.frame = requestAnimationFrame(this.flush);
+        }
+    }
+
+    flush() {
+        this.frame = null;
+
+        // Read the layout once, before any callback writes to it
+        const state = {
+            scrollY: window.scrollY,
+            viewportHeight: window.innerHeight,
+            scrollHeight: document.documentElement.scrollHeight
+        };
+
+        this.scrollCallbacks.forEach(callback => callback(state));
+    }
+
+    observe(element, callback, options = {}) {
+        // Without IntersectionObserver everything counts as in view
+        if (!('IntersectionObserver' in window)) {
+            callback({ target: element, isIntersecting: true });
+            return () => {};
+        }
+
+        const shared = this.getObserver(options);
+        if (!shared.callbacks.has(element)) {
+            shared.callbacks.set(element, new Set());
+            shared.observer.observe(element);
+        }
+        shared.callbacks.get(element).add(callback);
+
+        return () => {
+            const callbacks = shared.callbacks.get(element);
+            if (!callbacks || !callbacks.delete(callback) || callbacks.size > 0) return;
+
+            shared.callbacks.delete(element);
+            shared.observer.unobserve(element);
+        };
+    }
+
+    getObserver({ threshold = 0, rootMargin = '0px' }) {
+        const key = `${threshold}|${rootMargin}`;
+
+        if (!this.observers.has(key)) {
+            const callbacks = new Map();
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    const targetCallbacks = callbacks.get(entry.target);
+                    if (targetCallbacks) targetCallbacks.forEach(callback => callback(entry));
+                });
+            }, { threshold, rootMargin });
+
+            this.observers.set(key, { observer, callbacks });
+        }
+
+        return this.observers.get(key);
+    }
+}
+
+// Created straight away so components can register as they start
+const motion = new MotionScheduler();
+
+export { MotionScheduler, motion, MOTION_QUERY };
@@ -1,13 +1,37 @@
 /**
  * GCT Website - Navigation Component
- * Handles side navigation behavior and mobile bottom nav
+ * Handles side navigation behavior and mobile bottom nav; each <nav> is a
+ * "navigation" component, and "back-to-top" adds the back to top button
+ *
+ * Menus ([data-nav-menu="vertical|horizontal"]) move focus with the arrow
+ * keys, Home and End. A [data-nav-dropdown] item opens its
+ * [data-nav-dropdown-panel] from a [data-nav-dropdown-toggle] disclosure
+ * button, by click, hover (side nav), or the arrow key pointing at the
+ * panel; Escape closes it again.
  */
 
+import { registerComponent } from './components.js';
+import { i18n } from './i18n.js';
+import { motion } from './motion.js';
+
+/**
+ * Path of a URL, reading "/" and "/x/" as their index.html
+ */
+function getPagePath(url) {
+  const path = decodeURI(url.pathname);
+  return path.endsWith('/') ? `${path}index.html` : path;
+}
+
 class Navigation {
-  constructor() {
-    this.sideNavLinks = document.querySelectorAll('.side-nav__link');
-    this.bottomNavLinks = document.querySelectorAll('.bottom-nav__link');
-    this.currentPage = window.location.pathname.split('/').pop() || 'index.html';
+  constructor(nav) {
+    this.nav = nav;
+    this.links = nav.querySelectorAll('a.side-nav__link, a.side-nav__dropdown-link, a.bottom-nav__link, a.bottom-nav__sheet-link');
+    this.dropdowns = Array.from(nav.querySelectorAll('[data-nav-dropdown]')).map(item => ({
+      item,
+      toggle: item.querySelector('[data-nav-dropdown-toggle]'),
+      panel: item.querySelector('[data-nav-dropdown-panel]')
+    }));
+    this.listeners = [];
 
     this.init();
   }
@@ -15,238 +39,229 @@ class Navigation {
   init() {
     this.setActiveLinks();
     this.initDropdowns();
+    this.initMenus();
+
+    // Program sections on pathways.html are reached by hash
+    this.listen(window, 'hashchange', () => this.setActiveLinks());
   }
 
-  setActiveLinks() {
-    // Set active state for side nav links
-    this.sideNavLinks.forEach(link => {
-      const href = link.getAttribute('href');
-      const linkPage = href.split('/').pop();
+  /**
+   * Listeners outside the nav, removed again by destroy()
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.listeners.push(() => target.removeEventListener(type, handler));
+  }
 
-      if (linkPage === this.currentPage) {
-        link.classList.add('side-nav__link--active');
+  destroy() {
+    this.listeners.forEach(remove => remove());
+    this.listeners = [];
+  }
+
+  /**
+   * Modifier class for a nav element, from its block class, e.g. side-nav__link--active
+   */
+  getModifier(el, modifier) {
+    return `${el.classList[0]}--${modifier}`;
+  }
+
+  setActiveLinks() {
+    const currentPath = getPagePath(window.location);
+    const currentHash = window.location.hash;
+
+    const getCurrent = (link) => {
+      const url = new URL(link.getAttribute('href'), window.location.href);
+      if (getPagePath(url) !== currentPath) return null;
+      return !url.hash || url.hash === currentHash ? 'page' : null;
+    };
+
+    this.links.forEach(link => {
+      const current = getCurrent(link);
+      link.classList.toggle(this.getModifier(link, 'active'), Boolean(current));
+
+      if (current) {
+        link.setAttribute('aria-current', current);
+      } else {
+        link.removeAttribute('aria-current');
       }
     });
 
-    // Set active state for bottom nav links
-    this.bottomNavLinks.forEach(link => {
-      const href = link.getAttribute('href');
-      const linkPage = href.split('/').pop();
+    // A sub-link is also current on its section of the parent page, and
+    // the parent is highlighted whenever one of its sub-links is current
+    this.dropdowns.forEach(({ item, toggle, panel }) => {
+      const onParentPage = Array.from(item.querySelectorAll('a:not([data-nav-anchor])')).some(getCurrent);
 
-      if (linkPage === this.currentPage) {
-        link.classList.add('bottom-nav__link--active');
-      }
+      panel.querySelectorAll('a[data-nav-anchor]').forEach(link => {
+        if (onParentPage && currentHash === `#${link.dataset.navAnchor}`) {
+          link.classList.add(this.getModifier(link, 'active'));
+          link.setAttribute('aria-current', 'location');
+        }
+      });
+
+      // The side nav highlights the parent link, the bottom nav its toggle
+      const top = item.querySelector(':scope > a') || toggle;
+      top.classList.toggle(this.getModifier(top, 'active'), Boolean(item.querySelector('[aria-current]')));
     });
   }
 
   initDropdowns() {
-    const dropdownToggles = document.querySelectorAll('.side-nav__link--dropdown');
+    this.dropdowns.forEach(dropdown => {
+      const { item, toggle, panel } = dropdown;
+
+      toggle.addEventListener('click', () => this.setOpen(dropdown, !this.isOpen(dropdown)));
+
+      // The side nav also opens on hover, as it always has
+      if (item.closest('.side-nav')) {
+        item.addEventListener('mouseenter', () => this.setOpen(dropdown, true));
+        item.addEventListener('mouseleave', () => this.setOpen(dropdown, false));
+      }
+
+      // Close once focus moves on past the item
+      item.addEventListener('focusout', (e) => {
+        if (!item.contains(e.relatedTarget)) this.setOpen(dropdown, false);
+      });
+
+      toggle.addEventListener('keydown', (e) => {
+        if (e.key !== this.getInwardKey(item)) return;
 
-    dropdownToggles.forEach(toggle => {
-      toggle.addEventListener('click', (e) => {
         e.preventDefault();
-        const parent = toggle.closest('.side-nav__item--dropdown');
-        parent.classList.toggle('side-nav__item--open');
+        this.setOpen(dropdown, true);
+        this.getPanelLinks(dropdown)[0].focus();
+      });
+
+      panel.addEventListener('keydown', (e) => this.handlePanelKeydown(e, dropdown));
+    });
+
+    this.listen(document, 'click', (e) => {
+      this.dropdowns.forEach(dropdown => {
+        if (this.isOpen(dropdown) && !dropdown.item.contains(e.target)) this.setOpen(dropdown, false);
+      });
+    });
+
+    this.listen(document, 'keydown', (e) => {
+      if (e.key !== 'Escape') return;
+
+      this.dropdowns.forEach(dropdown => {
+        if (!this.isOpen(dropdown)) return;
+
+        const hadFocus = dropdown.item.contains(document.activeElement);
+        this.setOpen(dropdown, false);
+        if (hadFocus) dropdown.toggle.focus();
       });
     });
   }
-}
 
-/**
- * Generate Navigation HTML
- */
-function generateNavigation() {
-  // Determine root path based on current location
-  const path = window.location.pathname;
-  const depth = (path.match(/\//g) || []).length;
-  // Adjust depth calculation based on local file system vs server
-  // For local files, we need to be careful. A simple heuristic:
-  // if path contains 'divisions', go back one level.
-  const isDivision = path.includes('/divisions/');
-  const rootPath = isDivision ? '../' : '';
-
-  const navItems = [
-    { href: rootPath + 'index.html', icon: 'home', label: 'Foundation' },
-    { href: rootPath + 'legacy.html', icon: 'info', label: 'Legacy' },
-    {
-      href: rootPath + 'pathways.html',
-      icon: 'book',
-      label: 'Pathways',
-      dropdown: [
-        { href: rootPath + 'divisions/computing.html', label: 'Computer Information Technology' },
-        { href: rootPath + 'divisions/electrical.html', label: 'Electrical Technology' },
-        { href: rootPath + 'divisions/machinery.html', label: 'Mechanical Technology' },
-        { href: rootPath + 'divisions/construction.html', label: 'Civil Technology' },
-        { href: rootPath + 'divisions/circuits.html', label: 'Electronics Technology' }
-      ]
-    },
-    { href: rootPath + 'enrollment.html', icon: 'user-plus', label: 'Enrollment' },
-    { href: rootPath + 'chronicle.html', icon: 'camera', label: 'Campus Life' },
-    { href: rootPath + 'connect.html', icon: 'mail', label: 'Connect' }
-  ];
-
-  const icons = {
-    home: `<svg viewBox="0 0 24 24"><path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/></svg>`,
-    info: `<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>`,
-    book: `<svg viewBox="0 0 24 24"><path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"/><path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"/></svg>`,
-    'user-plus': `<svg viewBox="0 0 24 24"><path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="8.5" cy="7" r="4"/><line x1="20" y1="8" x2="20" y2="14"/><line x1="23" y1="11" x2="17" y2="11"/></svg>`,
-    camera: `<svg viewBox="0 0 24 24"><path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"/><circle cx="12" cy="13" r="4"/></svg>`,
-    mail: `<svg viewBox="0 0 24 24"><path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/><polyline points="22,6 12,13 2,6"/></svg>`,
-    chevron: `<svg viewBox="0 0 24 24" width="16" height="16"><polyline points="6 9 12 15 18 9"/></svg>`
-  };
+  isOpen({ toggle }) {
+    return toggle.getAttribute('aria-expanded') === 'true';
+  }
 
-  const linksHTML = navItems.map(item => {
-    if (item.dropdown) {
-      const dropdownItems = item.dropdown.map(dropItem =>
-        `<a href="${dropItem.href}" class="side-nav__dropdown-link">${dropItem.label}</a>`
-      ).join('');
-
-      return `
-        <div class="side-nav__item side-nav__item--has-dropdown">
-          <a href="${item.href}" class="side-nav__link">
-            <span class="side-nav__icon">${icons[item.icon]}</span>
-            <span class="side-nav__label">${item.label}</span>
-          </a>
-          <div class="side-nav__dropdown-panel">
-            <div class="side-nav__dropdown-title">Academic Programs</div>
-            ${dropdownItems}
-          </div>
-        </div>
-      `;
+  setOpen(dropdown, open) {
+    if (open) {
+      this.dropdowns.forEach(other => {
+        if (other !== dropdown) this.setOpen(other, false);
+      });
     }
-    return `
-      <a href="${item.href}" class="side-nav__link">
-        <span class="side-nav__icon">${icons[item.icon]}</span>
-        <span class="side-nav__label">${item.label}</span>
-      </a>
-    `;
-  }).join('');
-
-  // Generate bottom nav links for mobile
-  const bottomNavHTML = navItems.map(item => `
-    <a href="${item.href}" class="bottom-nav__link">
-      <span class="bottom-nav__icon">${icons[item.icon]}</span>
-      <span class="bottom-nav__label">${item.label}</span>
-    </a>
-  `).join('');
-
-  return `
-    <!-- Mobile Bottom Navigation -->
-    <nav class="bottom-nav" aria-label="Mobile Navigation">
-      ${bottomNavHTML}
-    </nav>
-
-    <!-- Desktop Side Navigation -->
-    <nav class="side-nav" aria-label="Main Navigation">
-      <div class="side-nav__logo">
-        <img src="${rootPath}images/GCT-Logo.png" alt="GCT Logo" class="side-nav__logo-img">
-      </div>
-      <div class="side-nav__menu">
-        ${linksHTML}
-      </div>
-    </nav>
-  `;
-}
 
-// Initialize navigation
-document.addEventListener('DOMContentLoaded', () => {
-  // Insert navigation at the start of body
-  document.body.insertAdjacentHTML('afterbegin', generateNavigation());
+    dropdown.toggle.setAttribute('aria-expanded', String(open));
+    dropdown.item.classList.toggle(this.getModifier(dropdown.item, 'open'), open);
+  }
 
-  // Initialize navigation behavior
-  new Navigation();
+  getPanelLinks({ panel }) {
+    return Array.from(panel.querySelectorAll('a'));
+  }
 
-  // Initialize back to top button
-  initBackToTop();
+  isRTL(el) {
+    return getComputedStyle(el).direction === 'rtl';
+  }
 
-  // Generate and insert footer
-  generateFooter();
-});
+  /**
+   * The arrow key pointing at the panel: sideways out of the side nav, up out of the bottom nav
+   */
+  getInwardKey(item) {
+    if (item.closest('[data-nav-menu="horizontal"]')) return 'ArrowUp';
+    return this.isRTL(item) ? 'ArrowLeft' : 'ArrowRight';
+  }
 
-/**
- * Footer Generation
- */
-function generateFooter() {
-  const currentYear = new Date().getFullYear();
-  const path = window.location.pathname;
-  const isDivision = path.includes('/divisions/');
-  const rootPath = isDivision ? '../' : '';
-
-  const footerHTML = `
-    <footer class="footer">
-      <div class="container">
-        <div class="footer__grid">
-          <!-- About Section -->
-          <div class="footer__column">
-            <h4>About GCT</h4>
-            <p class="footer__text">
-              Government College of Technology, Bhakkar provides quality technical education through PBTE-approved diploma programs.
-            </p>
-          </div>
-
-          <!-- Quick Links -->
-          <div class="footer__column">
-            <h4>Quick Links</h4>
-            <ul class="footer__links">
-              <li><a href="${rootPath}index.html">Home</a></li>
-              <li><a href="${rootPath}legacy.html">Legacy</a></li>
-              <li><a href="${rootPath}pathways.html">Programs</a></li>
-              <li><a href="${rootPath}enrollment.html">Admissions</a></li>
-              <li><a href="${rootPath}chronicle.html">Campus Life</a></li>
-              <li><a href="${rootPath}connect.html">Contact Us</a></li>
-            </ul>
-          </div>
-
-          <!-- Academic Divisions -->
-          <div class="footer__column">
-            <h4>Divisions</h4>
-            <ul class="footer__links">
-              <li><a href="${rootPath}divisions/computing.html">Computer IT</a></li>
-              <li><a href="${rootPath}divisions/electrical.html">Electrical</a></li>
-              <li><a href="${rootPath}divisions/machinery.html">Mechanical</a></li>
-              <li><a href="${rootPath}divisions/construction.html">Civil</a></li>
-              <li><a href="${rootPath}divisions/circuits.html">Electronics</a></li>
-            </ul>
-          </div>
-
-          <!-- Contact Info -->
-          <div class="footer__column">
-            <h4>Contact</h4>
-            <p class="footer__text">
-              Main Road, Bhakkar<br>
-              Punjab, Pakistan<br><br>
-              Phone: +92 (453) 123456<br>
-              Email: info@gctbhakkar.edu.pk
-            </p>
-          </div>
-        </div>
-
-        <!-- Bottom Bar -->
-        <div class="footer__bottom">
-          <p class="footer__copyright">
-            © ${currentYear} Government College of Technology, Bhakkar. All rights reserved.
-          </p>
-          <p class="footer__credits">
-            Affiliated with <strong>Punjab Board of Technical Education (PBTE)</strong>
-          </p>
-        </div>
-      </div>
-    </footer>
-  `;
+  getOutwardKey(item) {
+    if (item.closest('[data-nav-menu="horizontal"]')) return null;
+    return this.isRTL(item) ? 'ArrowRight' : 'ArrowLeft';
+  }
+
+  handlePanelKeydown(e, dropdown) {
+    const links = this.getPanelLinks(dropdown);
+    const index = links.indexOf(document.activeElement);
+    let target = null;
+
+    if (e.key === 'ArrowDown') {
+      target = links[(index + 1) % links.length];
+    } else if (e.key === 'ArrowUp') {
+      target = links[(index - 1 + links.length) % links.length];
+    } else if (e.key === 'Home') {
+      target = links[0];
+    } else if (e.key === 'End') {
+      target = links[links.length - 1];
+    } else if (e.key === this.getOutwardKey(dropdown.item)) {
+      this.setOpen(dropdown, false);
+      target = dropdown.toggle;
+    }
 
-  const footerPlaceholder = document.getElementById('footer-placeholder');
-  if (footerPlaceholder) {
-    footerPlaceholder.outerHTML = footerHTML;
+    if (target) {
+      e.preventDefault();
+      // Keep the menu from moving focus as well
+      e.stopPropagation();
+      target.focus();
+    }
+  }
+
+  /**
+   * Arrow keys move between the top-level items of each menu
+   */
+  initMenus() {
+    const menus = [this.nav, ...this.nav.querySelectorAll('[data-nav-menu]')].filter(el => el.matches('[data-nav-menu]'));
+
+    menus.forEach(menu => {
+      const vertical = menu.dataset.navMenu === 'vertical';
+
+      menu.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented) return;
+
+        const items = Array.from(menu.querySelectorAll('a, button'))
+          .filter(el => !el.closest('[data-nav-dropdown-panel]'));
+        const index = items.indexOf(e.target);
+        if (index === -1) return;
+
+        const rtl = this.isRTL(menu);
+        const nextKey = vertical ? 'ArrowDown' : (rtl ? 'ArrowLeft' : 'ArrowRight');
+        const previousKey = vertical ? 'ArrowUp' : (rtl ? 'ArrowRight' : 'ArrowLeft');
+        let target = null;
+
+        if (e.key === nextKey) {
+          target = items[(index + 1) % items.length];
+        } else if (e.key === previousKey) {
+          target = items[(index - 1 + items.length) % items.length];
+        } else if (e.key === 'Home') {
+          target = items[0];
+        } else if (e.key === 'End') {
+          target = items[items.length - 1];
+        }
+
+        if (target) {
+          e.preventDefault();
+          target.focus();
+        }
+      });
+    });
   }
 }
 
 /**
  * Back to Top Button
  */
-function initBackToTop() {
+function initBackToTop(host) {
   const btn = document.createElement('button');
   btn.className = 'back-to-top';
-  btn.setAttribute('aria-label', 'Back to top');
+  btn.setAttribute('aria-label', i18n.t('common.backToTop'));
+  btn.dataset.i18nAttr = 'aria-label:common.backToTop';
   btn.innerHTML = `
     <svg viewBox="0 0 24 24" width="24" height="24">
       <polyline points="18 15 12 9 6 15"></polyline>
@@ -254,22 +269,25 @@ function initBackToTop() {
   `;
 
   btn.addEventListener('click', () => {
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+    window.scrollTo({ top: 0, behavior: motion.reduced ? 'auto' : 'smooth' });
   });
 
-  document.body.appendChild(btn);
+  host.appendChild(btn);
 
   // Show/hide based on scroll
-  window.addEventListener('scroll', () => {
-    if (window.scrollY > 400) {
-      btn.classList.add('visible');
-    } else {
-      btn.classList.remove('visible');
-    }
+  const stop = motion.onScroll(({ scrollY }) => {
+    btn.classList.toggle('visible', scrollY > 400);
   });
-}
 
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { Navigation, generateNavigation };
+  return {
+    destroy() {
+      stop();
+      btn.remove();
+    }
+  };
 }
+
+registerComponent('navigation', nav => new Navigation(nav));
+registerComponent('back-to-top', initBackToTop);
+
+export { Navigation, initBackToTop, getPagePath };
@@ -0,0 +1,248 @@
+/**
+ * GCT Website - Notices
+ * Notice board filters, the homepage ticker and deadline countdowns.
+ * Notices are rendered at build time (build/notices.js); this keeps expiry
+ * and countdowns current between builds.
+ *
+ * Components: notice-board, notice-ticker, countdown, local-date
+ */
+
+import { registerComponent } from './components.js';
+import { i18n } from './i18n.js';
+import { motion } from './motion.js';
+
+const TICKER_INTERVAL = 6000;
+const DATE_FORMAT = { dateStyle: 'long', timeZone: 'Asia/Karachi' };
+
+function isPast(timestamp, now = Date.now()) {
+    return Boolean(timestamp) && Date.parse(timestamp) < now;
+}
+
+/**
+ * Time left until a deadline, split into whole units
+ */
+function getTimeLeft(deadline, now = Date.now()) {
+    const total = Math.max(0, Date.parse(deadline) - now);
+    const seconds = Math.floor(total / 1000);
+
+    return {
+        total,
+        days: Math.floor(seconds / 86400),
+        hours: Math.floor(seconds / 3600) % 24,
+        minutes: Math.floor(seconds / 60) % 60,
+        seconds: seconds % 60
+    };
+}
+
+/**
+ * The first deadline still ahead, from [{ key, label, date }]
+ */
+function getNextDeadline(deadlines, now = Date.now()) {
+    return deadlines.find(deadline => !isPast(deadline.date, now)) || null;
+}
+
+/**
+ * Show a <time data-format-date> value in the current language
+ */
+function formatLocalDate(time) {
+    const format = new Intl.DateTimeFormat(i18n.locale.numberLocale, DATE_FORMAT);
+    time.textContent = format.format(new Date(`${time.getAttribute('datetime')}T00:00:00+05:00`));
+}
+
+/**
+ * Local date
+ * A build-time <time data-format-date>, shown in the current language
+ */
+function initLocalDate(time) {
+    const render = () => formatLocalDate(time);
+    render();
+    document.addEventListener('i18n:change', render);
+
+    return {
+        destroy() {
+            document.removeEventListener('i18n:change', render);
+        }
+    };
+}
+
+/**
+ * Notice Board
+ */
+class NoticeBoard {
+    constructor(board) {
+        this.board = board;
+        this.cards = Array.from(board.querySelectorAll('.notice-card'));
+        this.filters = board.querySelectorAll('[data-notice-filter]');
+        this.status = board.querySelector('[data-notice-status]');
+
+        this.init();
+    }
+
+    init() {
+        this.cards.forEach(card => {
+            card.classList.toggle('notice-card--expired', isPast(card.dataset.expires));
+        });
+
+        this.filters.forEach(button => {
+            button.addEventListener('click', () => this.filter(button.dataset.noticeFilter));
+        });
+    }
+
+    filter(category) {
+        this.filters.forEach(button => {
+            button.setAttribute('aria-pressed', button.dataset.noticeFilter === category ? 'true' : 'false');
+        });
+
+        let shown = 0;
+        this.cards.forEach(card => {
+            card.hidden = category !== 'all' && card.dataset.category !== category;
+            if (!card.hidden) shown++;
+        });
+
+        this.status.textContent = i18n.t('notices.count', { count: shown });
+    }
+}
+
+/**
+ * Notice Ticker
+ * Shows one current notice at a time; pauses on hover, focus or the
+ * pause button, and stays a plain list for reduced motion
+ */
+class NoticeTicker {
+    constructor(ticker) {
+        this.ticker = ticker;
+        this.items = Array.from(ticker.querySelectorAll('.notice-ticker__item'));
+        this.toggle = ticker.querySelector('[data-ticker-toggle]');
+        this.index = 0;
+        this.paused = false;
+        this.hovered = false;
+        this.timer = null;
+
+        this.init();
+    }
+
+    init() {
+        this.items = this.items.filter(item => {
+            if (isPast(item.dataset.expires)) item.remove();
+            return item.isConnected;
+        });
+
+        if (this.items.length === 0) {
+            this.ticker.hidden = true;
+            return;
+        }
+
+        if (this.items.length < 2 || motion.reduced) return;
+
+        this.ticker.classList.add('notice-ticker--rotating');
+        this.toggle.hidden = false;
+        this.show(0);
+        this.updateToggle();
+
+        this.toggle.addEventListener('click', () => {
+            this.paused = !this.paused;
+            this.updateToggle();
+        });
+
+        ['mouseenter', 'focusin'].forEach(type => {
+            this.ticker.addEventListener(type, () => { this.hovered = true; });
+        });
+        ['mouseleave', 'focusout'].forEach(type => {
+            this.ticker.addEventListener(type, () => { this.hovered = false; });
+        });
+
+        this.onLanguageChange = () => this.updateToggle();
+        this.onMotionChange = () => {
+            if (!motion.reduced) return;
+            this.paused = true;
+            this.updateToggle();
+        };
+        document.addEventListener('i18n:change', this.onLanguageChange);
+        document.addEventListener('motion:change', this.onMotionChange);
+
+        this.timer = setInterval(() => {
+            if (!this.paused && !this.hovered) this.show(this.index + 1);
+        }, TICKER_INTERVAL);
+    }
+
+    show(index) {
+        this.index = index % this.items.length;
+        this.items.forEach((item, i) => {
+            item.classList.toggle('notice-ticker__item--active', i === this.index);
+        });
+    }
+
+    updateToggle() {
+        this.toggle.setAttribute('aria-pressed', this.paused ? 'true' : 'false');
+        this.toggle.textContent = i18n.t(this.paused ? 'notices.play' : 'notices.pause');
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+        document.removeEventListener('i18n:change', this.onLanguageChange);
+        document.removeEventListener('motion:change', this.onMotionChange);
+    }
+}
+
+/**
+ * Countdown
+ * Counts down to the next deadline in the element's data-countdown list
+ */
+class Countdown {
+    constructor(element) {
+        this.element = element;
+        this.deadlines = JSON.parse(element.dataset.countdown);
+        this.units = element.querySelector('.countdown__units');
+        this.label = element.querySelector('[data-countdown-label]');
+        this.date = element.querySelector('[data-countdown-date] time');
+        this.closed = element.querySelector('[data-countdown-closed]');
+        this.deadline = null;
+
+        this.update();
+        this.timer = setInterval(() => this.update(), 1000);
+
+        // Relabel after the page is translated
+        this.onLanguageChange = () => {
+            this.deadline = null;
+            this.update();
+        };
+        document.addEventListener('i18n:change', this.onLanguageChange);
+    }
+
+    update() {
+        const next = getNextDeadline(this.deadlines);
+
+        if (!next) {
+            clearInterval(this.timer);
+            this.units.hidden = true;
+            this.closed.hidden = false;
+            return;
+        }
+
+        if (next !== this.deadline) {
+            this.deadline = next;
+            this.label.dataset.i18n = next.key;
+            this.label.textContent = i18n.t(next.key, {}, next.label);
+            this.date.setAttribute('datetime', next.date.slice(0, 10));
+            formatLocalDate(this.date);
+        }
+
+        const left = getTimeLeft(next.date);
+        this.units.hidden = false;
+        this.units.querySelectorAll('[data-unit]').forEach(value => {
+            value.textContent = i18n.formatNumber(left[value.dataset.unit]);
+        });
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+        document.removeEventListener('i18n:change', this.onLanguageChange);
+    }
+}
+
+registerComponent('notice-board', board => new NoticeBoard(board));
+registerComponent('notice-ticker', ticker => new NoticeTicker(ticker));
+registerComponent('countdown', element => new Countdown(element));
+registerComponent('local-date', initLocalDate);
+
+export { NoticeBoard, NoticeTicker, Countdown, getTimeLeft, getNextDeadline, isPast };
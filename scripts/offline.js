@@ -0,0 +1,97 @@
+/**
+ * GCT Website - Offline Support
+ * Registers the service worker (src/sw.js), tells visitors when they are
+ * offline, and asks the worker to send queued form submissions as soon as
+ * the connection returns
+ */
+
+import { registerComponent } from './components.js';
+import { i18n } from './i18n.js';
+
+const OFFLINE_SENT_DURATION = 6000;
+
+class OfflineSupport {
+    constructor() {
+        this.banner = null;
+        this.hideTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        this.register();
+
+        window.addEventListener('offline', () => this.show('offline.banner'));
+        window.addEventListener('online', () => {
+            this.hide();
+            this.flushQueue();
+        });
+        if (!navigator.onLine) this.show('offline.banner');
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'queue-sent') {
+                    this.show('offline.sent', { count: e.data.count }, OFFLINE_SENT_DURATION);
+                }
+            });
+        }
+    }
+
+    register() {
+        // Service workers need http(s); pages opened from disk skip it
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+        const root = document.documentElement.dataset.root || '';
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register(`${root}sw.js`).catch(err => {
+                console.warn('Service worker registration failed:', err);
+            });
+        });
+    }
+
+    flushQueue() {
+        if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+        navigator.serviceWorker.controller.postMessage({ type: 'flush-queue' });
+    }
+
+    show(key, params, duration) {
+        if (!this.banner) {
+            this.banner = document.createElement('p');
+            this.banner.className = 'offline-banner';
+            this.banner.setAttribute('role', 'status');
+            document.body.appendChild(this.banner);
+        }
+
+        clearTimeout(this.hideTimer);
+        this.banner.textContent = i18n.t(key, params);
+        this.banner.hidden = false;
+
+        if (duration) {
+            this.hideTimer = setTimeout(() => this.hide(), duration);
+        }
+    }
+
+    hide() {
+        if (this.banner) this.banner.hidden = true;
+    }
+}
+
+/**
+ * Retry button on the offline page: back to the page the visitor was trying to open
+ */
+function initRetryButton(button) {
+    button.addEventListener('click', () => {
+        const from = new URLSearchParams(window.location.search).get('from');
+        const target = from && new URL(from, window.location.href);
+
+        if (target && target.origin === window.location.origin) {
+            window.location.href = target.href;
+        } else {
+            window.location.reload();
+        }
+    });
+}
+
+registerComponent('offline-retry', initRetryButton);
+
+export { OfflineSupport, initRetryButton };
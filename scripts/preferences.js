@@ -0,0 +1,210 @@
+/**
+ * GCT Website - Accessibility Preferences
+ * Text size, high contrast, a dyslexia-friendly font, reduced motion and
+ * underlined links, chosen in the panel from src/partials/preferences.html
+ * and kept in localStorage.
+ *
+ * Saved settings are classes on <html>; the inline script in
+ * src/partials/head.html applies the same ones before first paint, so keep
+ * the two in step. Reduced motion goes through scripts/motion.js.
+ */
+
+import { registerComponent } from './components.js';
+import { motion } from './motion.js';
+
+const PREFERENCES_STORAGE_KEY = 'gct-preferences';
+
+const TEXT_SIZES = ['default', 'large', 'larger', 'largest'];
+
+const DEFAULT_PREFERENCES = {
+    textSize: 'default',
+    contrast: false,
+    dyslexia: false,
+    reduceMotion: false,
+    underlineLinks: false
+};
+
+const PREFERENCE_CLASSES = {
+    contrast: 'pref-contrast',
+    dyslexia: 'pref-dyslexia',
+    underlineLinks: 'pref-underline'
+};
+
+/**
+ * Saved preferences, with anything unknown or malformed left at its default
+ */
+function loadPreferences() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY)) || {};
+    } catch (e) {
+        // Storage blocked or corrupt: use the defaults
+    }
+
+    return {
+        textSize: TEXT_SIZES.includes(saved.textSize) ? saved.textSize : DEFAULT_PREFERENCES.textSize,
+        contrast: saved.contrast === true,
+        dyslexia: saved.dyslexia === true,
+        reduceMotion: saved.reduceMotion === true,
+        underlineLinks: saved.underlineLinks === true
+    };
+}
+
+function savePreferences(preferences) {
+    try {
+        localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (e) {
+        // Storage blocked: the settings still apply to this page
+    }
+}
+
+function applyPreferences(preferences) {
+    const html = document.documentElement;
+
+    Object.entries(PREFERENCE_CLASSES).forEach(([key, className]) => {
+        html.classList.toggle(className, preferences[key]);
+    });
+
+    if (preferences.textSize === DEFAULT_PREFERENCES.textSize) {
+        delete html.dataset.textSize;
+    } else {
+        html.dataset.textSize = preferences.textSize;
+    }
+
+    // Switched off, motion follows the device setting again
+    motion.setReducedMotion(preferences.reduceMotion ? true : null);
+}
+
+/**
+ * Preferences Panel
+ */
+class PreferencesPanel {
+    constructor(panel) {
+        this.panel = panel;
+        this.form = panel.querySelector('[data-preferences-form]');
+        this.preferences = loadPreferences();
+        this.returnFocus = null;
+
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('[data-preferences-open]').forEach(button => {
+            button.addEventListener('click', () => this.open());
+        });
+
+        this.panel.querySelectorAll('[data-preferences-close]').forEach(el => {
+            el.addEventListener('click', () => this.close());
+        });
+
+        this.panel.querySelectorAll('[data-preferences-reset]').forEach(button => {
+            button.addEventListener('click', () => this.update({ ...DEFAULT_PREFERENCES }));
+        });
+
+        this.form.addEventListener('change', () => this.update(this.read()));
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.panel.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Settings changed in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key !== PREFERENCES_STORAGE_KEY) return;
+            this.preferences = loadPreferences();
+            applyPreferences(this.preferences);
+            this.render();
+        });
+
+        this.render();
+    }
+
+    read() {
+        const data = new FormData(this.form);
+
+        return {
+            textSize: data.get('textSize') || DEFAULT_PREFERENCES.textSize,
+            contrast: data.has('contrast'),
+            dyslexia: data.has('dyslexia'),
+            reduceMotion: data.has('reduceMotion'),
+            underlineLinks: data.has('underlineLinks')
+        };
+    }
+
+    render() {
+        Array.from(this.form.elements).forEach(input => {
+            // Theme options are kept by scripts/theme.js
+            if (!(input.name in this.preferences)) return;
+
+            if (input.type === 'radio') {
+                input.checked = input.value === this.preferences[input.name];
+            } else if (input.type === 'checkbox') {
+                input.checked = this.preferences[input.name];
+            }
+        });
+    }
+
+    update(preferences) {
+        this.preferences = preferences;
+        savePreferences(preferences);
+        applyPreferences(preferences);
+        this.render();
+    }
+
+    open() {
+        this.returnFocus = document.activeElement;
+        this.panel.hidden = false;
+        document.body.classList.add('preferences-open');
+
+        const first = this.form.querySelector('input:checked') || this.form.querySelector('input');
+        if (first) first.focus();
+    }
+
+    close() {
+        this.panel.hidden = true;
+        document.body.classList.remove('preferences-open');
+
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e);
+        }
+    }
+
+    /**
+     * Keep keyboard focus inside the dialog; a radio group is one stop
+     */
+    trapFocus(e) {
+        const focusable = Array.from(this.panel.querySelectorAll('input, button'))
+            .filter(el => el.type !== 'radio' || el.checked);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Applied straight away so components reading motion.reduced as they start see the saved setting
+applyPreferences(loadPreferences());
+
+registerComponent('preferences', panel => new PreferencesPanel(panel));
+
+export {
+    PreferencesPanel,
+    loadPreferences,
+    savePreferences,
+    applyPreferences,
+    PREFERENCES_STORAGE_KEY,
+    DEFAULT_PREFERENCES,
+    TEXT_SIZES
+};
@@ -1,67 +1,124 @@
 /**
  * GCT Website - Scroll Reveal Animations
  * Handles intersection observer-based animations
+ *
+ * Markup:
+ *   data-reveal="fade-up"          variant, styled in styles/animations.css
+ *   data-delay="200"               milliseconds to wait before revealing
+ *   data-reveal-mode="replay"      hide again when scrolled away; on the element
+ *                                  or a section around it (default "once")
+ *
+ * The "reveals" component runs them inside its element (the page's <main>);
+ * "scroll-progress" adds the reading progress bar.
  */
 
+import { registerComponent } from './components.js';
+import { motion } from './motion.js';
+
+const REVEAL_SELECTOR = '[data-reveal], .text-reveal';
+
 class ScrollReveals {
-    constructor(options = {}) {
+    constructor(root = document, options = {}) {
+        this.root = root;
         this.options = {
-            threshold: options.threshold || 0.15,
-            rootMargin: options.rootMargin || '0px 0px -50px 0px',
+            threshold: 0.15,
+            rootMargin: '0px 0px -50px 0px',
+            mode: 'once',
             ...options
         };
 
-        this.elements = document.querySelectorAll('[data-reveal]');
-        this.observer = null;
+        this.elements = [];
+        this.observed = new Map();
+        this.onMotionChange = () => this.elements.forEach(el => this.observe(el));
 
         this.init();
     }
 
     init() {
-        if ('IntersectionObserver' in window) {
-            this.createObserver();
-            this.observeElements();
-        } else {
-            // Fallback: show all elements immediately
-            this.revealAll();
-        }
+        this.root.querySelectorAll(REVEAL_SELECTOR).forEach(el => this.observe(el));
+
+        // Turning reduced motion on shows everything; turning it off only
+        // brings back replaying elements, so nothing already read disappears
+        document.addEventListener('motion:change', this.onMotionChange);
     }
 
-    createObserver() {
-        this.observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.revealElement(entry.target);
-                    this.observer.unobserve(entry.target);
-                }
-            });
-        }, {
+    destroy() {
+        document.removeEventListener('motion:change', this.onMotionChange);
+        Array.from(this.observed.keys()).forEach(el => this.unobserve(el));
+    }
+
+    // Also used to add new elements dynamically
+    observe(element) {
+        if (!this.elements.includes(element)) this.elements.push(element);
+
+        if (motion.reduced) {
+            this.unobserve(element);
+            this.revealElement(element, false);
+            return;
+        }
+
+        if (this.observed.has(element)) return;
+        if (element.classList.contains('revealed') && this.getMode(element) === 'once') return;
+
+        const stop = motion.observe(element, entry => this.onIntersect(entry), {
             threshold: this.options.threshold,
             rootMargin: this.options.rootMargin
         });
+        this.observed.set(element, stop);
     }
 
-    observeElements() {
-        this.elements.forEach(el => {
-            this.observer.observe(el);
-        });
+    unobserve(element) {
+        const stop = this.observed.get(element);
+        if (stop) {
+            stop();
+            this.observed.delete(element);
+        }
     }
 
-    revealElement(el) {
-        el.classList.add('revealed');
+    onIntersect(entry) {
+        const el = entry.target;
+
+        if (entry.isIntersecting) {
+            this.revealElement(el, true);
+            if (this.getMode(el) === 'once') this.unobserve(el);
+        } else if (el.classList.contains('revealed')) {
+            this.hideElement(el);
+        }
     }
 
-    revealAll() {
-        this.elements.forEach(el => {
-            el.classList.add('revealed');
-        });
+    /**
+     * "once" (default) or "replay", from the element or a section around it
+     */
+    getMode(el) {
+        const scope = el.closest('[data-reveal-mode]');
+        return scope ? scope.dataset.revealMode : this.options.mode;
     }
 
-    // Method to add new elements dynamically
-    observe(element) {
-        if (this.observer) {
-            this.observer.observe(element);
+    revealElement(el, animate) {
+        const delay = animate ? parseInt(el.dataset.delay, 10) || 0 : 0;
+
+        if (delay > 0) {
+            el.style.transitionDelay = `${delay}ms`;
+
+            // Only the entrance waits; hover transitions afterwards shouldn't
+            const clear = (e) => {
+                if (e.target !== el) return;
+                el.style.transitionDelay = '';
+                el.removeEventListener('transitionend', clear);
+            };
+            el.addEventListener('transitionend', clear);
         }
+
+        el.classList.add('revealed');
+    }
+
+    hideElement(el) {
+        el.style.transitionDelay = '';
+        el.classList.remove('revealed');
+    }
+
+    revealAll() {
+        this.elements.forEach(el => this.revealElement(el, false));
     }
 }
 
@@ -69,8 +126,8 @@ class ScrollReveals {
  * Text reveal animation - splits text into spans
  */
 class TextReveal {
-    constructor(selector) {
-        this.elements = document.querySelectorAll(selector);
+    constructor(selector, root = document) {
+        this.elements = root.querySelectorAll(selector);
         this.init();
     }
 
@@ -86,8 +143,8 @@ class TextReveal {
  * Character-by-character reveal
  */
 class CharacterReveal {
-    constructor(selector) {
-        this.elements = document.querySelectorAll(selector);
+    constructor(selector, root = document) {
+        this.elements = root.querySelectorAll(selector);
         this.init();
     }
 
@@ -110,34 +167,35 @@ class CharacterReveal {
  * Scroll Progress Bar
  */
 class ScrollProgress {
-    constructor() {
+    constructor(host = document.body) {
+        this.host = host;
         this.progressBar = null;
+        this.stop = null;
         this.init();
     }
 
     init() {
         this.createProgressBar();
-        this.bindEvents();
-        this.updateProgress();
+        this.stop = motion.onScroll(state => this.updateProgress(state));
+    }
+
+    destroy() {
+        this.stop();
+        this.progressBar.remove();
     }
 
     createProgressBar() {
         this.progressBar = document.createElement('div');
         this.progressBar.className = 'scroll-progress';
-        document.body.appendChild(this.progressBar);
+        this.host.appendChild(this.progressBar);
     }
 
-    bindEvents() {
-        window.addEventListener('scroll', () => this.updateProgress(), { passive: true });
-        window.addEventListener('resize', () => this.updateProgress(), { passive: true });
-    }
-
-    updateProgress() {
-        const scrollTop = window.scrollY;
-        const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-        const progress = docHeight > 0 ? (scrollTop / docHeight) * 100 : 0;
+    updateProgress({ scrollY, viewportHeight, scrollHeight }) {
+        const docHeight = scrollHeight - viewportHeight;
+        const progress = docHeight > 0 ? Math.min(scrollY / docHeight, 1) : 0;
 
-        this.progressBar.style.width = `${progress}%`;
+        // Scaling skips the layout a width change would cost on every frame
+        this.progressBar.style.transform = `scaleX(${progress})`;
     }
 }
 
@@ -145,9 +203,10 @@ class ScrollProgress {
  * Parallax effect for background elements
  */
 class ParallaxEffect {
-    constructor() {
-        this.layers = document.querySelectorAll('.parallax-layer');
-        this.ticking = false;
+    constructor(root = document) {
+        this.layers = root.querySelectorAll('.parallax-layer');
+        this.stop = null;
+        this.onMotionChange = () => this.toggle();
 
         if (this.layers.length > 0) {
             this.init();
@@ -155,22 +214,32 @@ class ParallaxEffect {
     }
 
     init() {
-        window.addEventListener('scroll', () => this.onScroll(), { passive: true });
+        this.toggle();
+        document.addEventListener('motion:change', this.onMotionChange);
     }
 
-    onScroll() {
-        if (!this.ticking) {
-            requestAnimationFrame(() => {
-                this.updateLayers();
-                this.ticking = false;
-            });
-            this.ticking = true;
-        }
+    destroy() {
+        document.removeEventListener('motion:change', this.onMotionChange);
+        if (this.stop) this.stop();
+        this.stop = null;
     }
 
-    updateLayers() {
-        const scrollY = window.scrollY;
+    toggle() {
+        if (!motion.reduced) {
+            if (!this.stop) this.stop = motion.onScroll(state => this.updateLayers(state));
+            return;
+        }
 
+        if (this.stop) {
+            this.stop();
+            this.stop = null;
+        }
+        this.layers.forEach(layer => {
+            layer.style.transform = '';
+        });
+    }
+
+    updateLayers({ scrollY }) {
         this.layers.forEach(layer => {
             const speed = layer.dataset.speed || 0.5;
             const yPos = -(scrollY * speed);
@@ -179,35 +248,18 @@ class ParallaxEffect {
     }
 }
 
-// Initialize all reveal effects
-document.addEventListener('DOMContentLoaded', () => {
-    // Check for reduced motion preference
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-
-    if (!prefersReducedMotion) {
-        // Initialize scroll reveals
-        new ScrollReveals();
-
-        // Initialize text reveals
-        new TextReveal('.text-reveal');
-
-        // Initialize scroll progress bar
-        new ScrollProgress();
+// Each effect follows the reduced-motion setting itself (scripts/motion.js)
+registerComponent('reveals', root => {
+    new TextReveal('.text-reveal', root);
+    const effects = [new ScrollReveals(root), new ParallaxEffect(root)];
 
-        // Initialize parallax
-        new ParallaxEffect();
-    } else {
-        // Just show everything without animation
-        document.querySelectorAll('[data-reveal]').forEach(el => {
-            el.classList.add('revealed');
-        });
-        document.querySelectorAll('.text-reveal').forEach(el => {
-            el.classList.add('revealed');
-        });
-    }
+    return {
+        destroy() {
+            effects.forEach(effect => effect.destroy());
+        }
+    };
 });
 
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { ScrollReveals, TextReveal, CharacterReveal, ScrollProgress, ParallaxEffect };
-}
+registerComponent('scroll-progress', host => new ScrollProgress(host));
+
+export { ScrollReveals, TextReveal, CharacterReveal, ScrollProgress, ParallaxEffect, REVEAL_SELECTOR };
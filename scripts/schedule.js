@@ -0,0 +1,394 @@
+/**
+ * GCT Website - Timetables and Academic Calendar
+ * Loads the timetable for the chosen program, year and section and shows
+ * it as a weekly grid, or a day at a time on small screens, with the class
+ * on now highlighted; and filters the academic calendar. Both are rendered
+ * from src/schedule by build/schedule.js. The chosen timetable is kept in
+ * the address, e.g. timetable.html?program=computing&year=1&section=A.
+ *
+ * Components: timetable, academic-calendar
+ */
+
+import { registerComponent } from './components.js';
+import { escapeHTML } from './html.js';
+import { i18n } from './i18n.js';
+import { isPast } from './notices.js';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_NAMES = {
+    monday: 'Monday',
+    tuesday: 'Tuesday',
+    wednesday: 'Wednesday',
+    thursday: 'Thursday',
+    friday: 'Friday',
+    saturday: 'Saturday'
+};
+
+// Pakistan keeps UTC+5 all year
+const COLLEGE_OFFSET = 5 * 60 * 60 * 1000;
+const CLOCK_INTERVAL = 60000;
+const MONTH_FORMAT = { month: 'long', year: 'numeric', timeZone: 'Asia/Karachi' };
+
+/**
+ * The college's date, weekday and HH:MM time at a moment
+ */
+function getCollegeTime(now = Date.now()) {
+    const local = new Date(Number(now) + COLLEGE_OFFSET);
+    const iso = local.toISOString();
+
+    return {
+        date: iso.slice(0, 10),
+        day: ['sunday', ...DAYS][local.getUTCDay()],
+        time: iso.slice(11, 16)
+    };
+}
+
+/**
+ * The class being taught at a moment; null between classes, outside the
+ * term and on holidays and examination days
+ */
+function findCurrentClass(timetable, now = Date.now()) {
+    const { date, day, time } = getCollegeTime(now);
+    const { term, closed } = timetable;
+
+    if (date < term.start || date > term.end || closed.includes(date)) return null;
+    return timetable.classes.find(item => item.day === day && item.from <= time && time < item.to) || null;
+}
+
+function renderClassDetails(item, rootPath) {
+    const teacher = item.teacher
+        ? `<a href="${rootPath}${item.teacher.page}" class="timetable-class__teacher">${escapeHTML(item.teacher.name)}</a>`
+        : '';
+
+    return `
+        <span class="timetable-class__code">${escapeHTML(item.code)}</span>
+        <span class="timetable-class__title">${escapeHTML(item.title)}</span>
+        ${item.room ? `<span class="timetable-class__room">${escapeHTML(item.room)}</span>` : ''}
+        ${teacher}
+    `;
+}
+
+function renderTime(from, to) {
+    return `<time>${from}</time>–<time>${to}</time>`;
+}
+
+/**
+ * The week as a table: periods down, days across, double periods spanning rows
+ */
+function renderTimetableGrid(timetable, days, rootPath) {
+    const classAt = (day, period) => timetable.classes.find(item => item.day === day && item.period === period);
+    const covered = (day, period) => timetable.classes.some(item =>
+        item.day === day && item.period < period && period < item.period + item.length);
+
+    const rows = timetable.periods.map((period, i) => {
+        const number = i + 1;
+        const cells = days.map(day => {
+            if (covered(day, number)) return '';
+
+            const item = classAt(day, number);
+            if (!item) return '<td class="timetable-grid__free"></td>';
+
+            return `
+                <td class="timetable-class" data-day="${day}" data-period="${item.period}"${item.length > 1 ? ` rowspan="${item.length}"` : ''}>
+                    ${renderClassDetails(item, rootPath)}
+                </td>
+            `;
+        }).join('');
+
+        return `<tr><th scope="row" class="timetable-grid__time">${renderTime(period.from, period.to)}</th>${cells}</tr>`;
+    }).join('');
+
+    return `
+        <div class="timetable__week">
+            <table class="timetable-grid">
+                <thead>
+                    <tr>
+                        <th scope="col"><span class="visually-hidden" data-i18n="schedule.time">Time</span></th>
+                        ${days.map(day => `<th scope="col" data-i18n="day.${day}">${DAY_NAMES[day]}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * One list of classes per day, for small screens, with buttons to switch day
+ */
+function renderTimetableDays(timetable, days, rootPath) {
+    const lists = days.map(day => {
+        const classes = timetable.classes.filter(item => item.day === day);
+
+        return `
+            <ol class="timetable-day" data-timetable-day-list="${day}" hidden>
+                ${classes.map(item => `
+                    <li class="timetable-class" data-day="${day}" data-period="${item.period}">
+                        <span class="timetable-class__time">${renderTime(item.from, item.to)}</span>
+                        ${renderClassDetails(item, rootPath)}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }).join('');
+
+    return `
+        <div class="timetable__days">
+            <div class="timetable__day-picker" role="group" aria-label="Day" data-i18n-attr="aria-label:schedule.dayLabel">
+                ${days.map(day => `
+                    <button type="button" class="timetable__day-button" data-timetable-day="${day}" aria-pressed="false" data-i18n="day.${day}">${DAY_NAMES[day]}</button>
+                `).join('')}
+            </div>
+            ${lists}
+        </div>
+    `;
+}
+
+/**
+ * Timetable
+ * Timetables are listed in data-timetables and loaded from
+ * schedule/<id>.json; without this script the .ics downloads remain
+ */
+class Timetable {
+    constructor(root) {
+        this.root = root;
+        this.index = JSON.parse(root.dataset.timetables);
+        this.rootPath = root.dataset.timetableRoot || '';
+        this.form = root.querySelector('[data-timetable-picker]');
+        this.header = root.querySelector('[data-timetable-header]');
+        this.title = root.querySelector('[data-timetable-title]');
+        this.exportLink = root.querySelector('[data-timetable-export]');
+        this.error = root.querySelector('[data-timetable-error]');
+        this.view = root.querySelector('[data-timetable-view]');
+        this.downloads = root.querySelector('[data-timetable-downloads]');
+        this.timetable = null;
+        this.day = null;
+        this.request = 0;
+
+        // Settles once the latest choice is shown
+        this.loaded = null;
+
+        this.init();
+    }
+
+    init() {
+        this.readAddress();
+        this.form.hidden = false;
+        this.downloads.hidden = true;
+
+        this.form.addEventListener('change', () => {
+            this.updateOptions();
+            this.loaded = this.load();
+        });
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+
+        this.view.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-timetable-day]');
+            if (button) this.showDay(button.dataset.timetableDay);
+        });
+
+        this.timer = setInterval(() => this.highlight(), CLOCK_INTERVAL);
+        this.loaded = this.load({ record: false });
+    }
+
+    // Unknown values, e.g. from an old link, fall back to the first choice
+    readAddress() {
+        const params = new URLSearchParams(window.location.search);
+
+        ['program', 'year', 'section'].forEach(name => {
+            const field = this.form.elements[name];
+            const value = params.get(name);
+            if (value !== null && Array.from(field.options).some(option => option.value === value)) {
+                field.value = value;
+            }
+            this.updateOptions();
+        });
+    }
+
+    /**
+     * Offer the years of the chosen program, then the sections of the
+     * chosen year, keeping the current choices where they still apply
+     */
+    updateOptions() {
+        const { program, year, section } = this.form.elements;
+        const inProgram = this.index.filter(entry => entry.program === program.value);
+        const years = inProgram.filter((entry, i) => inProgram.findIndex(other => other.year === entry.year) === i);
+
+        this.fillSelect(year, years.map(entry => [String(entry.year), entry.yearTitle, `schedule.year.${entry.year}`]));
+        this.fillSelect(section, inProgram
+            .filter(entry => String(entry.year) === year.value)
+            .map(entry => [entry.section, entry.section]));
+    }
+
+    fillSelect(select, options) {
+        const current = select.value;
+
+        select.replaceChildren(...options.map(([value, text, key]) => {
+            const option = new Option(text, value);
+            if (key) option.dataset.i18n = key;
+            return option;
+        }));
+        select.value = options.some(([value]) => value === current) ? current : options[0][0];
+        i18n.translate(select);
+    }
+
+    getEntry() {
+        const { program, year, section } = this.form.elements;
+        return this.index.find(entry =>
+            entry.program === program.value && String(entry.year) === year.value && entry.section === section.value);
+    }
+
+    async load({ record = true } = {}) {
+        const entry = this.getEntry();
+        const request = ++this.request;
+
+        this.exportLink.href = `${this.rootPath}schedule/${entry.id}.ics`;
+        if (record) this.writeAddress(entry);
+
+        try {
+            const response = await fetch(`${this.rootPath}schedule/${entry.id}.json`);
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const timetable = await response.json();
+
+            // A later choice has replaced this one
+            if (request !== this.request) return;
+            this.error.hidden = true;
+            this.render(timetable);
+        } catch (error) {
+            if (request !== this.request) return;
+            this.timetable = null;
+            this.header.hidden = true;
+            this.view.replaceChildren();
+            this.error.hidden = false;
+        }
+    }
+
+    render(timetable) {
+        const days = DAYS.filter(day => timetable.classes.some(item => item.day === day));
+        const today = getCollegeTime().day;
+
+        this.timetable = timetable;
+        this.title.innerHTML = `
+            <span data-i18n="program.${timetable.program}.title">${escapeHTML(timetable.programTitle)}</span>,
+            <span data-i18n="schedule.year.${timetable.year}">${escapeHTML(timetable.yearTitle)}</span>,
+            <span data-i18n="schedule.sectionName" data-i18n-params='{"section": "${timetable.section}"}'>Section ${timetable.section}</span>
+        `;
+        this.view.innerHTML = renderTimetableGrid(timetable, days, this.rootPath)
+            + renderTimetableDays(timetable, days, this.rootPath);
+        this.header.hidden = false;
+        i18n.translate(this.title);
+        i18n.translate(this.view);
+
+        const fallback = days.includes(today) ? today : days[0];
+        this.showDay(days.includes(this.day) ? this.day : fallback);
+        this.highlight();
+    }
+
+    showDay(day) {
+        this.day = day;
+        this.view.querySelectorAll('[data-timetable-day]').forEach(button => {
+            button.setAttribute('aria-pressed', button.dataset.timetableDay === day ? 'true' : 'false');
+        });
+        this.view.querySelectorAll('[data-timetable-day-list]').forEach(list => {
+            list.hidden = list.dataset.timetableDayList !== day;
+        });
+    }
+
+    /**
+     * Mark the class on now, in both the grid and the day lists
+     */
+    highlight(now = Date.now()) {
+        if (!this.timetable) return;
+
+        const current = findCurrentClass(this.timetable, now);
+        this.view.querySelectorAll('.timetable-class').forEach(cell => {
+            const isCurrent = Boolean(current)
+                && cell.dataset.day === current.day && Number(cell.dataset.period) === current.period;
+
+            cell.classList.toggle('timetable-class--now', isCurrent);
+            if (isCurrent) cell.setAttribute('aria-current', 'time');
+            else cell.removeAttribute('aria-current');
+        });
+    }
+
+    writeAddress(entry) {
+        const params = new URLSearchParams({ program: entry.program, year: entry.year, section: entry.section });
+        const { pathname, hash } = window.location;
+        history.replaceState(history.state, '', `${pathname}?${params}${hash}`);
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+    }
+}
+
+/**
+ * Academic Calendar
+ * Type filters, and past and next dates marked as time goes on
+ */
+class AcademicCalendar {
+    constructor(root) {
+        this.root = root;
+        this.events = Array.from(root.querySelectorAll('.calendar-event'));
+        this.months = Array.from(root.querySelectorAll('[data-calendar-month]'));
+        this.filters = root.querySelectorAll('[data-calendar-filter]');
+        this.status = root.querySelector('[data-calendar-status]');
+
+        this.init();
+    }
+
+    init() {
+        this.markPast();
+        this.formatMonths();
+
+        this.filters.forEach(button => {
+            button.addEventListener('click', () => this.filter(button.dataset.calendarFilter));
+        });
+
+        this.onLanguageChange = () => this.formatMonths();
+        document.addEventListener('i18n:change', this.onLanguageChange);
+    }
+
+    markPast(now = Date.now()) {
+        const next = this.events.find(event => !isPast(event.dataset.end, now));
+
+        this.events.forEach(event => {
+            event.classList.toggle('calendar-event--past', isPast(event.dataset.end, now));
+            event.classList.toggle('calendar-event--next', event === next);
+        });
+    }
+
+    formatMonths() {
+        const format = new Intl.DateTimeFormat(i18n.locale.numberLocale, MONTH_FORMAT);
+
+        this.root.querySelectorAll('.academic-calendar__month-title time').forEach(time => {
+            time.textContent = format.format(new Date(`${time.getAttribute('datetime')}-01T00:00:00+05:00`));
+        });
+    }
+
+    filter(type) {
+        this.filters.forEach(button => {
+            button.setAttribute('aria-pressed', button.dataset.calendarFilter === type ? 'true' : 'false');
+        });
+
+        let shown = 0;
+        this.events.forEach(event => {
+            event.hidden = type !== 'all' && event.dataset.type !== type;
+            if (!event.hidden) shown++;
+        });
+        this.months.forEach(month => {
+            month.hidden = !month.querySelector('.calendar-event:not([hidden])');
+        });
+
+        this.status.textContent = i18n.t('schedule.count', { count: shown });
+    }
+
+    destroy() {
+        document.removeEventListener('i18n:change', this.onLanguageChange);
+    }
+}
+
+registerComponent('timetable', root => new Timetable(root));
+registerComponent('academic-calendar', root => new AcademicCalendar(root));
+
+export { Timetable, AcademicCalendar, getCollegeTime, findCurrentClass };
@@ -0,0 +1,319 @@
+/**
+ * GCT Website - Site Search
+ * Search overlay over the prebuilt index (scripts/data/search-index.js,
+ * generated by build/build.js). The index is loaded as a script on first
+ * use, so search works offline and from file://.
+ *
+ * Open with any [data-search-open] button, "/" or Ctrl/Cmd + K.
+ */
+
+import { registerComponent } from './components.js';
+import { escapeHTML } from './html.js';
+import { i18n } from './i18n.js';
+
+// Also the order of equally good results
+const SEARCH_TYPE_LABELS = {
+    program: 'Program',
+    course: 'Course',
+    faculty: 'Faculty',
+    faq: 'FAQ',
+    facility: 'Facility',
+    notice: 'Notice'
+};
+
+// Title matches outrank body text, which outranks the page name
+const SEARCH_FIELD_WEIGHTS = { title: 3, text: 1, page: 0.5 };
+
+/**
+ * Lower case words of letters and digits in any script, without accents or
+ * vowel marks, so "Résumé" finds "resume" and Urdu with or without zer and
+ * zabar matches
+ */
+function normaliseSearchText(value) {
+    return String(value || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * How well one query token matches a prepared field, 0 when it does not
+ *   whole word 4, word prefix 3, substring 2 (also ignoring spaces, so
+ *   "cit114" finds "CIT-114"), a typo in a word or word prefix 1
+ */
+function scoreToken(token, field) {
+    if (field.words.includes(token)) return 4;
+    if (field.words.some(word => word.startsWith(token))) return 3;
+    if (field.text.includes(token) || field.compact.includes(token)) return 2;
+
+    if (token.length >= 4) {
+        const allowed = token.length >= 7 ? 2 : 1;
+        const isClose = field.words.some(word =>
+            editDistance(token, word, allowed) <= allowed ||
+            (word.length > token.length && editDistance(token, word.slice(0, token.length), allowed) <= allowed)
+        );
+        if (isClose) return 1;
+    }
+
+    return 0;
+}
+
+function prepareSearchEntry(entry) {
+    const fields = {};
+    Object.keys(SEARCH_FIELD_WEIGHTS).forEach(name => {
+        const text = normaliseSearchText(entry[name]);
+        fields[name] = { text, words: text.split(' '), compact: text.replace(/ /g, '') };
+    });
+    return { entry, fields };
+}
+
+/**
+ * Rank prepared entries against a query; every token has to match somewhere
+ */
+function searchEntries(query, prepared, limit = 8) {
+    const tokens = normaliseSearchText(query).split(' ').filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    return prepared
+        .map(item => {
+            let score = 0;
+
+            for (const token of tokens) {
+                const best = Math.max(...Object.entries(SEARCH_FIELD_WEIGHTS).map(([name, weight]) =>
+                    scoreToken(token, item.fields[name]) * weight
+                ));
+                if (best === 0) return null;
+                score += best;
+            }
+
+            return { entry: item.entry, score };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || typeRank(a.entry) - typeRank(b.entry))
+        .slice(0, limit)
+        .map(result => result.entry);
+}
+
+function typeRank(entry) {
+    const rank = Object.keys(SEARCH_TYPE_LABELS).indexOf(entry.type);
+    return rank === -1 ? Infinity : rank;
+}
+
+function getSearchTypeLabel(type) {
+    return i18n.t(`search.type.${type}`, {}, SEARCH_TYPE_LABELS[type] || type);
+}
+
+/**
+ * Search Overlay
+ */
+class SiteSearch {
+    constructor(overlay) {
+        this.overlay = overlay;
+        this.input = overlay.querySelector('.search-overlay__input');
+        this.results = overlay.querySelector('.search-overlay__results');
+        this.status = overlay.querySelector('.search-overlay__status');
+        this.rootPath = document.documentElement.dataset.root || '';
+        this.prepared = null;
+        this.activeIndex = -1;
+        this.returnFocus = null;
+
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('[data-search-open]').forEach(button => {
+            button.addEventListener('click', () => this.open());
+        });
+
+        this.overlay.querySelectorAll('[data-search-close]').forEach(el => {
+            el.addEventListener('click', () => this.close());
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.overlay.hidden) return;
+
+            const isTyping = e.target.closest('input, textarea, select, [contenteditable="true"]');
+            const isShortcut = (e.key === 'k' && (e.ctrlKey || e.metaKey)) || (e.key === '/' && !isTyping);
+
+            if (isShortcut) {
+                e.preventDefault();
+                this.open();
+            }
+        });
+
+        this.overlay.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('input', () => this.update());
+        document.addEventListener('i18n:change', () => this.update());
+    }
+
+    /**
+     * Load the index script once
+     */
+    loadIndex() {
+        if (!this.indexPromise) {
+            this.indexPromise = new Promise((resolve, reject) => {
+                if (typeof SEARCH_INDEX !== 'undefined') {
+                    resolve();
+                    return;
+                }
+
+                const script = document.createElement('script');
+                script.src = `${this.rootPath}scripts/data/search-index.js`;
+                script.onload = resolve;
+                script.onerror = () => {
+                    this.indexPromise = null;
+                    script.remove();
+                    reject(new Error('Search index could not be loaded'));
+                };
+                document.head.appendChild(script);
+            }).then(() => {
+                this.prepared = SEARCH_INDEX.map(prepareSearchEntry);
+            });
+        }
+
+        return this.indexPromise;
+    }
+
+    open() {
+        this.returnFocus = document.activeElement;
+        this.overlay.hidden = false;
+        document.body.classList.add('search-open');
+        this.input.focus();
+        this.input.select();
+
+        this.loadIndex()
+            .then(() => this.update())
+            .catch(() => {
+                this.status.textContent = i18n.t('search.unavailable');
+            });
+    }
+
+    close() {
+        this.overlay.hidden = true;
+        document.body.classList.remove('search-open');
+
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+    }
+
+    update() {
+        if (!this.prepared) return;
+
+        const query = this.input.value.trim();
+        const results = searchEntries(query, this.prepared);
+
+        this.render(results);
+
+        if (!query) {
+            this.status.textContent = '';
+        } else if (results.length === 0) {
+            this.status.textContent = i18n.t('search.noResults', { query });
+        } else {
+            this.status.textContent = i18n.t('search.resultCount', { count: results.length });
+        }
+    }
+
+    render(results) {
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+        this.input.setAttribute('aria-expanded', results.length > 0 ? 'true' : 'false');
+
+        this.results.innerHTML = results.map((entry, i) => `
+            <li role="option" id="site-search-result-${i}" aria-selected="false">
+                <a href="${escapeHTML(this.rootPath + entry.url)}" class="search-result" tabindex="-1">
+                    <span class="search-result__type">${escapeHTML(getSearchTypeLabel(entry.type))}</span>
+                    <span class="search-result__title">${escapeHTML(entry.title)}</span>
+                    <span class="search-result__page">${escapeHTML(entry.page)}</span>
+                    ${entry.text ? `<span class="search-result__text">${escapeHTML(entry.text)}</span>` : ''}
+                </a>
+            </li>
+        `).join('');
+
+        // Following a link to the current page only changes the hash
+        this.results.querySelectorAll('.search-result').forEach(link => {
+            link.addEventListener('click', () => this.close());
+        });
+    }
+
+    setActive(index) {
+        const options = this.results.querySelectorAll('[role="option"]');
+        if (options.length === 0) return;
+
+        this.activeIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => {
+            option.setAttribute('aria-selected', i === this.activeIndex ? 'true' : 'false');
+        });
+
+        const active = options[this.activeIndex];
+        this.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            this.setActive(this.activeIndex + 1);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.setActive(this.activeIndex - 1);
+        } else if (e.key === 'Enter' && e.target === this.input) {
+            const options = this.results.querySelectorAll('.search-result');
+            const link = options[Math.max(this.activeIndex, 0)];
+            if (link) {
+                e.preventDefault();
+                link.click();
+            }
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e);
+        }
+    }
+
+    /**
+     * Keep keyboard focus inside the dialog
+     */
+    trapFocus(e) {
+        const focusable = Array.from(this.overlay.querySelectorAll('input, button'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+registerComponent('search', overlay => new SiteSearch(overlay));
+
+export { SiteSearch, searchEntries, prepareSearchEntry, normaliseSearchText, editDistance };
@@ -0,0 +1,132 @@
+/**
+ * GCT Website - Theme
+ * Light, dark or system colour theme, switched from the side nav toggle
+ * ([data-theme-toggle]) or the theme options in the accessibility panel
+ * ([data-theme-option]), and kept in localStorage.
+ *
+ * The theme is data-theme="light|dark" on <html>, which picks the token
+ * values in styles/tokens.css; data-theme-preference is what the visitor
+ * chose. The inline script in src/partials/head.html sets both before
+ * first paint. Scripts that draw in theme colours listen for the
+ * "theme:change" event on document.
+ */
+
+import { i18n } from './i18n.js';
+
+const THEME_STORAGE_KEY = 'gct-theme';
+
+// Toggle order
+const THEME_PREFERENCES = ['light', 'dark', 'system'];
+
+const THEME_QUERY = '(prefers-color-scheme: dark)';
+
+class ThemeManager {
+    constructor() {
+        this.media = window.matchMedia(THEME_QUERY);
+        this.preference = this.getSavedPreference() || 'system';
+    }
+
+    get theme() {
+        if (this.preference !== 'system') return this.preference;
+        return this.media.matches ? 'dark' : 'light';
+    }
+
+    getSavedPreference() {
+        try {
+            const saved = localStorage.getItem(THEME_STORAGE_KEY);
+            return THEME_PREFERENCES.includes(saved) ? saved : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    getNextPreference() {
+        return THEME_PREFERENCES[(THEME_PREFERENCES.indexOf(this.preference) + 1) % THEME_PREFERENCES.length];
+    }
+
+    setPreference(preference) {
+        if (!THEME_PREFERENCES.includes(preference)) return;
+
+        this.preference = preference;
+        try {
+            localStorage.setItem(THEME_STORAGE_KEY, preference);
+        } catch (e) {
+            // Storage blocked: the theme still applies to this page
+        }
+
+        this.apply();
+    }
+
+    apply() {
+        const html = document.documentElement;
+        const theme = this.theme;
+
+        html.dataset.theme = theme;
+        html.dataset.themePreference = this.preference;
+        // Bootstrap's own components follow the same theme
+        html.setAttribute('data-bs-theme', theme);
+
+        this.updateControls();
+
+        document.dispatchEvent(new CustomEvent('theme:change', {
+            detail: { theme, preference: this.preference }
+        }));
+    }
+
+    updateControls() {
+        const current = i18n.t(`theme.${this.preference}`);
+
+        document.querySelectorAll('[data-theme-toggle]').forEach(toggle => {
+            toggle.setAttribute('aria-label', i18n.t('theme.switchLabel', {
+                current,
+                next: i18n.t(`theme.${this.getNextPreference()}`)
+            }));
+
+            const label = toggle.querySelector('[data-theme-label]');
+            if (label) label.textContent = current;
+        });
+
+        document.querySelectorAll('[data-theme-option]').forEach(option => {
+            option.checked = option.value === this.preference;
+        });
+    }
+
+    init() {
+        document.querySelectorAll('[data-theme-toggle]').forEach(toggle => {
+            toggle.addEventListener('click', () => this.setPreference(this.getNextPreference()));
+        });
+
+        document.querySelectorAll('[data-theme-option]').forEach(option => {
+            option.addEventListener('change', () => {
+                if (option.checked) this.setPreference(option.value);
+            });
+        });
+
+        const onSystemChange = () => {
+            if (this.preference === 'system') this.apply();
+        };
+
+        // Older Safari only has addListener
+        if (this.media.addEventListener) {
+            this.media.addEventListener('change', onSystemChange);
+        } else {
+            this.media.addListener(onSystemChange);
+        }
+
+        // Chosen in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key !== THEME_STORAGE_KEY) return;
+            this.preference = this.getSavedPreference() || 'system';
+            this.apply();
+        });
+
+        document.addEventListener('i18n:change', () => this.updateControls());
+
+        this.apply();
+    }
+}
+
+// Started by scripts/app.js
+const themeManager = new ThemeManager();
+
+export { ThemeManager, themeManager, THEME_STORAGE_KEY, THEME_PREFERENCES };
@@ -0,0 +1,293 @@
+/**
+ * GCT Website - Form Validation
+ * Declarative field rules read from native and data attributes, with
+ * inline, screen-reader friendly error messages
+ *
+ * Supported rules:
+ *   required, type="email", pattern, min / max, minlength / maxlength
+ *   data-rule="cnic"      CNIC / B-Form number (#####-#######-#)
+ *   data-rule="mobile"    Pakistani mobile number (03XX-XXXXXXX or +923XXXXXXXXX)
+ *   data-min-percent="50" data-percent-of="<id of total field>"
+ *   data-max-of="<id of field>"   no greater than that field's value
+ *
+ * Messages come from the i18n catalogs (validation.<rule>); a field can
+ * override one with data-error-<rule>, e.g. data-error-cnic.
+ */
+
+import { i18n } from './i18n.js';
+
+// Default message per rule, in the current language
+const VALIDATION_MESSAGES = {
+    required: params => i18n.t('validation.required', params),
+    checked: params => i18n.t('validation.checked', params),
+    email: params => i18n.t('validation.email', params),
+    cnic: params => i18n.t('validation.cnic', params),
+    mobile: params => i18n.t('validation.mobile', params),
+    pattern: params => i18n.t('validation.pattern', params),
+    min: params => i18n.t('validation.min', params),
+    max: params => i18n.t('validation.max', params),
+    minlength: params => i18n.t('validation.minlength', params),
+    maxlength: params => i18n.t('validation.maxlength', params),
+    percent: params => i18n.t('validation.percent', params)
+};
+
+const VALIDATION_PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    cnic: /^\d{5}-\d{7}-\d$/,
+    mobile: /^(?:\+92|0092|0)3\d{9}$/
+};
+
+// Browsers compile pattern attributes with v; those without it (Safari
+// before 17, older WebViews) get the nearest they have
+const PATTERN_FLAGS = ['v', 'u'];
+
+/**
+ * A pattern attribute compiled as browsers do, matching the whole value;
+ * null when there is none, or it is invalid and so no constraint
+ */
+function compilePattern(pattern) {
+    if (!pattern) return null;
+
+    for (const flags of PATTERN_FLAGS) {
+        try {
+            return new RegExp(`^(?:${pattern})$`, flags);
+        } catch (e) {
+            // An unknown flag or invalid pattern: try the next flag
+        }
+    }
+
+    return null;
+}
+
+class FormValidator {
+    constructor(form) {
+        this.form = form;
+        this.form.noValidate = true;
+
+        FormValidator.instances.set(form, this);
+        this.bindEvents();
+    }
+
+    /**
+     * Get (or create) the validator for a form
+     */
+    static for(form) {
+        return FormValidator.instances.get(form) || new FormValidator(form);
+    }
+
+    bindEvents() {
+        // Validate once the user leaves a field
+        this.form.addEventListener('focusout', (e) => {
+            if (this.isField(e.target) && e.target.value !== '') {
+                this.normalise(e.target);
+                this.validateField(e.target);
+            }
+        });
+
+        // Clear errors live once a field has been flagged
+        const revalidate = (e) => {
+            if (this.isField(e.target) && e.target.getAttribute('aria-invalid') === 'true') {
+                this.validateField(e.target);
+            }
+        };
+        this.form.addEventListener('input', revalidate);
+        this.form.addEventListener('change', revalidate);
+    }
+
+    isField(el) {
+        return el.matches && el.matches('input[name], select[name], textarea[name]') && el.type !== 'hidden';
+    }
+
+    /**
+     * Validate every field inside the form or a part of it
+     * Returns the invalid fields in document order and focuses the first
+     */
+    validate(container = this.form, options = {}) {
+        const fields = Array.from(container.querySelectorAll('input[name], select[name], textarea[name]'))
+            .filter(field => field.type !== 'hidden' && !field.disabled);
+        const checkedGroups = new Set();
+        const invalid = [];
+
+        fields.forEach(field => {
+            // Checkbox and radio groups report once, on their first member
+            if ((field.type === 'checkbox' || field.type === 'radio') && field.name) {
+                if (checkedGroups.has(field.name)) return;
+                checkedGroups.add(field.name);
+            }
+
+            this.normalise(field);
+            if (!this.validateField(field)) {
+                invalid.push(field);
+            }
+        });
+
+        if (invalid.length > 0 && options.focus !== false) {
+            invalid[0].focus();
+        }
+
+        return invalid;
+    }
+
+    validateField(field) {
+        const message = this.getError(field);
+
+        if (message) {
+            this.showError(field, message);
+        } else {
+            this.clearError(field);
+        }
+
+        return !message;
+    }
+
+    /**
+     * Return the first failing rule's message, or an empty string
+     */
+    getError(field) {
+        const value = field.value.trim();
+        const rule = field.dataset.rule;
+
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            const group = field.name
+                ? this.form.querySelectorAll(`[name="${field.name}"]`)
+                : [field];
+            const isRequired = Array.from(group).some(el => el.required);
+            const isChecked = Array.from(group).some(el => el.checked);
+            return isRequired && !isChecked ? this.message(field, field.type === 'checkbox' ? 'checked' : 'required') : '';
+        }
+
+        if (!value) {
+            return field.required ? this.message(field, 'required') : '';
+        }
+
+        if (field.type === 'email' && !VALIDATION_PATTERNS.email.test(value)) {
+            return this.message(field, 'email');
+        }
+
+        if (rule === 'cnic' && !VALIDATION_PATTERNS.cnic.test(value)) {
+            return this.message(field, 'cnic');
+        }
+
+        if (rule === 'mobile' && !VALIDATION_PATTERNS.mobile.test(value.replace(/[\s-]/g, ''))) {
+            return this.message(field, 'mobile');
+        }
+
+        const pattern = compilePattern(field.getAttribute('pattern'));
+        if (pattern && !pattern.test(value)) {
+            return this.message(field, 'pattern');
+        }
+
+        const min = field.getAttribute('min');
+        const max = field.getAttribute('max');
+        const compare = field.type === 'date'
+            ? (a, b) => a.localeCompare(b)
+            : (a, b) => Number(a) - Number(b);
+
+        if (min !== null && compare(value, min) < 0) {
+            return this.message(field, 'min', { min });
+        }
+        if (max !== null && compare(value, max) > 0) {
+            return this.message(field, 'max', { max });
+        }
+
+        const minLength = field.getAttribute('minlength');
+        const maxLength = field.getAttribute('maxlength');
+        if (minLength !== null && value.length < Number(minLength)) {
+            return this.message(field, 'minlength', { minlength: minLength });
+        }
+        if (maxLength !== null && value.length > Number(maxLength)) {
+            return this.message(field, 'maxlength', { maxlength: maxLength });
+        }
+
+        if (field.dataset.maxOf) {
+            const limit = document.getElementById(field.dataset.maxOf)?.value.trim();
+
+            if (limit && Number(value) > Number(limit)) {
+                return this.message(field, 'max', { max: limit });
+            }
+        }
+
+        if (field.dataset.minPercent && field.dataset.percentOf) {
+            const total = Number(document.getElementById(field.dataset.percentOf)?.value);
+            const percent = Number(field.dataset.minPercent);
+
+            if (total > 0 && (Number(value) / total) * 100 < percent) {
+                return this.message(field, 'percent', { percent });
+            }
+        }
+
+        return '';
+    }
+
+    message(field, rule, params = {}) {
+        const key = `error${rule.charAt(0).toUpperCase()}${rule.slice(1)}`;
+        const template = field.dataset[key];
+
+        return template
+            ? template.replace(/\{(\w+)\}/g, (_, name) => params[name] ?? '')
+            : VALIDATION_MESSAGES[rule](params);
+    }
+
+    /**
+     * Tidy well-known formats before checking them
+     */
+    normalise(field) {
+        if (field.dataset.rule === 'cnic') {
+            const digits = field.value.replace(/\D/g, '');
+            if (digits.length === 13) {
+                field.value = `${digits.slice(0, 5)}-${digits.slice(5, 12)}-${digits.slice(12)}`;
+            }
+        }
+    }
+
+    getErrorElement(field, create = false) {
+        const id = `${field.id || field.name}-error`;
+        let error = document.getElementById(id);
+
+        if (!error && create) {
+            error = document.createElement('p');
+            error.id = id;
+            error.className = 'form-error';
+
+            // Place after the wrapping label for checkboxes, else after the field
+            const anchor = field.closest('label') || field;
+            anchor.insertAdjacentElement('afterend', error);
+        }
+
+        return error;
+    }
+
+    showError(field, message) {
+        const error = this.getErrorElement(field, true);
+        error.textContent = message;
+
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!describedBy.includes(error.id)) {
+            describedBy.push(error.id);
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        }
+    }
+
+    clearError(field) {
+        const error = this.getErrorElement(field);
+        if (error) error.textContent = '';
+
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+    }
+}
+
+FormValidator.instances = new WeakMap();
+
+/**
+ * Validate a form, or one part of it such as a wizard step
+ */
+function validateFields(container) {
+    const form = container.tagName === 'FORM' ? container : container.closest('form');
+    return FormValidator.for(form).validate(container);
+}
+
+export { FormValidator, validateFields, VALIDATION_MESSAGES, VALIDATION_PATTERNS };
@@ -0,0 +1,356 @@
+/**
+ * GCT Website - Analytics Collector
+ * Counts what visitors do on the site from the batches scripts/analytics.js
+ * sends, and renders the dashboard served by server/inquiries.js at
+ * /analytics.
+ *
+ * Only daily totals are kept: no addresses, user agents, cookies, visitor
+ * ids or form values, and nothing that could tell one visit from another.
+ * Each event adds one to a counter for its day:
+ *
+ *   pageview   { page }                    pages["index.html"]
+ *   outbound   { page, target, area }      outbound["tel dept-card"]
+ *   faq        { page, item }              faq["faq-duration"]
+ *   carousel   { page, carousel }          carousels["heroCarousel"]
+ *   form       { page, form, step }        forms["application step-2"]
+ *
+ * Form steps make up a funnel: start (first field edited), step-N (a
+ * wizard step reached), submitted (passed validation), then sent, queued,
+ * rejected or error for forms that post to the inquiry service.
+ *
+ * Only pages of the built site are counted, a day keeps at most MAX_KEYS
+ * names per counter, and counts are written to the store in batches.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { PROGRAM_CATALOG } = require('../scripts/data/programs.js');
+const { escapeHTML } = require('../scripts/html.js');
+
+const MAX_EVENTS = 50;
+const MAX_KEYS = 500;
+const FLUSH_DELAY = 5000;
+const RETENTION_DAYS = 180;
+const DEFAULT_DAYS = 30;
+
+const PAGE = /^[\w-]+(\/[\w.-]+)*\.html$/;
+const NAME = /^[\w-]{1,80}$/;
+const HOST = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+// test() would read a missing field as the string "undefined"
+const matches = (pattern, value) => typeof value === 'string' && pattern.test(value);
+
+const FORM_STEP = /^(start|step-\d{1,2}|submitted|sent|queued|rejected|error)$/;
+const FORM_OUTCOMES = ['submitted', 'sent', 'queued', 'rejected', 'error'];
+
+// Funnel order: start, the wizard steps, then submitted and how sending went
+function getStepOrder(step) {
+    const wizard = step.match(/^step-(\d+)$/);
+    if (wizard) return Number(wizard[1]);
+    return step === 'start' ? 0 : 100 + FORM_OUTCOMES.indexOf(step);
+}
+
+// Each event type: the counter it adds to and the key it counts under
+const EVENT_TYPES = {
+    pageview: {
+        counter: 'pages',
+        key: event => event.page
+    },
+    outbound: {
+        counter: 'outbound',
+        key: event => (['tel', 'mailto'].includes(event.target) || matches(HOST, event.target)) &&
+            matches(NAME, event.area) && `${event.target} ${event.area}`
+    },
+    faq: {
+        counter: 'faq',
+        key: event => matches(NAME, event.item) && event.item
+    },
+    carousel: {
+        counter: 'carousels',
+        key: event => matches(NAME, event.carousel) && event.carousel
+    },
+    form: {
+        counter: 'forms',
+        key: event => matches(NAME, event.form) && matches(FORM_STEP, event.step) && `${event.form} ${event.step}`
+    }
+};
+
+const COUNTERS = Object.values(EVENT_TYPES).map(type => type.counter);
+
+/**
+ * The pages of a built site, named as events name them: "divisions/computing.html"
+ * None when the site hasn't been built, so nothing is counted
+ */
+function readSitePages(siteDir) {
+    try {
+        return new Set(fs.readdirSync(siteDir, { recursive: true })
+            .map(file => file.split(path.sep).join('/'))
+            .filter(file => matches(PAGE, file)));
+    } catch (err) {
+        if (err.code === 'ENOENT') return new Set();
+        throw err;
+    }
+}
+
+/**
+ * The counter and key for each well-formed event in a batch
+ * Anything unknown, malformed, beyond MAX_EVENTS or, given the site's
+ * pages, on a page the site doesn't have is dropped. Only the fields above
+ * are read, so nothing else a client sends is ever stored.
+ */
+function validateEvents(body, pages) {
+    const events = Array.isArray(body && body.events) ? body.events.slice(0, MAX_EVENTS) : [];
+
+    return events.flatMap(event => {
+        const type = event && typeof event === 'object' && EVENT_TYPES[event.type];
+        if (!type || !matches(PAGE, event.page) || (pages && !pages.has(event.page))) return [];
+
+        const key = type.key(event);
+        return typeof key === 'string' && key.length <= 300 ? [{ counter: type.counter, key }] : [];
+    });
+}
+
+function getDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Daily counts in a JSON file, { "2026-10-19": { pages: { "index.html": 3 } } }
+ * Counts wait in memory and are written together, flushDelay after the
+ * first; reads write them first. Writes are serialised and replace the
+ * file atomically, as in InquiryStore.
+ */
+class AnalyticsStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.flushDelay = options.flushDelay ?? FLUSH_DELAY;
+        this.pending = Promise.resolve();
+        this.queued = [];
+        this.timer = null;
+    }
+
+    async readFile() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            return JSON.parse(raw);
+        } catch (err) {
+            if (err.code === 'ENOENT') return {};
+            throw err;
+        }
+    }
+
+    async readAll() {
+        await this.flush();
+        return this.readFile();
+    }
+
+    add(counts, date = new Date()) {
+        if (counts.length === 0) return;
+
+        const day = getDay(date);
+        counts.forEach(({ counter, key }) => this.queued.push({ day, counter, key }));
+
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.flush().catch(err => console.error('Analytics store error:', err));
+            }, this.flushDelay);
+            // Waiting counts don't keep the process alive; close() writes them
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Write the waiting counts
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const counts = this.queued.splice(0);
+
+        const task = this.pending.then(async () => {
+            if (counts.length === 0) return;
+
+            const days = await this.readFile();
+            const touched = new Set();
+
+            counts.forEach(({ day, counter, key }) => {
+                const totals = days[day] || (days[day] = {});
+
+                // Names come from clients: in objects without a prototype,
+                // "constructor" or "__proto__" are counted like any other
+                if (!touched.has(day)) {
+                    touched.add(day);
+                    COUNTERS.forEach(name => {
+                        totals[name] = Object.assign(Object.create(null), totals[name]);
+                    });
+                }
+
+                // New names past the limit are dropped; those already counted go on
+                const keys = totals[counter];
+                if (!(key in keys) && Object.keys(keys).length >= MAX_KEYS) return;
+                keys[key] = (keys[key] || 0) + 1;
+            });
+
+            // Old days are dropped as new ones come in
+            const latest = counts.reduce((newest, { day }) => (day > newest ? day : newest), '');
+            const oldest = getDay(new Date(Date.parse(latest) - RETENTION_DAYS * 86400000));
+            Object.keys(days).filter(key => key < oldest).forEach(key => delete days[key]);
+
+            await this.write(days);
+        });
+
+        this.pending = task.catch(() => {});
+        return task;
+    }
+
+    async write(days) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(days, null, 2));
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+}
+
+/**
+ * Totals for the days ending today: { from, to, days, pages, outbound, ... }
+ * with every counter sorted by count, most first
+ */
+function summarise(days, dayCount = DEFAULT_DAYS, date = new Date()) {
+    const to = getDay(date);
+    const from = getDay(new Date(date.getTime() - (dayCount - 1) * 86400000));
+    const summary = { from, to, days: dayCount };
+
+    COUNTERS.forEach(counter => {
+        const totals = new Map();
+
+        Object.entries(days)
+            .filter(([day]) => day >= from && day <= to)
+            .forEach(([, values]) => {
+                Object.entries(values[counter] || {}).forEach(([key, count]) => {
+                    totals.set(key, (totals.get(key) || 0) + count);
+                });
+            });
+
+        summary[counter] = Array.from(totals)
+            .map(([key, count]) => ({ key, count }))
+            .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+    });
+
+    return summary;
+}
+
+/**
+ * Views of each program's division page
+ */
+function getProgramViews(summary, catalog = PROGRAM_CATALOG) {
+    return catalog
+        .map(program => ({
+            key: program.name,
+            count: (summary.pages.find(item => item.key === program.page) || { count: 0 }).count
+        }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Each form's steps in funnel order, with the share of starts that reached them
+ */
+function getFunnels(summary) {
+    const forms = new Map();
+
+    summary.forms.forEach(({ key, count }) => {
+        const [form, step] = key.split(' ');
+        if (!forms.has(form)) forms.set(form, []);
+        forms.get(form).push({ step, count });
+    });
+
+    return Array.from(forms, ([form, steps]) => {
+        const start = (steps.find(item => item.step === 'start') || { count: 0 }).count;
+
+        return {
+            form,
+            steps: steps
+                .sort((a, b) => getStepOrder(a.step) - getStepOrder(b.step))
+                .map(item => ({ ...item, share: start ? Math.round((item.count / start) * 100) : null }))
+        };
+    }).sort((a, b) => a.form.localeCompare(b.form));
+}
+
+function renderTable(caption, heading, rows) {
+    const body = rows.length > 0
+        ? rows.map(row => `<tr><td>${escapeHTML(row.key)}</td><td>${row.count}</td></tr>`).join('\n')
+        : '<tr><td colspan="2">Nothing recorded yet</td></tr>';
+
+    return `<table>
+<caption>${escapeHTML(caption)}</caption>
+<thead><tr><th scope="col">${escapeHTML(heading)}</th><th scope="col">Count</th></tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>`;
+}
+
+function renderFunnel({ form, steps }) {
+    return `<table>
+<caption>Form: ${escapeHTML(form)}</caption>
+<thead><tr><th scope="col">Step</th><th scope="col">Count</th><th scope="col">Of starts</th></tr></thead>
+<tbody>
+${steps.map(item => `<tr><td>${escapeHTML(item.step)}</td><td>${item.count}</td><td>${item.share === null ? '—' : `${item.share}%`}</td></tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+/**
+ * The dashboard page for a summary
+ */
+function renderDashboard(summary) {
+    const funnels = getFunnels(summary);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>Site Analytics | GCT Bhakkar</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #2D2D2D; }
+h1 { margin-bottom: 0.25rem; }
+nav a { margin-right: 1rem; }
+.grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 1.5rem; }
+table { width: 100%; border-collapse: collapse; }
+caption { text-align: left; font-weight: 600; padding: 0.5rem 0; }
+th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #DDD; }
+td:not(:first-child), th:not(:first-child) { text-align: right; }
+</style>
+</head>
+<body>
+<h1>Site Analytics</h1>
+<p>Totals from ${summary.from} to ${summary.to}. Counts come only from visitors who agreed to share them; no personal data is kept.</p>
+<nav>${[7, 30, 90].map(days => `<a href="?days=${days}"${days === summary.days ? ' aria-current="page"' : ''}>Last ${days} days</a>`).join('')}</nav>
+<div class="grid">
+${renderTable('Pages', 'Page', summary.pages)}
+${renderTable('Programs', 'Program page', getProgramViews(summary))}
+${renderTable('Outbound clicks', 'Link and area', summary.outbound)}
+${renderTable('FAQ questions opened', 'Question', summary.faq)}
+${renderTable('Carousel moves', 'Carousel', summary.carousels)}
+${funnels.length > 0 ? funnels.map(renderFunnel).join('\n') : renderTable('Forms', 'Step', [])}
+</div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    AnalyticsStore,
+    readSitePages,
+    validateEvents,
+    summarise,
+    getProgramViews,
+    getFunnels,
+    renderDashboard,
+    MAX_EVENTS,
+    MAX_KEYS,
+    RETENTION_DAYS,
+    DEFAULT_DAYS
+};
@@ -0,0 +1,379 @@
+/**
+ * GCT Website - Inquiry Service
+ * Small HTTP backend that receives contact form inquiries and stores them
+ * in a local JSON file. Also collects the site's analytics
+ * (server/analytics.js) and serves the built site (node build/build.js)
+ * so the form and the analytics can post to the same origin.
+ *
+ *   POST /api/inquiries   store an inquiry
+ *   GET  /api/inquiries   list inquiries (admin)
+ *   POST /api/analytics   count a batch of analytics events
+ *   GET  /api/analytics   totals as JSON, ?days=30 (admin)
+ *   GET  /analytics       the analytics dashboard, ?days=30 (admin)
+ *
+ * Admin requests carry the token as "Authorization: Bearer <token>", or as
+ * the password of a browser sign-in (HTTP Basic, any user name).
+ *
+ * Usage: node server/inquiries.js
+ *   PORT                 Port to listen on (default 8080)
+ *   SITE_DIR             Directory of the built site (default dist)
+ *   INQUIRY_STORE        Path of the JSON store (default server/data/inquiries.json)
+ *   ANALYTICS_STORE      Path of the analytics counts (default server/data/analytics.json)
+ *   INQUIRY_ADMIN_TOKEN  Token required for admin requests
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { AnalyticsStore, readSitePages, validateEvents, summarise, renderDashboard, RETENTION_DAYS, DEFAULT_DAYS } = require('./analytics.js');
+
+const SITE_DIR = path.resolve(__dirname, '..', process.env.SITE_DIR || 'dist');
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const STORE_PATH = process.env.INQUIRY_STORE || path.join(__dirname, 'data', 'inquiries.json');
+const ANALYTICS_PATH = process.env.ANALYTICS_STORE || path.join(__dirname, 'data', 'analytics.json');
+const ADMIN_TOKEN = process.env.INQUIRY_ADMIN_TOKEN || '';
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Matches the options of the connect.html subject select
+const SUBJECTS = {
+    admissions: 'Admission Inquiry',
+    programs: 'Program Info',
+    fees: 'Fee Structure',
+    general: 'General'
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * JSON file store
+ * Writes are serialised and replace the file atomically.
+ */
+class InquiryStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.pending = Promise.resolve();
+    }
+
+    async readAll() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            return JSON.parse(raw);
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    }
+
+    add(inquiry) {
+        const task = this.pending.then(async () => {
+            const inquiries = await this.readAll();
+
+            // Retried submissions reuse their client id, keep the first copy
+            const existing = inquiries.find(item => item.id === inquiry.id);
+            if (existing) return { inquiry: existing, created: false };
+
+            inquiries.push(inquiry);
+            await this.write(inquiries);
+            return { inquiry, created: true };
+        });
+
+        this.pending = task.catch(() => {});
+        return task;
+    }
+
+    async write(inquiries) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(inquiries, null, 2));
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+}
+
+/**
+ * Validate and normalise an inquiry payload
+ * Returns { inquiry } or { errors }, and throws a 400 on a body that isn't an object
+ */
+function validateInquiry(body) {
+    // Valid JSON isn't always an object: null, a number or a list
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw Object.assign(new Error('Malformed request body'), { status: 400 });
+    }
+
+    const errors = {};
+    const field = (name) => (typeof body[name] === 'string' ? body[name].trim() : '');
+
+    const name = field('name');
+    const email = field('email');
+    const subject = field('subject');
+    const message = field('message');
+    const id = field('id');
+
+    if (!name || name.length > 120) errors.name = 'Please enter your full name.';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 254) {
+        errors.email = 'Please enter a valid email address.';
+    }
+    if (!SUBJECTS[subject]) errors.subject = 'Please select a subject.';
+    if (!message || message.length > 5000) errors.message = 'Please enter a message.';
+
+    if (Object.keys(errors).length > 0) {
+        return { errors };
+    }
+
+    return {
+        inquiry: {
+            id: /^[\w-]{8,64}$/.test(id) ? id : crypto.randomUUID(),
+            name,
+            email,
+            subject,
+            category: SUBJECTS[subject],
+            message,
+            receivedAt: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Read and parse a JSON or urlencoded request body
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            const type = req.headers['content-type'] || '';
+
+            try {
+                // Analytics beacons send JSON as text/plain, which needs no preflight
+                if (type.includes('application/json') || type.includes('text/plain')) {
+                    resolve(JSON.parse(raw || '{}'));
+                } else {
+                    resolve(Object.fromEntries(new URLSearchParams(raw)));
+                }
+            } catch (err) {
+                reject(Object.assign(new Error('Malformed request body'), { status: 400 }));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * The admin token from a Bearer header, or the password of a Basic one
+ */
+function getToken(req) {
+    const header = req.headers.authorization || '';
+    const basic = header.match(/^Basic\s+(\S+)/i);
+
+    if (basic) {
+        const credentials = Buffer.from(basic[1], 'base64').toString('utf8');
+        return credentials.slice(credentials.indexOf(':') + 1);
+    }
+    return header.replace(/^Bearer\s+/i, '');
+}
+
+function isAuthorised(req) {
+    if (!ADMIN_TOKEN) return false;
+    const token = getToken(req);
+    const expected = Buffer.from(ADMIN_TOKEN);
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function handleInquiries(req, res, url, store) {
+    if (req.method === 'POST') {
+        const body = await readBody(req);
+        const result = validateInquiry(body);
+
+        if (result.errors) {
+            sendJSON(res, 422, { ok: false, errors: result.errors });
+            return;
+        }
+
+        const { inquiry, created } = await store.add(result.inquiry);
+        sendJSON(res, created ? 201 : 200, { ok: true, id: inquiry.id });
+        return;
+    }
+
+    if (req.method === 'GET') {
+        if (!isAuthorised(req)) {
+            sendJSON(res, 401, { ok: false, error: 'Unauthorised' });
+            return;
+        }
+
+        const subject = url.searchParams.get('subject');
+        const inquiries = await store.readAll();
+        sendJSON(res, 200, {
+            ok: true,
+            inquiries: subject ? inquiries.filter(item => item.subject === subject) : inquiries
+        });
+        return;
+    }
+
+    res.setHeader('Allow', 'GET, POST');
+    sendJSON(res, 405, { ok: false, error: 'Method not allowed' });
+}
+
+function getDayCount(url) {
+    const days = parseInt(url.searchParams.get('days'), 10) || DEFAULT_DAYS;
+    return Math.min(Math.max(days, 1), RETENTION_DAYS);
+}
+
+async function handleAnalytics(req, res, url, store, pages) {
+    if (req.method === 'POST') {
+        const body = await readBody(req);
+        store.add(validateEvents(body, pages));
+
+        // Beacons never read the reply
+        res.writeHead(204, { 'Cache-Control': 'no-store' }).end();
+        return;
+    }
+
+    if (req.method === 'GET') {
+        if (!isAuthorised(req)) {
+            sendJSON(res, 401, { ok: false, error: 'Unauthorised' });
+            return;
+        }
+
+        sendJSON(res, 200, { ok: true, summary: summarise(await store.readAll(), getDayCount(url)) });
+        return;
+    }
+
+    res.setHeader('Allow', 'GET, POST');
+    sendJSON(res, 405, { ok: false, error: 'Method not allowed' });
+}
+
+async function handleDashboard(req, res, url, store) {
+    if (!isAuthorised(req)) {
+        res.writeHead(401, {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'WWW-Authenticate': 'Basic realm="GCT analytics", charset="UTF-8"'
+        });
+        res.end('Sign in with the admin token as the password');
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : renderDashboard(summarise(await store.readAll(), getDayCount(url))));
+}
+
+/**
+ * Serve a file from the built site, guarding against path traversal
+ */
+async function serveStatic(req, res, url, siteDir) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (err) {
+        res.writeHead(400).end('Bad request');
+        return;
+    }
+    if (pathname.endsWith('/')) pathname += 'index.html';
+
+    const filePath = path.join(siteDir, pathname);
+    const relative = path.relative(siteDir, filePath);
+
+    const segments = relative.split(path.sep);
+
+    // Never expose files outside the site or dotfiles
+    if (relative.startsWith('..') || path.isAbsolute(relative) ||
+        segments.some(part => part.startsWith('.'))) {
+        res.writeHead(404).end('Not found');
+        return;
+    }
+
+    try {
+        const data = await fs.promises.readFile(filePath);
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    } catch (err) {
+        res.writeHead(404).end('Not found');
+    }
+}
+
+function createServer(options = {}) {
+    const store = new InquiryStore(options.storePath || STORE_PATH);
+    const analytics = new AnalyticsStore(options.analyticsPath || ANALYTICS_PATH);
+    const siteDir = options.siteDir || SITE_DIR;
+    // Analytics only counts the pages built when the service starts
+    const pages = readSitePages(siteDir);
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        try {
+            if (url.pathname === '/api/inquiries') {
+                await handleInquiries(req, res, url, store);
+            } else if (url.pathname === '/api/analytics') {
+                await handleAnalytics(req, res, url, analytics, pages);
+            } else if (url.pathname === '/analytics' && (req.method === 'GET' || req.method === 'HEAD')) {
+                await handleDashboard(req, res, url, analytics);
+            } else if (req.method === 'GET' || req.method === 'HEAD') {
+                await serveStatic(req, res, url, siteDir);
+            } else {
+                sendJSON(res, 405, { ok: false, error: 'Method not allowed' });
+            }
+        } catch (err) {
+            const status = err.status || 500;
+            if (status === 500) console.error('Inquiry service error:', err);
+            if (!res.headersSent) {
+                sendJSON(res, status, { ok: false, error: status === 500 ? 'Server error' : err.message });
+            }
+        }
+    });
+
+    // Counts still waiting to be written are saved as the server stops
+    server.on('close', () => {
+        analytics.flush().catch(err => console.error('Analytics store error:', err));
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log(`GCT inquiry service listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { createServer, InquiryStore, validateInquiry, SUBJECTS };
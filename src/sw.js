@@ -0,0 +1,234 @@
+/**
+ * GCT Website - Service Worker
+ * Keeps the site readable offline: pages, scripts and styles are cached on
+ * install, images as they are viewed, and pages that can't be reached fall
+ * back to offline.html. Feeds, calendars and other data files are served
+ * from the cache and refreshed in the background. Form posts to api/ made
+ * offline are queued and sent when the connection returns; analytics
+ * beacons are not.
+ *
+ * Built into dist/sw.js by build/pwa.js, which fills in the cache version
+ * and the precache list.
+ */
+
+const CACHE_VERSION = '{{version}}';
+const PRECACHE = `gct-precache-${CACHE_VERSION}`;
+// Versioned too, so files cached at run time don't outlive the build they came from
+const RUNTIME_CACHE = `gct-runtime-${CACHE_VERSION}`;
+const IMAGE_CACHE = 'gct-images';
+const IMAGE_CACHE_LIMIT = 60;
+const PRECACHE_URLS = {{precache}};
+const OFFLINE_PAGE = 'offline.html';
+
+// Same-origin files that only change with a new build
+const ASSET_DESTINATIONS = ['script', 'style', 'font', 'manifest'];
+
+const QUEUE_DB = 'gct-offline';
+const QUEUE_STORE = 'requests';
+const SYNC_TAG = 'gct-form-queue';
+
+// Paths are relative to the worker, so the site can live under any base path
+function scopeUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS.map(scopeUrl)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => (key.startsWith('gct-precache-') || key.startsWith('gct-runtime')) &&
+                    key !== PRECACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Analytics beacons sent offline are lost rather than queued
+    if (request.url.startsWith(scopeUrl('api/analytics'))) return;
+
+    if (request.url.startsWith(scopeUrl('api/'))) {
+        if (request.method === 'POST') event.respondWith(sendOrQueue(request));
+        return;
+    }
+
+    // Leave media streaming (range requests) to the browser
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, IMAGE_CACHE_LIMIT));
+    } else if (new URL(request.url).origin !== self.location.origin) {
+        // Fonts and the Bootstrap stylesheet from their CDNs
+        event.respondWith(staleWhileRevalidate(request));
+    } else if (ASSET_DESTINATIONS.includes(request.destination)) {
+        event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+    } else {
+        // Feeds, calendars and the search index are refreshed on every use
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) event.waitUntil(replayQueue());
+});
+
+// Pages ask for a flush when they come back online, for browsers without Background Sync
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'flush-queue') {
+        event.waitUntil(replayQueue().catch(() => {}));
+    }
+});
+
+/**
+ * Fetch strategies
+ */
+// Responses the server marks no-store (the analytics dashboard) are never kept
+function isCacheable(response) {
+    const noStore = /\bno-store\b/i.test(response.headers.get('Cache-Control') || '');
+    return (response.ok || response.type === 'opaque') && !noStore;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (isCacheable(response)) {
+            const cache = await caches.open(RUNTIME_CACHE);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        // Redirect rather than serve in place, so the offline page's relative links resolve
+        const offline = new URL(OFFLINE_PAGE, self.registration.scope);
+        if (request.url.startsWith(offline.href)) return caches.match(offline.href);
+
+        offline.searchParams.set('from', request.url);
+        return Response.redirect(offline.href, 303);
+    }
+}
+
+async function cacheFirst(request, cacheName, limit) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+        if (limit) trimCache(cache, limit);
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (isCacheable(response)) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+/**
+ * Drop the oldest entries once a cache grows past its limit
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+/**
+ * Offline form queue
+ */
+function openQueue() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(QUEUE_DB, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+    });
+}
+
+async function withQueue(mode, action) {
+    const db = await openQueue();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(QUEUE_STORE, mode);
+        const request = action(transaction.objectStore(QUEUE_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Post a form, or keep it for later when the network is unreachable
+ */
+async function sendOrQueue(request) {
+    const body = await request.clone().text();
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        await withQueue('readwrite', store => store.add({
+            url: request.url,
+            contentType: request.headers.get('Content-Type'),
+            body,
+            queuedAt: Date.now()
+        }));
+
+        if (self.registration.sync) {
+            await self.registration.sync.register(SYNC_TAG).catch(() => {});
+        }
+
+        return new Response(JSON.stringify({ status: 'queued' }), {
+            status: 202,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+/**
+ * Send queued forms in order; rejects while still offline so Background
+ * Sync tries again later
+ */
+async function replayQueue() {
+    const entries = await withQueue('readonly', store => store.getAll());
+    let sent = 0;
+
+    for (const entry of entries) {
+        const response = await fetch(entry.url, {
+            method: 'POST',
+            headers: { 'Content-Type': entry.contentType || 'application/json' },
+            body: entry.body
+        });
+
+        // 4xx means the submission itself is invalid; retrying won't help
+        if (response.ok || (response.status >= 400 && response.status < 500)) {
+            await withQueue('readwrite', store => store.delete(entry.id));
+            if (response.ok) sent++;
+        }
+    }
+
+    if (sent > 0) {
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'queue-sent', count: sent }));
+    }
+}
@@ -0,0 +1,397 @@
+/**
+ * Consent-based analytics: what scripts/analytics.js counts and when, and
+ * how server/analytics.js and the inquiry service store and report it.
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_TOKEN = 'analytics-test-token';
+process.env.INQUIRY_ADMIN_TOKEN = ADMIN_TOKEN;
+
+const { createPage, BASE_URL, ROOT_DIR } = require('./helpers/dom.js');
+const { createServer } = require('../server/inquiries.js');
+const { AnalyticsStore, readSitePages, validateEvents, summarise, getFunnels, getProgramViews, MAX_EVENTS, MAX_KEYS } = require('../server/analytics.js');
+
+const CONSENT = fs.readFileSync(path.join(ROOT_DIR, 'src', 'partials', 'consent.html'), 'utf8');
+
+const CONTENT = `
+    <div data-analytics-area="dept-card">
+        <a href="tel:0453220141" id="call">Call Now</a>
+    </div>
+    <a href="https://www.facebook.com/gctbhakkar" id="facebook"><svg><path d=""></path></svg></a>
+    <a href="notices.html" id="inside">Notices</a>
+
+    <div data-component="faq">
+        <div class="faq-item" id="faq-duration">
+            <button class="faq-question">How long are the programs?</button>
+        </div>
+    </div>
+
+    <div id="stories" data-component="carousel" data-carousel="fade" data-carousel-interval="5000">
+        <div data-carousel-slide>One</div>
+        <div data-carousel-slide>Two</div>
+        <button data-carousel-next></button>
+    </div>
+
+    <form class="contact-form" data-analytics-form="contact">
+        <input name="name">
+        <p class="form-status"></p>
+    </form>
+
+    <label><input type="checkbox" name="analytics" data-analytics-option></label>
+    <span data-analytics-blocked hidden></span>
+`;
+
+describe('analytics in the page', () => {
+    let page;
+    let sent;
+
+    afterEach(() => page.close());
+
+    const analyticsPage = async ({ consent, url, root = '', globals } = {}) => {
+        page = createPage(`<html data-root="${root}"><body>${CONTENT}${CONSENT}</body></html>`, {
+            url,
+            modules: ['app.js', 'carousel.js'],
+            storage: consent ? { 'gct-analytics': consent } : {},
+            globals
+        });
+
+        sent = [];
+        page.window.navigator.sendBeacon = (endpoint, body) => {
+            sent.push({ endpoint, events: JSON.parse(body).events });
+            return true;
+        };
+        await page.ready();
+
+        const { document, window } = page;
+        return {
+            document,
+            banner: document.querySelector('[data-component="analytics-consent"]'),
+            option: document.querySelector('[data-analytics-option]'),
+            // Everything queued goes out as the visitor leaves
+            leave: () => {
+                window.dispatchEvent(new window.Event('pagehide'));
+                return sent.flatMap(batch => batch.events);
+            }
+        };
+    };
+
+    it('asks first, and counts nothing until the visitor agrees', async () => {
+        const { banner, option, leave } = await analyticsPage();
+
+        assert.equal(banner.hidden, false);
+        assert.equal(option.checked, false);
+        assert.deepEqual(leave(), []);
+
+        banner.querySelector('[data-analytics-choice="granted"]').click();
+
+        assert.equal(banner.hidden, true);
+        assert.equal(option.checked, true);
+        assert.equal(page.window.localStorage.getItem('gct-analytics'), 'granted');
+        assert.deepEqual(leave(), [{ type: 'pageview', page: 'index.html' }]);
+        assert.equal(sent[0].endpoint, '/api/analytics');
+    });
+
+    it('stays quiet once declined', async () => {
+        const { document, banner, leave } = await analyticsPage();
+
+        banner.querySelector('[data-analytics-choice="denied"]').click();
+        document.getElementById('call').click();
+
+        assert.equal(banner.hidden, true);
+        assert.deepEqual(leave(), []);
+    });
+
+    it('honours Do Not Track over an earlier yes', async () => {
+        const { banner, option, leave } = await analyticsPage({ consent: 'granted', globals: { doNotTrack: '1' } });
+
+        assert.equal(banner.hidden, true);
+        assert.equal(option.checked, false);
+        assert.equal(option.disabled, true);
+        assert.equal(page.document.querySelector('[data-analytics-blocked]').hidden, false);
+        assert.deepEqual(leave(), []);
+    });
+
+    it('treats Global Privacy Control as Do Not Track', async () => {
+        await analyticsPage();
+        const { isTrackingBlocked } = page.module('analytics.js');
+
+        assert.equal(isTrackingBlocked(), false);
+        Object.defineProperty(page.window.navigator, 'globalPrivacyControl', { value: true });
+        assert.equal(isTrackingBlocked(), true);
+    });
+
+    it('counts outbound links by where they lead and the area they are in', async () => {
+        const { document, leave } = await analyticsPage({ consent: 'granted' });
+
+        document.getElementById('call').click();
+        document.querySelector('#facebook path').dispatchEvent(new page.window.MouseEvent('click', { bubbles: true }));
+        document.getElementById('inside').dispatchEvent(new page.window.MouseEvent('click', { bubbles: true, cancelable: true }));
+
+        assert.deepEqual(leave().filter(event => event.type === 'outbound'), [
+            { type: 'outbound', page: 'index.html', target: 'tel', area: 'dept-card' },
+            { type: 'outbound', page: 'index.html', target: 'facebook.com', area: 'page' }
+        ]);
+    });
+
+    it('counts FAQ questions opened and carousel moves made by hand', async () => {
+        const { document, leave } = await analyticsPage({ consent: 'granted' });
+        const question = document.querySelector('.faq-question');
+        const root = document.getElementById('stories');
+
+        question.click();
+        question.click();
+        root.querySelector('[data-carousel-next]').click();
+        page.module('carousel.js').Carousel.getInstance(root).next();
+
+        assert.deepEqual(leave().slice(1), [
+            { type: 'faq', page: 'index.html', item: 'faq-duration' },
+            { type: 'carousel', page: 'index.html', carousel: 'stories' }
+        ]);
+    });
+
+    it('follows a form from its first edit to how sending went, without its values', async () => {
+        const { document, leave } = await analyticsPage({ consent: 'granted' });
+        const form = document.querySelector('form');
+        const { setFormState } = page.module('app.js');
+
+        form.elements.name.value = 'Ayesha';
+        form.elements.name.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        form.elements.name.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        setFormState(form, 'pending');
+        setFormState(form, 'queued');
+
+        const events = leave();
+        assert.deepEqual(events.filter(event => event.type === 'form').map(event => event.step), ['start', 'submitted', 'queued']);
+        assert.doesNotMatch(JSON.stringify(events), /Ayesha/);
+    });
+
+    it('sends full batches straight away and names pages from the site root', async () => {
+        const { document } = await analyticsPage({ consent: 'granted', url: `${BASE_URL}divisions/computing.html`, root: '../' });
+
+        for (let i = 0; i < 9; i++) document.getElementById('call').click();
+
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].events.length, 10);
+        assert.equal(sent[0].events[0].page, 'divisions/computing.html');
+    });
+
+    it('falls back to a keepalive fetch without sendBeacon, and never holds more than a batch', async () => {
+        const requests = [];
+        const { document, leave } = await analyticsPage({
+            consent: 'granted',
+            globals: { fetch: (endpoint, init) => requests.push({ endpoint, init }) && Promise.resolve() }
+        });
+        page.window.navigator.sendBeacon = undefined;
+
+        for (let i = 0; i < 12; i++) document.getElementById('call').click();
+        leave();
+
+        assert.equal(requests.length, 2);
+        assert.equal(requests[0].endpoint, '/api/analytics');
+        assert.equal(requests[0].init.keepalive, true);
+        assert.equal(JSON.parse(requests[0].init.body).events.length, 10);
+        assert.equal(JSON.parse(requests[1].init.body).events.length, 3);
+    });
+
+    it('counts wizard steps as they are reached', async () => {
+        const { document, leave } = await analyticsPage({ consent: 'granted' });
+        const form = document.querySelector('form');
+        const show = (index, previous) => form.dispatchEvent(new page.window.CustomEvent('wizard:step', { detail: { index, previous } }));
+
+        show(1, 0);
+        show(0, 1);
+        show(2, 1);
+
+        assert.deepEqual(leave().filter(event => event.type === 'form').map(event => event.step), ['step-2', 'step-3']);
+    });
+});
+
+describe('analytics collector', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gct-analytics-'));
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('keeps only well-formed events, and only the fields it counts', () => {
+        const counts = validateEvents({
+            events: [
+                { type: 'pageview', page: 'divisions/computing.html', visitor: 'abc', ip: '10.0.0.1' },
+                { type: 'outbound', page: 'connect.html', target: 'tel', area: 'dept-card' },
+                { type: 'outbound', page: 'connect.html', target: 'javascript:alert(1)', area: 'page' },
+                { type: 'faq', page: 'index.html' },
+                { type: 'form', page: 'connect.html', form: 'contact', step: 'Ayesha' },
+                { type: 'pageview', page: '../secrets.html' },
+                { type: 'session', page: 'index.html' },
+                null
+            ]
+        });
+
+        assert.deepEqual(counts, [
+            { counter: 'pages', key: 'divisions/computing.html' },
+            { counter: 'outbound', key: 'tel dept-card' }
+        ]);
+        assert.deepEqual(validateEvents({ events: 'nope' }), []);
+        assert.equal(validateEvents({ events: Array(MAX_EVENTS + 5).fill({ type: 'pageview', page: 'index.html' }) }).length, MAX_EVENTS);
+    });
+
+    it('counts only the pages the site has', () => {
+        const siteDir = path.join(tmpDir, 'site');
+        fs.mkdirSync(path.join(siteDir, 'divisions'), { recursive: true });
+        ['index.html', 'divisions/computing.html', 'styles.css'].forEach(file => fs.writeFileSync(path.join(siteDir, file), ''));
+
+        const pages = readSitePages(siteDir);
+        const counts = validateEvents({ events: [
+            { type: 'pageview', page: 'divisions/computing.html' },
+            { type: 'pageview', page: 'made-up-1.html' },
+            { type: 'faq', page: 'made-up-2.html', item: 'faq-duration' }
+        ] }, pages);
+
+        assert.deepEqual(Array.from(pages).sort(), ['divisions/computing.html', 'index.html']);
+        assert.deepEqual(counts, [{ counter: 'pages', key: 'divisions/computing.html' }]);
+        assert.equal(readSitePages(path.join(tmpDir, 'not-built')).size, 0);
+    });
+
+    it('writes counts in batches, and reads them back once written', async () => {
+        const filePath = path.join(tmpDir, 'batched.json');
+        const store = new AnalyticsStore(filePath, { flushDelay: 60000 });
+        const views = validateEvents({ events: [{ type: 'pageview', page: 'index.html' }] });
+
+        store.add(views);
+        store.add(views);
+        assert.equal(fs.existsSync(filePath), false);
+
+        const days = await store.readAll();
+        assert.deepEqual(Object.values(days)[0].pages, { 'index.html': 2 });
+        assert.equal(store.timer, null);
+    });
+
+    it('keeps counting known names but no new ones past the limit', async () => {
+        const store = new AnalyticsStore(path.join(tmpDir, 'capped.json'));
+        const faq = items => items.map(item => ({ counter: 'faq', key: item }));
+
+        store.add(faq(Array.from({ length: MAX_KEYS + 10 }, (_, i) => `faq-${i}`)));
+        store.add(faq(['faq-0', 'faq-extra']));
+
+        const { faq: counted } = Object.values(await store.readAll())[0];
+        assert.equal(Object.keys(counted).length, MAX_KEYS);
+        assert.equal(counted['faq-0'], 2);
+        assert.equal(counted['faq-extra'], undefined);
+    });
+
+    it('stores daily totals and sums them over a range of days', async () => {
+        const store = new AnalyticsStore(path.join(tmpDir, 'totals.json'));
+        const day = (date) => new Date(`${date}T12:00:00Z`);
+
+        store.add(validateEvents({ events: [
+            { type: 'pageview', page: 'divisions/computing.html' },
+            { type: 'form', page: 'enrollment.html', form: 'application', step: 'start' },
+            { type: 'form', page: 'enrollment.html', form: 'application', step: 'start' }
+        ] }), day('2026-10-01'));
+        store.add(validateEvents({ events: [
+            { type: 'pageview', page: 'divisions/computing.html' },
+            { type: 'pageview', page: 'index.html' },
+            { type: 'form', page: 'enrollment.html', form: 'application', step: 'submitted' },
+            { type: 'form', page: 'enrollment.html', form: 'application', step: 'step-2' }
+        ] }), day('2026-10-19'));
+
+        const days = await store.readAll();
+        assert.deepEqual(Object.keys(days), ['2026-10-01', '2026-10-19']);
+        assert.deepEqual(days['2026-10-01'].pages, { 'divisions/computing.html': 1 });
+
+        const month = summarise(days, 30, day('2026-10-19'));
+        assert.deepEqual(month.pages, [{ key: 'divisions/computing.html', count: 2 }, { key: 'index.html', count: 1 }]);
+        assert.deepEqual(getProgramViews(month)[0], { key: 'DAE Computer Information Technology', count: 2 });
+        assert.deepEqual(getFunnels(month), [{
+            form: 'application',
+            steps: [
+                { step: 'start', count: 2, share: 100 },
+                { step: 'step-2', count: 1, share: 50 },
+                { step: 'submitted', count: 1, share: 50 }
+            ]
+        }]);
+
+        assert.deepEqual(summarise(days, 7, day('2026-10-19')).pages.map(item => item.count), [1, 1]);
+    });
+
+    describe('through the inquiry service', () => {
+        let server;
+        let baseUrl;
+
+        before(async () => {
+            const siteDir = path.join(tmpDir, 'service-site');
+            fs.mkdirSync(siteDir);
+            fs.writeFileSync(path.join(siteDir, 'index.html'), '<!DOCTYPE html>');
+
+            server = createServer({
+                analyticsPath: path.join(tmpDir, 'service.json'),
+                storePath: path.join(tmpDir, 'inquiries.json'),
+                siteDir
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(() => new Promise(resolve => server.close(resolve)));
+
+        it('takes beacons and reports the totals to an admin only', async () => {
+            const beacon = await fetch(`${baseUrl}/api/analytics`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+                body: JSON.stringify({ events: [
+                    { type: 'faq', page: 'index.html', item: 'faq-duration' },
+                    { type: 'faq', page: 'not-on-the-site.html', item: 'faq-fees' }
+                ] })
+            });
+            assert.equal(beacon.status, 204);
+
+            assert.equal((await fetch(`${baseUrl}/api/analytics`)).status, 401);
+
+            const report = await fetch(`${baseUrl}/api/analytics?days=7`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+            const { summary } = await report.json();
+            assert.equal(summary.days, 7);
+            assert.deepEqual(summary.faq, [{ key: 'faq-duration', count: 1 }]);
+        });
+
+        it('counts names that objects already have, like any other', async () => {
+            const faq = ['constructor', 'toString', '__proto__', '__proto__']
+                .map(item => ({ type: 'faq', page: 'index.html', item }));
+            await fetch(`${baseUrl}/api/analytics`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+                body: JSON.stringify({ events: faq })
+            });
+            await fetch(`${baseUrl}/api/analytics`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+                body: JSON.stringify({ events: faq.slice(0, 1) })
+            });
+
+            const report = await fetch(`${baseUrl}/api/analytics`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+            const { summary } = await report.json();
+
+            assert.deepEqual(summary.faq.filter(item => item.key !== 'faq-duration'), [
+                { key: '__proto__', count: 2 },
+                { key: 'constructor', count: 2 },
+                { key: 'toString', count: 1 }
+            ]);
+        });
+
+        it('asks the browser to sign in for the dashboard', async () => {
+            const anonymous = await fetch(`${baseUrl}/analytics`);
+            assert.equal(anonymous.status, 401);
+            assert.match(anonymous.headers.get('www-authenticate'), /^Basic /);
+
+            const credentials = Buffer.from(`admin:${ADMIN_TOKEN}`).toString('base64');
+            const dashboard = await fetch(`${baseUrl}/analytics`, { headers: { Authorization: `Basic ${credentials}` } });
+            const html = await dashboard.text();
+
+            assert.equal(dashboard.status, 200);
+            assert.match(html, /<caption>FAQ questions opened<\/caption>/);
+            assert.match(html, /<td>faq-duration<\/td><td>1<\/td>/);
+        });
+    });
+});
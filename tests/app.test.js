@@ -0,0 +1,248 @@
+/**
+ * Components from scripts/app.js: loader, counters, smooth scrolling,
+ * forms and the FAQ accordion.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage, BASE_URL } = require('./helpers/dom.js');
+
+const REDUCED_MOTION = { '(prefers-reduced-motion: reduce)': true };
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('app.js', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    describe('PageLoader', () => {
+        it('hides the loader once the page has loaded', async () => {
+            page = createPage('<body><div class="page-loader" data-component="page-loader"></div></body>');
+            await page.ready();
+            const loader = page.document.querySelector('.page-loader');
+
+            assert.ok(!loader.classList.contains('hidden'));
+            await wait(600);
+            assert.ok(loader.classList.contains('hidden'));
+        });
+
+        it('hides straight away when created after load', async () => {
+            page = createPage('<body></body>');
+            await page.ready();
+
+            const loader = page.document.createElement('div');
+            loader.className = 'page-loader';
+            page.document.body.appendChild(loader);
+            new (page.module('app.js').PageLoader)(loader);
+
+            assert.ok(loader.classList.contains('hidden'));
+        });
+    });
+
+    describe('CounterAnimation', () => {
+        const counterPage = (options) => createPage(
+            '<body><span data-component="counter" data-counter data-target="1250" data-suffix="+">0</span></body>',
+            options
+        );
+
+        it('counts up once the counter scrolls into view', async () => {
+            page = counterPage();
+            await page.ready();
+            const counter = page.document.querySelector('[data-counter]');
+            const start = page.window.performance.now();
+
+            page.frame(start);
+            assert.equal(counter.textContent, '0');
+
+            page.intersect(counter);
+            page.frame(start + 1000);
+            const halfway = parseInt(counter.textContent.replace(/\D/g, ''), 10);
+            assert.ok(halfway > 0 && halfway < 1250, counter.textContent);
+
+            page.frame(page.window.performance.now() + 2000);
+            assert.equal(counter.textContent, '1,250+');
+        });
+
+        it('shows the final value at once with reduced motion', async () => {
+            page = counterPage({ media: REDUCED_MOTION });
+            await page.ready();
+            const counter = page.document.querySelector('[data-counter]');
+
+            page.intersect(counter);
+            assert.equal(counter.textContent, '1,250+');
+        });
+    });
+
+    describe('initSmoothScroll', () => {
+        const scrollPage = (options) => createPage(
+            '<body data-component="smooth-scroll"><a href="#apply">Apply</a><section id="apply"></section></body>',
+            options
+        );
+
+        it('scrolls smoothly to the linked section', async () => {
+            page = scrollPage();
+            await page.ready();
+            const calls = [];
+            page.document.getElementById('apply').scrollIntoView = (options) => calls.push(options);
+
+            page.document.querySelector('a').click();
+            assert.equal(calls.length, 1);
+            assert.equal(calls[0].behavior, 'smooth');
+        });
+
+        it('jumps instead with reduced motion', async () => {
+            page = scrollPage({ media: REDUCED_MOTION });
+            await page.ready();
+            const calls = [];
+            page.document.getElementById('apply').scrollIntoView = (options) => calls.push(options);
+
+            page.document.querySelector('a').click();
+            assert.equal(calls[0].behavior, 'auto');
+        });
+    });
+
+    describe('initForm', () => {
+        const formPage = () => createPage(`
+            <body>
+                <form data-component="form" data-validate>
+                    <input name="fullName" id="fullName" required>
+                    <button type="submit">Send</button>
+                </form>
+            </body>
+        `);
+
+        it('stops an invalid form and reports its fields', async () => {
+            page = formPage();
+            await page.ready();
+            const form = page.document.querySelector('form');
+            const events = [];
+            form.addEventListener('form:invalid', e => events.push(e.detail.fields));
+
+            form.requestSubmit();
+
+            assert.equal(events.length, 1);
+            assert.equal(events[0][0], form.elements.fullName);
+            assert.equal(form.elements.fullName.getAttribute('aria-invalid'), 'true');
+        });
+
+        it('hands a valid form without an endpoint to its own component', async () => {
+            page = formPage();
+            await page.ready();
+            const form = page.document.querySelector('form');
+            const events = [];
+            form.addEventListener('form:valid', e => events.push(e.detail.data));
+
+            form.elements.fullName.value = 'Ayesha Khan';
+            form.requestSubmit();
+
+            assert.equal(events.length, 1);
+            assert.equal(events[0].get('fullName'), 'Ayesha Khan');
+        });
+    });
+
+    describe('initForm patterns', () => {
+        const patternPage = (value) => createPage(`
+            <body>
+                <form data-component="form" data-validate>
+                    <input name="broken" pattern="[A-Z" value="anything">
+                    <input name="initials" pattern="[\\p{L}--\\p{Ll}]+" value="${value}">
+                    <button type="submit">Send</button>
+                </form>
+            </body>
+        `);
+
+        // A browser whose regular expressions predate the v flag
+        class RegExpWithoutV extends RegExp {
+            constructor(pattern, flags = '') {
+                if (flags.includes('v')) throw new SyntaxError(`Invalid flags supplied to RegExp constructor '${flags}'`);
+                super(pattern, flags);
+            }
+        }
+
+        it('reads patterns with the v flag and ignores invalid ones', async () => {
+            page = patternPage('ÅB');
+            await page.ready();
+            const form = page.document.querySelector('form');
+            const events = [];
+            form.addEventListener('form:valid', () => events.push('valid'));
+            form.addEventListener('form:invalid', e => events.push(Array.from(e.detail.fields, field => field.name)));
+
+            form.requestSubmit();
+            form.elements.initials.value = 'Ab';
+            form.requestSubmit();
+
+            assert.deepEqual(events, ['valid', ['initials']]);
+        });
+
+        it('falls back to the u flag where v is unsupported', async () => {
+            page = createPage(`
+                <body>
+                    <form data-component="form" data-validate>
+                        <input name="code" pattern="\\p{Lu}{2}-\\d{3}" value="ab-123">
+                        <button type="submit">Send</button>
+                    </form>
+                </body>
+            `, { globals: { RegExp: RegExpWithoutV } });
+            await page.ready();
+            const form = page.document.querySelector('form');
+            const events = [];
+            form.addEventListener('form:valid', () => events.push('valid'));
+            form.addEventListener('form:invalid', e => events.push(Array.from(e.detail.fields, field => field.name)));
+
+            form.requestSubmit();
+            form.elements.code.value = 'ÅB-123';
+            form.requestSubmit();
+
+            assert.deepEqual(events, [['code'], 'valid']);
+        });
+    });
+
+    describe('initFAQ', () => {
+        const faqPage = (hash = '') => createPage(`
+            <body>
+                <div class="faq-list" data-component="faq">
+                    <div class="faq-item" id="fees"><button class="faq-question">Fees?</button></div>
+                    <div class="faq-item" id="hostel"><button class="faq-question">Hostel?</button></div>
+                </div>
+            </body>
+        `, { url: `${BASE_URL}connect.html${hash}` });
+
+        it('opens one answer at a time', async () => {
+            page = faqPage();
+            await page.ready();
+            const [fees, hostel] = page.document.querySelectorAll('.faq-item');
+
+            fees.querySelector('.faq-question').click();
+            assert.ok(fees.classList.contains('open'));
+
+            hostel.querySelector('.faq-question').click();
+            assert.ok(hostel.classList.contains('open'));
+            assert.ok(!fees.classList.contains('open'));
+
+            hostel.querySelector('.faq-question').click();
+            assert.ok(!hostel.classList.contains('open'));
+        });
+
+        it('opens the answer the address points to', async () => {
+            page = faqPage('#hostel');
+            await page.ready();
+
+            assert.ok(page.document.getElementById('hostel').classList.contains('open'));
+            assert.ok(!page.document.getElementById('fees').classList.contains('open'));
+        });
+
+        it('stops following the address once destroyed', async () => {
+            page = faqPage();
+            await page.ready();
+            const { destroyComponents } = page.module('components.js');
+
+            destroyComponents(page.document.querySelector('.faq-list'));
+            page.window.location.hash = '#fees';
+            await new Promise(resolve => page.window.addEventListener('hashchange', resolve, { once: true }));
+
+            assert.ok(!page.document.getElementById('fees').classList.contains('open'));
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * build/bundle.js: the module syntax it accepts, dependency order and
+ * cycles, and the built site running from the bundle alone.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const { bundleModules, listModules, parseModule } = require('../build/bundle.js');
+const { buildSite, removeSite, loadBuiltPage, ROOT_DIR } = require('./helpers/dom.js');
+
+// A directory of modules from { file: source }
+function writeModules(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gct-bundle-'));
+    Object.entries(files).forEach(([file, source]) => fs.writeFileSync(path.join(dir, file), source));
+    return dir;
+}
+
+describe('parseModule', () => {
+    it('reads named and side-effect imports and the export list', () => {
+        const module = parseModule([
+            "import { a, b as c } from './x.js';",
+            "import './y.js';",
+            'const d = a + c;',
+            'export {',
+            '    d,',
+            '    a as e',
+            '};'
+        ].join('\n'), 'z.js');
+
+        assert.deepEqual(module.imports, [
+            { specifier: './x.js', names: [{ name: 'a', alias: 'a' }, { name: 'b', alias: 'c' }] },
+            { specifier: './y.js', names: [] }
+        ]);
+        assert.deepEqual(module.exports, [{ name: 'd', alias: 'd' }, { name: 'a', alias: 'e' }]);
+        assert.equal(module.body, 'const d = a + c;');
+    });
+
+    it('rejects module syntax it does not handle, naming the file', () => {
+        [
+            'export default 1;',
+            'export const a = 1;',
+            "import * as x from './x.js';",
+            "import x from './x.js';",
+            "import { a } from 'package';",
+            'export { a };\nconst b = 2;'
+        ].forEach(source => {
+            assert.throws(() => parseModule(source, 'bad.js'), /^Error: bad\.js/, source);
+        });
+    });
+
+    it('leaves dynamic import() alone', () => {
+        assert.doesNotThrow(() => parseModule("const load = () => import('./x.js');", 'lazy.js'));
+    });
+});
+
+describe('bundleModules', () => {
+    const dirs = [];
+
+    after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+    const bundle = (files, entries, options) => {
+        const dir = writeModules(files);
+        dirs.push(dir);
+        return bundleModules(dir, entries, options);
+    };
+
+    it('runs each module once, after the modules it imports', () => {
+        const source = bundle({
+            'a.js': "import { b } from './b.js';\nimport { c } from './c.js';\nlog.push('a ' + b + c);",
+            'b.js': "import { c } from './c.js';\nlog.push('b');\nconst b = c * 2;\nexport { b };",
+            'c.js': "log.push('c');\nconst c = 1;\nexport { c };"
+        }, ['a.js']);
+        const context = vm.createContext({ log: [], self: {} });
+
+        new vm.Script(source).runInContext(context);
+
+        assert.deepEqual(context.log, ['c', 'b', 'a 21']);
+    });
+
+    it('exposes the exports under globalName when asked', () => {
+        const source = bundle({ 'a.js': 'const a = 1;\nexport { a as one };' }, ['a.js'], { globalName: 'modules' });
+        const context = vm.createContext({ self: {} });
+
+        new vm.Script(source).runInContext(context);
+
+        assert.equal(context.self.modules['a.js'].one, 1);
+    });
+
+    it('fails on an import cycle, naming its modules', () => {
+        assert.throws(() => bundle({
+            'a.js': "import { b } from './b.js';\nconst a = 1;\nexport { a };",
+            'b.js': "import { a } from './a.js';\nconst b = 2;\nexport { b };"
+        }, ['a.js']), /Import cycle: a\.js -> b\.js -> a\.js/);
+    });
+
+    it('bundles every site script', () => {
+        const dir = path.join(ROOT_DIR, 'scripts');
+        assert.doesNotThrow(() => new vm.Script(bundleModules(dir, listModules(dir))));
+    });
+});
+
+describe('pages built with BUNDLE=1', () => {
+    let site;
+
+    before(() => {
+        site = buildSite({ bundle: true });
+    });
+
+    after(() => {
+        removeSite(site.outDir);
+    });
+
+    it('load the bundle as a plain script instead of the modules', () => {
+        const html = fs.readFileSync(path.join(site.outDir, 'index.html'), 'utf8');
+
+        assert.doesNotMatch(html, /type="module"/);
+        assert.match(html, /<script src="scripts\/bundle\.js"><\/script>/);
+    });
+
+    it('start their components from the bundle', async () => {
+        const page = loadBuiltPage(site.outDir, 'enrollment.html');
+        await page.ready();
+
+        assert.deepEqual(page.errors.map(error => error.message), []);
+        assert.deepEqual(page.logs.filter(log => log.level === 'error'), []);
+        assert.match(page.document.querySelector('[data-fee-table] tbody').textContent, /\d/);
+        assert.ok(page.document.querySelector('.back-to-top'));
+        page.close();
+    });
+});
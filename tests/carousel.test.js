@@ -0,0 +1,154 @@
+/**
+ * Carousels set up from [data-carousel] markup by scripts/carousel.js.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+
+const MODULES = ['app.js', 'carousel.js'];
+
+const carouselPage = (mode = 'slide', options = {}) => createPage(`
+    <body>
+        <div id="stories" data-component="carousel" data-carousel="${mode}" data-carousel-interval="5000" aria-label="Stories">
+            <div data-carousel-track>
+                <div data-carousel-slide>One</div>
+                <div data-carousel-slide>Two</div>
+                <div data-carousel-slide>Three</div>
+            </div>
+            <button data-carousel-prev></button>
+            <button data-carousel-next></button>
+            <button data-carousel-toggle></button>
+            <div data-carousel-dots></div>
+        </div>
+    </body>
+`, { modules: MODULES, ...options });
+
+describe('Carousel', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const setup = async (...args) => {
+        page = carouselPage(...args);
+        await page.ready();
+
+        const root = page.document.getElementById('stories');
+        return {
+            root,
+            carousel: page.module('carousel.js').Carousel.getInstance(root),
+            slides: root.querySelectorAll('[data-carousel-slide]'),
+            dots: root.querySelectorAll('[data-carousel-dots] button')
+        };
+    };
+
+    const activeIndex = (slides) => Array.from(slides).findIndex(slide => slide.classList.contains('active'));
+
+    it('sets up every [data-carousel] on the page as a labelled region', async () => {
+        const { root, carousel, slides, dots } = await setup();
+
+        assert.ok(carousel);
+        assert.equal(root.getAttribute('role'), 'region');
+        assert.equal(root.getAttribute('aria-roledescription'), 'carousel');
+        assert.equal(dots.length, slides.length);
+        assert.equal(activeIndex(slides), 0);
+        assert.equal(slides[1].getAttribute('aria-hidden'), 'true');
+    });
+
+    it('moves with the buttons and loops past either end', async () => {
+        const { root, slides, dots } = await setup('fade');
+
+        root.querySelector('[data-carousel-next]').click();
+        assert.equal(activeIndex(slides), 1);
+        assert.equal(dots[1].getAttribute('aria-current'), 'true');
+
+        root.querySelector('[data-carousel-prev]').click();
+        root.querySelector('[data-carousel-prev]').click();
+        assert.equal(activeIndex(slides), 2);
+    });
+
+    it('announces the new position when moved by hand', async () => {
+        const { root } = await setup('fade');
+        const changes = [];
+        root.addEventListener('carousel:change', e => changes.push(e.detail.index));
+
+        root.querySelector('[data-carousel-dots] button:last-child').click();
+
+        assert.deepEqual(changes, [2]);
+        assert.match(root.querySelector('[data-carousel-status]').textContent, /3/);
+    });
+
+    it('wraps any index onto a slide, moving onto a clone only for single steps', async () => {
+        const { carousel, slides } = await setup('slide');
+
+        carousel.goTo(5);
+        assert.equal(activeIndex(slides), 2);
+        assert.equal(carousel.offset, 3);
+
+        carousel.goTo(-4);
+        assert.equal(activeIndex(slides), 2);
+        assert.equal(carousel.offset, 3);
+
+        // Past the last slide onto the clone of the first
+        carousel.next();
+        assert.equal(activeIndex(slides), 0);
+        assert.equal(carousel.offset, 4);
+
+        // Back before the first slide onto the clone of the last
+        carousel.prev();
+        assert.equal(activeIndex(slides), 2);
+        assert.equal(carousel.offset, 0);
+    });
+
+    it('moves with the arrow keys, Home and End', async () => {
+        const { root, slides } = await setup('fade');
+        const press = key => root.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true }));
+
+        press('ArrowRight');
+        assert.equal(activeIndex(slides), 1);
+        press('End');
+        assert.equal(activeIndex(slides), 2);
+        press('Home');
+        assert.equal(activeIndex(slides), 0);
+    });
+
+    it('adds edge clones for the slide mode', async () => {
+        const { root } = await setup('slide');
+
+        assert.equal(root.querySelectorAll('[data-carousel-clone]').length, 2);
+    });
+
+    it('plays by itself unless motion is reduced', async () => {
+        let { carousel } = await setup('fade');
+        assert.ok(!carousel.holds.has('user'));
+        page.close();
+
+        ({ carousel } = await setup('fade', { media: { '(prefers-reduced-motion: reduce)': true } }));
+        assert.ok(carousel.holds.has('user'));
+    });
+
+    it('waits for a tab that starts hidden to be shown before playing', async () => {
+        // jsdom pages are hidden, as a tab opened in the background is
+        const { carousel } = await setup('fade');
+        assert.ok(page.document.hidden);
+        assert.ok(carousel.holds.has('hidden'));
+        assert.equal(carousel.timer, null);
+
+        Object.defineProperty(page.document, 'hidden', { value: false, configurable: true });
+        page.document.dispatchEvent(new page.window.Event('visibilitychange'));
+        assert.notEqual(carousel.timer, null);
+    });
+
+    it('removes its clones and listeners when destroyed', async () => {
+        const { root, carousel, slides, dots } = await setup('slide');
+
+        carousel.destroy();
+        root.querySelector('[data-carousel-next]').click();
+        dots[2].click();
+
+        assert.equal(root.querySelectorAll('[data-carousel-clone]').length, 0);
+        assert.equal(activeIndex(slides), 0);
+        assert.equal(page.module('carousel.js').Carousel.getInstance(root), null);
+    });
+});
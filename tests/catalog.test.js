@@ -0,0 +1,67 @@
+/**
+ * Program data outside the catalog: fees and admission rules are keyed by
+ * PROGRAM_CATALOG id, checked by build/catalog.js and listed in catalog
+ * order by the enrollment page scripts.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+const { validatePrograms } = require('../build/catalog.js');
+const { ADMISSION_RULES } = require('../scripts/data/admissions.js');
+const { FEE_STRUCTURE } = require('../scripts/data/fees.js');
+const { PROGRAM_CATALOG } = require('../scripts/data/programs.js');
+
+const DATA = { fees: FEE_STRUCTURE, admissions: ADMISSION_RULES };
+
+const without = (entries, id) => Object.fromEntries(Object.entries(entries).filter(([key]) => key !== id));
+
+describe('validatePrograms', () => {
+    it('accepts the published fees and admission rules', () => {
+        assert.doesNotThrow(() => validatePrograms(PROGRAM_CATALOG, DATA));
+    });
+
+    it('names a catalog program without fees or admission rules', () => {
+        const fees = { ...FEE_STRUCTURE, programs: without(FEE_STRUCTURE.programs, 'circuits') };
+        const admissions = { ...ADMISSION_RULES, programs: without(ADMISSION_RULES.programs, 'machinery') };
+
+        assert.throws(() => validatePrograms(PROGRAM_CATALOG, { ...DATA, fees }), /Program circuits: no entry in FEE_STRUCTURE\.programs/);
+        assert.throws(() => validatePrograms(PROGRAM_CATALOG, { ...DATA, admissions }), /Program machinery: no entry in ADMISSION_RULES\.programs/);
+    });
+
+    it('names an entry for a program the catalog doesn\'t have', () => {
+        const fees = { ...FEE_STRUCTURE, programs: { ...FEE_STRUCTURE.programs, chemical: [20000, 18000, 16000] } };
+
+        assert.throws(() => validatePrograms(PROGRAM_CATALOG, { ...DATA, fees }), /FEE_STRUCTURE\.programs: "chemical" is not a program in PROGRAM_CATALOG/);
+    });
+});
+
+describe('enrollment program lists', () => {
+    const CHEMICAL = { id: 'chemical', name: 'DAE Chemical Technology' };
+    const catalog = [...PROGRAM_CATALOG, CHEMICAL];
+
+    const page = createPage('<body></body>', {
+        scripts: ['data/locales.js', 'data/programs.js', 'data/admissions.js', 'data/fees.js'],
+        modules: ['eligibility.js', 'fees.js']
+    });
+    const { getAdmissionPrograms } = page.module('eligibility.js');
+    const { getFeePrograms } = page.module('fees.js');
+    page.close();
+
+    it('take names and order from the catalog', () => {
+        const names = PROGRAM_CATALOG.map(program => program.name);
+
+        assert.deepEqual(Array.from(getAdmissionPrograms(ADMISSION_RULES), program => program.name), names);
+        assert.deepEqual(Array.from(getFeePrograms(FEE_STRUCTURE), program => program.name), names);
+    });
+
+    it('list a new catalog program once it has fees and admission rules', () => {
+        const rules = { ...ADMISSION_RULES, programs: { ...ADMISSION_RULES.programs, chemical: { minPercentage: 60 } } };
+        const fees = { ...FEE_STRUCTURE, programs: { ...FEE_STRUCTURE.programs, chemical: [20000, 18000, 16000] } };
+
+        // Spread into this realm's objects: the page's fail deepEqual's prototype check
+        assert.deepEqual({ ...getAdmissionPrograms(rules, catalog).at(-1) }, { minPercentage: 60, id: 'chemical', name: CHEMICAL.name });
+        assert.deepEqual({ ...getFeePrograms(fees, catalog).at(-1) }, { id: 'chemical', name: CHEMICAL.name, fees: [20000, 18000, 16000] });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * The program comparison on pathways.html: data checks and the table from
+ * build/comparison.js, and picking programs with scripts/comparison.js.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createPage, BASE_URL, ROOT_DIR } = require('./helpers/dom.js');
+const { validateComparison, renderComparisons } = require('../build/comparison.js');
+const { FACULTY } = require('../scripts/data/faculty.js');
+const { FEE_STRUCTURE } = require('../scripts/data/fees.js');
+const { PROGRAM_CATALOG } = require('../scripts/data/programs.js');
+
+const SITE = { catalog: PROGRAM_CATALOG, fees: FEE_STRUCTURE, faculty: FACULTY };
+const PLACEHOLDER = '<section id="compare"><div data-comparison="programs"></div></section>';
+
+// No scripts run, so nothing is left to close
+const parse = (html) => createPage(`<body>${html}</body>`, { scripts: [], modules: [] }).document;
+
+const cell = (document, row, program) =>
+    document.querySelector(`[data-comparison-row="${row}"] [data-program="${program}"]`);
+
+describe('validateComparison', () => {
+    it('accepts the published programs and fees', () => {
+        assert.doesNotThrow(() => validateComparison(PROGRAM_CATALOG, FEE_STRUCTURE));
+    });
+
+    it('names the program and the problem', () => {
+        const { circuits, ...programs } = FEE_STRUCTURE.programs;
+        const fees = { ...FEE_STRUCTURE, programs };
+        const labs = PROGRAM_CATALOG.map(program => ({ ...program, labs: [{ title: 'Lab', anchor: 'lab' }] }));
+
+        assert.throws(() => validateComparison(PROGRAM_CATALOG, fees), /Program circuits: needs 3 yearly fees/);
+        assert.throws(() => validateComparison(labs, FEE_STRUCTURE), /Program computing: labs need a "title" and a facility card "anchor"/);
+    });
+
+    it('links labs to facility cards that exist', () => {
+        const facilities = fs.readFileSync(path.join(ROOT_DIR, 'src', 'pages', 'facilities.html'), 'utf8');
+
+        PROGRAM_CATALOG.flatMap(program => program.labs).forEach(lab => {
+            assert.ok(facilities.includes(`id="${lab.anchor}"`), lab.anchor);
+        });
+    });
+});
+
+describe('renderComparisons', () => {
+    it('gives every program a column in every row', () => {
+        const document = parse(renderComparisons(PLACEHOLDER, SITE));
+        const anchors = PROGRAM_CATALOG.map(program => program.anchor);
+
+        document.querySelectorAll('.comparison-table tr').forEach(row => {
+            assert.deepEqual(Array.from(row.querySelectorAll('[data-program]'), item => item.dataset.program), anchors);
+        });
+        assert.ok(document.querySelector('[data-comparison-picker]').hidden);
+    });
+
+    it('shows yearly and total fees, courses, labs, careers and staff', () => {
+        const document = parse(renderComparisons(PLACEHOLDER, SITE, { rootPath: '../' }));
+
+        assert.equal(cell(document, 'fee-1', 'computing').textContent.trim(), 'Rs. 31,000');
+        assert.equal(cell(document, 'fee-total', 'electrical').textContent.trim(), 'Rs. 60,000');
+        assert.equal(cell(document, 'courses-2', 'electronics').querySelector('a').getAttribute('href'),
+            '../divisions/circuits.html#course-et-211');
+        assert.deepEqual(
+            Array.from(cell(document, 'labs', 'electrical').querySelectorAll('a'), link => link.getAttribute('href')),
+            ['../facilities.html#facility-electrical-labs', '../facilities.html#facility-physics-chemistry']
+        );
+        assert.match(cell(document, 'careers', 'electronics').textContent, /Embedded Systems Developer/);
+        assert.equal(cell(document, 'faculty', 'computing').querySelector('a').getAttribute('href'),
+            '../faculty.html?department=computing');
+        assert.equal(cell(document, 'faculty', 'civil').textContent.trim(), 'Profiles being added');
+    });
+});
+
+describe('ProgramComparison', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const comparisonPage = async (query = '') => {
+        page = createPage(`<body>${renderComparisons(PLACEHOLDER, SITE)}</body>`, {
+            url: `${BASE_URL}pathways.html${query}`,
+            modules: ['app.js', 'comparison.js']
+        });
+        await page.ready();
+
+        const { document } = page;
+        const form = document.querySelector('[data-comparison-picker]');
+        const shown = row => Array.from(
+            document.querySelectorAll(`[data-comparison-row="${row}"] [data-program]:not([hidden])`),
+            item => item.dataset.program
+        );
+        const choose = (name, value) => {
+            form.elements[name].value = value;
+            form.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+        };
+
+        return { document, form, shown, choose };
+    };
+
+    it('starts with the first two programs once it can act', async () => {
+        const { form, shown } = await comparisonPage();
+
+        assert.equal(form.hidden, false);
+        assert.deepEqual(shown('duration'), ['computing', 'electrical']);
+        assert.equal(form.elements.third.value, '');
+        assert.equal(page.window.location.search, '');
+    });
+
+    it('shows the programs in the address, in the order given', async () => {
+        const { document, shown } = await comparisonPage('?compare=electronics,electrical');
+
+        assert.deepEqual(shown('fee-1'), ['electronics', 'electrical']);
+        assert.deepEqual(
+            Array.from(document.querySelectorAll('thead th:not([hidden])'), th => th.textContent.trim()),
+            ['Electronics Technology', 'Electrical Technology']
+        );
+    });
+
+    it('makes up a comparison from unknown or repeated programs in the address', async () => {
+        const { shown } = await comparisonPage('?compare=mining,civil,civil');
+
+        assert.deepEqual(shown('labs'), ['civil', 'computing']);
+    });
+
+    it('adds a third program, keeps the choice in the address and announces it', async () => {
+        const { document, shown, choose } = await comparisonPage('?compare=electrical,electronics');
+
+        choose('third', 'mechanical');
+
+        assert.deepEqual(shown('careers'), ['electrical', 'electronics', 'mechanical']);
+        assert.equal(page.window.location.search, '?compare=electrical,electronics,mechanical');
+        assert.equal(page.window.location.hash, '#compare');
+        assert.equal(document.querySelector('[data-comparison-status]').textContent,
+            'Comparing Electrical Technology, Electronics Technology, and Mechanical Technology.');
+    });
+
+    it('offers each program for one column only', async () => {
+        const { form } = await comparisonPage('?compare=electrical,electronics');
+        const disabled = name => Array.from(form.elements[name].options).filter(option => option.disabled).map(option => option.value);
+
+        assert.deepEqual(disabled('first'), ['electronics']);
+        assert.deepEqual(disabled('second'), ['electrical']);
+        assert.deepEqual(disabled('third'), ['electrical', 'electronics']);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * The component registry in scripts/components.js: markup opts in with
+ * data-component, and components start and stop with their elements.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+
+describe('components', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    // A page with only the registry, and a component that records what happens to it
+    const setup = (html) => {
+        page = createPage(`<body>${html}</body>`, { modules: ['components.js'] });
+        const components = page.module('components.js');
+        const events = [];
+
+        const track = (name) => components.registerComponent(name, element => {
+            events.push(`${name} start ${element.id}`);
+            return { destroy: () => events.push(`${name} stop ${element.id}`) };
+        });
+
+        return { ...components, events, track };
+    };
+
+    it('starts each named component on its elements, in order', () => {
+        const { initComponents, track, events } = setup(`
+            <form id="apply" data-component="form wizard"></form>
+            <div id="plain"></div>
+        `);
+        track('form');
+        track('wizard');
+
+        initComponents();
+
+        assert.deepEqual(events, ['form start apply', 'wizard start apply']);
+    });
+
+    it('starts a component only once per element', () => {
+        const { initComponents, track, events } = setup('<div id="a" data-component="counter"></div>');
+        track('counter');
+
+        initComponents();
+        initComponents();
+
+        assert.deepEqual(events, ['counter start a']);
+    });
+
+    it('starts components registered after the page has started', () => {
+        const { initComponents, track, events } = setup('<div id="late" data-component="carousel"></div>');
+
+        initComponents();
+        assert.deepEqual(events, []);
+
+        track('carousel');
+        assert.deepEqual(events, ['carousel start late']);
+    });
+
+    it('keeps going when one component fails to start', () => {
+        const { initComponents, registerComponent, track, events } = setup(`
+            <div id="a" data-component="broken"></div>
+            <div id="b" data-component="counter"></div>
+        `);
+        registerComponent('broken', () => {
+            throw new Error('no track');
+        });
+        track('counter');
+
+        initComponents();
+
+        assert.deepEqual(events, ['counter start b']);
+        assert.match(page.logs.find(log => log.level === 'error').message, /"broken" failed to start/);
+    });
+
+    it('refuses a second component with the same name', () => {
+        const { track } = setup('');
+        track('faq');
+
+        assert.throws(() => track('faq'), /"faq" is already registered/);
+    });
+
+    it('stops the components inside a root, including the root itself', () => {
+        const { initComponents, destroyComponents, getComponent, track, events } = setup(`
+            <section id="outer" data-component="gallery">
+                <div id="inner" data-component="gallery"></div>
+            </section>
+            <div id="other" data-component="gallery"></div>
+        `);
+        track('gallery');
+        initComponents();
+        events.length = 0;
+
+        const outer = page.document.getElementById('outer');
+        destroyComponents(outer);
+
+        assert.deepEqual(events, ['gallery stop outer', 'gallery stop inner']);
+        assert.equal(getComponent(outer, 'gallery'), null);
+        assert.ok(getComponent(page.document.getElementById('other'), 'gallery'));
+    });
+
+    it('starts the components in markup added later', () => {
+        const { initComponents, track, events } = setup('<div id="list"></div>');
+        track('faq');
+        initComponents();
+
+        const list = page.document.getElementById('list');
+        list.innerHTML = '<div id="added" data-component="faq"></div>';
+        initComponents(list);
+
+        assert.deepEqual(events, ['faq start added']);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * scripts/eligibility.js: admission age, counted on the reference date in
+ * ADMISSION_RULES, and the marks the calculator accepts.
+ */
+
+// West of Greenwich, where a YYYY-MM-DD date read as UTC falls on the day before.
+// Set before any date is made; each test file runs in its own process.
+process.env.TZ = 'America/New_York';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+const { ADMISSION_RULES } = require('../scripts/data/admissions.js');
+
+const ELIGIBILITY_SCRIPTS = ['data/locales.js', 'data/programs.js', 'data/admissions.js'];
+
+const loadEligibility = () => {
+    const page = createPage('<body></body>', { scripts: ELIGIBILITY_SCRIPTS, modules: ['eligibility.js'] });
+    const eligibility = page.module('eligibility.js');
+    page.close();
+    return eligibility;
+};
+
+const APPLICANT = { marksObtained: 880, marksTotal: 1100, group: 'Science', dateOfBirth: '2010-05-01', domicile: 'Bhakkar' };
+
+const calendarDate = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('getAdmissionAge', () => {
+    const { getAdmissionAge } = loadEligibility();
+
+    it('counts on this year\'s reference date all through its last day', () => {
+        const { age, reference } = getAdmissionAge('2011-09-01', ADMISSION_RULES, new Date(2026, 7, 31, 18, 30));
+
+        assert.deepEqual(calendarDate(reference), [2026, 8, 31]);
+        assert.equal(age, 14);
+    });
+
+    it('moves on to next year\'s reference date the day after', () => {
+        const { age, reference } = getAdmissionAge('2011-09-01', ADMISSION_RULES, new Date(2026, 8, 1, 0, 30));
+
+        assert.deepEqual(calendarDate(reference), [2027, 8, 31]);
+        assert.equal(age, 15);
+    });
+
+    it('reads the date of birth as a calendar date, not as UTC midnight', () => {
+        const today = new Date(2026, 2, 1);
+
+        assert.equal(getAdmissionAge('2011-08-31', ADMISSION_RULES, today).age, 15);
+        assert.equal(getAdmissionAge('2011-09-01', ADMISSION_RULES, today).age, 14);
+    });
+});
+
+describe('checkEligibility', () => {
+    const { checkEligibility } = loadEligibility();
+    const today = new Date(2026, 2, 1);
+
+    it('scores marks as a share of the total', () => {
+        const result = checkEligibility(APPLICANT, ADMISSION_RULES, today);
+
+        assert.equal(result.meritScore, 80);
+        assert.equal(result.eligible, true);
+    });
+
+    it('rejects marks above the total instead of scoring them', () => {
+        const result = checkEligibility({ ...APPLICANT, marksObtained: 1200 }, ADMISSION_RULES, today);
+
+        assert.equal(result.eligible, false);
+        assert.equal(result.error, 'marks');
+        assert.equal(result.meritScore, undefined);
+    });
+});
+
+describe('EligibilityCalculator', () => {
+    let page;
+
+    afterEach(() => page && page.close());
+
+    it('flags marks above the total on the field', async () => {
+        page = createPage(`
+            <body>
+                <form data-component="form eligibility" data-validate>
+                    <input type="number" id="elig-obtained" name="marksObtained" min="0" data-max-of="elig-total" value="1200" required>
+                    <input type="number" id="elig-total" name="marksTotal" min="1" value="1100" required>
+                    <button type="submit">Check</button>
+                </form>
+                <div class="eligibility-result" hidden></div>
+            </body>
+        `, { scripts: ELIGIBILITY_SCRIPTS, modules: ['app.js', 'eligibility.js'] });
+        await page.ready();
+
+        const form = page.document.querySelector('form');
+        form.requestSubmit();
+
+        const field = form.elements.marksObtained;
+        assert.equal(field.getAttribute('aria-invalid'), 'true');
+        assert.match(page.document.getElementById('elig-obtained-error').textContent, /1100/);
+        assert.ok(page.document.querySelector('.eligibility-result').hidden);
+    });
+});
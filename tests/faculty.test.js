@@ -0,0 +1,193 @@
+/**
+ * The faculty directory: staff data checks and markup from build/faculty.js,
+ * and filtering, search and sorting by scripts/faculty.js.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage, BASE_URL } = require('./helpers/dom.js');
+const { validateFaculty, sortFaculty, renderFaculty, renderFacultySource } = require('../build/faculty.js');
+const { parsePage } = require('../build/build.js');
+const { FACULTY, FACULTY_ROLES } = require('../scripts/data/faculty.js');
+const { PROGRAM_CATALOG } = require('../scripts/data/programs.js');
+
+const MEMBER = {
+    id: 'sana-tariq',
+    name: 'Sana Tariq',
+    department: 'electrical',
+    role: 'instructor',
+    qualifications: ['B.Sc Electrical Engineering'],
+    subjects: ['ET-111', 'Math-123'],
+    officeHours: [{ day: 'tuesday', from: '09:00', to: '10:00' }],
+    office: 'Electrical Block, Room 4'
+};
+
+const STAFF = [
+    MEMBER,
+    { id: 'bilal-khan', name: 'Bilal Khan', department: 'computing', role: 'head', qualifications: ['MS Computer Science'], subjects: ['CIT-283'] },
+    { id: 'asma-noor', name: 'Asma Noor', department: 'computing', role: 'lecturer', subjects: ['CIT-114'] }
+];
+
+const site = (faculty = STAFF) => ({ faculty: sortFaculty(faculty, FACULTY_ROLES), roles: FACULTY_ROLES, catalog: PROGRAM_CATALOG });
+
+// No scripts run, so nothing is left to close
+const parse = (html) => createPage(`<body>${html}</body>`, { scripts: [], modules: [] }).document;
+
+describe('validateFaculty', () => {
+    it('accepts the published staff list', () => {
+        assert.doesNotThrow(() => validateFaculty(FACULTY, FACULTY_ROLES, PROGRAM_CATALOG));
+    });
+
+    it('names the entry and the problem', () => {
+        [
+            [{ ...MEMBER, department: 'mining' }, /sana-tariq: unknown department "mining"/],
+            [{ ...MEMBER, role: 'dean' }, /sana-tariq: unknown role "dean"/],
+            [{ ...MEMBER, subjects: ['ET-999'] }, /sana-tariq: no course "ET-999"/],
+            [{ ...MEMBER, officeHours: [{ day: 'sunday', from: '09:00', to: '10:00' }] }, /unknown day "sunday"/],
+            [{ ...MEMBER, officeHours: [{ day: 'monday', from: '11:00', to: '10:00' }] }, /office hours on monday/],
+            [{ ...MEMBER, photo: 'missing.jpg' }, /no such photo "missing\.jpg"/],
+            [{ ...MEMBER, id: 'Sana Tariq' }, /lowercase words and dashes/]
+        ].forEach(([member, error]) => {
+            assert.throws(() => validateFaculty([member], FACULTY_ROLES, PROGRAM_CATALOG), error);
+        });
+
+        assert.throws(() => validateFaculty([MEMBER, MEMBER], FACULTY_ROLES, PROGRAM_CATALOG), /id is used twice/);
+    });
+});
+
+describe('renderFaculty', () => {
+    it('lists senior staff first in the directory, with what the filters need', () => {
+        const document = parse(renderFaculty('<div data-faculty="directory"></div>', site()));
+        const cards = Array.from(document.querySelectorAll('.faculty-card'));
+
+        assert.deepEqual(cards.map(card => card.id), ['faculty-bilal-khan', 'faculty-asma-noor', 'faculty-sana-tariq']);
+        assert.equal(cards[2].dataset.department, 'electrical');
+        assert.equal(cards[2].dataset.role, 'instructor');
+        assert.match(cards[2].dataset.keywords, /ET-111 Electrical Fundamentals/);
+        assert.equal(cards[2].querySelector('.faculty-card__name a').getAttribute('href'), 'faculty/sana-tariq.html');
+    });
+
+    it('offers only the departments and roles that have staff', () => {
+        const document = parse(renderFaculty('<div data-faculty="directory"></div>', site()));
+        const values = name => Array.from(document.querySelectorAll(`select[name="${name}"] option`), option => option.value);
+
+        assert.deepEqual(values('department'), ['all', 'computing', 'electrical']);
+        assert.deepEqual(values('role'), ['all', 'head', 'lecturer', 'instructor']);
+        assert.ok(document.querySelector('[data-faculty-controls]').hidden);
+    });
+
+    it('shows a division its own staff, linking to the filtered directory', () => {
+        const document = parse(renderFaculty('<div data-faculty="division"></div>', site(), { program: 'computing', rootPath: '../' }));
+
+        assert.deepEqual(Array.from(document.querySelectorAll('.faculty-card'), card => card.id), ['faculty-bilal-khan', 'faculty-asma-noor']);
+        assert.equal(document.querySelector('.faculty-section__more a').getAttribute('href'), '../faculty.html?department=computing');
+    });
+
+    it('points a division without staff to the directory', () => {
+        const document = parse(renderFaculty('<div data-faculty="division"></div>', site(), { program: 'machinery' }));
+
+        assert.equal(document.querySelectorAll('.faculty-card').length, 0);
+        assert.equal(document.querySelector('.faculty-section__empty a').getAttribute('href'), 'faculty.html');
+    });
+});
+
+describe('renderFacultySource', () => {
+    it('gives each member a profile with subjects linked to their courses', () => {
+        const { data, content } = parsePage(renderFacultySource(MEMBER, site()));
+        const document = parse(content);
+
+        assert.equal(data.title, 'Sana Tariq | GCT Bhakkar Faculty');
+        assert.equal(document.querySelector('h1').textContent, 'Sana Tariq');
+        assert.deepEqual(
+            Array.from(document.querySelectorAll('.faculty-subjects__link'), link => link.getAttribute('href')),
+            ['/divisions/electrical.html#course-et-111', '/divisions/electrical.html#course-math-123']
+        );
+        assert.equal(document.querySelector('.faculty-hours th').dataset.i18n, 'day.tuesday');
+        assert.match(document.querySelector('.faculty-profile__office').textContent, /Electrical Block, Room 4/);
+    });
+});
+
+describe('FacultyDirectory', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const directoryPage = async (query = '') => {
+        const html = renderFaculty('<div data-faculty="directory"></div>', site());
+        page = createPage(`<body>${html}</body>`, { url: `${BASE_URL}faculty.html${query}`, modules: ['app.js', 'faculty.js'] });
+        await page.ready();
+
+        const { document } = page;
+        const form = document.querySelector('[data-faculty-controls]');
+        const shown = () => Array.from(document.querySelectorAll('.faculty-card'))
+            .filter(card => !card.hidden)
+            .map(card => card.id.replace('faculty-', ''));
+        const change = (name, value) => {
+            form.elements[name].value = value;
+            form.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        };
+
+        return { document, form, shown, change };
+    };
+
+    it('shows its controls once it can act on them', async () => {
+        const { form } = await directoryPage();
+        assert.equal(form.hidden, false);
+    });
+
+    it('filters by department and role together', async () => {
+        const { shown, change } = await directoryPage();
+
+        change('department', 'computing');
+        assert.deepEqual(shown(), ['bilal-khan', 'asma-noor']);
+
+        change('role', 'lecturer');
+        assert.deepEqual(shown(), ['asma-noor']);
+    });
+
+    it('finds a teacher by subject title or course code, with or without the dash', async () => {
+        const { shown, change } = await directoryPage();
+
+        change('q', 'electrical fundamentals');
+        assert.deepEqual(shown(), ['sana-tariq']);
+
+        change('q', 'cit114');
+        assert.deepEqual(shown(), ['asma-noor']);
+    });
+
+    it('says when nothing matches, and how many do', async () => {
+        const { document, change } = await directoryPage();
+
+        change('q', 'astronomy');
+        assert.equal(document.querySelector('[data-faculty-empty]').hidden, false);
+
+        change('q', 'computer');
+        assert.equal(document.querySelector('[data-faculty-empty]').hidden, true);
+        assert.equal(document.querySelector('[data-faculty-status]').textContent, '2 staff members shown.');
+    });
+
+    it('sorts by name or department', async () => {
+        const { shown, change } = await directoryPage();
+
+        change('sort', 'name');
+        assert.deepEqual(shown(), ['asma-noor', 'bilal-khan', 'sana-tariq']);
+
+        change('sort', 'department');
+        assert.deepEqual(shown(), ['asma-noor', 'bilal-khan', 'sana-tariq']);
+
+        change('sort', 'role');
+        assert.deepEqual(shown(), ['bilal-khan', 'asma-noor', 'sana-tariq']);
+    });
+
+    it('starts from the choices in the address and keeps them there', async () => {
+        const { form, shown, change } = await directoryPage('?department=electrical&role=nobody');
+
+        assert.equal(form.elements.department.value, 'electrical');
+        assert.equal(form.elements.role.value, 'all');
+        assert.deepEqual(shown(), ['sana-tariq']);
+
+        change('q', 'ET-111');
+        assert.equal(page.window.location.search, '?q=ET-111&department=electrical');
+    });
+});
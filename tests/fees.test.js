@@ -0,0 +1,99 @@
+/**
+ * Fee estimates from scripts/fees.js: discounts, the combined cap,
+ * installments, and the fee table and estimator on the enrollment page.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+const { FEE_STRUCTURE } = require('../scripts/data/fees.js');
+
+const SCRIPTS = ['data/locales.js', 'data/programs.js', 'data/fees.js'];
+
+const page = createPage('<body></body>', { scripts: SCRIPTS, modules: ['fees.js'] });
+const { calculateFees, splitInstallments, formatCurrency } = page.module('fees.js');
+page.close();
+
+describe('calculateFees', () => {
+    it('adds up the yearly fees without discounts', () => {
+        const estimate = calculateFees({ programId: 'computing' });
+
+        assert.deepEqual(Array.from(estimate.breakdown, year => year.payable), FEE_STRUCTURE.programs.computing);
+        assert.equal(estimate.totalFee, 87000);
+        assert.equal(estimate.totalDiscount, 0);
+        assert.equal(estimate.plan.id, 'annual');
+    });
+
+    it('applies first-year discounts to the first year only', () => {
+        const estimate = calculateFees({ programId: 'electrical', discounts: ['early'] });
+
+        assert.deepEqual(Array.from(estimate.breakdown, year => year.percent), [10, 0, 0]);
+        assert.equal(estimate.totalDiscount, 2200);
+    });
+
+    it('caps combined discounts', () => {
+        const [first, second] = calculateFees({ programId: 'electrical', discounts: ['merit', 'early', 'sibling'] }).breakdown;
+
+        assert.equal(first.percent, FEE_STRUCTURE.maxCombinedPercent);
+        assert.equal(first.capped, true);
+        assert.equal(second.percent, 35);
+        assert.equal(second.capped, false);
+    });
+
+    it('limits the years to the program length and splits installments', () => {
+        const estimate = calculateFees({ programId: 'computing', years: 5, plan: 'quarterly', discounts: ['merit'] });
+
+        assert.equal(estimate.breakdown.length, 3);
+        assert.deepEqual(Array.from(estimate.breakdown[0].installments), [5812, 5812, 5812, 5814]);
+    });
+
+    it('has no estimate for a program without fees', () => {
+        assert.equal(calculateFees({ programId: 'chemical' }), null);
+    });
+});
+
+describe('splitInstallments', () => {
+    it('puts the rounding in the last installment', () => {
+        assert.deepEqual(Array.from(splitInstallments(1000, 3)), [333, 333, 334]);
+        assert.deepEqual(Array.from(splitInstallments(1000, 1)), [1000]);
+    });
+});
+
+describe('formatCurrency', () => {
+    it('rounds and groups amounts', () => {
+        assert.equal(formatCurrency(31000.4), 'Rs. 31,000');
+    });
+});
+
+describe('fee components', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('fills the fee table and estimates the selected program', async () => {
+        page = createPage(`
+            <body>
+                <table data-component="fee-table"><tbody></tbody></table>
+                <form data-component="fee-estimator" data-output=".fee-estimate">
+                    <select name="program"></select>
+                    <select name="years"><option value="3">3</option></select>
+                    <select name="plan"></select>
+                    <div class="fee-discounts"></div>
+                </form>
+                <div class="fee-estimate"></div>
+            </body>
+        `, { scripts: SCRIPTS, modules: ['app.js', 'fees.js'] });
+        await page.ready();
+
+        const { document } = page;
+        assert.equal(document.querySelectorAll('[data-component="fee-table"] tbody tr').length, Object.keys(FEE_STRUCTURE.programs).length);
+
+        const form = document.querySelector('form');
+        form.querySelector('[name="program"]').value = 'electrical';
+        form.querySelector('[value="merit"]').checked = true;
+        form.dispatchEvent(new page.window.Event('change'));
+
+        assert.match(document.querySelector('.fee-estimate tfoot').textContent, /Rs\. 60,000[\s\S]*Rs\. 15,000[\s\S]*Rs\. 45,000/);
+    });
+});
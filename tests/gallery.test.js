@@ -0,0 +1,92 @@
+/**
+ * Campus gallery: data checks and markup from build/gallery.js, and the
+ * album filters and lightbox in scripts/gallery.js.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+const { validateGallery, renderGallery } = require('../build/gallery.js');
+const { GALLERY_ALBUMS, GALLERY_PHOTOS } = require('../scripts/data/gallery.js');
+
+const PHOTOS = [
+    { file: 'GCT-Front-View.jpeg', alt: 'Front lawn', album: 'campus', size: 'large' },
+    { file: 'electronic.jpeg', alt: 'Electronics lab', album: 'labs' },
+    { file: 'GCT-Front-View.jpeg', alt: 'Main gate & road', album: 'campus' }
+];
+
+describe('validateGallery', () => {
+    it('accepts the published photos', () => {
+        assert.doesNotThrow(() => validateGallery(GALLERY_PHOTOS, GALLERY_ALBUMS));
+    });
+
+    it('names the photo and what is wrong with it', () => {
+        const check = photo => () => validateGallery([photo], GALLERY_ALBUMS);
+
+        assert.throws(check({ file: 'electronic.jpeg', album: 'labs' }), /Gallery electronic\.jpeg: "file" and "alt" are required/);
+        assert.throws(check({ file: 'electronic.jpeg', alt: 'Lab', album: 'hostel' }), /unknown album "hostel"/);
+        assert.throws(check({ file: 'electronic.jpeg', alt: 'Lab', album: 'labs', size: 'huge' }), /unknown size "huge"/);
+        assert.throws(check({ file: 'missing.jpeg', alt: 'Lab', album: 'labs' }), /Gallery missing\.jpeg: no such file in images\//);
+    });
+});
+
+describe('renderGallery', () => {
+    it('renders filters for albums with photos, and escaped captions', () => {
+        const html = renderGallery('<div class="campus-gallery" data-gallery></div>', { albums: GALLERY_ALBUMS, photos: PHOTOS }, { rootPath: '../' });
+
+        assert.deepEqual(Array.from(html.matchAll(/data-gallery-filter="([\w-]+)"/g), match => match[1]), ['all', 'campus', 'labs']);
+        assert.match(html, /<a href="\.\.\/images\/GCT-Front-View\.jpeg" class="gallery-item__link" data-gallery-open>/);
+        assert.match(html, /Main gate &amp; road/);
+        assert.match(html, /gallery-item gallery-item--small" data-album="labs"/);
+    });
+});
+
+describe('Gallery', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const setup = async () => {
+        const html = renderGallery('<div class="campus-gallery" data-gallery data-component="gallery"></div>', { albums: GALLERY_ALBUMS, photos: PHOTOS });
+        page = createPage(`<body>${html}</body>`, { modules: ['app.js', 'gallery.js'] });
+        await page.ready();
+
+        const { document } = page;
+        return {
+            document,
+            lightbox: document.querySelector('[data-lightbox]'),
+            caption: () => document.querySelector('[data-lightbox-caption]').textContent,
+            press: key => document.querySelector('[data-lightbox]').dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true }))
+        };
+    };
+
+    it('filters photos by album', async () => {
+        const { document } = await setup();
+
+        document.querySelector('[data-gallery-filter="campus"]').click();
+
+        assert.deepEqual(Array.from(document.querySelectorAll('.gallery-item'), item => item.hidden), [false, true, false]);
+        assert.match(document.querySelector('[data-gallery-status]').textContent, /2/);
+    });
+
+    it('opens the lightbox on the photo clicked and loops through the shown photos', async () => {
+        const { document, lightbox, caption, press } = await setup();
+
+        document.querySelector('[data-gallery-filter="campus"]').click();
+        document.querySelectorAll('[data-gallery-open]')[2].click();
+
+        assert.equal(lightbox.hidden, false);
+        assert.equal(caption(), 'Main gate & road');
+
+        press('ArrowRight');
+        assert.equal(caption(), 'Front lawn');
+        press('ArrowLeft');
+        assert.equal(caption(), 'Main gate & road');
+        press('Home');
+        assert.match(document.querySelector('[data-lightbox-counter]').textContent, /1.*2/);
+
+        press('Escape');
+        assert.equal(lightbox.hidden, true);
+    });
+});
@@ -0,0 +1,258 @@
+/**
+ * GCT Website - Test DOM
+ * Runs the browser scripts in jsdom the way a page does, before
+ * DOMContentLoaded: the data files as plain scripts, then the modules,
+ * joined by build/bundle.js since jsdom can't load ES modules. jsdom lacks
+ * IntersectionObserver, matchMedia and a controllable requestAnimationFrame,
+ * so pages get fakes the tests drive by hand:
+ *
+ *   page.intersect(el, true)         report el entering (or leaving) the viewport
+ *   page.frame()                     run the queued animation frames
+ *   page.setMedia(query, matches)    change a media query, firing its listeners
+ *   page.module('navigation.js')     a module's exports, e.g. .Navigation
+ *
+ * Needs jsdom, a dev dependency: run "npm install", then "npm test".
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const { build, RUNTIME_SCRIPTS } = require('../../build/build.js');
+const { bundleModules } = require('../../build/bundle.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const SCRIPTS_DIR = path.join(ROOT_DIR, 'scripts');
+const BASE_URL = 'http://localhost/';
+
+// Where the bundle leaves the modules' exports for page.module()
+const MODULES_GLOBAL = '__modules';
+
+function loadJSDOM() {
+    try {
+        return require('jsdom');
+    } catch (error) {
+        throw new Error('The tests need jsdom: run "npm install"');
+    }
+}
+
+class FakeIntersectionObserver {
+    constructor(callback, options = {}) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+    }
+
+    observe(element) {
+        this.targets.add(element);
+    }
+
+    unobserve(element) {
+        this.targets.delete(element);
+    }
+
+    disconnect() {
+        this.targets.clear();
+    }
+
+    takeRecords() {
+        return [];
+    }
+}
+
+function installFakes(window, media) {
+    const observers = [];
+    const frames = new Map();
+    const queries = new Map();
+    let nextFrame = 1;
+
+    window.IntersectionObserver = class extends FakeIntersectionObserver {
+        constructor(callback, options) {
+            super(callback, options);
+            observers.push(this);
+        }
+    };
+
+    window.requestAnimationFrame = (callback) => {
+        frames.set(nextFrame, callback);
+        return nextFrame++;
+    };
+    window.cancelAnimationFrame = (id) => frames.delete(id);
+
+    window.matchMedia = (query) => {
+        if (!queries.has(query)) {
+            const listeners = new Set();
+            queries.set(query, {
+                media: query,
+                matches: Boolean(media[query]),
+                listeners,
+                addEventListener: (type, listener) => listeners.add(listener),
+                removeEventListener: (type, listener) => listeners.delete(listener),
+                addListener: (listener) => listeners.add(listener),
+                removeListener: (listener) => listeners.delete(listener)
+            });
+        }
+        return queries.get(query);
+    };
+
+    // Not implemented by jsdom, which would log an error for each call
+    window.scrollTo = (x, y) => {
+        window.scrollY = typeof x === 'object' ? x.top : y;
+    };
+    window.Element.prototype.scrollIntoView = function () {};
+
+    return {
+        intersect(element, isIntersecting = true) {
+            observers
+                .filter(observer => observer.targets.has(element))
+                .forEach(observer => observer.callback([{
+                    target: element,
+                    isIntersecting,
+                    intersectionRatio: isIntersecting ? 1 : 0
+                }], observer));
+        },
+
+        frame(time = window.performance.now()) {
+            const callbacks = Array.from(frames.values());
+            frames.clear();
+            callbacks.forEach(callback => callback(time));
+        },
+
+        setMedia(query, matches) {
+            media[query] = matches;
+            const list = queries.get(query);
+            if (!list) return;
+
+            list.matches = matches;
+            list.listeners.forEach(listener => listener({ media: query, matches }));
+        }
+    };
+}
+
+/**
+ * A page from HTML, with the given scripts run before DOMContentLoaded
+ *
+ * Options:
+ *   url         page address (default http://localhost/index.html)
+ *   scripts     plain script paths relative to scriptsDir (default the data
+ *               files every page loads)
+ *   modules     entry modules relative to scriptsDir, run after the scripts
+ *               (default app.js, which starts the page)
+ *   scriptsDir  where scripts are read from (default scripts/)
+ *   media       media queries that match, e.g. { '(prefers-reduced-motion: reduce)': true }
+ *   storage     localStorage entries set before the scripts run
+ *   globals     extra window properties set before the scripts run
+ */
+function createPage(html, options = {}) {
+    const { JSDOM, VirtualConsole } = loadJSDOM();
+    const errors = [];
+    const logs = [];
+
+    // Uncaught errors are collected for the tests; console output is kept quiet
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+        virtualConsole.on(level, (...args) => logs.push({ level, message: args.join(' ') }));
+    });
+
+    const dom = new JSDOM(html, {
+        url: options.url || `${BASE_URL}index.html`,
+        runScripts: 'outside-only',
+        virtualConsole
+    });
+    const { window } = dom;
+    const context = dom.getInternalVMContext();
+    const fakes = installFakes(window, { ...options.media });
+    Object.assign(window, options.globals);
+
+    Object.entries(options.storage || {}).forEach(([key, value]) => {
+        window.localStorage.setItem(key, value);
+    });
+
+    const scriptsDir = options.scriptsDir || SCRIPTS_DIR;
+    (options.scripts || RUNTIME_SCRIPTS.data).forEach(script => {
+        const filename = path.join(scriptsDir, script);
+        new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+    });
+
+    const modules = options.modules || RUNTIME_SCRIPTS.modules;
+    if (modules.length > 0) {
+        const bundle = bundleModules(scriptsDir, modules, { globalName: MODULES_GLOBAL });
+        new vm.Script(bundle, { filename: path.join(scriptsDir, 'bundle.js') }).runInContext(context);
+    }
+
+    const loaded = new Promise(resolve => {
+        if (window.document.readyState === 'complete') resolve();
+        else window.addEventListener('load', () => resolve());
+    });
+
+    return {
+        dom,
+        window,
+        document: window.document,
+        errors,
+        logs,
+        ...fakes,
+
+        module(file) {
+            const exports = (window[MODULES_GLOBAL] || {})[file];
+            if (!exports) throw new Error(`${file} was not loaded`);
+            return exports;
+        },
+
+        ready() {
+            return loaded;
+        },
+
+        close() {
+            window.close();
+        }
+    };
+}
+
+/**
+ * Build the site into a temporary directory; returns its path
+ */
+function buildSite(options = {}) {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gct-site-'));
+
+    const result = build({ outDir, ...options });
+    return { outDir, ...result };
+}
+
+function removeSite(outDir) {
+    fs.rmSync(outDir, { recursive: true, force: true });
+}
+
+/**
+ * A built page with the scripts and modules it links to, read from the
+ * build output; the nomodule fallback is left out, as a browser would.
+ * Pass scripts: [] and modules: [] for the markup alone.
+ */
+function loadBuiltPage(outDir, pagePath, options = {}) {
+    const html = fs.readFileSync(path.join(outDir, pagePath), 'utf8');
+    const url = options.url || BASE_URL + pagePath;
+
+    const linked = (pattern) => Array.from(html.matchAll(pattern), match => match[1])
+        .filter(src => !/^https?:\/\//.test(src))
+        .map(src => new URL(src, url).pathname.replace(/^\//, ''));
+
+    return createPage(html, {
+        ...options,
+        url,
+        scripts: options.scripts || linked(/<script src="([^"]+)"><\/script>/g),
+        modules: options.modules || linked(/<script type="module" src="([^"]+)"><\/script>/g),
+        scriptsDir: outDir
+    });
+}
+
+module.exports = {
+    createPage,
+    buildSite,
+    removeSite,
+    loadBuiltPage,
+    RUNTIME_SCRIPTS,
+    BASE_URL,
+    ROOT_DIR
+};
@@ -0,0 +1,66 @@
+/**
+ * Responsive image markup from build/images.js, with a made-up manifest
+ * so that sharp isn't needed.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+const { findOverBudget, hasVariants, renderResponsiveImages } = require('../build/images.js');
+
+const variants = (name, extension) => [320, 1280].map(width => ({ width, file: `${name}-${width}.${extension}`, bytes: width * 100 }));
+
+const MANIFEST = {
+    'front.jpeg': {
+        width: 1600,
+        height: 900,
+        fallback: 'jpeg',
+        placeholder: 'data:image/webp;base64,AAAA',
+        variants: { avif: variants('front', 'avif'), webp: variants('front', 'webp'), jpeg: variants('front', 'jpg') }
+    }
+};
+
+// No scripts run, so nothing is left to close
+const parse = (html) => createPage(html, { scripts: [], modules: [] }).document;
+
+describe('renderResponsiveImages', () => {
+    it('turns images with variants into pictures', () => {
+        const document = parse(renderResponsiveImages('<body><img src="../images/front.jpeg" alt="Front" sizes="50vw"></body>', MANIFEST));
+        const img = document.querySelector('picture > img');
+
+        assert.equal(img.getAttribute('src'), '../images/variants/front-1280.jpg');
+        assert.equal(img.getAttribute('sizes'), '50vw');
+        assert.deepEqual(Array.from(document.querySelectorAll('picture > source'), source => source.type), ['image/avif', 'image/webp']);
+    });
+
+    it('points other links to an original at its largest variant', () => {
+        const html = renderResponsiveImages(`
+            <head><meta property="og:image" content="https://example.com/images/front.jpeg"></head>
+            <body><a href="images/front.jpeg">Full size</a><a href="images/other.jpeg">Other</a></body>
+        `, MANIFEST);
+        const document = parse(html);
+
+        assert.equal(document.querySelector('meta').getAttribute('content'), 'https://example.com/images/variants/front-1280.jpg');
+        assert.deepEqual(Array.from(document.querySelectorAll('a'), link => link.getAttribute('href')), ['images/variants/front-1280.jpg', 'images/other.jpeg']);
+    });
+
+    it('leaves pages alone without a manifest', () => {
+        const html = '<img src="images/front.jpeg" alt="">';
+        assert.equal(renderResponsiveImages(html, undefined), html);
+    });
+});
+
+describe('hasVariants', () => {
+    it('keeps only originals without variants out of the manifest', () => {
+        assert.equal(hasVariants(MANIFEST, 'front.jpeg'), true);
+        assert.equal(hasVariants(MANIFEST, 'other.jpeg'), false);
+        assert.equal(hasVariants(undefined, 'front.jpeg'), false);
+    });
+});
+
+describe('findOverBudget', () => {
+    it('names the variants above the budget', () => {
+        assert.deepEqual(findOverBudget(MANIFEST, 100 * 1024), ['front-1280.avif (125 KB)', 'front-1280.webp (125 KB)', 'front-1280.jpg (125 KB)']);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * The inquiry service in server/inquiries.js: checking what the contact
+ * form posts, and serving the built site. Analytics through the service
+ * is covered in analytics.test.js.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createServer, validateInquiry } = require('../server/inquiries.js');
+
+const INQUIRY = {
+    name: 'Ayesha Khan',
+    email: 'ayesha@example.com',
+    subject: 'admissions',
+    message: 'When do admissions open?'
+};
+
+describe('validateInquiry', () => {
+    it('trims the fields and names the ones that are wrong', () => {
+        const { inquiry } = validateInquiry({ ...INQUIRY, name: '  Ayesha Khan ' });
+        assert.equal(inquiry.name, 'Ayesha Khan');
+
+        const { errors } = validateInquiry({ ...INQUIRY, email: 'ayesha', subject: 'hostel' });
+        assert.deepEqual(Object.keys(errors), ['email', 'subject']);
+    });
+
+    it('rejects a body that isn\'t an object as malformed', () => {
+        [null, 42, 'hello', [INQUIRY]].forEach(body => {
+            assert.throws(() => validateInquiry(body), { status: 400, message: 'Malformed request body' });
+        });
+    });
+});
+
+describe('inquiry service', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gct-inquiries-'));
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const siteDir = path.join(tmpDir, 'site');
+        fs.mkdirSync(siteDir);
+        fs.writeFileSync(path.join(siteDir, 'index.html'), '<!DOCTYPE html>');
+
+        server = createServer({
+            storePath: path.join(tmpDir, 'inquiries.json'),
+            analyticsPath: path.join(tmpDir, 'analytics.json'),
+            siteDir
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const post = body => fetch(`${baseUrl}/api/inquiries`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body
+    });
+
+    it('stores an inquiry and answers 422 for one with errors', async () => {
+        assert.equal((await post(JSON.stringify(INQUIRY))).status, 201);
+
+        const invalid = await post(JSON.stringify({ ...INQUIRY, message: '' }));
+        assert.equal(invalid.status, 422);
+        assert.deepEqual(Object.keys((await invalid.json()).errors), ['message']);
+    });
+
+    it('answers 400 for JSON that isn\'t an object', async () => {
+        for (const body of ['null', '42', '[]']) {
+            const response = await post(body);
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { ok: false, error: 'Malformed request body' });
+        }
+    });
+
+    it('serves the site, and answers 400 for a path with a broken escape', async () => {
+        const home = await fetch(`${baseUrl}/`);
+        assert.equal(home.status, 200);
+        assert.equal(await home.text(), '<!DOCTYPE html>');
+
+        const broken = await fetch(`${baseUrl}/%E0%A4%A.html`);
+        assert.equal(broken.status, 400);
+        await broken.text();
+    });
+});
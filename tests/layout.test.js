@@ -0,0 +1,82 @@
+/**
+ * Navigation and footer markup from build/layout.js, at the site root and
+ * from pages in subfolders.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+const { generateNavigation, generateFooter, getNavItems } = require('../build/layout.js');
+const { PROGRAM_CATALOG } = require('../scripts/data/programs.js');
+
+// No scripts run, so nothing is left to close
+const parse = (html) => createPage(`<body>${html}</body>`, { scripts: [], modules: [] }).document;
+
+const hrefs = (document, selector) => Array.from(document.querySelectorAll(selector), link => link.getAttribute('href'));
+
+describe('generateNavigation', () => {
+    it('renders a side and a bottom menu with every item', () => {
+        const document = parse(generateNavigation(PROGRAM_CATALOG));
+        const items = getNavItems(PROGRAM_CATALOG);
+
+        assert.deepEqual(
+            hrefs(document, '.side-nav__menu > a, .side-nav__item > a'),
+            items.map(item => item.href)
+        );
+        assert.deepEqual(
+            hrefs(document, 'a.bottom-nav__link'),
+            items.filter(item => !item.dropdown).map(item => item.href)
+        );
+    });
+
+    it('prefixes every link with the root path', () => {
+        const document = parse(generateNavigation(PROGRAM_CATALOG, '../'));
+
+        hrefs(document, 'a').forEach(href => assert.match(href, /^\.\.\//));
+        assert.equal(document.querySelector('.side-nav__logo-img').getAttribute('src'), '../images/GCT-Logo.png');
+    });
+
+    it('links each program from the dropdown with its pathways section', () => {
+        const document = parse(generateNavigation(PROGRAM_CATALOG, '../'));
+
+        ['.side-nav__dropdown-link', '.bottom-nav__sheet-link[data-nav-anchor]'].forEach(selector => {
+            const links = Array.from(document.querySelectorAll(selector));
+            assert.deepEqual(links.map(link => link.getAttribute('href')), PROGRAM_CATALOG.map(program => `../${program.page}`));
+            assert.deepEqual(links.map(link => link.dataset.navAnchor), PROGRAM_CATALOG.map(program => program.anchor));
+        });
+    });
+
+    it('gives each dropdown a closed disclosure button for its panel', () => {
+        const document = parse(generateNavigation(PROGRAM_CATALOG));
+        const dropdowns = document.querySelectorAll('[data-nav-dropdown]');
+
+        assert.equal(dropdowns.length, 2);
+        dropdowns.forEach(dropdown => {
+            const toggle = dropdown.querySelector('button[data-nav-dropdown-toggle]');
+            const panel = dropdown.querySelector('[data-nav-dropdown-panel]');
+
+            assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+            assert.equal(toggle.getAttribute('aria-controls'), panel.id);
+        });
+    });
+});
+
+describe('generateFooter', () => {
+    it('links every program and quick link from the root path', () => {
+        const document = parse(generateFooter(PROGRAM_CATALOG, '../../'));
+        const links = hrefs(document, '.footer__links a');
+
+        PROGRAM_CATALOG.forEach(program => assert.ok(links.includes(`../../${program.page}`), program.page));
+        assert.ok(links.includes('../../index.html'));
+        links.forEach(href => assert.match(href, /^\.\.\/\.\.\//));
+    });
+
+    it('shows the given year with its translation parameters', () => {
+        const document = parse(generateFooter(PROGRAM_CATALOG, '', 2031));
+        const copyright = document.querySelector('.footer__copyright');
+
+        assert.match(copyright.textContent, /2031/);
+        assert.deepEqual(JSON.parse(copyright.dataset.i18nParams), { year: 2031 });
+    });
+});
@@ -0,0 +1,227 @@
+/**
+ * Side and bottom navigation: current page, program dropdowns, menu keys
+ * and the back-to-top button.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage, BASE_URL } = require('./helpers/dom.js');
+const { generateNavigation } = require('../build/layout.js');
+const { PROGRAM_CATALOG } = require('../scripts/data/programs.js');
+
+function createNavPage(pagePath = 'index.html') {
+    return createPage(`<body data-component="back-to-top">${generateNavigation(PROGRAM_CATALOG)}<main></main></body>`, {
+        url: BASE_URL + pagePath
+    });
+}
+
+function press(target, key, options = {}) {
+    const event = new target.ownerDocument.defaultView.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('getPagePath', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('reads folder addresses as their index page', () => {
+        page = createPage('');
+        const { getPagePath } = page.module('navigation.js');
+
+        assert.equal(getPagePath(new URL('http://localhost/')), '/index.html');
+        assert.equal(getPagePath(new URL('http://localhost/divisions/')), '/divisions/index.html');
+        assert.equal(getPagePath(new URL('http://localhost/legacy.html#history')), '/legacy.html');
+    });
+});
+
+describe('Navigation', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    describe('current page', () => {
+        it('follows hash changes on the pathways page', async () => {
+            page = createNavPage('pathways.html');
+            await page.ready();
+
+            const sectionLink = page.document.querySelector('.side-nav__dropdown-link[data-nav-anchor="electronics"]');
+            assert.equal(sectionLink.getAttribute('aria-current'), null);
+
+            page.window.location.hash = '#electronics';
+            await new Promise(resolve => page.window.addEventListener('hashchange', resolve, { once: true }));
+
+            assert.equal(sectionLink.getAttribute('aria-current'), 'location');
+            assert.ok(sectionLink.classList.contains('side-nav__dropdown-link--active'));
+        });
+
+        it('ignores program hashes on other pages', async () => {
+            page = createNavPage('legacy.html#computing');
+            await page.ready();
+
+            assert.equal(page.document.querySelectorAll('[aria-current="location"]').length, 0);
+        });
+    });
+
+    describe('program dropdowns', () => {
+        const getDropdown = (selector) => {
+            const item = page.document.querySelector(selector);
+            return {
+                item,
+                toggle: item.querySelector('[data-nav-dropdown-toggle]'),
+                links: item.querySelectorAll('[data-nav-dropdown-panel] a')
+            };
+        };
+
+        it('opens and closes from the disclosure button', async () => {
+            page = createNavPage();
+            await page.ready();
+            const { item, toggle } = getDropdown('.side-nav [data-nav-dropdown]');
+
+            assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+            assert.ok(page.document.getElementById(toggle.getAttribute('aria-controls')));
+
+            toggle.click();
+            assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+            assert.ok(item.classList.contains('side-nav__item--open'));
+
+            toggle.click();
+            assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+            assert.ok(!item.classList.contains('side-nav__item--open'));
+        });
+
+        it('keeps only one dropdown open at a time', async () => {
+            page = createNavPage();
+            await page.ready();
+            const side = getDropdown('.side-nav [data-nav-dropdown]');
+            const bottom = getDropdown('.bottom-nav [data-nav-dropdown]');
+
+            side.toggle.click();
+            bottom.toggle.click();
+
+            assert.equal(side.toggle.getAttribute('aria-expanded'), 'false');
+            assert.equal(bottom.toggle.getAttribute('aria-expanded'), 'true');
+        });
+
+        it('closes on a click elsewhere', async () => {
+            page = createNavPage();
+            await page.ready();
+            const { toggle } = getDropdown('.bottom-nav [data-nav-dropdown]');
+
+            toggle.click();
+            page.document.querySelector('main').click();
+
+            assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        });
+
+        it('opens towards the panel from the keyboard and walks its links', async () => {
+            page = createNavPage();
+            await page.ready();
+            const { toggle, links } = getDropdown('.side-nav [data-nav-dropdown]');
+
+            toggle.focus();
+            press(toggle, 'ArrowRight');
+            assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+            assert.equal(page.document.activeElement, links[0]);
+
+            press(links[0], 'ArrowDown');
+            assert.equal(page.document.activeElement, links[1]);
+
+            press(links[1], 'End');
+            assert.equal(page.document.activeElement, links[links.length - 1]);
+
+            press(links[links.length - 1], 'ArrowDown');
+            assert.equal(page.document.activeElement, links[0]);
+
+            press(links[0], 'ArrowLeft');
+            assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+            assert.equal(page.document.activeElement, toggle);
+        });
+
+        it('opens upwards from the bottom bar', async () => {
+            page = createNavPage();
+            await page.ready();
+            const { toggle, links } = getDropdown('.bottom-nav [data-nav-dropdown]');
+
+            toggle.focus();
+            press(toggle, 'ArrowUp');
+
+            assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+            assert.equal(page.document.activeElement, links[0]);
+        });
+
+        it('closes on Escape and returns focus to the button', async () => {
+            page = createNavPage();
+            await page.ready();
+            const { toggle, links } = getDropdown('.side-nav [data-nav-dropdown]');
+
+            toggle.click();
+            links[2].focus();
+            press(links[2], 'Escape');
+
+            assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+            assert.equal(page.document.activeElement, toggle);
+        });
+    });
+
+    describe('menu keys', () => {
+        it('moves through the side menu with the arrow keys, Home and End', async () => {
+            page = createNavPage();
+            await page.ready();
+            const items = Array.from(page.document.querySelectorAll('.side-nav__menu a, .side-nav__menu button'))
+                .filter(el => !el.closest('[data-nav-dropdown-panel]'));
+
+            items[0].focus();
+            press(items[0], 'ArrowDown');
+            assert.equal(page.document.activeElement, items[1]);
+
+            press(items[1], 'ArrowUp');
+            assert.equal(page.document.activeElement, items[0]);
+
+            press(items[0], 'ArrowUp');
+            assert.equal(page.document.activeElement, items[items.length - 1]);
+
+            press(items[items.length - 1], 'Home');
+            assert.equal(page.document.activeElement, items[0]);
+        });
+
+        it('moves along the bottom bar with left and right', async () => {
+            page = createNavPage();
+            await page.ready();
+            const items = Array.from(page.document.querySelectorAll('.bottom-nav a, .bottom-nav button'))
+                .filter(el => !el.closest('[data-nav-dropdown-panel]'));
+
+            items[0].focus();
+            press(items[0], 'ArrowRight');
+            assert.equal(page.document.activeElement, items[1]);
+
+            press(items[1], 'ArrowLeft');
+            assert.equal(page.document.activeElement, items[0]);
+        });
+    });
+});
+
+describe('initBackToTop', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('shows the button once the page is scrolled down', async () => {
+        page = createNavPage();
+        await page.ready();
+        const button = page.document.querySelector('.back-to-top');
+
+        page.window.scrollY = 600;
+        page.window.dispatchEvent(new page.window.Event('scroll'));
+        page.frame();
+        assert.ok(button.classList.contains('visible'));
+
+        button.click();
+        page.window.dispatchEvent(new page.window.Event('scroll'));
+        page.frame();
+        assert.equal(page.window.scrollY, 0);
+        assert.ok(!button.classList.contains('visible'));
+    });
+});
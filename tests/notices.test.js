@@ -0,0 +1,118 @@
+/**
+ * Notices: Markdown notices and placeholders from build/notices.js, and
+ * the notice board, ticker and countdown components in scripts/notices.js.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+const { parseNotice, renderMarkdown, renderNotices } = require('../build/notices.js');
+
+const notice = (slug, data, body = 'Body text.') => parseNotice(`---
+${Object.entries(data).map(([key, value]) => `${key}: ${value}`).join('\n')}
+---
+${body}
+`, `${slug}.md`);
+
+const NOTICES = [
+    notice('2026-10-01-exams', { title: 'Exams', date: '2026-10-01', category: 'examinations', expires: '2026-10-20' }),
+    notice('2026-09-01-merit', { title: 'Merit list', date: '2026-09-01', category: 'merit-list', pinned: 'true' }),
+    notice('2026-08-01-closure', { title: 'Closure', date: '2026-08-01', category: 'closure', expires: '2026-08-14' })
+];
+
+describe('parseNotice', () => {
+    it('reads the front matter and summarises the first paragraph', () => {
+        const parsed = notice('2026-09-07-first-merit-list', { title: 'First Merit List', date: '2026-09-07', category: 'merit-list' },
+            '## Lists\n\nThe *first* merit list is\nout now.\n\n- Computing\n- Electrical');
+
+        assert.equal(parsed.page, 'notices/2026-09-07-first-merit-list.html');
+        assert.equal(parsed.summary, 'The first merit list is out now.');
+        assert.equal(parsed.pinned, false);
+        assert.equal(parsed.expires, null);
+    });
+
+    it('names the file and field of a bad notice', () => {
+        assert.throws(() => notice('a', { date: '2026-09-07', category: 'general' }), /a\.md: missing "title"/);
+        assert.throws(() => notice('b', { title: 'B', date: '2026-09-07', category: 'sports' }), /b\.md: "category" must be one of/);
+        assert.throws(() => notice('c', { title: 'C', date: '7 Sep 2026', category: 'general' }), /c\.md: "date" must be a date/);
+        assert.throws(() => parseNotice('No front matter', 'd.md'), /d\.md: missing front matter/);
+    });
+});
+
+describe('renderMarkdown', () => {
+    it('renders headings from h2, lists, tables and inline markup, escaping HTML', () => {
+        const html = renderMarkdown('# Title\n\n1. One\n2. **Two**\n\n| Program | Seats |\n|---|---|\n| Computing | 60 |\n\nSee [fees](fees.html) <b>now</b>');
+
+        assert.match(html, /^<h2>Title<\/h2>/);
+        assert.match(html, /<ol><li>One<\/li><li><strong>Two<\/strong><\/li><\/ol>/);
+        assert.match(html, /<th>Program<\/th><th>Seats<\/th>[\s\S]*<td>Computing<\/td><td>60<\/td>/);
+        assert.match(html, /<p>See <a href="fees\.html">fees<\/a> &lt;b&gt;now&lt;\/b&gt;<\/p>$/);
+    });
+});
+
+describe('renderNotices', () => {
+    const now = new Date('2026-10-10T12:00:00+05:00');
+
+    it('lists pinned notices first on the board and marks expired ones', () => {
+        const html = renderNotices('<div data-notices="board"></div>', { notices: NOTICES }, { now });
+        const titles = Array.from(html.matchAll(/notice-card__title"><a href="([^"]+)"/g), match => match[1]);
+
+        assert.deepEqual(titles, ['notices/2026-09-01-merit.html', 'notices/2026-10-01-exams.html', 'notices/2026-08-01-closure.html']);
+        assert.match(html, /notice-card notice-card--expired" data-category="closure"/);
+        assert.doesNotMatch(html, /data-notice-filter="general"/);
+    });
+
+    it('leaves expired notices out of the ticker', () => {
+        const html = renderNotices('<div data-notices="ticker"></div>', { notices: NOTICES }, { now, rootPath: '../' });
+
+        assert.equal((html.match(/notice-ticker__item/g) || []).length, 2);
+        assert.doesNotMatch(html, /Closure/);
+        assert.match(html, /href="\.\.\/notices\/2026-10-01-exams\.html"/);
+    });
+
+    it('counts down to the next deadline, ending the day in college time', () => {
+        const dates = [
+            { id: 'early', label: 'Early Deadline', date: '2026-10-05', deadline: true },
+            { id: 'final', label: 'Final Deadline', date: '2026-10-25', deadline: true },
+            { id: 'classes', label: 'Classes Begin', date: '2026-11-02' }
+        ];
+        const html = renderNotices('<div data-notices="countdown"></div>', { dates }, { now });
+
+        assert.match(html, /data-countdown-label data-i18n="notices\.date\.final">Final Deadline/);
+        assert.match(html, /2026-10-25T23:59:59\+05:00/);
+        assert.doesNotMatch(html, /Classes Begin/);
+    });
+});
+
+describe('notice components', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('filters the board by category and reports the count', async () => {
+        const board = renderNotices('<div data-notices="board"></div>', { notices: NOTICES }, { now: new Date('2026-10-10') });
+        page = createPage(`<body>${board}</body>`, { modules: ['app.js', 'notices.js'] });
+        await page.ready();
+
+        page.document.querySelector('[data-notice-filter="closure"]').click();
+
+        const shown = Array.from(page.document.querySelectorAll('.notice-card'), card => !card.hidden);
+        assert.deepEqual(shown, [false, false, true]);
+        assert.match(page.document.querySelector('[data-notice-status]').textContent, /1/);
+        assert.equal(page.document.querySelector('[data-notice-filter="all"]').getAttribute('aria-pressed'), 'false');
+    });
+
+    it('splits the time left and finds the next deadline', () => {
+        page = createPage('<body></body>', { modules: ['notices.js'] });
+        const { getTimeLeft, getNextDeadline } = page.module('notices.js');
+        const now = Date.parse('2026-10-10T00:00:00Z');
+
+        assert.deepEqual({ ...getTimeLeft('2026-10-11T01:02:03Z', now) }, { total: 90123000, days: 1, hours: 1, minutes: 2, seconds: 3 });
+        assert.equal(getTimeLeft('2026-10-01T00:00:00Z', now).total, 0);
+
+        const deadlines = [{ key: 'a', date: '2026-10-01T00:00:00Z' }, { key: 'b', date: '2026-10-20T00:00:00Z' }];
+        assert.equal(getNextDeadline(deadlines, now).key, 'b');
+        assert.equal(getNextDeadline(deadlines.slice(0, 1), now), null);
+    });
+});
@@ -0,0 +1,284 @@
+/**
+ * Every built page, loaded with its scripts: navigation and footer are in
+ * place, their links resolve from any folder depth, the current page is
+ * marked, and nothing throws while the page starts up.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { buildSite, removeSite, loadBuiltPage, BASE_URL, ROOT_DIR } = require('./helpers/dom.js');
+const { checkOutDir } = require('../build/build.js');
+const { PROGRAM_CATALOG } = require('../scripts/data/programs.js');
+
+const NAV_PAGES = ['index.html', 'legacy.html', 'pathways.html', 'enrollment.html', 'chronicle.html', 'connect.html'];
+
+describe('built pages', () => {
+    let site;
+
+    before(() => {
+        site = buildSite();
+    });
+
+    after(() => {
+        removeSite(site.outDir);
+    });
+
+    it('builds every page template and notice', () => {
+        assert.ok(site.pages.includes('index.html'));
+        assert.ok(site.pages.includes('divisions/computing.html'));
+        assert.ok(site.pages.some(page => page.startsWith('notices/')));
+    });
+
+    it('refuses to build into the checkout or a folder that holds it', () => {
+        const srcDir = path.join(ROOT_DIR, 'src');
+
+        [ROOT_DIR, path.dirname(ROOT_DIR), srcDir].forEach(outDir => {
+            assert.throws(() => checkOutDir(outDir, srcDir), /Refusing to build into/, outDir);
+        });
+        assert.doesNotThrow(() => checkOutDir(site.outDir, srcDir));
+        assert.doesNotThrow(() => checkOutDir(path.join(ROOT_DIR, 'dist'), srcDir));
+    });
+
+    it('loads every page without errors', async () => {
+        for (const pagePath of site.pages) {
+            const page = loadBuiltPage(site.outDir, pagePath);
+            await page.ready();
+
+            assert.deepEqual(page.errors.map(error => error.message), [], pagePath);
+            // Components that fail to start are logged rather than thrown
+            assert.deepEqual(page.logs.filter(log => log.level === 'error'), [], pagePath);
+            page.close();
+        }
+    });
+
+    it('renders the navigation and footer into every page', () => {
+        site.pages.forEach(pagePath => {
+            const page = loadBuiltPage(site.outDir, pagePath, { scripts: [], modules: [] });
+            const { document } = page;
+
+            assert.equal(document.querySelectorAll('.side-nav__menu > .side-nav__item, .side-nav__menu > a').length, NAV_PAGES.length, pagePath);
+            assert.equal(document.querySelectorAll('.side-nav__dropdown-link').length, PROGRAM_CATALOG.length, pagePath);
+            assert.equal(document.querySelectorAll('.bottom-nav__sheet-link[data-nav-anchor]').length, PROGRAM_CATALOG.length, pagePath);
+            assert.equal(document.querySelectorAll('footer.footer').length, 1, pagePath);
+            assert.match(document.querySelector('.footer__copyright').textContent, /\d{4}/, pagePath);
+            page.close();
+        });
+    });
+
+    it('links navigation and footer to files that exist, from any folder depth', () => {
+        site.pages.forEach(pagePath => {
+            const page = loadBuiltPage(site.outDir, pagePath, { scripts: [], modules: [] });
+            const links = page.document.querySelectorAll('.side-nav a, .bottom-nav a, .footer a, .side-nav img');
+
+            links.forEach(link => {
+                const url = new URL(link.getAttribute('href') || link.getAttribute('src'), page.window.location.href);
+                if (url.origin !== new URL(BASE_URL).origin) return;
+
+                const target = path.join(site.outDir, decodeURI(url.pathname));
+                assert.ok(fs.existsSync(target), `${pagePath}: ${link.getAttribute('href') || link.getAttribute('src')} is missing`);
+            });
+            page.close();
+        });
+    });
+
+    it('loads stylesheets and scripts relative to the page', () => {
+        site.pages.forEach(pagePath => {
+            const page = loadBuiltPage(site.outDir, pagePath, { scripts: [], modules: [] });
+
+            page.document.querySelectorAll('link[rel="stylesheet"], script[src]').forEach(el => {
+                const url = new URL(el.getAttribute('href') || el.getAttribute('src'), page.window.location.href);
+                if (url.origin !== new URL(BASE_URL).origin) return;
+
+                assert.ok(fs.existsSync(path.join(site.outDir, url.pathname)), `${pagePath}: ${url.pathname} is missing`);
+            });
+            page.close();
+        });
+    });
+
+    it('starts both carousels on the home page', async () => {
+        const page = loadBuiltPage(site.outDir, 'index.html');
+        await page.ready();
+
+        const { Carousel } = page.module('scripts/carousel.js');
+        const started = ['heroCarousel', 'testimonialCarousel'].map(id => {
+            const root = page.document.getElementById(id);
+            return [id, Boolean(Carousel.getInstance(root)), root.getAttribute('aria-roledescription')];
+        });
+        const dots = page.document.querySelectorAll('#testimonialDots button').length;
+        // Closed first: a carousel left running keeps the test process alive
+        page.close();
+
+        assert.deepEqual(started, [['heroCarousel', true, 'carousel'], ['testimonialCarousel', true, 'carousel']]);
+        assert.ok(dots > 1);
+    });
+
+    it('marks the headings of every page for translation, with Urdu for each', () => {
+        // Notices and staff profiles are headed by their own titles and names
+        const pagePaths = site.pages.filter(pagePath => !/^(notices|faculty)\//.test(pagePath));
+
+        pagePaths.forEach(pagePath => {
+            const page = loadBuiltPage(site.outDir, pagePath, { scripts: [], modules: [] });
+            const unmarked = Array.from(page.document.querySelectorAll('main h1, main h2'))
+                .filter(heading => heading.textContent.trim() && !heading.matches('[data-i18n], [data-i18n-html]'))
+                .map(heading => heading.textContent.trim());
+
+            assert.deepEqual(unmarked, [], pagePath);
+            page.close();
+        });
+        assert.deepEqual(site.missing, {});
+    });
+
+    it('shows the contact form and its errors in Urdu', async () => {
+        const page = loadBuiltPage(site.outDir, 'connect.html', { storage: { 'gct-language': 'ur' } });
+        await page.ready();
+
+        const form = page.document.querySelector('.contact-form');
+        form.requestSubmit();
+        const label = form.querySelector('label[for="name"]').textContent;
+        const error = form.querySelector('#name').getAttribute('aria-describedby');
+        const message = page.document.getElementById(error).textContent;
+        page.close();
+
+        assert.equal(label, 'پورا نام');
+        assert.equal(message, 'یہ خانہ پُر کرنا ضروری ہے۔');
+    });
+
+    it('reports the contact form\'s sending state in Urdu', async () => {
+        const page = loadBuiltPage(site.outDir, 'connect.html', { storage: { 'gct-language': 'ur' } });
+        await page.ready();
+
+        const form = page.document.querySelector('.contact-form');
+        page.module('scripts/app.js').setFormState(form, 'queued');
+        const status = form.querySelector('.form-status').textContent;
+        page.close();
+
+        assert.match(status, /آف لائن/);
+    });
+
+    it('shows the eligibility calculator and its result in Urdu', async () => {
+        const page = loadBuiltPage(site.outDir, 'enrollment.html', { storage: { 'gct-language': 'ur' } });
+        await page.ready();
+
+        const form = page.document.querySelector('.eligibility-form');
+        Object.entries({ marksObtained: '880', marksTotal: '1100', group: 'Science', dateOfBirth: '2010-05-01', domicile: 'Bhakkar' })
+            .forEach(([name, value]) => { form.elements[name].value = value; });
+        form.requestSubmit();
+
+        const label = form.querySelector('label[for="elig-obtained"]').textContent;
+        const program = form.querySelector('.eligibility-programs').textContent;
+        const result = page.document.querySelector('.eligibility-result');
+        const title = result.querySelector('.eligibility-result__title').textContent.trim();
+        const text = result.textContent;
+        page.close();
+
+        assert.equal(label, 'میٹرک کے حاصل کردہ نمبر');
+        assert.match(program, /ڈی اے ای کمپیوٹر انفارمیشن ٹیکنالوجی/);
+        assert.equal(title, 'آپ درخواست دینے کے اہل ہیں');
+        assert.match(text, /سائنس گروپ/);
+        assert.doesNotMatch(text, /[A-Za-z]{3,}/);
+    });
+
+    it('lists every page but the offline page in the sitemap, each with a card image that exists', () => {
+        const sitemap = fs.readFileSync(path.join(site.outDir, 'sitemap.xml'), 'utf8');
+        const listed = Array.from(sitemap.matchAll(/<loc>https:\/\/[^/]+\/([^<]*)<\/loc>/g), match => match[1] || 'index.html');
+
+        assert.deepEqual(listed, site.pages.filter(pagePath => pagePath !== 'offline.html').sort());
+        assert.ok(fs.existsSync(path.join(site.outDir, 'robots.txt')));
+
+        site.pages.forEach(pagePath => {
+            const page = loadBuiltPage(site.outDir, pagePath, { scripts: [], modules: [] });
+            const image = new URL(page.document.querySelector('meta[property="og:image"]').getAttribute('content'));
+
+            assert.ok(fs.existsSync(path.join(site.outDir, decodeURI(image.pathname))), `${pagePath}: ${image.pathname} is missing`);
+            page.close();
+        });
+    });
+
+    it('finds the home page FAQ answers from the search overlay', async () => {
+        const { SEARCH_INDEX } = require(path.join(site.outDir, 'scripts', 'data', 'search-index.js'));
+        const page = loadBuiltPage(site.outDir, 'index.html', { globals: { SEARCH_INDEX } });
+        await page.ready();
+
+        page.document.body.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: '/', bubbles: true }));
+        await new Promise(resolve => setTimeout(resolve));
+
+        const input = page.document.querySelector('.search-overlay__input');
+        input.value = 'hostel accommodation';
+        input.dispatchEvent(new page.window.Event('input'));
+
+        const first = page.document.querySelector('.search-result')?.getAttribute('href');
+        page.close();
+
+        assert.equal(first, 'index.html#faq-hostel');
+    });
+
+    it('precaches every page but not the nomodule fallback bundle', () => {
+        const worker = fs.readFileSync(path.join(site.outDir, 'sw.js'), 'utf8');
+        const precache = JSON.parse(worker.match(/const PRECACHE_URLS = (\[[^\]]*\]);/)[1]);
+
+        site.pages.forEach(pagePath => assert.ok(precache.includes(pagePath), `${pagePath} is not precached`));
+        assert.ok(precache.includes('scripts/app.js'));
+        assert.ok(!precache.includes('scripts/bundle.js'));
+    });
+
+    describe('current page', () => {
+        const currentLinks = (page) => Array.from(
+            page.document.querySelectorAll('.side-nav [aria-current], .bottom-nav [aria-current]'),
+            link => link.getAttribute('href')
+        );
+
+        it('marks the current page in both menus', async () => {
+            for (const pagePath of NAV_PAGES) {
+                const page = loadBuiltPage(site.outDir, pagePath);
+                await page.ready();
+
+                const current = page.document.querySelectorAll('.side-nav [aria-current="page"], .bottom-nav [aria-current="page"]');
+                assert.equal(current.length, 2, pagePath);
+                current.forEach(link => {
+                    assert.equal(link.getAttribute('href'), pagePath);
+                    assert.match(link.className, /--active\b/);
+                });
+                page.close();
+            }
+        });
+
+        it('treats the site root as the home page', async () => {
+            const page = loadBuiltPage(site.outDir, 'index.html', { url: BASE_URL });
+            await page.ready();
+
+            assert.deepEqual(currentLinks(page), ['index.html', 'index.html']);
+            page.close();
+        });
+
+        it('marks a division page and its parent from inside divisions/', async () => {
+            const page = loadBuiltPage(site.outDir, 'divisions/computing.html');
+            await page.ready();
+
+            assert.deepEqual(currentLinks(page), ['../divisions/computing.html', '../divisions/computing.html']);
+            assert.ok(page.document.querySelector('.side-nav__item--has-dropdown > .side-nav__link').classList.contains('side-nav__link--active'));
+            assert.ok(page.document.querySelector('.bottom-nav__item > .bottom-nav__link').classList.contains('bottom-nav__link--active'));
+            page.close();
+        });
+
+        it('marks a program section of the pathways page by its hash', async () => {
+            const page = loadBuiltPage(site.outDir, 'pathways.html', { url: `${BASE_URL}pathways.html#computing` });
+            await page.ready();
+
+            const sections = page.document.querySelectorAll('[aria-current="location"]');
+            assert.equal(sections.length, 2);
+            sections.forEach(link => assert.equal(link.dataset.navAnchor, 'computing'));
+            page.close();
+        });
+
+        it('marks nothing on a page outside the menus', async () => {
+            const page = loadBuiltPage(site.outDir, 'notices.html');
+            await page.ready();
+
+            assert.deepEqual(currentLinks(page), []);
+            page.close();
+        });
+    });
+});
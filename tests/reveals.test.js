@@ -0,0 +1,145 @@
+/**
+ * Scroll reveals from scripts/reveals.js, and the shared motion scheduler
+ * they run on.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+
+const MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+describe('ScrollReveals', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const revealPage = (options) => createPage(`
+        <body>
+            <main data-component="reveals">
+                <div id="once" data-reveal="fade-up" data-delay="200"></div>
+                <section data-reveal-mode="replay">
+                    <div id="replay" data-reveal="fade-up"></div>
+                </section>
+            </main>
+        </body>
+    `, options);
+
+    it('reveals an element when it scrolls into view, after its delay', async () => {
+        page = revealPage();
+        await page.ready();
+        const el = page.document.getElementById('once');
+
+        assert.ok(!el.classList.contains('revealed'));
+        page.intersect(el);
+
+        assert.ok(el.classList.contains('revealed'));
+        assert.equal(el.style.transitionDelay, '200ms');
+    });
+
+    it('keeps an element revealed once shown, by default', async () => {
+        page = revealPage();
+        await page.ready();
+        const el = page.document.getElementById('once');
+
+        page.intersect(el);
+        page.intersect(el, false);
+
+        assert.ok(el.classList.contains('revealed'));
+    });
+
+    it('hides a replaying element again when it leaves the viewport', async () => {
+        page = revealPage();
+        await page.ready();
+        const el = page.document.getElementById('replay');
+
+        page.intersect(el);
+        page.intersect(el, false);
+        assert.ok(!el.classList.contains('revealed'));
+
+        page.intersect(el);
+        assert.ok(el.classList.contains('revealed'));
+    });
+
+    it('shows everything without waiting under reduced motion', async () => {
+        page = revealPage({ media: { [MOTION_QUERY]: true } });
+        await page.ready();
+
+        page.document.querySelectorAll('[data-reveal]').forEach(el => {
+            assert.ok(el.classList.contains('revealed'));
+            assert.equal(el.style.transitionDelay, '');
+        });
+    });
+
+    it('shows everything when reduced motion is turned on later', async () => {
+        page = revealPage();
+        await page.ready();
+
+        page.setMedia(MOTION_QUERY, true);
+
+        page.document.querySelectorAll('[data-reveal]').forEach(el => {
+            assert.ok(el.classList.contains('revealed'));
+        });
+    });
+});
+
+describe('MotionScheduler', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('runs scroll work once per frame with the layout read once', async () => {
+        page = createPage('<body></body>', { modules: ['motion.js'] });
+        await page.ready();
+        const motion = page.module('motion.js').motion;
+        const states = [];
+
+        motion.onScroll(state => states.push(state));
+        page.frame();
+        states.length = 0;
+
+        page.window.scrollY = 300;
+        page.window.dispatchEvent(new page.window.Event('scroll'));
+        page.window.dispatchEvent(new page.window.Event('scroll'));
+        page.window.dispatchEvent(new page.window.Event('resize'));
+        page.frame();
+
+        assert.equal(states.length, 1);
+        assert.equal(states[0].scrollY, 300);
+    });
+
+    it('shares one observer between elements with the same options', async () => {
+        page = createPage('<body><p id="a"></p><p id="b"></p></body>', { modules: ['motion.js'] });
+        await page.ready();
+        const motion = page.module('motion.js').motion;
+        const [a, b] = page.document.querySelectorAll('p');
+        const seen = [];
+
+        motion.observe(a, entry => seen.push(entry.target.id), { threshold: 0.5 });
+        const stop = motion.observe(b, entry => seen.push(entry.target.id), { threshold: 0.5 });
+
+        assert.equal(motion.observers.size, 1);
+
+        stop();
+        page.intersect(a);
+        page.intersect(b);
+        assert.deepEqual(seen, ['a']);
+    });
+
+    it('lets a saved preference override the device setting', async () => {
+        page = createPage('<body></body>', { modules: ['motion.js'] });
+        await page.ready();
+        const motion = page.module('motion.js').motion;
+        const changes = [];
+        page.document.addEventListener('motion:change', e => changes.push(e.detail.reduced));
+
+        motion.setReducedMotion(true);
+        assert.equal(motion.reduced, true);
+        assert.ok(page.document.documentElement.classList.contains('reduced-motion'));
+
+        motion.setReducedMotion(null);
+        assert.equal(motion.reduced, false);
+        assert.deepEqual(changes, [true, false]);
+    });
+});
@@ -0,0 +1,411 @@
+/**
+ * Timetables and the academic calendar: data checks, calendar files and
+ * markup from build/schedule.js, and the timetable and calendar
+ * components in scripts/schedule.js.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createPage, BASE_URL, ROOT_DIR } = require('./helpers/dom.js');
+const {
+    loadSchedule,
+    validateSchedule,
+    getCalendarEvents,
+    resolveTimetable,
+    renderTimetableICalendar,
+    renderCalendarICalendar,
+    renderSchedule
+} = require('../build/schedule.js');
+const { FACULTY } = require('../scripts/data/faculty.js');
+const { PROGRAM_CATALOG } = require('../scripts/data/programs.js');
+
+const SITE_URL = 'https://gctbhakkar.edu.pk/';
+const PERIODS = [
+    { from: '08:00', to: '08:50' },
+    { from: '08:50', to: '09:40' },
+    { from: '09:40', to: '10:30' }
+];
+
+const CALENDAR = {
+    session: '2026-27',
+    terms: [{ id: 'first-term', label: 'First Term', start: '2026-08-17', end: '2026-11-14' }],
+    events: [
+        { id: 'exams', type: 'exam', label: 'First Term Examinations', start: '2026-11-02', end: '2026-11-14' },
+        { id: 'closure', type: 'holiday', label: 'Closure', date: '2026-10-20' }
+    ]
+};
+
+const ADMISSION_DATES = [
+    { id: 'deadline', label: 'Submission Deadline', date: '2027-08-20', deadline: true }
+];
+
+const timetable = (program, year, section, classes) =>
+    ({ file: `${program}-${year}-${section.toLowerCase()}.json`, program, year, section, term: 'first-term', periods: PERIODS, classes });
+
+const SCHEDULE = {
+    calendar: CALENDAR,
+    timetables: [
+        timetable('computing', 1, 'A', [
+            { day: 'monday', period: 1, course: 'CIT-103', room: 'Room C-1', teacher: 'm-ismail' },
+            { day: 'monday', period: 2, length: 2, course: 'CIT-114', room: 'Computer Lab 1', teacher: 'ijaz-ahmad' },
+            { day: 'tuesday', period: 1, course: 'Math-123', room: 'Room C-1' }
+        ]),
+        timetable('computing', 1, 'B', [
+            { day: 'monday', period: 1, course: 'CIT-114', room: 'Room C-2', teacher: 'ijaz-ahmad' },
+            { day: 'tuesday', period: 1, course: 'CIT-103', room: 'Room C-2', teacher: 'm-ismail' }
+        ]),
+        timetable('electrical', 1, 'A', [
+            { day: 'wednesday', period: 1, course: 'ET-111', room: 'Room E-1' }
+        ])
+    ]
+};
+
+const EVENTS = getCalendarEvents(CALENDAR, ADMISSION_DATES);
+const TIMETABLES = SCHEDULE.timetables.map(item =>
+    resolveTimetable(item, { catalog: PROGRAM_CATALOG, faculty: FACULTY, calendar: CALENDAR, events: EVENTS }));
+
+// Monday 19 October 2026, in college time
+const at = time => Date.parse(`2026-10-19T${time}:00+05:00`);
+
+// No scripts run, so nothing is left to close
+const parse = (html) => createPage(`<body>${html}</body>`, { scripts: [], modules: [] }).document;
+
+const withTimetable = (index, change) => ({
+    ...SCHEDULE,
+    timetables: SCHEDULE.timetables.map((item, i) => (i === index ? { ...item, ...change(item) } : item))
+});
+
+describe('validateSchedule', () => {
+    it('accepts the published timetables and calendar', () => {
+        const schedule = loadSchedule(path.join(ROOT_DIR, 'src', 'schedule'));
+
+        assert.ok(schedule.timetables.length > 0);
+        assert.doesNotThrow(() => validateSchedule(schedule, PROGRAM_CATALOG, FACULTY));
+    });
+
+    it('names the timetable and the problem', () => {
+        const addClass = extra => item => ({ classes: [...item.classes, extra] });
+
+        [
+            [withTimetable(0, () => ({ program: 'mining' })), /computing-1-a\.json: unknown program "mining"/],
+            [withTimetable(0, () => ({ year: 4 })), /"year" must be a number from 1 to 3/],
+            [withTimetable(0, () => ({ section: 'a' })), /"section" must be a capital letter/],
+            [withTimetable(0, () => ({ term: 'summer' })), /unknown term "summer"/],
+            [withTimetable(0, addClass({ day: 'sunday', period: 3, course: 'GEN-111' })), /unknown day "sunday"/],
+            [withTimetable(0, addClass({ day: 'tuesday', period: 3, length: 2, course: 'GEN-111' })), /tuesday period 3 is outside periods 1 to 3/],
+            [withTimetable(0, addClass({ day: 'tuesday', period: 2, course: 'CIT-203' })), /"CIT-203", which is not a first year course/],
+            [withTimetable(0, addClass({ day: 'tuesday', period: 2, course: 'GEN-111', teacher: 'nobody' })), /unknown teacher "nobody"/],
+            [withTimetable(0, addClass({ day: 'monday', period: 3, course: 'GEN-111' })), /two classes on monday in period 3/],
+            [withTimetable(0, () => ({ periods: [PERIODS[1], PERIODS[0]] })), /period 2 starts before period 1 ends/]
+        ].forEach(([schedule, error]) => {
+            assert.throws(() => validateSchedule(schedule, PROGRAM_CATALOG, FACULTY), error);
+        });
+    });
+
+    it('refuses a teacher or room in two places at once', () => {
+        const teacher = withTimetable(1, item => ({
+            classes: [{ ...item.classes[0], teacher: 'm-ismail' }, item.classes[1]]
+        }));
+        const room = withTimetable(2, () => ({
+            classes: [{ day: 'monday', period: 2, course: 'ET-111', room: 'Computer Lab 1' }]
+        }));
+
+        assert.throws(() => validateSchedule(teacher, PROGRAM_CATALOG, FACULTY),
+            /teacher "m-ismail" is in computing-1-a and computing-1-b on monday at 08:00/);
+        assert.throws(() => validateSchedule(room, PROGRAM_CATALOG, FACULTY),
+            /room "Computer Lab 1" is in computing-1-a and electrical-1-a on monday at 08:50/);
+    });
+
+    it('checks the calendar entries', () => {
+        const calendar = events => ({ ...SCHEDULE, calendar: { ...CALENDAR, events } });
+
+        [
+            [calendar([{ id: 'fete', type: 'party', label: 'Fete', date: '2026-10-01' }]), /Calendar fete: "type" must be one of holiday, exam/],
+            [calendar([{ id: 'fete', type: 'holiday', label: 'Fete', date: '1 October' }]), /written as YYYY-MM-DD/],
+            [calendar([{ id: 'fete', type: 'holiday', label: 'Fete', start: '2026-10-02', end: '2026-10-01' }]), /"end" is before "start"/],
+            [calendar([{ id: 'first-term', type: 'holiday', label: 'Fete', date: '2026-10-01' }]), /first-term: id is used twice/]
+        ].forEach(([schedule, error]) => {
+            assert.throws(() => validateSchedule(schedule, PROGRAM_CATALOG, FACULTY), error);
+        });
+    });
+});
+
+describe('resolveTimetable', () => {
+    it('fills in course titles, times and teachers', () => {
+        const [first] = TIMETABLES;
+        const lab = first.classes.find(item => item.code === 'CIT-114');
+
+        assert.equal(first.id, 'computing-1-a');
+        assert.equal(first.yearTitle, 'First Year');
+        assert.deepEqual(
+            { from: lab.from, to: lab.to, title: lab.title, teacher: lab.teacher },
+            { from: '08:50', to: '10:30', title: 'Introduction to Programming', teacher: { name: 'Ijaz Ahmad', page: 'faculty/ijaz-ahmad.html' } }
+        );
+    });
+
+    it('lists the days in the term without classes', () => {
+        const { closed } = TIMETABLES[0];
+
+        assert.equal(closed[0], '2026-10-20');
+        assert.equal(closed[1], '2026-11-02');
+        assert.equal(closed[closed.length - 1], '2026-11-14');
+    });
+});
+
+describe('iCalendar files', () => {
+    const lines = ics => ics.replace(/\r\n /g, '').split('\r\n');
+
+    it('repeats each class weekly through the term, skipping closed days', () => {
+        const ics = renderTimetableICalendar(TIMETABLES[0], { siteUrl: SITE_URL, now: new Date('2026-10-01T00:00:00Z') });
+        const unfolded = lines(ics);
+        const tuesday = unfolded.slice(unfolded.indexOf('UID:computing-1-a-tuesday-1@gctbhakkar.edu.pk'));
+
+        assert.ok(unfolded.includes('DTSTAMP:20261001T000000Z'));
+        assert.ok(unfolded.includes('X-WR-CALNAME:GCT Bhakkar: Computer Information Technology\\, First Year\\, Section A'));
+        assert.equal(tuesday[2], 'DTSTART;TZID=Asia/Karachi:20260818T080000');
+        assert.equal(tuesday[3], 'DTEND;TZID=Asia/Karachi:20260818T085000');
+        assert.equal(tuesday[4], 'RRULE:FREQ=WEEKLY;UNTIL=20261114T185959Z');
+        assert.equal(tuesday[5], 'EXDATE;TZID=Asia/Karachi:20261020T080000,20261103T080000,20261110T080000');
+        assert.equal(tuesday[6], 'SUMMARY:Math-123 Applied Mathematics-I');
+    });
+
+    it('writes lines of at most 75 octets, ending in CRLF', () => {
+        const ics = renderTimetableICalendar(TIMETABLES[0], { siteUrl: SITE_URL });
+
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(!/[^\r]\n/.test(ics));
+        ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    });
+
+    it('gives the calendar all-day events, ending the day after', () => {
+        const unfolded = lines(renderCalendarICalendar(EVENTS, { siteUrl: SITE_URL }));
+        const exams = unfolded.slice(unfolded.indexOf('UID:exams@gctbhakkar.edu.pk'));
+
+        assert.equal(exams[2], 'DTSTART;VALUE=DATE:20261102');
+        assert.equal(exams[3], 'DTEND;VALUE=DATE:20261115');
+        assert.equal(exams[5], 'CATEGORIES:Examinations');
+        assert.ok(unfolded.includes('UID:admission-deadline@gctbhakkar.edu.pk'));
+    });
+});
+
+describe('renderSchedule', () => {
+    it('lists terms, holidays, exams and admission dates by month', () => {
+        const document = parse(renderSchedule('<div data-schedule="calendar"></div>', { events: EVENTS }));
+        const months = Array.from(document.querySelectorAll('[data-calendar-month]'));
+
+        assert.deepEqual(months.map(month => month.querySelector('time').getAttribute('datetime')), ['2026-08', '2026-10', '2026-11', '2027-08']);
+        assert.deepEqual(
+            Array.from(document.querySelectorAll('.calendar-event'), event => event.dataset.type),
+            ['term', 'holiday', 'exam', 'admission']
+        );
+        assert.equal(document.querySelector('#calendar-admission-deadline .calendar-event__label').dataset.i18n, 'notices.date.deadline');
+        assert.deepEqual(
+            Array.from(document.querySelectorAll('[data-calendar-filter]'), button => button.dataset.calendarFilter),
+            ['all', 'term', 'holiday', 'exam', 'admission']
+        );
+    });
+
+    it('offers every timetable as a download until the picker starts', () => {
+        const document = parse(renderSchedule('<div data-schedule="timetable"></div>', { timetables: TIMETABLES, catalog: PROGRAM_CATALOG }, { rootPath: '../' }));
+
+        assert.ok(document.querySelector('[data-timetable-picker]').hidden);
+        assert.deepEqual(
+            Array.from(document.querySelectorAll('#timetable-program option'), option => option.value),
+            ['computing', 'electrical']
+        );
+        assert.deepEqual(
+            Array.from(document.querySelectorAll('[data-timetable-downloads] a'), link => link.getAttribute('href')),
+            ['../schedule/computing-1-a.ics', '../schedule/computing-1-b.ics', '../schedule/electrical-1-a.ics']
+        );
+    });
+});
+
+describe('findCurrentClass', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('finds the class on now in college time, but not between classes, outside term or on closed days', () => {
+        page = createPage('<body></body>', { modules: ['schedule.js'] });
+        const { findCurrentClass } = page.module('schedule.js');
+        const [first] = TIMETABLES;
+
+        assert.equal(findCurrentClass(first, at('08:00')).code, 'CIT-103');
+        assert.equal(findCurrentClass(first, at('10:29')).code, 'CIT-114');
+        assert.equal(findCurrentClass(first, at('10:30')), null);
+        assert.equal(findCurrentClass(first, Date.parse('2026-10-20T08:10:00+05:00')), null);
+        assert.equal(findCurrentClass(first, Date.parse('2026-11-16T08:10:00+05:00')), null);
+    });
+});
+
+describe('Timetable', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const timetablePage = async (query = '', fetch) => {
+        const html = renderSchedule('<div data-schedule="timetable"></div>', { timetables: TIMETABLES, catalog: PROGRAM_CATALOG });
+        const requests = [];
+        const respond = (url) => {
+            requests.push(url);
+            const found = TIMETABLES.find(item => url === `schedule/${item.id}.json`);
+            return Promise.resolve({ ok: true, json: () => Promise.resolve(JSON.parse(JSON.stringify(found))) });
+        };
+
+        page = createPage(`<body>${html}</body>`, {
+            url: `${BASE_URL}timetable.html${query}`,
+            modules: ['app.js', 'schedule.js'],
+            globals: { fetch: fetch || respond }
+        });
+        await page.ready();
+
+        const { document } = page;
+        const root = document.querySelector('[data-component="timetable"]');
+        const timetable = page.module('components.js').getComponent(root, 'timetable');
+        const form = document.querySelector('[data-timetable-picker]');
+        const options = name => Array.from(form.elements[name].options, option => option.value);
+        const choose = async (name, value) => {
+            form.elements[name].value = value;
+            form.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+            await timetable.loaded;
+        };
+
+        await timetable.loaded;
+        return { document, timetable, form, options, choose, requests };
+    };
+
+    it('loads the first timetable in place of the download list', async () => {
+        const { document, form, requests } = await timetablePage();
+
+        assert.equal(form.hidden, false);
+        assert.equal(document.querySelector('[data-timetable-downloads]').hidden, true);
+        assert.deepEqual(requests, ['schedule/computing-1-a.json']);
+        assert.equal(document.querySelector('[data-timetable-title]').textContent.replace(/\s+/g, ' ').trim(),
+            'Computer Information Technology, First Year, Section A');
+        assert.equal(document.querySelector('[data-timetable-export]').getAttribute('href'), 'schedule/computing-1-a.ics');
+    });
+
+    it('lays out the week with double periods spanning rows', async () => {
+        const { document } = await timetablePage();
+        const rows = document.querySelectorAll('.timetable-grid tbody tr');
+        const lab = document.querySelector('.timetable-grid [data-day="monday"][data-period="2"]');
+
+        assert.deepEqual(Array.from(document.querySelectorAll('.timetable-grid thead th[data-i18n]'), th => th.textContent), ['Monday', 'Tuesday']);
+        assert.equal(lab.getAttribute('rowspan'), '2');
+        assert.match(lab.textContent, /CIT-114\s+Introduction to Programming\s+Computer Lab 1\s+Ijaz Ahmad/);
+        assert.equal(lab.querySelector('a').getAttribute('href'), 'faculty/ijaz-ahmad.html');
+        // Monday's lab covers the third period, leaving Tuesday's cell
+        assert.equal(rows[2].querySelectorAll('td').length, 1);
+    });
+
+    it('shows one day at a time in the day view', async () => {
+        const { document } = await timetablePage();
+
+        document.querySelector('[data-timetable-day="tuesday"]').click();
+
+        assert.equal(document.querySelector('[data-timetable-day="tuesday"]').getAttribute('aria-pressed'), 'true');
+        assert.equal(document.querySelector('[data-timetable-day-list="tuesday"]').hidden, false);
+        assert.equal(document.querySelector('[data-timetable-day-list="monday"]').hidden, true);
+    });
+
+    it('highlights the class on now in the grid and the day view', async () => {
+        const { document, timetable } = await timetablePage();
+
+        timetable.highlight(at('09:00'));
+        const current = Array.from(document.querySelectorAll('.timetable-class--now'));
+
+        assert.equal(current.length, 2);
+        current.forEach(cell => {
+            assert.equal(cell.dataset.period, '2');
+            assert.equal(cell.getAttribute('aria-current'), 'time');
+        });
+
+        timetable.highlight(at('13:00'));
+        assert.equal(document.querySelectorAll('.timetable-class--now, [aria-current]').length, 0);
+    });
+
+    it('offers only the years and sections a program has, and keeps the choice in the address', async () => {
+        const { options, choose, requests } = await timetablePage();
+
+        assert.deepEqual(options('section'), ['A', 'B']);
+
+        await choose('section', 'B');
+        assert.equal(page.window.location.search, '?program=computing&year=1&section=B');
+
+        await choose('program', 'electrical');
+        assert.deepEqual(options('year'), ['1']);
+        assert.deepEqual(options('section'), ['A']);
+        assert.equal(page.window.location.search, '?program=electrical&year=1&section=A');
+        assert.equal(requests[requests.length - 1], 'schedule/electrical-1-a.json');
+    });
+
+    it('starts from the timetable in the address, ignoring unknown choices', async () => {
+        const { form, requests } = await timetablePage('?program=computing&year=7&section=B');
+
+        assert.equal(form.elements.year.value, '1');
+        assert.equal(form.elements.section.value, 'B');
+        assert.deepEqual(requests, ['schedule/computing-1-b.json']);
+    });
+
+    it('says when a timetable cannot be loaded', async () => {
+        const { document } = await timetablePage('', () => Promise.reject(new TypeError('Failed to fetch')));
+
+        assert.equal(document.querySelector('[data-timetable-error]').hidden, false);
+        assert.equal(document.querySelector('[data-timetable-header]').hidden, true);
+        assert.equal(document.querySelectorAll('.timetable-class').length, 0);
+    });
+});
+
+describe('AcademicCalendar', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const calendarPage = async () => {
+        const html = renderSchedule('<div data-schedule="calendar"></div>', { events: EVENTS });
+        page = createPage(`<body>${html}</body>`, { url: `${BASE_URL}calendar.html`, modules: ['app.js', 'schedule.js'] });
+        await page.ready();
+
+        const { document } = page;
+        const root = document.querySelector('[data-component="academic-calendar"]');
+        return { document, calendar: page.module('components.js').getComponent(root, 'academic-calendar') };
+    };
+
+    it('filters by type, hiding months left empty', async () => {
+        const { document } = await calendarPage();
+
+        document.querySelector('[data-calendar-filter="exam"]').click();
+
+        assert.deepEqual(
+            Array.from(document.querySelectorAll('.calendar-event:not([hidden])'), event => event.id),
+            ['calendar-exams']
+        );
+        assert.deepEqual(
+            Array.from(document.querySelectorAll('[data-calendar-month]:not([hidden]) > h3 time'), time => time.getAttribute('datetime')),
+            ['2026-11']
+        );
+        assert.equal(document.querySelector('[data-calendar-status]').textContent, '1 date shown.');
+    });
+
+    it('marks past dates and the next one', async () => {
+        const { document, calendar } = await calendarPage();
+
+        calendar.markPast(at('12:00'));
+
+        assert.deepEqual(
+            Array.from(document.querySelectorAll('.calendar-event--past'), event => event.id),
+            []
+        );
+        assert.equal(document.querySelector('.calendar-event--next').id, 'calendar-first-term');
+
+        calendar.markPast(Date.parse('2026-11-20T00:00:00+05:00'));
+
+        assert.deepEqual(
+            Array.from(document.querySelectorAll('.calendar-event--past'), event => event.id),
+            ['calendar-first-term', 'calendar-closure', 'calendar-exams']
+        );
+        assert.equal(document.querySelector('.calendar-event--next').id, 'calendar-admission-deadline');
+    });
+});
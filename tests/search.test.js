@@ -0,0 +1,125 @@
+/**
+ * Site search: index entries and snippets from build/search-index.js, and
+ * query normalisation and ranking in scripts/search.js.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+const { extractSearchEntries, htmlToText } = require('../build/search-index.js');
+
+const page = createPage('<body></body>', { modules: ['search.js'] });
+const { normaliseSearchText, prepareSearchEntry, searchEntries, editDistance } = page.module('search.js');
+page.close();
+
+const entry = (type, title, text = '', extra = {}) => ({ type, title, text, page: 'Programs', url: `${title}.html`, ...extra });
+const search = (query, entries) => Array.from(searchEntries(query, entries.map(prepareSearchEntry)), result => result.title);
+
+describe('extractSearchEntries', () => {
+    const PAGE = `
+        <title>Enrollment | GCT Bhakkar</title>
+        <div class="faq-item" id="faq-hostel" data-search="faq">
+            <button class="faq-question">Is a hostel available?<svg><path d=""></path></svg></button>
+            <div class="faq-answer">Rooms are available <span aria-hidden="true">★</span>near the college &amp; the bus stand.</div>
+        </div>
+        <section id="labs" data-search="facility" data-search-title="Computer Labs"><h2>Labs</h2><p>Two labs.</p></section>
+    `;
+
+    it('takes the title from the first heading and the text from the rest', () => {
+        const [faq, labs] = extractSearchEntries(PAGE, 'enrollment.html');
+
+        assert.deepEqual(faq, {
+            type: 'faq',
+            title: 'Is a hostel available?',
+            text: 'Rooms are available near the college & the bus stand.',
+            page: 'Enrollment',
+            url: 'enrollment.html#faq-hostel'
+        });
+        assert.equal(labs.title, 'Computer Labs');
+        assert.equal(labs.text, 'Labs Two labs.');
+    });
+
+    it('cuts long snippets at the last space before the limit', () => {
+        const words = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ');
+        const [{ text }] = extractSearchEntries(`<div data-search="faq"><h3>Words</h3><p>${words}</p></div>`, 'faq.html');
+
+        assert.ok(text.length <= 181, text.length);
+        assert.match(text, /word\d+…$/);
+        assert.ok(words.startsWith(text.slice(0, -1)));
+    });
+
+    it('cuts snippets without spaces at the limit', () => {
+        const url = `https://example.com/${'a'.repeat(300)}`;
+        const [{ text }] = extractSearchEntries(`<div data-search="notice"><h3>Link</h3><p>${url}</p></div>`, 'link.html');
+
+        assert.equal(text, `${url.slice(0, 180)}…`);
+    });
+
+    it('reads text without markup, hidden decoration or entities', () => {
+        assert.equal(htmlToText('<p>Fees&nbsp;&amp; <b>dues</b></p><svg><text>x</text></svg>'), 'Fees & dues');
+    });
+});
+
+describe('normaliseSearchText', () => {
+    it('lower-cases and drops accents and punctuation', () => {
+        assert.equal(normaliseSearchText('  Résumé: CIT-114!  '), 'resume cit 114');
+    });
+
+    it('keeps Urdu words, with or without vowel marks', () => {
+        assert.equal(normaliseSearchText('داخلہ، فیس'), 'داخلہ فیس');
+        assert.equal(normaliseSearchText('دَاخِلہ'), normaliseSearchText('داخلہ'));
+    });
+});
+
+describe('editDistance', () => {
+    it('counts single edits and gives up past the limit', () => {
+        assert.equal(editDistance('hostel', 'hostal', 2), 1);
+        assert.equal(editDistance('merit', 'meirt', 2), 2);
+        assert.equal(editDistance('fee', 'electrical', 2), 3);
+    });
+});
+
+describe('searchEntries', () => {
+    it('ranks title matches above text matches above the page name', () => {
+        const entries = [
+            entry('faq', 'Campus transport', 'Buses run from the city', { page: 'Hostel' }),
+            entry('faq', 'Where do students stay?', 'There is no hostel on campus'),
+            entry('facility', 'Hostel')
+        ];
+
+        assert.deepEqual(search('hostel', entries), ['Hostel', 'Where do students stay?', 'Campus transport']);
+    });
+
+    it('prefers whole words to prefixes, and prefixes to substrings', () => {
+        const entries = [entry('course', 'Hydroelectric Power'), entry('course', 'Electrical Machines'), entry('course', 'Electric Circuits')];
+
+        assert.deepEqual(search('electric', entries), ['Electric Circuits', 'Electrical Machines', 'Hydroelectric Power']);
+    });
+
+    it('breaks ties by result type', () => {
+        const entries = [entry('notice', 'Merit list'), entry('program', 'Merit list'), entry('faq', 'Merit list')];
+
+        assert.deepEqual(Array.from(searchEntries('merit', entries.map(prepareSearchEntry)), result => result.type), ['program', 'faq', 'notice']);
+    });
+
+    it('finds course codes written without their dash and tolerates typos', () => {
+        const entries = [entry('course', 'CIT-114 Programming Fundamentals'), entry('program', 'Civil Technology')];
+
+        assert.deepEqual(search('cit114', entries), ['CIT-114 Programming Fundamentals']);
+        assert.deepEqual(search('progamming', entries), ['CIT-114 Programming Fundamentals']);
+    });
+
+    it('needs every word of the query to match', () => {
+        const entries = [entry('faq', 'Hostel fees'), entry('faq', 'Tuition fees')];
+
+        assert.deepEqual(search('hostel fees', entries), ['Hostel fees']);
+        assert.deepEqual(search('   ', entries), []);
+    });
+
+    it('finds entries from an Urdu query', () => {
+        const entries = [entry('notice', 'داخلہ فیس کی آخری تاریخ'), entry('notice', 'Admission schedule')];
+
+        assert.deepEqual(search('فیس', entries), ['داخلہ فیس کی آخری تاریخ']);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Search engine metadata from build/seo.js: canonical links, social cards
+ * and structured data in each page's head, and the sitemap and robots.txt.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+const { renderSeo, getStructuredData, renderSitemap, renderRobots, isIndexable } = require('../build/seo.js');
+const { FEE_STRUCTURE } = require('../scripts/data/fees.js');
+const { PROGRAM_CATALOG } = require('../scripts/data/programs.js');
+
+const SITE_URL = 'https://gctbhakkar.edu.pk/';
+
+const FAQ = `
+    <div class="faq-item" id="faq-duration" data-search="faq">
+        <button class="faq-question">
+            How long are the programs?
+            <svg class="faq-icon"><polyline points="6,9 12,15 18,9"></polyline></svg>
+        </button>
+        <div class="faq-answer">
+            <div class="faq-answer-content">All DAE programs take <strong>3 years</strong> &amp; end in PBTE exams.</div>
+        </div>
+    </div>
+`;
+
+const page = (pagePath, data, html = '', template = html) =>
+    ({ pagePath, data, template, html, catalog: PROGRAM_CATALOG, fees: FEE_STRUCTURE, siteUrl: SITE_URL });
+
+// No scripts run, so nothing is left to close
+const parseHead = (markup) => createPage(`<head>${markup}</head><body></body>`, { scripts: [], modules: [] }).document;
+
+const meta = (document, name) =>
+    document.querySelector(`meta[property="${name}"], meta[name="${name}"]`).getAttribute('content');
+
+const structuredData = (document) =>
+    Array.from(document.querySelectorAll('script[type="application/ld+json"]'), script => JSON.parse(script.textContent));
+
+describe('renderSeo', () => {
+    it('gives a page a canonical address and a card with its hero image', () => {
+        const hero = '<img src="/images/college-front.jpeg" alt="GCT Bhakkar main building" class="hero-bg-image">';
+        const document = parseHead(renderSeo(page('notices.html', {
+            title: 'Notice Board | Government College of Technology, Bhakkar',
+            description: 'Admission schedules & merit lists.'
+        }, hero)));
+
+        assert.equal(document.querySelector('link[rel="canonical"]').getAttribute('href'), `${SITE_URL}notices.html`);
+        assert.equal(meta(document, 'og:title'), 'Notice Board');
+        assert.equal(meta(document, 'og:description'), 'Admission schedules & merit lists.');
+        assert.equal(meta(document, 'og:image'), `${SITE_URL}images/college-front.jpeg`);
+        assert.equal(meta(document, 'twitter:card'), 'summary_large_image');
+        assert.equal(meta(document, 'twitter:image:alt'), 'GCT Bhakkar main building');
+    });
+
+    it('prefers the title and type in the front matter, and the site root for the home page', () => {
+        const document = parseHead(renderSeo(page('index.html', {
+            title: 'Foundation | Government College of Technology, Bhakkar',
+            ogTitle: 'Government College of Technology, Bhakkar',
+            ogType: 'website'
+        })));
+
+        assert.equal(document.querySelector('link[rel="canonical"]').getAttribute('href'), SITE_URL);
+        assert.equal(meta(document, 'og:title'), 'Government College of Technology, Bhakkar');
+        assert.equal(meta(document, 'og:image'), `${SITE_URL}images/GCT-Front-View.jpeg`);
+    });
+
+    it('uses the program image on a division page without a hero image', () => {
+        const document = parseHead(renderSeo(page('divisions/circuits.html', { title: 'Circuits Division | GCT Bhakkar', program: 'circuits' },
+            '<img src="" alt="Electronics Technology background" class="hero-bg-image">')));
+
+        assert.equal(meta(document, 'og:image'), `${SITE_URL}images/electronic.jpeg`);
+        assert.deepEqual(structuredData(document).map(item => item['@type']), ['EducationalOccupationalProgram']);
+    });
+});
+
+describe('getStructuredData', () => {
+    it('describes the college on the home page', () => {
+        const [college] = getStructuredData(page('index.html', {}));
+
+        assert.equal(college['@type'], 'CollegeOrUniversity');
+        assert.equal(college['@id'], `${SITE_URL}#college`);
+        assert.equal(college.address.addressLocality, 'Bhakkar');
+    });
+
+    it('describes every program where the pathways are listed', () => {
+        const programs = getStructuredData(page('pathways.html', {}, '', '<div data-catalog="pathways"></div>'));
+        const electrical = programs.find(item => item.name === 'DAE Electrical Technology');
+
+        assert.equal(programs.length, PROGRAM_CATALOG.length);
+        assert.equal(electrical.url, `${SITE_URL}divisions/electrical.html`);
+        assert.equal(electrical.timeToComplete, 'P3Y');
+        assert.deepEqual(electrical.offers, { '@type': 'Offer', category: 'Tuition', price: 60000, priceCurrency: 'PKR' });
+        assert.deepEqual(electrical.hasCourse[0], {
+            '@type': 'Course', courseCode: 'ET-111', name: 'Electrical Fundamentals', provider: electrical.provider
+        });
+    });
+
+    it('turns the FAQ items into an FAQPage', () => {
+        const [faq] = getStructuredData(page('enrollment.html', {}, FAQ));
+
+        assert.deepEqual(faq.mainEntity, [{
+            '@type': 'Question',
+            name: 'How long are the programs?',
+            acceptedAnswer: { '@type': 'Answer', text: 'All DAE programs take 3 years & end in PBTE exams.' }
+        }]);
+    });
+
+    it('keeps answer text from closing its script element', () => {
+        const html = FAQ.replace('3 years', '</script><script>alert(1)</script>');
+        const markup = renderSeo(page('enrollment.html', { title: 'Enrollment' }, html));
+
+        assert.equal(markup.match(/<\/script>/g).length, markup.match(/<script\b/g).length);
+    });
+});
+
+describe('sitemap and robots.txt', () => {
+    it('lists pages by their public address', () => {
+        const sitemap = renderSitemap(['index.html', 'divisions/computing.html'], SITE_URL);
+
+        assert.match(sitemap, /<loc>https:\/\/gctbhakkar\.edu\.pk\/<\/loc>/);
+        assert.match(sitemap, /<loc>https:\/\/gctbhakkar\.edu\.pk\/divisions\/computing\.html<\/loc>/);
+    });
+
+    it('leaves out pages marked noindex', () => {
+        assert.equal(isIndexable('<meta name="robots" content="noindex">'), false);
+        assert.equal(isIndexable('<meta name="description" content="noindex">'), true);
+    });
+
+    it('points crawlers to the sitemap', () => {
+        assert.match(renderRobots(SITE_URL), /^Sitemap: https:\/\/gctbhakkar\.edu\.pk\/sitemap\.xml$/m);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Field rules and error messages from scripts/validation.js. Submitting
+ * through initForm, and pattern attributes, are covered in app.test.js.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPage } = require('./helpers/dom.js');
+
+describe('FormValidator', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const setup = (fields, options = {}) => {
+        page = createPage(`<body><form>${fields}</form></body>`, { modules: ['validation.js'], ...options });
+        const form = page.document.querySelector('form');
+        const { FormValidator } = page.module('validation.js');
+
+        return {
+            form,
+            validator: FormValidator.for(form),
+            error: name => page.document.getElementById(`${name}-error`)?.textContent || ''
+        };
+    };
+
+    it('checks CNIC and mobile numbers, tidying a CNIC typed without dashes', () => {
+        const { form, validator, error } = setup(`
+            <input name="cnic" id="cnic" data-rule="cnic" value="3510112345671">
+            <input name="mobile" id="mobile" data-rule="mobile" value="0301 234567">
+        `);
+
+        const invalid = validator.validate(form);
+
+        assert.equal(form.elements.cnic.value, '35101-1234567-1');
+        assert.deepEqual(Array.from(invalid, field => field.name), ['mobile']);
+        assert.match(error('mobile'), /mobile/i);
+
+        form.elements.mobile.value = '+92 301 2345678';
+        assert.equal(validator.validate(form).length, 0);
+    });
+
+    it('compares numbers and dates against min and max, and lengths', () => {
+        const { form, validator, error } = setup(`
+            <input name="marks" id="marks" type="number" min="0" max="1100" value="1200">
+            <input name="dob" id="dob" type="date" min="2005-01-01" value="2004-12-31">
+            <input name="note" id="note" minlength="5" value="Hi">
+        `);
+
+        assert.deepEqual(Array.from(validator.validate(form), field => field.name), ['marks', 'dob', 'note']);
+        assert.match(error('marks'), /1100/);
+        assert.match(error('dob'), /2005-01-01/);
+        assert.match(error('note'), /5/);
+    });
+
+    it('needs a ticked box in a required group, reporting it once', () => {
+        const { form, validator, error } = setup(`
+            <label><input type="checkbox" name="programs" value="computing" required> Computing</label>
+            <label><input type="checkbox" name="programs" value="electrical"> Electrical</label>
+        `);
+
+        assert.equal(validator.validate(form).length, 1);
+        assert.ok(error('programs'));
+
+        form.querySelector('[value="electrical"]').checked = true;
+        assert.equal(validator.validate(form).length, 0);
+    });
+
+    it('checks marks against another field as a ceiling and as a minimum share', () => {
+        const { form, validator, error } = setup(`
+            <input name="total" id="total" value="1100">
+            <input name="obtained" id="obtained" data-max-of="total" data-min-percent="40" data-percent-of="total" value="1150">
+        `);
+
+        assert.equal(validator.validate(form).length, 1);
+        assert.match(error('obtained'), /1100/);
+
+        form.elements.obtained.value = '400';
+        validator.validate(form);
+        assert.match(error('obtained'), /40/);
+
+        form.elements.obtained.value = '440';
+        assert.equal(validator.validate(form).length, 0);
+    });
+
+    it('uses a field\'s own message and links the error to the field', () => {
+        const { form, validator, error } = setup(`
+            <input name="marks" id="marks" type="number" min="33" data-error-min="At least {min} marks are needed" value="20">
+        `);
+
+        validator.validate(form);
+        const field = form.elements.marks;
+
+        assert.equal(error('marks'), 'At least 33 marks are needed');
+        assert.equal(field.getAttribute('aria-invalid'), 'true');
+        assert.equal(field.getAttribute('aria-describedby'), 'marks-error');
+        assert.equal(page.document.activeElement, field);
+
+        field.value = '40';
+        field.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        assert.equal(error('marks'), '');
+        assert.equal(field.hasAttribute('aria-invalid'), false);
+    });
+
+    it('shows messages in the current language', () => {
+        const { form, validator, error } = setup('<input name="email" id="email" type="email" value="not-an-email">', {
+            scripts: ['data/locales.js'],
+            storage: { 'gct-language': 'ur' }
+        });
+
+        validator.validate(form);
+
+        assert.match(error('email'), /[؀-ۿ]/);
+    });
+});